@@ -0,0 +1,115 @@
+const chalk = require('chalk');
+const { executeCommand, verboseLog } = require('./utils');
+
+// Meteor serves its hashed bundles (/<hash>.js?meteor_js_resource=true,
+// /<hash>.css, /packages/...?hash=) with a one year max-age and everything
+// else, including /sockjs and /websocket, as uncacheable. Caching only what
+// the origin marks as cacheable keeps DDP and method traffic out of the
+// cache. The query string stays in the cache key because it carries the
+// bundle hash, and 404s aren't cached so requests made while a revision
+// rolls out don't stick.
+const CDN_FLAGS = [
+  '--enable-cdn',
+  '--cache-mode=USE_ORIGIN_HEADERS',
+  '--cache-key-include-query-string',
+  '--no-negative-caching'
+];
+
+// Paths invalidated after a deploy: unhashed files such as those in public/
+// keep their URL from one release to the next
+const DEFAULT_INVALIDATION_PATHS = ['/*'];
+
+/**
+ * Reads the `enableCdn` option
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {boolean} True if Cloud CDN should be on for the load balancer backend
+ */
+function getCdn(config) {
+  const { enableCdn } = config;
+  if (enableCdn === undefined) {
+    return false;
+  }
+  if (typeof enableCdn !== 'boolean') {
+    throw new Error(`enableCdn must be true or false, got "${enableCdn}"`);
+  }
+  return enableCdn;
+}
+
+/**
+ * Checks whether Cloud CDN needs turning on or off: the option changed since
+ * it was last applied to the backend service
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {boolean} True if updateCdn() has work to do
+ */
+function needsCdnUpdate(config) {
+  return getCdn(config) !== Boolean(config.loadBalancerResources.cdnEnabled);
+}
+
+/**
+ * Turns Cloud CDN on or off on the backend service
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} backendServiceName - Backend service of the load balancer
+ * @param {boolean} enabled - True to turn Cloud CDN on
+ */
+async function applyCdn(config, backendServiceName, enabled) {
+  const flags = enabled ? CDN_FLAGS : ['--no-enable-cdn'];
+  console.log(chalk.blue(`${enabled ? 'Enabling' : 'Disabling'} Cloud CDN on ${backendServiceName}...`));
+  await executeCommand(
+    `gcloud compute backend-services update ${backendServiceName} ${flags.join(' ')} --global --project=${config.projectId}`
+  );
+}
+
+/**
+ * Applies the `enableCdn` option to an existing load balancer
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {Promise<Object>} Updated loadBalancerResources
+ */
+async function updateCdn(config) {
+  const { loadBalancerResources } = config;
+  const enabled = getCdn(config);
+  await applyCdn(config, loadBalancerResources.backendServiceName, enabled);
+  const updated = { ...loadBalancerResources };
+  if (enabled) {
+    updated.cdnEnabled = true;
+  } else {
+    delete updated.cdnEnabled;
+  }
+  return updated;
+}
+
+/**
+ * Invalidates cached responses of the load balancer URL map
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @param {Array<string>} [paths] - Paths or path prefixes ending in /*
+ * @param {Object} [options] - { wait } to return once the invalidation completed
+ * @returns {Promise<Array<string>>} Invalidated paths
+ */
+async function invalidateCdnCache(config, paths = DEFAULT_INVALIDATION_PATHS, options = {}) {
+  const { loadBalancerResources } = config;
+  if (!loadBalancerResources || !loadBalancerResources.urlMapName) {
+    throw new Error('No load balancer found. Cloud CDN needs a custom domain with "useLoadBalancer": true');
+  }
+  const invalid = paths.find(path => typeof path !== 'string' || !/^\/[^\s'"\\*]*(\*)?$/.test(path));
+  if (invalid !== undefined) {
+    throw new Error(`CDN paths must start with "/" and may only end with "*", got "${invalid}"`);
+  }
+
+  // Invalidations take a few minutes to reach every cache, nothing waits for them by default
+  const wait = options.wait ? '' : ' --async';
+  for (const path of paths) {
+    verboseLog(`Invalidating ${path} on ${loadBalancerResources.urlMapName}`);
+    await executeCommand(
+      `gcloud compute url-maps invalidate-cdn-cache ${loadBalancerResources.urlMapName} --path="${path}" --global${wait} --project=${config.projectId}`
+    );
+  }
+  return paths;
+}
+
+module.exports = {
+  DEFAULT_INVALIDATION_PATHS,
+  getCdn,
+  needsCdnUpdate,
+  applyCdn,
+  updateCdn,
+  invalidateCdnCache
+};
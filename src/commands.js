@@ -1,4 +1,5 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
@@ -10,65 +11,164 @@ const {
   executeCommand, 
   executeCommandVerbose,
   executeCommandStreaming,
+  executeCommandAttached,
   executeCommandWithRetry,
   getServiceName,
-  getSecretName,
   escapeShellArg,
   validateSettingsPath,
   sanitizeErrorMessage,
   obfuscateCredential,
-  validateCustomDomain
+  validateCustomDomain,
+  validateImageTag,
+  REQUIRED_APIS
 } = require('./utils');
 const { processSettingsFile, extractConfigFromSettings, migrateSettingsToMeteorCloudRun } = require('./settings');
-const { createDeploymentFiles, uploadSettingsToGCS, createCloudBuildConfig } = require('./fileGeneration');
-const { createLoadBalancer } = require('./loadBalancer');
+const {
+  createDeploymentFiles,
+  syncDockerfileSettingsTools,
+  syncDockerfileRuntimeImage,
+  syncDockerfileBuildStage,
+  uploadSettingsToGCS,
+  uploadSettingsToSecretManager,
+  getSettingsBucketName,
+  createCloudBuildConfig,
+  getDeploymentEnvironment,
+  getSettingsStorage,
+  getBuildCache,
+  getBuildCacheTags
+} = require('./fileGeneration');
+const {
+  getCustomDomains,
+  getRedirects,
+  getLoadBalancerRedirects,
+  getLoadBalancerCertificates,
+  getLoadBalancerDomains,
+  needsLoadBalancerUpdate,
+  readCertificates,
+  getDomainSslStatus,
+  printDnsRecords,
+  createLoadBalancer,
+  updateLoadBalancer,
+  deleteLoadBalancer
+} = require('./loadBalancer');
 const { migrateDomainMapping } = require('./domainMappingMigration');
+const {
+  getSecurityPolicyName,
+  getSecurity,
+  buildSecurityRules,
+  needsSecurityUpdate,
+  isManagedRule,
+  readSecurityPolicy,
+  updateSecurityPolicy,
+  formatRuleAction
+} = require('./security');
+const { getCdn, needsCdnUpdate, updateCdn, invalidateCdnCache } = require('./cdn');
+const { getConfigFilePath, getGlobalOptions, loadConfig, saveConfig, clearEnvironmentState } = require('./config');
+const {
+  CANARY_TAG,
+  describeService,
+  listRevisions,
+  findPreviousRevision,
+  describeRevisionSettings,
+  settingsObjectExists,
+  settingsSecretVersionEnabled,
+  routeAllTraffic,
+  getTrafficSplit,
+  splitTraffic,
+  getServingRevisions,
+  restoreTraffic,
+  tagRevision,
+  removeRevisionTag,
+  routeTrafficToLatest,
+  isTrafficOnLatest,
+  resolveRootUrl
+} = require('./revisions');
+const { HEALTH_CHECK_TAG, getHealthCheck, runHealthCheck, formatHealthCheckFailure } = require('./healthCheck');
+const { getRuntimeOptions, getCustomLabels, parseLabels, readRuntimeOptions, formatRuntimeOptions } = require('./runtimeOptions');
+const { getGitInfo, getDeployGuards, checkDeployGuards, createImageTag, createRevisionLabels } = require('./git');
+const { validateSince, normalizeSeverity, buildLogFilter, readLogEntries, formatLogEntry } = require('./logs');
+const {
+  HISTORY_FILE,
+  getHistoryStorage,
+  hashConfigFile,
+  findBuildId,
+  createHistoryId,
+  appendHistory,
+  readHistory,
+  filterHistory,
+  findHistoryEntry,
+  formatDuration,
+  formatHistoryEntry
+} = require('./history');
+const { buildDeployPlan, printPlan, hasPendingChanges } = require('./plan');
+const { getOutputFormat, startOutput } = require('./output');
+const {
+  CONTAINER_PORT,
+  getLocalImageName,
+  parsePort,
+  buildLocalEnvironment,
+  formatEnvFile,
+  pointsAtLocalhost,
+  getDockerBuildCommand,
+  getDockerRunCommand
+} = require('./local');
+const {
+  IAM_API,
+  usesDedicatedServiceAccount,
+  getServiceAccounts,
+  setupServiceAccounts,
+  writeSecretVersion,
+  storeSecret,
+  grantSecretAccess,
+  deleteServiceAccounts,
+  getServiceIdentity
+} = require('./serviceAccounts');
+const {
+  parseEnvAssignments,
+  validateEnvKey,
+  getServiceEnvironment,
+  diffEnvironment,
+  updateServiceEnvironment,
+  writeSettingsEnvironment,
+  formatListFlag
+} = require('./env');
+const {
+  DEFAULT_VERSIONS_KEPT,
+  getSecretEnvVars,
+  getEnvSecretName,
+  getServiceSecrets,
+  findServiceSecret,
+  describeSecret,
+  listSecretVersions,
+  getLatestSecretVersion,
+  getRevisionSecretVersions,
+  selectVersionsToDestroy,
+  readSecretValue
+} = require('./secrets');
 const AuthManager = require('./auth');
+const { version: TOOL_VERSION } = require('../package.json');
 
-// Helper function to get config file path with fallback support
-function getConfigFilePath() {
-  const path = require('path');
-  const newPath = path.join('.meteor-cloud-run', 'config.json');
-  const oldNewPath = path.join('.meteor-cloud-run', '.meteor-cloud-run.json'); // Previous new path for migration
-  const oldPath = '.meteor-cloud-run.json'; // Original old path
-  
-  // Check new location first, then previous new location, finally old location for backward compatibility
-  if (fs.existsSync(newPath)) {
-    return newPath;
-  } else if (fs.existsSync(oldNewPath)) {
-    return oldNewPath;
-  } else if (fs.existsSync(oldPath)) {
-    return oldPath;
-  }
-  return newPath; // Return new path for creation
-}
+// How often `logs --follow` polls Cloud Logging for new entries
+const LOG_POLL_INTERVAL = 5000;
 
-async function initCommand(options) {
-  console.log(chalk.blue('🚀 Initializing Meteor Cloud Run deployment configuration...'));
-  
-  if (options.verbose) {
-    require('./utils').setVerboseMode(true);
-    verboseLog('Verbose mode enabled');
-  }
+// Settings files deploy and run-local look for when none is configured
+const SETTINGS_FALLBACK_FILES = ['settings.json', 'settings-production.json', 'settings-prod.json'];
 
-  // Setup authentication
+// Recent revisions checked for the secret versions they read
+const SECRET_REVISIONS_LIMIT = 100;
+
+// Revisions `info` lists with their deploy labels
+const INFO_REVISIONS_SHOWN = 5;
+
+/**
+ * Set up gcloud authentication for a command, exiting with CI setup
+ * instructions if it fails
+ * @param {Object} globalOptions - Global options from getGlobalOptions()
+ * @returns {Promise<AuthManager>} Auth manager to clean up when the command ends
+ */
+async function setupCommandAuthentication(globalOptions) {
   const authManager = new AuthManager();
   try {
-    // Try to get global options from process.argv since we can't access program directly
-    const globalOptions = {};
-    const argv = process.argv;
-    
-    // Parse global options from command line
-    const projectIndex = argv.indexOf('--project');
-    if (projectIndex !== -1 && argv[projectIndex + 1]) {
-      globalOptions.project = argv[projectIndex + 1];
-    }
-    
-    const serviceAccountIndex = argv.indexOf('--service-account-key');
-    if (serviceAccountIndex !== -1 && argv[serviceAccountIndex + 1]) {
-      globalOptions.serviceAccountKey = argv[serviceAccountIndex + 1];
-    }
-    
     await authManager.setupAuthentication({
       serviceAccountKey: globalOptions.serviceAccountKey,
       projectId: globalOptions.project
@@ -89,6 +189,238 @@ async function initCommand(options) {
     authManager.cleanup();
     process.exit(1);
   }
+  return authManager;
+}
+
+
+/**
+ * Load the configuration for the selected --env profile, exiting if it is
+ * missing or invalid
+ * @param {Object} globalOptions - Global options from getGlobalOptions()
+ * @returns {Promise<Object>} Resolved configuration
+ */
+async function loadCommandConfig(globalOptions) {
+  let config;
+  try {
+    config = await loadConfig(globalOptions.env);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  if (!config) {
+    console.log(chalk.red('❌ Configuration not found. Please run "meteor-cloud-run init" first.'));
+    process.exit(1);
+  }
+
+  return config;
+}
+
+/**
+ * Load the configuration for the selected --env profile for commands that
+ * handle a missing configuration themselves, exiting if --env is invalid
+ * @returns {Promise<Object|null>} Resolved configuration, or null if not initialized
+ */
+async function readCommandConfig() {
+  try {
+    return await loadConfig(getGlobalOptions().env);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Set up the output format selected with --output or --json, exiting if it
+ * is unknown. In json and yaml mode human-readable messages go to stderr.
+ * @returns {Object} { format, machine, print(document) } from startOutput()
+ */
+function setupCommandOutput() {
+  try {
+    return startOutput(getOutputFormat(getGlobalOptions()));
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Describe the revisions serving traffic, e.g. "shop-00002-abc (100%)"
+ * @param {Array<Object>} serving - Result of getServingRevisions()
+ * @returns {string} Revisions and their share of traffic
+ */
+function formatServingRevisions(serving) {
+  return serving.map(s => `${s.revisionName} (${s.percent}%)`).join(', ');
+}
+
+/**
+ * Describe how a revision was deployed from its labels, e.g.
+ * "commit abc1234 on main by dev_example_com"
+ * @param {Object} revision - Revision summary from listRevisions()
+ * @returns {string} Deploy details
+ */
+function formatRevisionDeploy(revision) {
+  const details = [];
+  if (revision.commit) {
+    details.push(`commit ${revision.commit.substring(0, 7)}`);
+  } else if (revision.imageTag) {
+    details.push(`image ${revision.imageTag}`);
+  }
+  if (revision.branch) {
+    details.push(`on ${revision.branch}`);
+  }
+  if (revision.author) {
+    details.push(`by ${revision.author}`);
+  }
+  if (revision.deployedAt) {
+    details.push(`deployed ${new Date(revision.deployedAt).toLocaleString()}`);
+  }
+  if (revision.toolVersion) {
+    details.push(`with meteor-cloud-run ${revision.toolVersion}`);
+  }
+  return details.length > 0 ? details.join(' ') : 'no deploy labels';
+}
+
+/**
+ * Adds a deploy to the deploy history with the account that ran it. Failing
+ * to record it only warns, the outcome of the deploy doesn't change.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} authManager - Authentication manager of the command
+ * @param {Object} entry - History entry without the account
+ */
+async function recordDeploy(config, authManager, entry) {
+  try {
+    const authStatus = await authManager.checkAuthenticationStatus();
+    const ci = authManager.detectCIEnvironment();
+    const warnings = await appendHistory(config, {
+      ...entry,
+      account: authStatus.account,
+      authMethod: authStatus.method,
+      ci: ci.detected ? ci.name : null
+    });
+    warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    console.log(chalk.gray(`📜 Recorded as deploy ${entry.id}, see "meteor-cloud-run history ${entry.id}"`));
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not record deploy ${entry.id} in the history: ${error.message}`));
+  }
+}
+
+/**
+ * Invalidates the Cloud CDN cache once a different revision serves all
+ * traffic, so clients don't get files of the previous one. A failed
+ * invalidation only warns, the traffic change already happened.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Promise<boolean>} True if an invalidation was started
+ */
+async function invalidateCdnAfterTrafficChange(config) {
+  if (!config.loadBalancerResources || !config.loadBalancerResources.cdnEnabled) {
+    return false;
+  }
+  try {
+    console.log(chalk.blue('⚡ Invalidating the Cloud CDN cache...'));
+    await invalidateCdnCache(config);
+    return true;
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not invalidate the Cloud CDN cache: ${error.message}`));
+    console.log(chalk.yellow('   Run "meteor-cloud-run cdn invalidate" to clear it.'));
+    return false;
+  }
+}
+
+/**
+ * Run the configured health check against a revision URL, printing the
+ * failing response if it doesn't pass
+ * @param {string} url - Revision or service URL
+ * @param {Object} healthCheck - Settings from getHealthCheck()
+ * @param {string} label - What is being checked, for the messages
+ * @returns {Promise<Object>} Result of runHealthCheck()
+ */
+async function checkRevisionHealth(url, healthCheck, label) {
+  console.log(chalk.blue(`🩺 Health checking ${label}...`));
+  const result = await runHealthCheck(url, healthCheck);
+  if (result.ok) {
+    console.log(chalk.green(`   ✅ ${result.url} answered HTTP ${result.status}${result.attempts > 1 ? ` after ${result.attempts} attempts` : ''}`));
+  } else {
+    console.log(chalk.red(`❌ Health check failed for ${label}:`));
+    formatHealthCheckFailure(result).forEach(line => console.log(chalk.gray(`   ${line}`)));
+  }
+  return result;
+}
+
+/**
+ * Copy the environment detected in a settings file onto the configuration,
+ * where getDeploymentEnvironment() picks it up
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} autoDetectedConfig - Result of extractConfigFromSettings()
+ */
+function applyDetectedEnvironment(config, autoDetectedConfig) {
+  if (autoDetectedConfig.rootUrl) config.rootUrl = autoDetectedConfig.rootUrl;
+  if (autoDetectedConfig.mongoOplogUrl) config.mongoOplogUrl = autoDetectedConfig.mongoOplogUrl;
+  if (autoDetectedConfig.mailUrl) config.mailUrl = autoDetectedConfig.mailUrl;
+  if (autoDetectedConfig.httpForwardedCount) config.httpForwardedCount = autoDetectedConfig.httpForwardedCount;
+  if (autoDetectedConfig.disableWebsockets) config.disableWebsockets = autoDetectedConfig.disableWebsockets;
+  if (autoDetectedConfig.additionalEnvVars) config.additionalEnvVars = autoDetectedConfig.additionalEnvVars;
+}
+
+/**
+ * Find the settings file the same way deploy does: --settings, the
+ * configured file, then the common names. Exits if --settings is invalid.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} [settingsOption] - Path given with --settings
+ * @returns {string|null} Path to the settings file, or null if there is none
+ */
+function findSettingsFile(config, settingsOption) {
+  if (settingsOption) {
+    let settingsFile;
+    try {
+      settingsFile = validateSettingsPath(settingsOption);
+    } catch (error) {
+      console.log(chalk.red(`❌ Invalid settings path: ${sanitizeErrorMessage(error)}`));
+      process.exit(1);
+    }
+    if (!fs.existsSync(settingsFile)) {
+      console.log(chalk.red(`❌ Specified settings file not found: ${settingsOption}`));
+      process.exit(1);
+    }
+    return settingsFile;
+  }
+  if (config.settingsFile && fs.existsSync(config.settingsFile)) {
+    return config.settingsFile;
+  }
+  return SETTINGS_FALLBACK_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Bring the generated Dockerfile in line with the configuration, so config
+ * changes take effect without running "init" again
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} settingsStorage - Result of getSettingsStorage()
+ */
+async function syncGeneratedDockerfile(config, settingsStorage) {
+  // The GCS download tools are only needed with settingsStorage "gcs"
+  if (await syncDockerfileSettingsTools(config)) {
+    console.log(chalk.blue(`🐳 Updated .meteor-cloud-run/Dockerfile for settingsStorage "${settingsStorage}"`));
+  }
+  const runtimeImage = await syncDockerfileRuntimeImage(config);
+  if (runtimeImage) {
+    console.log(chalk.blue(`🐳 Updated .meteor-cloud-run/Dockerfile to run on ${runtimeImage}`));
+  }
+  if (await syncDockerfileBuildStage(config)) {
+    console.log(chalk.blue('🐳 Updated the build stage of .meteor-cloud-run/Dockerfile for layer caching'));
+  }
+}
+
+async function initCommand(options) {
+  console.log(chalk.blue('🚀 Initializing Meteor Cloud Run deployment configuration...'));
+  
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  // Setup authentication
+  // Get global options from process.argv since we can't access program directly
+  const authManager = await setupCommandAuthentication(getGlobalOptions());
 
   // Check if configuration already exists
   const configPath = getConfigFilePath();
@@ -345,6 +677,62 @@ async function initCommand(options) {
         return 'Must be between 1 and 1000';
       }
     },
+    {
+      type: 'number',
+      name: 'timeoutSeconds',
+      message: 'Request timeout in seconds (DDP WebSockets are closed when it runs out):',
+      default: 3600,
+      validate: (input) => {
+        if (Number.isInteger(input) && input >= 1 && input <= 3600) return true;
+        return 'Must be a whole number between 1 and 3600';
+      }
+    },
+    {
+      type: 'confirm',
+      name: 'sessionAffinity',
+      message: 'Send each client back to the same instance (session affinity, recommended for DDP)?',
+      default: true
+    },
+    {
+      type: 'confirm',
+      name: 'cpuBoost',
+      message: 'Boost CPU while instances start (faster cold starts)?',
+      default: false
+    },
+    {
+      type: 'list',
+      name: 'executionEnvironment',
+      message: 'Execution environment:',
+      choices: [
+        { name: 'gen1 (faster cold starts)', value: 'gen1' },
+        { name: 'gen2 (full Linux compatibility, needs 512Mi or more)', value: 'gen2' }
+      ],
+      default: 'gen1'
+    },
+    {
+      type: 'list',
+      name: 'billing',
+      message: 'Billing:',
+      choices: [
+        { name: 'Request-based (CPU only allocated during requests)', value: 'request' },
+        { name: 'Instance-based (CPU always allocated, for background jobs and WebSockets)', value: 'instance' }
+      ],
+      default: 'request'
+    },
+    {
+      type: 'input',
+      name: 'labels',
+      message: 'Labels for the service, e.g. team=web,tier=frontend (optional):',
+      filter: (input) => parseLabels(input),
+      validate: (input) => {
+        try {
+          getRuntimeOptions({ cpu: '1', memory: '512Mi', concurrency: 1, minInstances: 0, maxInstances: 1, labels: input });
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    },
     {
       type: 'confirm',
       name: 'useCustomDomain',
@@ -365,6 +753,47 @@ async function initCommand(options) {
         }
       }
     },
+    {
+      type: 'input',
+      name: 'additionalDomains',
+      message: 'Other domains served by the same load balancer, e.g. www.example.com (comma-separated, optional):',
+      when: (answers) => answers.useCustomDomain,
+      filter: (input) => input.split(',').map(domain => domain.trim()).filter(Boolean),
+      validate: (input, answers) => {
+        try {
+          getCustomDomains({ customDomain: answers.customDomain, customDomains: [answers.customDomain, ...input] });
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    },
+    {
+      type: 'confirm',
+      name: 'httpToHttps',
+      message: 'Redirect http:// requests to https://?',
+      default: true,
+      when: (answers) => answers.useCustomDomain
+    },
+    {
+      type: 'list',
+      name: 'canonicalHost',
+      message: 'Serve the app from one host and redirect the other:',
+      choices: [
+        { name: 'No, serve both hosts', value: null },
+        { name: 'Redirect to www (example.com → www.example.com)', value: 'www' },
+        { name: 'Redirect to the apex domain (www.example.com → example.com)', value: 'apex' }
+      ],
+      default: (answers) => (answers.customDomain.toLowerCase().startsWith('www.') ? 1 : 2),
+      // Only asked when a domain is listed both with and without www.
+      when: (answers) => {
+        if (!answers.useCustomDomain) {
+          return false;
+        }
+        const domains = [answers.customDomain, ...(answers.additionalDomains || [])].map(domain => domain.toLowerCase());
+        return domains.some(domain => domains.includes(`www.${domain}`));
+      }
+    },
     {
       type: 'confirm',
       name: 'useStaticIP',
@@ -406,18 +835,54 @@ async function initCommand(options) {
     projectId: answers.projectId,
     region: answers.region,
     meteorVersion: finalMeteorVersion,
-    nodeVersion: '18',
     settingsFile: detectedSettingsFile,
     cpu: answers.cpu,
     memory: answers.memory,
     minInstances: answers.minInstances,
     maxInstances: answers.maxInstances,
-    concurrency: answers.concurrency
+    concurrency: answers.concurrency,
+    timeoutSeconds: answers.timeoutSeconds,
+    sessionAffinity: answers.sessionAffinity,
+    cpuBoost: answers.cpuBoost,
+    executionEnvironment: answers.executionEnvironment,
+    billing: answers.billing
   };
+  if (Object.keys(answers.labels || {}).length > 0) {
+    finalConfig.labels = answers.labels;
+  }
+
+  // Check the resources and runtime options together, e.g. gen2 needs 512Mi
+  try {
+    getRuntimeOptions(finalConfig);
+  } catch (error) {
+    console.log(chalk.red(`❌ Configuration error: ${error.message}`));
+    return;
+  }
 
   // Add custom domain configuration if provided
   if (answers.useCustomDomain) {
     finalConfig.customDomain = answers.customDomain;
+    if (answers.additionalDomains && answers.additionalDomains.length > 0) {
+      // customDomain stays the primary domain, used for ROOT_URL
+      finalConfig.customDomains = [answers.customDomain, ...answers.additionalDomains];
+    }
+    const redirects = {};
+    if (answers.httpToHttps !== undefined) {
+      redirects.httpToHttps = answers.httpToHttps;
+    }
+    if (answers.canonicalHost) {
+      redirects.canonicalHost = answers.canonicalHost;
+    }
+    if (Object.keys(redirects).length > 0) {
+      finalConfig.redirects = redirects;
+      // e.g. a canonical www host needs the www domain as primary
+      try {
+        getRedirects(finalConfig);
+      } catch (error) {
+        console.log(chalk.red(`❌ Configuration error: ${error.message}`));
+        return;
+      }
+    }
     finalConfig.useLoadBalancer = true;
     finalConfig.useManagedSSL = true; // Always use Google-managed SSL certificates
     finalConfig.useStaticIP = answers.useStaticIP !== false; // Default to true
@@ -455,61 +920,115 @@ async function initCommand(options) {
 }
 
 async function deployCommand(options) {
+  const output = setupCommandOutput();
+  const startTime = Date.now();
   if (options.verbose) {
     require('./utils').setVerboseMode(true);
     verboseLog('Verbose mode enabled');
   }
   console.log(chalk.blue('🚀 Deploying your Meteor.js application to Cloud Run...'));
 
+  // Get global options from process.argv since we can't access program directly
+  const globalOptions = getGlobalOptions();
+
   // Setup authentication
-  const authManager = new AuthManager();
+  const authManager = await setupCommandAuthentication(globalOptions);
+  
+  // Read configuration (resolving the --env profile if one was selected)
+  let config;
   try {
-    // Try to get global options from process.argv since we can't access program directly
-    const globalOptions = {};
-    const argv = process.argv;
-    
-    // Parse global options from command line
-    const projectIndex = argv.indexOf('--project');
-    if (projectIndex !== -1 && argv[projectIndex + 1]) {
-      globalOptions.project = argv[projectIndex + 1];
-    }
-    
-    const serviceAccountIndex = argv.indexOf('--service-account-key');
-    if (serviceAccountIndex !== -1 && argv[serviceAccountIndex + 1]) {
-      globalOptions.serviceAccountKey = argv[serviceAccountIndex + 1];
-    }
-    
-    await authManager.setupAuthentication({
-      serviceAccountKey: globalOptions.serviceAccountKey,
-      projectId: globalOptions.project
-    });
-    
-    verboseLog('Authentication setup completed');
+    config = await loadConfig(globalOptions.env);
   } catch (error) {
-    console.log(chalk.red('❌ Authentication failed:'));
-    console.log(error.message);
-    
-    // Show CI setup instructions if in CI environment
-    const ciEnv = authManager.detectCIEnvironment();
-    if (ciEnv.detected) {
-      console.log(chalk.yellow('\n🚀 CI/CD Setup Instructions:'));
-      console.log(authManager.getCISetupInstructions(ciEnv));
-    }
-    
+    console.log(chalk.red(`❌ ${error.message}`));
     authManager.cleanup();
-    process.exit(1);
+    process.exitCode = 1;
+    return;
   }
-  
-  // Check if configuration exists
-  const configPath = getConfigFilePath();
-  if (!fs.existsSync(configPath)) {
+
+  if (!config) {
     console.log(chalk.red('❌ Configuration not found. Please run "meteor-cloud-run init" first.'));
+    authManager.cleanup();
+    process.exitCode = 1;
     return;
   }
 
-  // Read configuration
-  let config = await fs.readJson(configPath);
   const serviceName = getServiceName(config);
+  if (config.environment) {
+    console.log(chalk.blue(`🌎 Environment: ${config.environment} (service: ${serviceName})`));
+  }
+
+  let settingsStorage;
+  let buildCache;
+  let healthCheck;
+  let deployGuards;
+  try {
+    settingsStorage = getSettingsStorage(config);
+    buildCache = getBuildCache(config);
+    healthCheck = options.skipHealthCheck ? null : getHealthCheck(config);
+    getSecretEnvVars(config);
+    getHistoryStorage(config);
+    deployGuards = getDeployGuards(config, authManager.detectCIEnvironment().detected);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    authManager.cleanup();
+    process.exitCode = 1;
+    return;
+  }
+
+  // Work out the immutable image tag for this deploy, plus any extra tags
+  const extraTags = options.tag || [];
+  try {
+    extraTags.forEach(tag => validateImageTag(tag));
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    authManager.cleanup();
+    process.exitCode = 1;
+    return;
+  }
+  let canaryPercent = null;
+  if (options.canary !== undefined) {
+    canaryPercent = Number(options.canary);
+    if (!Number.isInteger(canaryPercent) || canaryPercent < 1 || canaryPercent > 99) {
+      console.log(chalk.red('❌ --canary must be a whole percentage between 1 and 99'));
+      authManager.cleanup();
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  // Deploys append to the history file, which would make the next deploy dirty
+  const gitInfo = await getGitInfo([HISTORY_FILE]);
+  const imageTag = createImageTag(gitInfo);
+
+  // Cloud Build uploads the working directory as it is, so uncommitted
+  // changes and other branches would ship without a trace in git
+  const guardProblems = checkDeployGuards(gitInfo, deployGuards, { allowDirty: options.allowDirty });
+  if (guardProblems.length > 0 && !options.plan) {
+    guardProblems.forEach(problem => console.log(chalk.red(`❌ ${problem}`)));
+    authManager.cleanup();
+    process.exitCode = 1;
+    return;
+  }
+  guardProblems.forEach(problem => console.log(chalk.yellow(`⚠️  Deploy would be refused: ${problem}`)));
+  if (gitInfo && gitInfo.dirty) {
+    console.log(chalk.yellow(`⚠️  Working tree has uncommitted changes, image will be tagged ${imageTag}`));
+  }
+  console.log(chalk.blue(`🏷️  Image tag: ${imageTag}${extraTags.length > 0 ? ` (also tagged: ${extraTags.join(', ')})` : ''}`));
+
+  // Recorded in the deploy history once the deploy succeeds or fails
+  const historyEntry = {
+    id: createHistoryId(),
+    service: serviceName,
+    environment: config.environment || null,
+    projectId: config.projectId,
+    region: config.region,
+    startedAt: new Date(startTime).toISOString(),
+    commit: gitInfo ? gitInfo.commit : null,
+    branch: gitInfo ? gitInfo.branch : null,
+    dirty: gitInfo ? gitInfo.dirty : null,
+    imageTag,
+    configHash: await hashConfigFile(getConfigFilePath())
+  };
 
   // Handle custom settings file if provided
   if (options.settings) {
@@ -519,17 +1038,21 @@ async function deployCommand(options) {
       const validatedPath = validateSettingsPath(options.settings);
       if (!fs.existsSync(validatedPath)) {
         console.log(chalk.red(`❌ Specified settings file not found: ${options.settings}`));
+        authManager.cleanup();
+        process.exitCode = 1;
         return;
       }
       options.settings = validatedPath;
     } catch (error) {
       console.log(chalk.red(`❌ Invalid settings path: ${sanitizeErrorMessage(error)}`));
+      authManager.cleanup();
+      process.exitCode = 1;
       return;
     }
     
     try {
-      // First, migrate Galaxy settings to Meteor Cloud Run format if needed
-      const migrated = await migrateSettingsToMeteorCloudRun(options.settings);
+      // First, migrate Galaxy settings to Meteor Cloud Run format if needed (never in plan mode)
+      const migrated = !options.plan && await migrateSettingsToMeteorCloudRun(options.settings);
       if (migrated) {
         console.log(chalk.green(`✅ Migrated Galaxy settings to Meteor Cloud Run format in ${options.settings}`));
         console.log(chalk.blue(`   📝 Environment variables are now in "meteor-cloud-run.env" for easier management`));
@@ -545,19 +1068,22 @@ async function deployCommand(options) {
       // Update settings file path only - never store actual settings
       config.settingsFile = options.settings;
       
-      // Save clean configuration without any settings content
-      const cleanConfig = { ...config };
-      await fs.writeJson(getConfigFilePath(), cleanConfig, { spaces: 2 });
-      
-      // Extract MongoDB URL for deployment files generation
-      const mongoUrl = autoDetectedConfig.mongoUrl;
-      
-      // Regenerate deployment files with new settings
-      await createDeploymentFiles(config, mongoUrl);
-      
-      console.log(chalk.green(`✅ Configuration updated with settings from ${options.settings}`));
+      if (!options.plan) {
+        // Save clean configuration without any settings content
+        await saveConfig(config);
+        
+        // Extract MongoDB URL for deployment files generation
+        const mongoUrl = autoDetectedConfig.mongoUrl;
+        
+        // Regenerate deployment files with new settings
+        await createDeploymentFiles(config, mongoUrl);
+        
+        console.log(chalk.green(`✅ Configuration updated with settings from ${options.settings}`));
+      }
     } catch (error) {
       console.log(chalk.red(`❌ Failed to process settings file: ${sanitizeErrorMessage(error, options.settings)}`));
+      authManager.cleanup();
+      process.exitCode = 1;
       return;
     }
   }
@@ -579,8 +1105,7 @@ async function deployCommand(options) {
   } else {
     // No settings file configured - try backwards compatibility fallback
     console.log(chalk.blue('📄 No settings file configured, checking for common files...'));
-    const fallbackFiles = ['settings.json', 'settings-production.json', 'settings-prod.json'];
-    for (const file of fallbackFiles) {
+    for (const file of SETTINGS_FALLBACK_FILES) {
       if (fs.existsSync(file)) {
         settingsFile = file;
         console.log(chalk.blue(`📄 Found settings file: ${file} (consider adding to config for explicit control)`));
@@ -595,8 +1120,8 @@ async function deployCommand(options) {
   
   if (settingsFile && fs.existsSync(settingsFile)) {
     try {
-      // First, migrate Galaxy settings to Meteor Cloud Run format if needed
-      const migrated = await migrateSettingsToMeteorCloudRun(settingsFile);
+      // First, migrate Galaxy settings to Meteor Cloud Run format if needed (never in plan mode)
+      const migrated = !options.plan && await migrateSettingsToMeteorCloudRun(settingsFile);
       if (migrated) {
         console.log(chalk.green(`✅ Migrated Galaxy settings to Meteor Cloud Run format in ${settingsFile}`));
         console.log(chalk.blue(`   📝 Environment variables are now in "meteor-cloud-run.env" for easier management`));
@@ -608,14 +1133,10 @@ async function deployCommand(options) {
       mongoUrl = autoDetectedConfig.mongoUrl;
       
       // Extract additional environment variables for deployment
-      if (autoDetectedConfig.mongoOplogUrl) config.mongoOplogUrl = autoDetectedConfig.mongoOplogUrl;
-      if (autoDetectedConfig.mailUrl) config.mailUrl = autoDetectedConfig.mailUrl;
-      if (autoDetectedConfig.httpForwardedCount) config.httpForwardedCount = autoDetectedConfig.httpForwardedCount;
-      if (autoDetectedConfig.disableWebsockets) config.disableWebsockets = autoDetectedConfig.disableWebsockets;
+      applyDetectedEnvironment(config, autoDetectedConfig);
       
-      // Add all additional environment variables from Galaxy or other sources
+      // Show all additional environment variables from Galaxy or other sources
       if (autoDetectedConfig.additionalEnvVars) {
-        config.additionalEnvVars = autoDetectedConfig.additionalEnvVars;
         const envVarCount = Object.keys(autoDetectedConfig.additionalEnvVars).length;
         console.log(chalk.green(`✅ Additional environment variables configured: ${envVarCount}`));
         Object.keys(autoDetectedConfig.additionalEnvVars).forEach(key => {
@@ -664,11 +1185,33 @@ async function deployCommand(options) {
   if (!config.minInstances) config.minInstances = 0;
   if (!config.maxInstances) config.maxInstances = 10; // Higher for WebSocket connection spikes
   if (!config.concurrency) config.concurrency = 80; // Optimized for Cloud Run performance
-  // Set a generic placeholder rootUrl for initial deployment, we'll get the actual one after deployment
-  if (!config.rootUrl) config.rootUrl = `https://placeholder.run.app`;
+
+  // Reject combinations Cloud Run would refuse before anything is built
+  let runtimeOptions;
+  let customDomains;
+  let security;
+  let cdnEnabled;
+  try {
+    runtimeOptions = getRuntimeOptions(config);
+    customDomains = getCustomDomains(config);
+    getRedirects(config);
+    security = getSecurity(config);
+    cdnEnabled = getCdn(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    authManager.cleanup();
+    process.exitCode = 1;
+    return;
+  }
+  if (security && !(customDomains && config.useLoadBalancer)) {
+    console.log(chalk.yellow('⚠️ security needs the load balancer of a custom domain, the Cloud Armor policy is not applied'));
+  }
+  if (cdnEnabled && !(customDomains && config.useLoadBalancer)) {
+    console.log(chalk.yellow('⚠️ enableCdn needs the load balancer of a custom domain, Cloud CDN is not turned on'));
+  }
   
   // Check for domain mapping migration opportunity (unless skipped)
-  if (!options.skipMigration) {
+  if (!options.skipMigration && !options.plan) {
     verboseLog('Checking for domain mapping migration opportunities...');
     try {
       const originalConfig = { ...config };
@@ -676,9 +1219,7 @@ async function deployCommand(options) {
       
       // Save updated configuration if migration occurred
       if (config.loadBalancerResources && !originalConfig.loadBalancerResources) {
-        const cleanConfig = { ...config };
-        delete cleanConfig.rawSettings; // Never store raw settings
-        await fs.writeJson(getConfigFilePath(), cleanConfig, { spaces: 2 });
+        await saveConfig(config); // Never stores raw settings
         console.log(chalk.green('✅ Configuration updated with load balancer resources'));
       }
     } catch (error) {
@@ -688,20 +1229,76 @@ async function deployCommand(options) {
   } else {
     verboseLog('Skipping domain mapping migration check (--skip-migration)');
   }
+
+  // Resolve ROOT_URL up front so the deployed revision starts with its final value
+  try {
+    const rootUrl = await resolveRootUrl(config, serviceName);
+    config.rootUrl = rootUrl.url;
+    verboseLog(`ROOT_URL ${rootUrl.url} (from the ${rootUrl.source})`);
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to resolve ROOT_URL: ${sanitizeErrorMessage(error)}`));
+    authManager.cleanup();
+    process.exitCode = 1;
+    return;
+  }
   
+  // Plan mode: show what would change using read-only calls, then stop
+  if (options.plan) {
+    let pending = false;
+    try {
+      console.log(chalk.blue(`\n📋 Deploy plan for ${serviceName} (project ${config.projectId}, region ${config.region})\n`));
+      const entries = await buildDeployPlan(config, { serviceName, mongoUrl, imageTag, canaryPercent });
+      printPlan(entries);
+      pending = hasPendingChanges(entries);
+      console.log(chalk.gray('Every deploy also builds a new image and creates a new Cloud Run revision.'));
+      output.print({ service: serviceName, pendingChanges: pending, changes: entries });
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to compute plan: ${error.message}`));
+      authManager.cleanup();
+      process.exitCode = 1;
+      return;
+    }
+    authManager.cleanup();
+    if (options.detailedExitcode && pending) {
+      process.exitCode = 2;
+    }
+    return;
+  }
+
+  // Run as a dedicated least-privilege service account instead of the default ones
+  const dedicatedServiceAccount = usesDedicatedServiceAccount(config);
+
   // Handle settings upload if needed
   let settingsInfo = null;
-  if (config.rawSettings) {
-    console.log(chalk.green(`✅ METEOR_SETTINGS configured via secure GCS bucket (${Object.keys(config.rawSettings).length} keys)`));
+  if (config.rawSettings && settingsStorage === 'secret-manager') {
+    console.log(chalk.green(`✅ METEOR_SETTINGS configured via Secret Manager (${Object.keys(config.rawSettings).length} keys)`));
     console.log(chalk.blue(`🔒 Settings are never stored in configuration files`));
-    console.log(chalk.blue(`📦 Temporary bucket will be automatically cleaned up after deployment`));
-    
-    // Upload settings to GCS before build submission
+
+    // Store settings before build submission; the API may not be enabled yet on a first deploy
     try {
-      settingsInfo = await uploadSettingsToGCS(config.projectId, config.rawSettings);
-      console.log(chalk.green(`🔒 Settings uploaded securely (never stored in configuration files)`));
+      await executeCommand(`gcloud services enable secretmanager.googleapis.com --project=${config.projectId}`);
+      settingsInfo = await uploadSettingsToSecretManager(config, config.rawSettings);
     } catch (error) {
       console.log(chalk.red(`❌ Failed to upload settings: ${error.message}`));
+      authManager.cleanup();
+      process.exitCode = 1;
+      return;
+    }
+
+    delete config.rawSettings;
+  } else if (config.rawSettings) {
+    console.log(chalk.green(`✅ METEOR_SETTINGS configured via secure GCS bucket (${Object.keys(config.rawSettings).length} keys)`));
+    console.log(chalk.blue(`🔒 Settings are never stored in configuration files`));
+    console.log(chalk.blue(`📦 Temporary bucket will be automatically cleaned up after deployment`));
+    
+    // Upload settings to GCS before build submission
+    try {
+      settingsInfo = await uploadSettingsToGCS(config.projectId, config.rawSettings, { skipReaderGrant: dedicatedServiceAccount });
+      console.log(chalk.green(`🔒 Settings uploaded securely (never stored in configuration files)`));
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to upload settings: ${error.message}`));
+      authManager.cleanup();
+      process.exitCode = 1;
       return;
     }
     
@@ -709,94 +1306,175 @@ async function deployCommand(options) {
     delete config.rawSettings;
   }
 
-  // Regenerate deployment files with current configuration and settings info
-  await createCloudBuildConfig(config, mongoUrl, settingsInfo);
+  // Canary deploys split traffic with the revision that is currently serving,
+  // and health checked deploys put the current traffic back if the new revision fails
+  let stableRevision = null;
+  let servingRevisions = [];
+  if (canaryPercent || healthCheck) {
+    try {
+      const service = await describeService(config, serviceName);
+      const { canary, stable } = getTrafficSplit(service);
+      if (canaryPercent && canary && canary.percent > 0) {
+        console.log(chalk.red(`❌ Canary revision ${canary.revisionName} is already receiving ${canary.percent}% of traffic.`));
+        console.log(chalk.yellow('💡 Run "meteor-cloud-run promote" or "meteor-cloud-run abort-canary" first.'));
+        authManager.cleanup();
+        process.exitCode = 1;
+        return;
+      }
+      stableRevision = stable ? stable.revisionName : null;
+      servingRevisions = getServingRevisions(service);
+    } catch (error) {
+      if (!error.message.includes('NOT_FOUND') && !error.message.includes('Cannot find service')) {
+        console.log(chalk.red(`❌ Unable to read current traffic for ${serviceName}: ${error.message}`));
+        authManager.cleanup();
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    if (canaryPercent && !stableRevision) {
+      console.log(chalk.yellow(`⚠️  ${serviceName} has no revision serving traffic yet, deploying without a canary`));
+      canaryPercent = null;
+    } else if (canaryPercent) {
+      console.log(chalk.blue(`🐤 Canary deploy: ${canaryPercent}% of traffic to the new revision, ${100 - canaryPercent}% stays on ${stableRevision}`));
+    }
+  }
+
+  // Regenerate deployment files with current configuration and settings info.
+  // Health checked deploys keep traffic where it is until the new revision passes.
+  let deployOptions = {};
+  if (canaryPercent) {
+    deployOptions = { noTraffic: true, revisionTag: CANARY_TAG };
+  } else if (healthCheck && servingRevisions.length > 0) {
+    deployOptions = { noTraffic: true, revisionTag: HEALTH_CHECK_TAG };
+  }
+  if (dedicatedServiceAccount) {
+    deployOptions.serviceAccounts = getServiceAccounts(config, serviceName);
+  }
+  // --no-build-cache rebuilds every layer once
+  if (options.buildCache === false) {
+    deployOptions.noBuildCache = true;
+    console.log(chalk.blue('🧹 Building without cached layers'));
+  } else if (buildCache.enabled) {
+    console.log(chalk.blue(`♻️  Reusing cached build layers from ${getBuildCacheTags(buildCache).builder}`));
+  }
+  await createCloudBuildConfig(config, mongoUrl, settingsInfo, deployOptions);
+
+  await syncGeneratedDockerfile(config, settingsStorage);
 
   // Configuration is handled via environment variables (simple approach)
   console.log(chalk.blue('✅ Using environment variables for configuration'));
 
   // Execute deployment steps
+  let buildId = null;
+  let deployedUrl = null;
+  let healthCheckResult = null;
+  let cdnInvalidated = false;
   try {
     // Enable required APIs
     console.log(chalk.blue('📡 Enabling required APIs...'));
-    await executeCommandVerbose(`gcloud services enable cloudbuild.googleapis.com run.googleapis.com artifactregistry.googleapis.com secretmanager.googleapis.com storage.googleapis.com compute.googleapis.com cloudresourcemanager.googleapis.com serviceusage.googleapis.com --project=${config.projectId}`, 'Enable required Google Cloud APIs');
+    const apis = dedicatedServiceAccount ? [...REQUIRED_APIS, IAM_API] : REQUIRED_APIS;
+    await executeCommandVerbose(`gcloud services enable ${apis.join(' ')} --project=${config.projectId}`, 'Enable required Google Cloud APIs');
+
+    // secretEnvVars without a value in the settings file are mounted as they
+    // are, so they must have been stored with "secrets set" beforehand
+    const { secretsToCreate } = getDeploymentEnvironment(config, mongoUrl);
+    const storedSecrets = getSecretEnvVars(config)
+      .filter(envName => !secretsToCreate.some(secret => secret.envName === envName))
+      .map(envName => ({ envName, name: getEnvSecretName(serviceName, envName) }));
+    for (const secret of storedSecrets) {
+      if (!(await describeSecret(config, secret.name))) {
+        throw new Error(`${secret.envName} has no value in the settings file and secret ${secret.name} doesn't exist. Store it with "meteor-cloud-run secrets set ${secret.envName}"`);
+      }
+    }
     
-    // Ensure default service accounts have necessary permissions
-    console.log(chalk.blue('🔐 Configuring service account permissions...'));
-    try {
-      // Get project number for service account names
-      const projectNumberResult = await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`);
-      const projectNumber = projectNumberResult.stdout.trim();
+    let runtimeEmail;
+    if (dedicatedServiceAccount) {
+      // Create the runtime and deployer accounts, so only the runtime account
+      // can read the secrets stored below
+      console.log(chalk.blue('🔐 Configuring dedicated service accounts...'));
+      try {
+        const accounts = await setupServiceAccounts(config, serviceName, { settingsBucket: settingsInfo?.bucket });
+        runtimeEmail = accounts.runtime.email;
+        console.log(chalk.green(`✅ ${serviceName} runs as ${accounts.runtime.email}`));
+      } catch (error) {
+        console.log(chalk.red('❌ Could not configure dedicated service accounts'));
+        console.log(chalk.yellow('   Creating service accounts and IAM bindings requires the Owner role, or Service Account Admin and Project IAM Admin'));
+        throw error;
+      }
+    } else {
+      // Ensure default service accounts have necessary permissions
+      console.log(chalk.blue('🔐 Configuring service account permissions...'));
+      try {
+        // Get project number for service account names
+        const projectNumberResult = await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`);
+        const projectNumber = projectNumberResult.stdout.trim();
       
-      if (projectNumber) {
-        // Grant permissions to Cloud Build service account
-        const cloudBuildSA = `${projectNumber}@cloudbuild.gserviceaccount.com`;
-        const computeSA = `${projectNumber}-compute@developer.gserviceaccount.com`;
+        if (projectNumber) {
+          // Grant permissions to Cloud Build service account
+          const cloudBuildSA = `${projectNumber}@cloudbuild.gserviceaccount.com`;
+          const computeSA = `${projectNumber}-compute@developer.gserviceaccount.com`;
         
-        // Check if permissions are already granted
-        const iamPolicyResult = await executeCommand(`gcloud projects get-iam-policy ${config.projectId} --format=json`);
-        const iamPolicy = JSON.parse(iamPolicyResult.stdout);
+          // Check if permissions are already granted
+          const iamPolicyResult = await executeCommand(`gcloud projects get-iam-policy ${config.projectId} --format=json`);
+          const iamPolicy = JSON.parse(iamPolicyResult.stdout);
         
-        // Check if Cloud Build SA has Editor role
-        const cloudBuildHasEditor = iamPolicy.bindings?.some(binding => 
-          binding.role === 'roles/editor' && 
-          binding.members?.includes(`serviceAccount:${cloudBuildSA}`)
-        );
+          // Check if Cloud Build SA has Editor role
+          const cloudBuildHasEditor = iamPolicy.bindings?.some(binding => 
+            binding.role === 'roles/editor' && 
+            binding.members?.includes(`serviceAccount:${cloudBuildSA}`)
+          );
         
-        // Check if Compute SA has Editor role
-        const computeHasEditor = iamPolicy.bindings?.some(binding => 
-          binding.role === 'roles/editor' && 
-          binding.members?.includes(`serviceAccount:${computeSA}`)
-        );
+          // Check if Compute SA has Editor role
+          const computeHasEditor = iamPolicy.bindings?.some(binding => 
+            binding.role === 'roles/editor' && 
+            binding.members?.includes(`serviceAccount:${computeSA}`)
+          );
         
-        if (!cloudBuildHasEditor) {
-          console.log(chalk.yellow(`  Granting Editor role to Cloud Build service account...`));
-          await executeCommand(`gcloud projects add-iam-policy-binding ${config.projectId} --member="serviceAccount:${cloudBuildSA}" --role="roles/editor" --condition=None`);
-          console.log(chalk.green(`  ✅ Cloud Build service account configured`));
-        } else {
-          verboseLog(`  Cloud Build service account already has Editor role`);
-        }
+          if (!cloudBuildHasEditor) {
+            console.log(chalk.yellow(`  Granting Editor role to Cloud Build service account...`));
+            await executeCommand(`gcloud projects add-iam-policy-binding ${config.projectId} --member="serviceAccount:${cloudBuildSA}" --role="roles/editor" --condition=None`);
+            console.log(chalk.green(`  ✅ Cloud Build service account configured`));
+          } else {
+            verboseLog(`  Cloud Build service account already has Editor role`);
+          }
         
-        if (!computeHasEditor) {
-          console.log(chalk.yellow(`  Granting Editor role to Compute service account...`));
-          await executeCommand(`gcloud projects add-iam-policy-binding ${config.projectId} --member="serviceAccount:${computeSA}" --role="roles/editor" --condition=None`);
-          console.log(chalk.green(`  ✅ Compute service account configured`));
-        } else {
-          verboseLog(`  Compute service account already has Editor role`);
-        }
+          if (!computeHasEditor) {
+            console.log(chalk.yellow(`  Granting Editor role to Compute service account...`));
+            await executeCommand(`gcloud projects add-iam-policy-binding ${config.projectId} --member="serviceAccount:${computeSA}" --role="roles/editor" --condition=None`);
+            console.log(chalk.green(`  ✅ Compute service account configured`));
+          } else {
+            verboseLog(`  Compute service account already has Editor role`);
+          }
         
-        if (cloudBuildHasEditor && computeHasEditor) {
-          console.log(chalk.green('✅ Service accounts already configured'));
+          if (cloudBuildHasEditor && computeHasEditor) {
+            console.log(chalk.green('✅ Service accounts already configured'));
+          }
         }
+      } catch (permError) {
+        // If we can't grant permissions, warn but continue
+        console.log(chalk.yellow('⚠️ Could not automatically configure service account permissions'));
+        console.log(chalk.yellow('   You may need to manually grant Editor role to the default service accounts'));
+        console.log(chalk.yellow('   See the README for manual configuration steps'));
+        verboseLog(`Permission error: ${permError.message}`);
       }
-    } catch (permError) {
-      // If we can't grant permissions, warn but continue
-      console.log(chalk.yellow('⚠️ Could not automatically configure service account permissions'));
-      console.log(chalk.yellow('   You may need to manually grant Editor role to the default service accounts'));
-      console.log(chalk.yellow('   See the README for manual configuration steps'));
-      verboseLog(`Permission error: ${permError.message}`);
+
+      const projectNumberResult = await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`);
+      runtimeEmail = `${projectNumberResult.stdout.trim()}-compute@developer.gserviceaccount.com`;
     }
 
-    // Pre-grant Secret Manager permissions to avoid deployment failures
-    if (mongoUrl) {
-      try {
-        const serviceName = getServiceName(config);
-        const secretName = getSecretName(serviceName, 'mongodb-url');
-        
-        // Get project number for service account
-        const projectNumberResult = await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`);
-        const projectNumber = projectNumberResult.stdout.trim();
-        
-        if (projectNumber) {
-          console.log(chalk.blue('🔐 Pre-configuring Secret Manager permissions...'));
-          const serviceAccount = `${projectNumber}-compute@developer.gserviceaccount.com`;
-          
-          await executeCommand(`gcloud secrets add-iam-policy-binding ${secretName} --member="serviceAccount:${serviceAccount}" --role="roles/secretmanager.secretAccessor" --project=${config.projectId} || echo "Note: IAM permissions will be handled during deployment"`);
-          console.log(chalk.green('✅ Secret Manager permissions configured'));
-        }
-      } catch (error) {
-        console.log(chalk.yellow('⚠️ Could not pre-configure Secret Manager permissions. Will be handled during deployment.'));
-      }
+    // Secret values are stored from here rather than in the build, so they
+    // never appear in Cloud Build's build records
+    if (secretsToCreate.length > 0) {
+      console.log(chalk.blue('🔐 Storing secrets in Secret Manager...'));
+    }
+    for (const secret of secretsToCreate) {
+      await storeSecret(config, secret, runtimeEmail);
+    }
+    // Secrets stored by "secrets set" and the settings secret only need access
+    const writtenSecrets = [...storedSecrets.map(secret => secret.name), ...(settingsInfo && settingsInfo.secret ? [settingsInfo.secret] : [])];
+    for (const secretName of writtenSecrets) {
+      await grantSecretAccess(config, secretName, runtimeEmail);
     }
 
     // Deploy using Cloud Build (rolling deployment - zero downtime)
@@ -804,36 +1482,23 @@ async function deployCommand(options) {
     verboseLog('Starting Cloud Build process...');
     verboseLog(`Using project ID: ${config.projectId}`);
     
-    // Build substitutions for secure credential passing (must use underscore prefix)
-    let substitutions = [];
-    if (mongoUrl) {
-      substitutions.push(`_MONGO_URL=${mongoUrl}`);
-    }
-    if (config.mongoOplogUrl) {
-      substitutions.push(`_MONGO_OPLOG_URL=${config.mongoOplogUrl}`);
-    }
-    if (config.mailUrl) {
-      substitutions.push(`_MAIL_URL=${config.mailUrl}`);
-    }
-    
+    // Image tags and the revision labels (must use underscore prefix)
+    const revisionLabels = [
+      ...getCustomLabels(runtimeOptions),
+      ...createRevisionLabels(gitInfo, imageTag, { toolVersion: TOOL_VERSION, deployedAt: startTime })
+    ];
+    const substitutions = [
+      `_IMAGE_TAG=${imageTag}`,
+      `_EXTRA_TAGS=${extraTags.join(' ')}`,
+      `_REVISION_LABELS=${revisionLabels.join(',')}`
+    ];
     
-    // Validate that required substitutions are provided
-    const cloudbuildContent = require('fs').readFileSync('.meteor-cloud-run/cloudbuild.yaml', 'utf8');
-    if (cloudbuildContent.includes('$_MONGO_URL') && !substitutions.find(s => s.startsWith('_MONGO_URL='))) {
-      console.log(chalk.red('❌ Cloud Build requires MONGO_URL but no MongoDB credentials found!'));
-      console.log(chalk.yellow('💡 Please ensure your settings file contains MONGO_URL in one of these formats:'));
-      console.log('   • { "meteor-cloud-run": { "env": { "MONGO_URL": "mongodb://..." } } }');
-      console.log('   • { "galaxy.meteor.com": { "env": { "MONGO_URL": "mongodb://..." } } }');
-      console.log('   • { "env": { "MONGO_URL": "mongodb://..." } }');
-      return;
-    }
-    
-    // Submit with substitutions to avoid plaintext credentials in YAML
     let buildCommand = `gcloud builds submit --config=.meteor-cloud-run/cloudbuild.yaml --project=${config.projectId}`;
-    if (substitutions.length > 0) {
-      buildCommand += ` --substitutions=${escapeShellArg(substitutions.join(','))}`;
-      verboseLog(`Using secure substitutions for: ${substitutions.map(s => s.split('=')[0].replace('_', '')).join(', ')}`);
+    if (dedicatedServiceAccount) {
+      buildCommand += ` --service-account=projects/${config.projectId}/serviceAccounts/${deployOptions.serviceAccounts.deployer.email}`;
     }
+    buildCommand += ` ${formatListFlag('--substitutions', substitutions)}`;
+    verboseLog(`Using substitutions: ${substitutions.join(', ')}`);
     
     // Execute build with streaming output for better user feedback
     console.log(chalk.gray('   📦 Building container image...'));
@@ -843,6 +1508,7 @@ async function deployCommand(options) {
     
     // Stream the build logs to show progress
     const buildResult = await executeCommandStreaming(buildCommand);
+    buildId = findBuildId(`${buildResult.stdout}${buildResult.stderr}`);
 
     // If log streaming was unavailable, check build status separately
     if (buildResult.needsStatusCheck) {
@@ -851,7 +1517,8 @@ async function deployCommand(options) {
       // Get the most recent build for this project
       const buildsListCmd = `gcloud builds list --project=${config.projectId} --limit=1 --format="value(status,id)"`;
       const buildStatusResult = await executeCommand(buildsListCmd);
-      const [status, buildId] = buildStatusResult.stdout.trim().split('\t');
+      const [status, latestBuildId] = buildStatusResult.stdout.trim().split('\t');
+      buildId = latestBuildId || buildId;
 
       verboseLog(`Latest build ${buildId} status: ${status}`);
 
@@ -866,142 +1533,217 @@ async function deployCommand(options) {
     console.log(chalk.blue('🔐 Access permissions configured...'));
     console.log(chalk.green('   ✅ Service deployed with public access enabled'));
     
-    if (config.useLoadBalancer && config.customDomain) {
-      console.log(chalk.blue(`   🌐 Your app will be accessible at: https://${config.customDomain}`));
+    if (config.useLoadBalancer && customDomains) {
+      console.log(chalk.blue(`   🌐 Your app will be accessible at: ${customDomains.domains.map(domain => `https://${domain}`).join(', ')}`));
     }
 
     console.log(chalk.green('✅ Deployment completed successfully!'));
+    console.log(chalk.blue(`   🏷️  Image: ${serviceName}:${imageTag}${gitInfo ? ` (commit ${gitInfo.shortSha})` : ''}`));
     
-    // Get the actual deployed URL and update ROOT_URL if different
-    try {
-      verboseLog('Fetching actual deployed URL...');
-      // First try to get the deterministic URL from the urls annotation
-      const urlsResult = await executeCommand(`gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format="value(metadata.annotations.'run.googleapis.com/urls')"`);
-      let actualUrl = null;
-      
-      if (urlsResult.stdout.trim()) {
-        try {
-          // Parse the URLs array and get the deterministic URL (first one)
-          const urlsArray = JSON.parse(urlsResult.stdout.trim());
-          if (urlsArray && urlsArray.length > 0) {
-            // The deterministic URL is typically the first one and contains the project number
-            actualUrl = urlsArray.find(url => url.includes(config.region)) || urlsArray[0];
-          }
-        } catch (parseError) {
-          verboseLog('Failed to parse URLs annotation, falling back to status.url');
-        }
-      }
-      
-      // Fallback to the standard status.url if we couldn't get the deterministic URL
-      if (!actualUrl) {
-        const fallbackResult = await executeCommand(`gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format="value(status.url)"`);
-        actualUrl = fallbackResult.stdout.trim();
-      }
-      
-      verboseLog(`Actual URL from Cloud Run: ${actualUrl}`);
-      verboseLog(`Config ROOT_URL: ${config.rootUrl}`);
-      
-      // Handle load balancer creation if custom domain is configured and resources don't exist yet
-      if (config.customDomain && config.useLoadBalancer && !config.loadBalancerResources) {
-        console.log(chalk.blue(`\n🌐 Setting up load balancer for custom domain: ${config.customDomain}`));
-        try {
-          config.serviceName = serviceName;
-          const loadBalancerResources = await createLoadBalancer(config);
-          
-          // Update configuration with load balancer resources
-          config.loadBalancerResources = loadBalancerResources;
-          
-          // If VPC connector was created, update Cloud Run service to use it
-          if (loadBalancerResources.vpcConnectorName) {
-            console.log(chalk.blue('🔗 Configuring Cloud Run to use VPC connector for static IP...'));
-            try {
-              await executeCommand(
-                `gcloud run services update ${serviceName} ` +
-                `--vpc-connector=${loadBalancerResources.vpcConnectorName} ` +
-                `--vpc-egress=all-traffic ` +
-                `--region=${config.region} ` +
-                `--project=${config.projectId}`
-              );
-              console.log(chalk.green('✅ Cloud Run configured to use static outbound IP'));
-              if (loadBalancerResources.natIpAddress) {
-                console.log(chalk.green(`   MongoDB Atlas connections will use: ${loadBalancerResources.natIpAddress}`));
-              }
-            } catch (error) {
-              console.log(chalk.yellow('⚠️ Failed to configure VPC connector, MongoDB connections may fail'));
-              console.log(chalk.yellow(`   Error: ${error.message}`));
-            }
-          }
-          
-          // Save updated configuration with load balancer resources
-          const cleanConfig = { ...config };
-          delete cleanConfig.rawSettings; // Never store raw settings
-          await fs.writeJson(getConfigFilePath(), cleanConfig, { spaces: 2 });
-          
-          // Update ROOT_URL to use custom domain
-          actualUrl = `https://${config.customDomain}`;
-          console.log(chalk.green(`✅ Load balancer configured for ${config.customDomain}`));
-        } catch (error) {
-          console.log(chalk.red(`❌ Failed to create load balancer: ${error.message}`));
-          console.log(chalk.yellow('⚠️ Your application is still accessible via the default Cloud Run URL'));
-        }
-      } else if (config.customDomain && config.loadBalancerResources) {
-        // Load balancer already exists (likely from migration or previous setup)
-        console.log(chalk.green(`✅ Using existing load balancer for ${config.customDomain}`));
-        actualUrl = `https://${config.customDomain}`;
+    // Handle load balancer creation if custom domain is configured and resources don't exist yet
+    if (customDomains && config.useLoadBalancer && !config.loadBalancerResources) {
+      console.log(chalk.blue(`\n🌐 Setting up load balancer for ${customDomains.domains.join(', ')}`));
+      try {
+        config.serviceName = serviceName;
+        const loadBalancerResources = await createLoadBalancer(config);
+        
+        // Update configuration with load balancer resources
+        config.loadBalancerResources = loadBalancerResources;
         
-        // Check if VPC connector needs to be configured
-        if (config.loadBalancerResources.vpcConnectorName) {
-          console.log(chalk.blue('🔗 Ensuring Cloud Run uses VPC connector for static IP...'));
+        // If VPC connector was created, update Cloud Run service to use it
+        if (loadBalancerResources.vpcConnectorName) {
+          console.log(chalk.blue('🔗 Configuring Cloud Run to use VPC connector for static IP...'));
           try {
             await executeCommand(
               `gcloud run services update ${serviceName} ` +
-              `--vpc-connector=${config.loadBalancerResources.vpcConnectorName} ` +
+              `--vpc-connector=${loadBalancerResources.vpcConnectorName} ` +
               `--vpc-egress=all-traffic ` +
               `--region=${config.region} ` +
               `--project=${config.projectId}`
             );
             console.log(chalk.green('✅ Cloud Run configured to use static outbound IP'));
-            if (config.loadBalancerResources.natIpAddress) {
-              console.log(chalk.green(`   MongoDB Atlas connections will use: ${config.loadBalancerResources.natIpAddress}`));
+            if (loadBalancerResources.natIpAddress) {
+              console.log(chalk.green(`   MongoDB Atlas connections will use: ${loadBalancerResources.natIpAddress}`));
             }
           } catch (error) {
             console.log(chalk.yellow('⚠️ Failed to configure VPC connector, MongoDB connections may fail'));
             console.log(chalk.yellow(`   Error: ${error.message}`));
           }
         }
-      }
-      
-      if (actualUrl) {
-        // Always update ROOT_URL with actual deployed URL
-        console.log(chalk.blue('🔄 Updating ROOT_URL with actual deployed URL...'));
         
-        // Update the service with the correct ROOT_URL
-        const envVars = [`ROOT_URL=${actualUrl}`];
-        if (settingsInfo) {
-          envVars.push(`METEOR_SETTINGS_GCS_BUCKET=${settingsInfo.bucket}`);
-          envVars.push(`METEOR_SETTINGS_GCS_FILE=${settingsInfo.file}`);
-        }
+        // Save updated configuration with load balancer resources
+        await saveConfig(config); // Never stores raw settings
         
-        await executeCommand(`gcloud run services update ${serviceName} --region=${config.region} --project=${config.projectId} --set-env-vars=${envVars.join(',')}`);
-        console.log(chalk.green('   ✅ ROOT_URL updated'));
-        console.log(chalk.yellow(`\n🌐 Your application is now available at: ${actualUrl}`));
-      } else {
-        console.log(chalk.red('❌ Could not determine deployment URL'));
+        console.log(chalk.green(`✅ Load balancer configured for ${customDomains.domains.join(', ')}`));
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to create load balancer: ${error.message}`));
+        console.log(chalk.yellow('⚠️ Your application is still accessible via the default Cloud Run URL'));
+      }
+    } else if (customDomains && config.loadBalancerResources && needsLoadBalancerUpdate(config)) {
+      // Domains or redirects changed in the configuration since the load balancer was set up
+      console.log(chalk.blue(`\n🌐 Updating the load balancer for ${customDomains.domains.join(', ')}`));
+      try {
+        config.serviceName = serviceName;
+        config.loadBalancerResources = await updateLoadBalancer(config);
+        await saveConfig(config);
+        console.log(chalk.green('✅ Load balancer domains and redirects updated'));
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to update the load balancer: ${error.message}`));
+        console.log(chalk.yellow('⚠️ The load balancer still serves the previous domains and redirects'));
+      }
+    } else if (customDomains && config.loadBalancerResources) {
+      // Load balancer already exists (likely from migration or previous setup),
+      // the deploy step already attached its VPC connector
+      console.log(chalk.green(`✅ Using existing load balancer for ${customDomains.domains.join(', ')}`));
+    }
+
+    // Rules added to or removed from `security` since the policy was last applied
+    if (config.loadBalancerResources && needsSecurityUpdate(config)) {
+      console.log(chalk.blue('\n🛡️  Updating the Cloud Armor security policy'));
+      try {
+        config.serviceName = serviceName;
+        config.loadBalancerResources = await updateSecurityPolicy(config);
+        await saveConfig(config);
+        console.log(chalk.green('✅ Security policy updated'));
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to update the security policy: ${error.message}`));
+        console.log(chalk.yellow('⚠️ The load balancer keeps its previous security rules'));
+      }
+    }
+
+    // enableCdn changed since Cloud CDN was last set up on the backend
+    if (config.loadBalancerResources && needsCdnUpdate(config)) {
+      console.log(chalk.blue(`\n⚡ ${cdnEnabled ? 'Enabling' : 'Disabling'} Cloud CDN`));
+      try {
+        config.loadBalancerResources = await updateCdn(config);
+        await saveConfig(config);
+        console.log(chalk.green(`✅ Cloud CDN ${cdnEnabled ? 'enabled' : 'disabled'}`));
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to update Cloud CDN: ${error.message}`));
+        console.log(chalk.yellow('⚠️ The backend service keeps its previous CDN settings'));
       }
-    } catch (error) {
-      verboseLog(`Error fetching actual URL: ${error.message}`);
-      console.log(chalk.yellow('⚠️ Could not fetch deployment URL automatically. Check the Google Cloud Console for the service URL.'));
     }
     
+    // ROOT_URL was resolved before the build, so the revision already carries it
+    deployedUrl = config.rootUrl;
+    console.log(chalk.yellow(`\n🌐 Your application is now available at: ${deployedUrl}`));
+    
+    // Canary and health checked deploys haven't moved traffic yet, so check
+    // and route the revision this deploy created.
+    let newRevision = null;
+    let checkUrl = null;
+    if (deployOptions.noTraffic) {
+      const service = await describeService(config, serviceName);
+      newRevision = service.status?.latestCreatedRevisionName;
+      if (!newRevision || newRevision !== service.status?.latestReadyRevisionName) {
+        throw new Error(canaryPercent
+          ? `Canary revision ${newRevision || '(unknown)'} is not ready. ${stableRevision} is still serving 100% of traffic.`
+          : `New revision ${newRevision || '(unknown)'} is not ready. Traffic stays on ${formatServingRevisions(servingRevisions)}.`);
+      }
+
+      if (healthCheck) {
+        checkUrl = await tagRevision(config, serviceName, deployOptions.revisionTag, newRevision);
+        healthCheckResult = checkUrl
+          ? await checkRevisionHealth(checkUrl, healthCheck, `${newRevision} before it receives traffic`)
+          : null;
+        if (!healthCheckResult || !healthCheckResult.ok) {
+          await removeRevisionTag(config, serviceName, deployOptions.revisionTag);
+          const error = new Error(checkUrl
+            ? `${newRevision} failed its health check and received no traffic. ${formatServingRevisions(servingRevisions)} still serving.`
+            : `Could not get a tagged URL to health check ${newRevision}. It received no traffic.`);
+          error.healthCheck = healthCheckResult;
+          throw error;
+        }
+      }
+    }
+
+    if (canaryPercent) {
+      const canaryRevision = newRevision;
+      console.log(chalk.blue(`🐤 Routing ${canaryPercent}% of traffic to ${canaryRevision}...`));
+      await splitTraffic(config, serviceName, stableRevision, canaryRevision, canaryPercent);
+
+      const { canary } = getTrafficSplit(await describeService(config, serviceName));
+      console.log(chalk.green(`✅ Canary ${canaryRevision} is receiving ${canaryPercent}% of traffic`));
+      if (canary && canary.url) {
+        console.log(chalk.blue(`   🔗 Canary URL: ${canary.url}`));
+      }
+      console.log(chalk.gray('💡 Run "meteor-cloud-run promote" to send all traffic to the canary, or "meteor-cloud-run abort-canary" to roll it back.'));
+    } else if (deployOptions.noTraffic) {
+      console.log(chalk.blue(`🔀 Routing all traffic to ${newRevision}...`));
+      await routeTrafficToLatest(config, serviceName);
+    } else {
+      // After a rollback or aborted canary traffic is pinned to a revision, so new revisions get none
+      const service = await describeService(config, serviceName);
+      if (!isTrafficOnLatest(service)) {
+        console.log(chalk.blue('🔀 Routing all traffic to the new revision...'));
+        await routeTrafficToLatest(config, serviceName);
+      }
+    }
+
+    // Check again now that the revision serves traffic, and put the previous traffic back if it fails
+    if (healthCheck && !checkUrl) {
+      // First deploys receive traffic straight away and have no tagged URL
+      const service = await describeService(config, serviceName);
+      newRevision = service.status?.latestReadyRevisionName || serviceName;
+      checkUrl = service.status?.url || null;
+      if (!checkUrl) {
+        console.log(chalk.yellow(`⚠️  Could not get the URL of ${serviceName}, skipping the health check`));
+      }
+    }
+    if (healthCheck && checkUrl) {
+      healthCheckResult = await checkRevisionHealth(checkUrl, healthCheck, `${newRevision} with traffic`);
+      if (!healthCheckResult.ok) {
+        let message = `${newRevision} failed its health check and there is no previous revision to restore.`;
+        if (servingRevisions.length > 0) {
+          console.log(chalk.blue(`⏪ Restoring traffic to ${formatServingRevisions(servingRevisions)}...`));
+          await restoreTraffic(config, serviceName, servingRevisions, [deployOptions.revisionTag]);
+          message = `${newRevision} failed its health check. Traffic was restored to ${formatServingRevisions(servingRevisions)}.`;
+        }
+        const error = new Error(message);
+        error.healthCheck = healthCheckResult;
+        error.restoredTraffic = servingRevisions;
+        throw error;
+      }
+      if (deployOptions.revisionTag === HEALTH_CHECK_TAG) {
+        await removeRevisionTag(config, serviceName, HEALTH_CHECK_TAG);
+      }
+    }
+
+    // The new revision serves all traffic, so cached files of the previous one go
+    if (!canaryPercent) {
+      cdnInvalidated = await invalidateCdnAfterTrafficChange(config);
+    }
+
     console.log(chalk.blue('🔒 Your application is using environment variables for configuration.'));
     
     if (options.settings) {
       console.log(chalk.blue(`📄 Deployed with custom settings from: ${options.settings}`));
     }
-
-
   } catch (error) {
     console.log(chalk.red('❌ Deployment failed:'), error.message);
+    buildId = buildId || findBuildId(`${error.stdout || ''}${error.stderr || ''}`);
+    await recordDeploy(config, authManager, {
+      ...historyEntry,
+      status: 'failed',
+      canaryPercent,
+      settings: settingsInfo,
+      buildId,
+      error: error.message,
+      durationSeconds: Math.round((Date.now() - startTime) / 1000)
+    });
+    if (output.machine) {
+      output.print({
+        status: 'failed',
+        service: serviceName,
+        error: error.message,
+        historyId: historyEntry.id,
+        buildId,
+        healthCheck: error.healthCheck,
+        restoredTraffic: error.restoredTraffic,
+        durationSeconds: Math.round((Date.now() - startTime) / 1000)
+      });
+    }
+    process.exitCode = 1;
     
     // Show build error details if available
     if (error.stderr) {
@@ -1026,14 +1768,10 @@ async function deployCommand(options) {
       }
     }
     
-    // Try to get the build ID and suggest how to view logs
-    if (error.stdout) {
-      const buildIdMatch = error.stdout.match(/builds\/([a-f0-9-]+)/);
-      if (buildIdMatch) {
-        const buildId = buildIdMatch[1];
-        console.log(chalk.yellow(`\n💡 To view detailed build logs, run:`));
-        console.log(chalk.blue(`   gcloud builds log ${buildId} --project=${config.projectId}`));
-      }
+    // Suggest how to view the logs of the build
+    if (buildId) {
+      console.log(chalk.yellow(`\n💡 To view detailed build logs, run:`));
+      console.log(chalk.blue(`   gcloud builds log ${buildId} --project=${config.projectId}`));
     }
     
     // Show verbose output if verbose mode is enabled
@@ -1069,20 +1807,2309 @@ async function deployCommand(options) {
     
     // Cleanup authentication on error
     authManager.cleanup();
+    return;
+  }
+
+  // The new revision is serving, so nothing below can fail the deploy: the
+  // revision and image digest are read best-effort and recordDeploy() only warns
+  let deployed = {};
+  try {
+    deployed = await describeService(config, serviceName);
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not read the deployed revision: ${error.message}`));
+  }
+  const image = deployed.spec?.template?.spec?.containers?.[0]?.image || '';
+  const revision = deployed.status?.latestReadyRevisionName || null;
+  const imageDigest = image.includes('@') ? image.split('@').pop() : null;
+  await recordDeploy(config, authManager, {
+    ...historyEntry,
+    status: 'deployed',
+    revision,
+    imageDigest,
+    canaryPercent,
+    settings: settingsInfo,
+    buildId,
+    durationSeconds: Math.round((Date.now() - startTime) / 1000)
+  });
+
+  if (output.machine) {
+    output.print({
+      status: 'deployed',
+      service: serviceName,
+      environment: config.environment || null,
+      url: deployedUrl || deployed.status?.url || null,
+      revision,
+      imageTag,
+      imageDigest,
+      historyId: historyEntry.id,
+      commit: gitInfo ? gitInfo.commit : null,
+      branch: gitInfo ? gitInfo.branch : null,
+      canaryPercent,
+      settings: settingsInfo,
+      healthCheck: healthCheckResult,
+      cdnInvalidated,
+      durationSeconds: Math.round((Date.now() - startTime) / 1000)
+    });
+  }
+
+  // Always cleanup authentication
+  authManager.cleanup();
+}
+
+async function rollbackCommand(revisionArg, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+
+  const requestedRevision = options.to || revisionArg;
+  if (!options.yes && !process.stdin.isTTY) {
+    console.log(chalk.red('❌ Rollback needs confirmation. Use --to <revision> --yes in non-interactive environments.'));
+    process.exit(1);
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    console.log(chalk.blue(`⏪ Rolling back ${serviceName}${config.environment ? ` (${config.environment})` : ''}...`));
+
+    const revisions = await listRevisions(config, serviceName, options.limit ? parseInt(options.limit, 10) : 10);
+    if (revisions.length === 0) {
+      throw new Error(`No revisions found for service ${serviceName} in ${config.region}`);
+    }
+
+    console.log(chalk.blue('\n📋 Recent revisions:'));
+    revisions.forEach(revision => {
+      const traffic = revision.trafficPercent > 0 ? chalk.green(` ← ${revision.trafficPercent}% traffic`) : '';
+      const status = revision.ready ? '' : chalk.red(' (not ready)');
+      console.log(`   ${revision.name}${status}${traffic}`);
+      console.log(chalk.gray(`     Created: ${revision.created || 'unknown'}  Settings: ${describeRevisionSettings(revision) || 'none'}`));
+    });
+
+    let target;
+    if (requestedRevision) {
+      // Accept either the full revision name or just its suffix (e.g. "00012-abc")
+      target = revisions.find(r => r.name === requestedRevision || r.name === `${serviceName}-${requestedRevision}`);
+      if (!target) {
+        throw new Error(`Revision ${requestedRevision} not found among the ${revisions.length} most recent revisions (use --limit to look further back)`);
+      }
+    } else {
+      const previous = findPreviousRevision(revisions);
+
+      if (options.yes) {
+        target = previous;
+        if (!target) {
+          throw new Error('No previous ready revision to roll back to');
+        }
+      } else {
+        const { revisionName } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'revisionName',
+            message: 'Select the revision to roll back to:',
+            choices: revisions.map(revision => ({
+              name: `${revision.name}${revision.trafficPercent > 0 ? ` (serving ${revision.trafficPercent}%)` : ''}${revision.ready ? '' : ' (not ready)'} - ${describeRevisionSettings(revision) || 'no settings'}`,
+              value: revision.name
+            })),
+            default: previous ? previous.name : undefined
+          }
+        ]);
+        target = revisions.find(r => r.name === revisionName);
+      }
+    }
+
+    if (!target.ready) {
+      throw new Error(`Revision ${target.name} is not ready and cannot receive traffic`);
+    }
+
+    if (target.trafficPercent === 100) {
+      console.log(chalk.yellow(`⚠️  Revision ${target.name} is already serving 100% of traffic. Nothing to do.`));
+      return;
+    }
+
+    // The revision reads its settings from GCS on startup, so make sure they are still there
+    if (target.settingsBucket && target.settingsFile) {
+      console.log(chalk.blue(`🔍 Verifying settings file gs://${target.settingsBucket}/${target.settingsFile}...`));
+      const exists = await settingsObjectExists(target.settingsBucket, target.settingsFile);
+      if (!exists) {
+        throw new Error(`Settings file gs://${target.settingsBucket}/${target.settingsFile} referenced by ${target.name} no longer exists. New instances of this revision would fail to start.`);
+      }
+      console.log(chalk.green('✅ Settings file found'));
+    } else if (target.settingsSecret) {
+      // Secret Manager settings are pinned to the version deployed with the revision
+      const settingsRef = `${target.settingsSecret}:${target.settingsSecretVersion}`;
+      console.log(chalk.blue(`🔍 Verifying settings secret ${settingsRef}...`));
+      const enabled = await settingsSecretVersionEnabled(config, target.settingsSecret, target.settingsSecretVersion);
+      if (!enabled) {
+        throw new Error(`Settings secret ${settingsRef} referenced by ${target.name} is no longer enabled. New instances of this revision would fail to start.`);
+      }
+      console.log(chalk.green('✅ Settings secret version found'));
+    } else {
+      console.log(chalk.yellow(`⚠️  Revision ${target.name} does not reference settings in GCS or Secret Manager`));
+    }
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Route 100% of traffic for ${serviceName} to ${target.name}?`,
+          default: true
+        }
+      ]);
+
+      if (!confirm) {
+        console.log(chalk.yellow('Rollback cancelled.'));
+        return;
+      }
+    }
+
+    console.log(chalk.blue(`🔀 Routing 100% of traffic to ${target.name}...`));
+    await routeAllTraffic(config, serviceName, target.name);
+    await invalidateCdnAfterTrafficChange(config);
+
+    console.log(chalk.green(`\n✅ Rolled back ${serviceName} to ${target.name}`));
+    console.log(chalk.gray('💡 The next "meteor-cloud-run deploy" will route traffic to the new revision again.'));
+  } catch (error) {
+    console.log(chalk.red(`❌ Rollback failed: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+/**
+ * Shared flow for promote and abort-canary: find the canary, confirm, then
+ * apply the traffic change
+ * @param {Object} options - Command options (yes, verbose)
+ * @param {string} action - 'promote' or 'abort'
+ */
+async function finishCanary(options, action) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+
+  if (!options.yes && !process.stdin.isTTY) {
+    console.log(chalk.red('❌ This command needs confirmation. Use --yes in non-interactive environments.'));
+    process.exit(1);
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const service = await describeService(config, serviceName);
+    const { canary, stable } = getTrafficSplit(service);
+    if (!canary || canary.percent === 0) {
+      console.log(chalk.yellow(`⚠️  No canary is receiving traffic for ${serviceName}. Deploy one with "meteor-cloud-run deploy --canary <percent>".`));
+      return;
+    }
+
+    console.log(chalk.blue(`🐤 Canary:  ${canary.revisionName} (${canary.percent}%)`));
+    if (stable) {
+      console.log(chalk.blue(`🏠 Stable:  ${stable.revisionName} (${stable.percent}%)`));
+    }
+
+    if (action === 'abort' && !stable) {
+      throw new Error('No stable revision found to return traffic to');
+    }
+
+    const message = action === 'promote'
+      ? `Send 100% of traffic to ${canary.revisionName}?`
+      : `Send 100% of traffic back to ${stable.revisionName}?`;
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message,
+          default: true
+        }
+      ]);
+
+      if (!confirm) {
+        console.log(chalk.yellow('Cancelled.'));
+        return;
+      }
+    }
+
+    if (action === 'promote') {
+      // Follow the latest revision again so the next deploy receives traffic
+      if (canary.revisionName === service.status?.latestReadyRevisionName) {
+        await routeTrafficToLatest(config, serviceName, { removeCanaryTag: true });
+      } else {
+        await routeAllTraffic(config, serviceName, canary.revisionName, { removeCanaryTag: true });
+      }
+      console.log(chalk.green(`✅ Promoted ${canary.revisionName} to 100% of traffic`));
+    } else {
+      await routeAllTraffic(config, serviceName, stable.revisionName, { removeCanaryTag: true });
+      console.log(chalk.green(`✅ Canary aborted, ${stable.revisionName} is serving 100% of traffic`));
+      console.log(chalk.gray(`💡 ${canary.revisionName} is kept and can be inspected with "meteor-cloud-run info".`));
+    }
+    await invalidateCdnAfterTrafficChange(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${action === 'promote' ? 'Promote' : 'Abort'} failed: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
   } finally {
-    // Always cleanup authentication
     authManager.cleanup();
   }
 }
 
+async function promoteCommand(options) {
+  await finishCanary(options, 'promote');
+}
+
+async function abortCanaryCommand(options) {
+  await finishCanary(options, 'abort');
+}
+
+async function logsCommand(options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const serviceName = options.service || getServiceName(config);
+  const since = options.since || '1h';
+  const limit = parseInt(options.limit || '100', 10);
+
+  // Accept revision names with or without the service prefix, like rollback
+  let revision = options.revision;
+  if (revision && !revision.startsWith(`${serviceName}-`)) {
+    revision = `${serviceName}-${revision}`;
+  }
+
+  try {
+    validateSince(since);
+    if (options.severity) {
+      normalizeSeverity(options.severity);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('--limit must be a positive number');
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const filterOptions = { severity: options.severity, revision };
+  // Raw entries, one per line, with the global --json (or --output json)
+  const json = options.json || globalOptions.output === 'json';
+  const print = entry => console.log(json ? JSON.stringify(entry) : formatLogEntry(entry, serviceName));
+
+  try {
+    if (!json) {
+      console.log(chalk.blue(`📜 Logs for ${serviceName}${config.environment ? ` (${config.environment})` : ''} in ${config.region}, last ${since}${options.severity ? `, ${options.severity.toUpperCase()} and above` : ''}\n`));
+    }
+
+    const entries = await readLogEntries(config, buildLogFilter(config, serviceName, filterOptions), { since, limit });
+    entries.forEach(print);
+
+    if (!options.follow) {
+      if (entries.length === 0 && !json) {
+        console.log(chalk.yellow(`No log entries found in the last ${since}.`));
+      }
+      return;
+    }
+
+    // Poll instead of `gcloud logging tail`, which needs extra gcloud components
+    // and streaming permissions that CI service accounts often don't have
+    if (!json) {
+      console.log(chalk.gray('\n⏳ Waiting for new log entries (Ctrl+C to stop)...'));
+    }
+    process.once('SIGINT', () => {
+      authManager.cleanup();
+      process.exit(0);
+    });
+
+    const latestReceived = list => list.reduce((latest, e) => (e.receiveTimestamp > latest ? e.receiveTimestamp : latest), '');
+    let cursor = latestReceived(entries) || new Date().toISOString();
+    let seen = new Set(entries.map(e => e.insertId));
+
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, LOG_POLL_INTERVAL));
+
+      try {
+        const newEntries = (await readLogEntries(
+          config,
+          buildLogFilter(config, serviceName, { ...filterOptions, receivedAfter: cursor }),
+          { since, limit: 1000 }
+        )).filter(e => !seen.has(e.insertId));
+
+        newEntries.forEach(print);
+
+        if (newEntries.length > 0) {
+          const newCursor = latestReceived(newEntries);
+          const atCursor = newEntries.filter(e => e.receiveTimestamp === newCursor).map(e => e.insertId);
+          seen = new Set(newCursor === cursor ? [...seen, ...atCursor] : atCursor);
+          cursor = newCursor;
+        }
+      } catch (error) {
+        verboseLog(`Log polling failed, retrying: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to read logs: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function historyCommand(id, options = {}) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const serviceName = getServiceName(config);
+  const limit = parseInt(options.limit || '20', 10);
+
+  try {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('--limit must be a positive number');
+    }
+    getHistoryStorage(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  // The local file needs no gcloud access, the copy in the settings bucket does
+  const authManager = options.remote ? await setupCommandAuthentication(globalOptions) : null;
+
+  try {
+    const entries = await readHistory(config, { remote: options.remote, serviceName: options.all ? '*' : serviceName });
+
+    if (id) {
+      const entry = findHistoryEntry(entries, id);
+      if (output.machine) {
+        output.print(entry);
+        return;
+      }
+      console.log(chalk.blue(`📜 Deploy ${entry.id}\n`));
+      formatHistoryEntry(entry).forEach(([label, value]) => {
+        console.log(`   ${`${label}:`.padEnd(13)} ${value}`);
+      });
+      return;
+    }
+
+    const matching = filterHistory(entries, {
+      service: options.all ? null : serviceName,
+      status: options.status,
+      branch: options.branch,
+      since: options.since,
+      limit
+    });
+    if (output.machine) {
+      output.print(matching);
+      return;
+    }
+
+    const source = options.remote ? `gs://${getSettingsBucketName(config.projectId)}/history` : HISTORY_FILE;
+    console.log(chalk.blue(`📜 Deploy history of ${options.all ? 'all services' : serviceName} from ${source}\n`));
+    if (matching.length === 0) {
+      console.log(chalk.yellow('No deploys recorded yet.'));
+      return;
+    }
+    matching.forEach(entry => {
+      const commit = entry.commit ? `${entry.commit.substring(0, 7)}${entry.branch ? ` on ${entry.branch}` : ''}` : entry.imageTag;
+      const columns = [
+        chalk.white(entry.id),
+        new Date(entry.startedAt).toLocaleString(),
+        ...(options.all ? [entry.service] : []),
+        entry.status === 'deployed' ? entry.revision || '-' : chalk.red(`failed${entry.buildId ? ` (build ${entry.buildId})` : ''}`),
+        commit,
+        entry.account || 'unknown',
+        formatDuration(entry.durationSeconds)
+      ];
+      console.log(`  ${entry.status === 'deployed' ? '✅' : '❌'} ${columns.join('  ')}`);
+    });
+    console.log(chalk.gray('\n💡 Run "meteor-cloud-run history <id>" for the settings, image digest, config hash and errors of a deploy'));
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exitCode = 1;
+  } finally {
+    if (authManager) {
+      authManager.cleanup();
+    }
+  }
+}
+
+async function infoCommand(options) {
+  const output = setupCommandOutput();
+  console.log(chalk.blue('📊 Meteor Cloud Run Deployment Information\n'));
+  
+  // Read configuration
+  const config = await readCommandConfig();
+  if (!config) {
+    console.log(chalk.red('❌ Configuration not found. Please run "meteor-cloud-run init" first.'));
+    if (output.machine) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  const serviceName = getServiceName(config);
+
+  // Document printed instead of the tables with --output json|yaml
+  const report = {
+    environment: config.environment || null,
+    configuration: {
+      serviceName,
+      projectId: config.projectId,
+      region: config.region,
+      meteorVersion: config.meteorVersion || null,
+      memory: config.memory || '512Mi',
+      cpu: config.cpu || '1',
+      minInstances: config.minInstances || 0,
+      maxInstances: config.maxInstances || 10,
+      timeoutSeconds: config.timeoutSeconds || null,
+      sessionAffinity: config.sessionAffinity === undefined ? null : config.sessionAffinity,
+      cpuBoost: config.cpuBoost === undefined ? null : config.cpuBoost,
+      executionEnvironment: config.executionEnvironment || null,
+      billing: config.billing || null,
+      labels: config.labels || {},
+      customDomain: config.customDomain || null,
+      customDomains: config.customDomains || null,
+      redirects: config.redirects || null,
+      security: config.security === undefined ? null : config.security,
+      enableCdn: config.enableCdn === undefined ? null : config.enableCdn
+    },
+    service: null,
+    loadBalancer: null,
+    secrets: [],
+    revisions: [],
+    images: []
+  };
+  
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+  }
+  
+  console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+  console.log(chalk.cyan.bold('  Configuration'));
+  console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+  if (config.environment) {
+    console.log(`  🌎 Environment:      ${chalk.white(config.environment)}`);
+  }
+  console.log(`  📦 Service Name:     ${chalk.white(serviceName)}`);
+  console.log(`  🚀 Project ID:       ${chalk.white(config.projectId)}`);
+  console.log(`  🌍 Region:           ${chalk.white(config.region)}`);
+  console.log(`  🎯 Meteor Version:   ${chalk.white(config.meteorVersion || 'auto-detect')}`);
+  console.log(`  💾 Memory:           ${chalk.white(config.memory || '512Mi')}`);
+  console.log(`  ⚡ CPU:              ${chalk.white(config.cpu || '1')}`);
+  console.log(`  📈 Max Instances:    ${chalk.white(config.maxInstances || '10')}`);
+  console.log(`  📉 Min Instances:    ${chalk.white(config.minInstances || '0')}`);
+  
+  if (config.customDomain) {
+    console.log(`  🌐 Custom Domain:    ${chalk.white(config.customDomain)}`);
+  }
+  
+  console.log('');
+  
+  try {
+    // Check Cloud Run service status
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    console.log(chalk.cyan.bold('  Cloud Run Service'));
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    
+    try {
+      const serviceResult = await executeCommandWithRetry(
+        `gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format=json`,
+        { maxRetries: 2, baseDelay: 1000 }
+      );
+      
+      const serviceInfo = JSON.parse(serviceResult.stdout);
+      const status = serviceInfo.status?.conditions?.[0];
+      const serviceUrl = serviceInfo.status?.url || 'Not available';
+      const lastRevision = serviceInfo.status?.latestReadyRevisionName || 'Unknown';
+      const createdTime = serviceInfo.metadata?.creationTimestamp || 'Unknown';
+      
+      console.log(`  ✅ Status:           ${chalk.green(status?.status === 'True' ? 'Running' : status?.message || 'Unknown')}`);
+      console.log(`  🔗 Service URL:      ${chalk.blue.underline(serviceUrl)}`);
+      console.log(`  📝 Latest Revision:  ${chalk.white(lastRevision)}`);
+      console.log(`  📅 Created:          ${chalk.white(new Date(createdTime).toLocaleString())}`);
+      console.log(`  🪪 Runs As:          ${chalk.white(getServiceIdentity(serviceInfo))}`);
+      const runtime = readRuntimeOptions(serviceInfo);
+      console.log(`  ⚙️  Runtime:          ${chalk.white(formatRuntimeOptions(runtime))}`);
+      if (Object.keys(runtime.labels).length > 0) {
+        console.log(`  🏷️  Labels:           ${chalk.white(getCustomLabels(runtime).join(', '))}`);
+      }
+      
+      report.service = {
+        deployed: true,
+        status: status?.status === 'True' ? 'Running' : status?.message || 'Unknown',
+        url: serviceInfo.status?.url || null,
+        latestRevision: serviceInfo.status?.latestReadyRevisionName || null,
+        created: serviceInfo.metadata?.creationTimestamp || null,
+        runsAs: getServiceIdentity(serviceInfo),
+        runtime,
+        traffic: (serviceInfo.status?.traffic || []).map(t => ({
+          revision: t.revisionName || null,
+          percent: t.percent || 0,
+          latest: Boolean(t.latestRevision),
+          canary: t.tag === CANARY_TAG,
+          url: t.url || null
+        }))
+      };
+      
+      // Get traffic allocation
+      if (serviceInfo.status?.traffic) {
+        console.log(`  🚦 Traffic:`);
+        serviceInfo.status.traffic.forEach(t => {
+          const canary = t.tag === CANARY_TAG ? chalk.yellow(' (canary)') : '';
+          console.log(`     - ${t.revisionName}: ${t.percent || 0}%${canary}`);
+          if (canary && t.url) {
+            console.log(`       🔗 ${chalk.blue.underline(t.url)}`);
+          }
+        });
+      }
+    } catch (error) {
+      if (error.message.includes('NOT_FOUND')) {
+        console.log(`  ❌ Service not deployed`);
+        report.service = { deployed: false };
+      } else {
+        console.log(`  ⚠️ Unable to fetch service details: ${error.message}`);
+        report.service = { error: error.message };
+      }
+    }
+    
+    console.log('');
+
+    // Recent revisions with the commit, branch and author they were deployed from
+    let revisions = [];
+    if (report.service && report.service.deployed) {
+      try {
+        revisions = await listRevisions(config, serviceName, 20);
+      } catch (error) {
+        verboseLog('Unable to fetch revisions:', error.message);
+      }
+    }
+    if (revisions.length > 0) {
+      console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+      console.log(chalk.cyan.bold('  Recent Revisions'));
+      console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+
+      revisions.slice(0, INFO_REVISIONS_SHOWN).forEach(revision => {
+        const traffic = revision.trafficPercent > 0 ? chalk.green(` ← ${revision.trafficPercent}% of traffic`) : '';
+        console.log(`  📝 ${chalk.white(revision.name)}${traffic}`);
+        console.log(chalk.gray(`     ${formatRevisionDeploy(revision)}`));
+        report.revisions.push({
+          name: revision.name,
+          created: revision.created || null,
+          trafficPercent: revision.trafficPercent,
+          imageTag: revision.imageTag,
+          commit: revision.commit,
+          branch: revision.branch,
+          author: revision.author,
+          toolVersion: revision.toolVersion,
+          deployedAt: revision.deployedAt
+        });
+      });
+      console.log('');
+    }
+    
+    // Check load balancer status if custom domains are configured
+    let customDomains = null;
+    try {
+      customDomains = getCustomDomains(config);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ ${error.message}`));
+    }
+    if (customDomains && config.useLoadBalancer) {
+      console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+      console.log(chalk.cyan.bold('  Load Balancer & Custom Domain'));
+      console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+      
+      try {
+        // Check static IP
+        const ipName = `${serviceName}-ip`;
+        const ipResult = await executeCommandWithRetry(
+          `gcloud compute addresses describe ${ipName} --global --project=${config.projectId} --format="value(address,status)"`,
+          { maxRetries: 2, baseDelay: 1000 }
+        );
+        const [ipAddress, ipStatus] = ipResult.stdout.trim().split('\t');
+        
+        if (customDomains.domains.length > 1) {
+          console.log(`  🌐 Domains:          ${chalk.white(customDomains.domains.map(domain => (domain === customDomains.primary ? `${domain} (primary)` : domain)).join(', '))}`);
+        } else {
+          console.log(`  🌐 Domain:           ${chalk.white(customDomains.primary)}`);
+        }
+        console.log(`  📍 Static IP:        ${chalk.white(ipAddress)} (${ipStatus})`);
+        report.loadBalancer = { domain: customDomains.primary, domains: customDomains.domains, ipAddress, ipStatus, redirects: null, securityPolicy: null, cdnEnabled: false, ssl: null, nat: null };
+
+        // Redirects the load balancer was set up with
+        if (config.loadBalancerResources) {
+          const { httpToHttps, canonicalHost } = getLoadBalancerRedirects(config.loadBalancerResources);
+          const { hostRedirects } = canonicalHost ? getRedirects(config) : { hostRedirects: [] };
+          const redirects = [
+            ...(httpToHttps ? ['HTTP → HTTPS'] : []),
+            ...hostRedirects.map(redirect => `${redirect.from} → ${redirect.to}`)
+          ];
+          console.log(`  ↪️  Redirects:        ${redirects.length > 0 ? chalk.white(redirects.join(', ')) : chalk.gray('none')}`);
+          report.loadBalancer.redirects = { httpToHttps, canonicalHost, hosts: hostRedirects };
+
+          const { securityPolicy } = config.loadBalancerResources;
+          console.log(`  🛡️  Security policy:  ${securityPolicy ? chalk.white(securityPolicy.name) : chalk.gray('none')}`);
+          report.loadBalancer.securityPolicy = securityPolicy ? securityPolicy.name : null;
+
+          const cdnEnabled = Boolean(config.loadBalancerResources.cdnEnabled);
+          console.log(`  ⚡ Cloud CDN:        ${cdnEnabled ? chalk.white('enabled') : chalk.gray('disabled')}`);
+          report.loadBalancer.cdnEnabled = cdnEnabled;
+        }
+        
+        // Check the SSL status of every domain on the certificates covering it
+        const certificates = config.loadBalancerResources ? await readCertificates(config) : [];
+        if (certificates.some(certificate => certificate.status)) {
+          const domainStatus = getDomainSslStatus(customDomains.domains, certificates);
+          const pending = Object.values(domainStatus).find(status => status.status !== 'ACTIVE');
+          const sslStatus = pending ? pending.status : 'ACTIVE';
+          
+          console.log(`  🔒 SSL Status:       ${sslStatus === 'ACTIVE' ? chalk.green('Active') : chalk.yellow(sslStatus)}`);
+          report.loadBalancer.ssl = {
+            status: sslStatus,
+            domains: Object.fromEntries(Object.entries(domainStatus).map(([domain, status]) => [domain, status.status])),
+            certificates: certificates.map(({ name, domains, status, retired }) => ({ name, domains, status, retired: Boolean(retired) }))
+          };
+          
+          console.log(`  📋 Domain Status:`);
+          Object.entries(domainStatus).forEach(([domain, status]) => {
+            const statusColor = status.status === 'ACTIVE' ? chalk.green : chalk.yellow;
+            console.log(`     - ${domain}: ${statusColor(status.status)}${status.certificate ? chalk.gray(` (${status.certificate})`) : ''}`);
+          });
+          if (certificates.some(certificate => certificate.retired)) {
+            console.log(chalk.dim('     (A replaced certificate is still attached, "meteor-cloud-run domains sync" removes it once the new one is ACTIVE)'));
+          }
+        } else {
+          console.log(`  🔒 SSL Certificate:  ${chalk.yellow('Not configured')}`);
+        }
+        
+        // Check if NAT is configured for static outbound IP
+        if (config.useStaticIP) {
+          try {
+            const natIpName = `${serviceName}-nat-ip`;
+            const natIpResult = await executeCommandWithRetry(
+              `gcloud compute addresses describe ${natIpName} --region=${config.region} --project=${config.projectId} --format="value(address,status)"`,
+              { maxRetries: 2, baseDelay: 1000 }
+            );
+            const [natIpAddress, natIpStatus] = natIpResult.stdout.trim().split('\t');
+            console.log(`  🔄 NAT Static IP:    ${chalk.white(natIpAddress)} (${natIpStatus})`);
+            console.log(chalk.dim(`     (Use this IP for MongoDB Atlas whitelist)`));
+            report.loadBalancer.nat = { ipAddress: natIpAddress, status: natIpStatus };
+          } catch (error) {
+            // NAT IP might not exist
+            verboseLog('NAT IP not found:', error.message);
+          }
+        }
+        
+      } catch (error) {
+        console.log(`  ⚠️ Load balancer not configured or error fetching details`);
+        verboseLog('Load balancer error:', error.message);
+        report.loadBalancer = { domain: customDomains.primary, domains: customDomains.domains, error: error.message };
+      }
+    }
+    
+    console.log('');
+    
+    // Check secrets
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    console.log(chalk.cyan.bold('  Secrets'));
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    
+    // Only the secrets that exist are shown, e.g. the settings secret only
+    // exists with settingsStorage "secret-manager"
+    const secretNames = getServiceSecrets(config).map(secret => secret.name);
+    let secretsFound = false;
+    
+    for (const secretName of secretNames) {
+      try {
+        const secretResult = await executeCommandWithRetry(
+          `gcloud secrets describe ${secretName} --project=${config.projectId} --format="value(createTime,replication.automatic)"`,
+          { maxRetries: 2, baseDelay: 1000 }
+        );
+        
+        if (secretResult.stdout.trim()) {
+          const [createTime] = secretResult.stdout.trim().split('\t');
+          console.log(`  ✅ ${secretName}`);
+          console.log(`     Created: ${new Date(createTime).toLocaleString()}`);
+          
+          // Get version count
+          const versionsResult = await executeCommand(
+            `gcloud secrets versions list ${secretName} --project=${config.projectId} --filter="state:ENABLED" --format="value(name)" | wc -l`
+          );
+          const versionCount = parseInt(versionsResult.stdout.trim()) || 0;
+          console.log(`     Versions: ${versionCount}`);
+          report.secrets.push({ name: secretName, created: createTime, versions: versionCount });
+          secretsFound = true;
+        }
+      } catch (error) {
+        // Secret doesn't exist, skip
+        verboseLog(`Secret ${secretName} not found:`, error.message);
+      }
+    }
+    
+    if (!secretsFound) {
+      console.log(`  ℹ️ No secrets configured`);
+    }
+    
+    console.log('');
+    
+    // Check Artifact Registry
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    console.log(chalk.cyan.bold('  Container Images'));
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    
+    try {
+      // Revisions receiving traffic, keyed by the image digest they are pinned to
+      const servingByDigest = {};
+      revisions.filter(r => r.trafficPercent > 0 && r.imageDigest).forEach(r => {
+        const serving = servingByDigest[r.imageDigest] || { percent: 0, commit: null };
+        serving.percent += r.trafficPercent;
+        serving.commit = serving.commit || r.commit;
+        servingByDigest[r.imageDigest] = serving;
+      });
+      
+      const imagesResult = await executeCommand(
+        `gcloud artifacts docker images list ${config.region}-docker.pkg.dev/${config.projectId}/${serviceName} --project=${config.projectId} --include-tags --format=json --limit=5 --sort-by="~createTime"`
+      );
+      const images = JSON.parse(imagesResult.stdout || '[]');
+      
+      if (images.length > 0) {
+        console.log(`  📦 Recent images (${images.length} shown):`);
+        images.forEach(image => {
+          // Older gcloud versions return tags as a comma separated string
+          const tags = Array.isArray(image.tags) ? image.tags : (image.tags ? image.tags.split(',') : []);
+          const digest = image.version || '';
+          const name = tags.length > 0 ? tags.join(', ') : `${digest.substring(0, 19)} (untagged)`;
+          const serving = servingByDigest[digest];
+          
+          console.log(`     - ${name}: ${new Date(image.createTime).toLocaleString()}`);
+          report.images.push({
+            tags,
+            digest: digest || null,
+            created: image.createTime,
+            trafficPercent: serving ? serving.percent : 0,
+            commit: serving ? serving.commit : null
+          });
+          if (serving) {
+            console.log(chalk.green(`       ← serving ${serving.percent}% of traffic${serving.commit ? ` (commit ${serving.commit.substring(0, 7)})` : ''}`));
+          }
+        });
+      } else {
+        console.log(`  ℹ️ No container images found`);
+      }
+    } catch (error) {
+      console.log(`  ℹ️ Artifact Registry repository not found`);
+      verboseLog('Artifact Registry error:', error.message);
+    }
+    
+    console.log('');
+    console.log(chalk.cyan('═══════════════════════════════════════════════════════'));
+    
+    // Show helpful commands
+    console.log(chalk.dim('\n📝 Useful commands:'));
+    console.log(chalk.dim(`  • View logs:     meteor-cloud-run logs${config.environment ? ` --env ${config.environment}` : ''} --follow`));
+    console.log(chalk.dim(`  • Deploy:        meteor-cloud-run deploy`));
+    console.log(chalk.dim(`  • Roll back:     meteor-cloud-run rollback`));
+    if (customDomains) {
+      console.log(chalk.dim(`  • Domains:       meteor-cloud-run domains list`));
+    }
+    
+  } catch (error) {
+    console.log(chalk.red('❌ Error fetching deployment information:'), error.message);
+    if (options.verbose && error.stderr) {
+      console.log(chalk.red('Error details:'), error.stderr);
+    }
+    report.error = error.message;
+  }
+  
+  output.print(report);
+}
+
+async function removeCommand(options) {
+  if (options.serviceOnly) {
+    console.log(chalk.blue('🧹 Cleaning up Cloud Run service...'));
+  } else {
+    console.log(chalk.blue('🗑️ Removing Meteor Cloud Run deployment and configuration...'));
+  }
+  
+  // Read configuration
+  const config = await readCommandConfig();
+  if (!config) {
+    console.log(chalk.yellow('⚠️ No Meteor Cloud Run configuration found. Nothing to remove.'));
+    return;
+  }
+  const serviceName = getServiceName(config);
+
+  // Generated files and the config file are shared by all environments,
+  // so removing a single environment only removes its cloud resources
+  const keepFiles = options.keepFiles || Boolean(config.environment);
+  
+  if (options.serviceOnly) {
+    // Simple service-only removal (like the old clean command)
+    console.log(chalk.yellow('⚠️ This will remove:'));
+    console.log(`  • Cloud Run service: ${serviceName}`);
+  } else {
+    // Full removal
+    console.log(chalk.yellow('⚠️ This will permanently remove:'));
+    console.log(`  • Cloud Run service: ${serviceName}`);
+    console.log(`  • Artifact Registry repository: ${serviceName}`);
+    if (usesDedicatedServiceAccount(config)) {
+      const accounts = getServiceAccounts(config, serviceName);
+      console.log(`  • Service accounts: ${accounts.runtime.email}, ${accounts.deployer.email} and their IAM bindings`);
+    }
+    if (config.customDomain) {
+      console.log(`  • Domain mapping: ${config.customDomain}`);
+    }
+    if (config.loadBalancerResources) {
+      console.log('  • Load balancer resources:');
+      console.log(`    - Static IP: ${config.loadBalancerResources.staticIpName}`);
+      console.log(`    - SSL certificates: ${getLoadBalancerCertificates(config.loadBalancerResources).map(certificate => certificate.name).join(', ')}`);
+      console.log(`    - Backend service, URL map, and forwarding rules`);
+      if (getLoadBalancerRedirects(config.loadBalancerResources).httpToHttps) {
+        console.log(`    - HTTP to HTTPS redirect: ${config.loadBalancerResources.httpForwardingRuleName}, ${config.loadBalancerResources.httpProxyName}, ${config.loadBalancerResources.httpUrlMapName}`);
+      }
+      if (config.loadBalancerResources.securityPolicy) {
+        console.log(`    - Cloud Armor security policy: ${config.loadBalancerResources.securityPolicy.name}`);
+      }
+    }
+    if (!keepFiles) {
+      console.log('  • Generated files: .meteor-cloud-run/Dockerfile, .meteor-cloud-run/cloudbuild.yaml, .meteor-cloud-run/.dockerignore');
+      console.log('  • Configuration: .meteor-cloud-run/config.json');
+    }
+  }
+  
+  // Confirm removal
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: options.serviceOnly ? 
+        'Are you sure you want to remove the Cloud Run service?' :
+        'Are you sure you want to proceed? This cannot be undone.',
+      default: false
+    }
+  ]);
+  
+  if (!confirm) {
+    console.log(chalk.blue('❌ Removal cancelled.'));
+    return;
+  }
+  
+  if (options.serviceOnly) {
+    // Handle service-only removal (like the old clean command)
+    try {
+      await executeCommand(`gcloud run services delete ${serviceName} --region=${config.region} --project=${config.projectId} --quiet`);
+      console.log(chalk.green('✅ Successfully removed Cloud Run service'));
+      console.log(chalk.blue('💡 You can now run "meteor-cloud-run deploy" to create a fresh deployment'));
+    } catch (error) {
+      if (error.message.includes('NOT_FOUND')) {
+        console.log(chalk.yellow('⚠️ No Cloud Run service found to clean up'));
+      } else {
+        console.log(chalk.red('❌ Failed to clean up service:'), error.message);
+      }
+    }
+    return;
+  }
+  
+  // Handle full removal
+  let errorCount = 0;
+  
+  try {
+    // Remove load balancer resources first (if they exist)
+    if (config.loadBalancerResources) {
+      console.log(chalk.blue('🔧 Removing load balancer resources...'));
+      try {
+        const lbErrorCount = await deleteLoadBalancer(config);
+        errorCount += lbErrorCount || 0;
+      } catch (error) {
+        console.log(chalk.red('❌ Failed to remove load balancer resources:'), error.message);
+        errorCount++;
+      }
+    }
+    
+    // Remove Cloud Run service
+    console.log(chalk.blue('🧹 Removing Cloud Run service...'));
+    try {
+      await executeCommand(`gcloud run services delete ${serviceName} --region=${config.region} --project=${config.projectId} --quiet`);
+      console.log(chalk.green('✅ Cloud Run service removed'));
+    } catch (error) {
+      if (error.message.includes('NOT_FOUND')) {
+        console.log(chalk.yellow('⚠️ Cloud Run service not found (already removed)'));
+      } else {
+        console.log(chalk.red('❌ Failed to remove Cloud Run service:'), error.message);
+        errorCount++;
+      }
+    }
+    
+    // Remove custom domain mapping if exists
+    if (config.customDomain) {
+      console.log(chalk.blue('🌐 Removing domain mapping...'));
+      try {
+        await executeCommand(`gcloud run domain-mappings delete --domain=${config.customDomain} --region=${config.region} --project=${config.projectId} --platform=managed --quiet`);
+        console.log(chalk.green('✅ Domain mapping removed'));
+      } catch (error) {
+        if (error.message.includes('NOT_FOUND')) {
+          console.log(chalk.yellow('⚠️ Domain mapping not found (already removed)'));
+        } else {
+          console.log(chalk.red('❌ Failed to remove domain mapping:'), error.message);
+          errorCount++;
+        }
+      }
+    }
+    
+    // Remove Artifact Registry repository
+    console.log(chalk.blue('📦 Removing Artifact Registry repository...'));
+    try {
+      await executeCommand(`gcloud artifacts repositories delete ${serviceName} --location=${config.region} --project=${config.projectId} --quiet`);
+      console.log(chalk.green('✅ Artifact Registry repository removed'));
+    } catch (error) {
+      if (error.message.includes('NOT_FOUND')) {
+        console.log(chalk.yellow('⚠️ Artifact Registry repository not found (already removed)'));
+      } else {
+        console.log(chalk.red('❌ Failed to remove Artifact Registry repository:'), error.message);
+        errorCount++;
+      }
+    }
+    
+    // Remove dedicated service accounts and their bindings (also after the option was turned off)
+    console.log(chalk.blue('🪪 Removing dedicated service accounts...'));
+    try {
+      errorCount += await deleteServiceAccounts(config, serviceName);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to remove service accounts:'), error.message);
+      errorCount++;
+    }
+    
+    // Forget the environment's load balancer resources, the profile itself is kept
+    if (config.environment && config.loadBalancerResources) {
+      await clearEnvironmentState(config.environment);
+    }
+    
+    // Remove generated files if not keeping them
+    if (!keepFiles) {
+      console.log(chalk.blue('📄 Removing generated files...'));
+      
+      // Check for files in both old and new locations for backward compatibility
+      const filesToRemove = ['Dockerfile', 'cloudbuild.yaml', '.dockerignore', 'meteor-cloud-run-startup.sh'];
+      
+      filesToRemove.forEach(file => {
+        // Check new location first
+        const newPath = path.join('.meteor-cloud-run', file);
+        const oldPath = file;
+        
+        if (fs.existsSync(newPath)) {
+          fs.unlinkSync(newPath);
+          console.log(chalk.green(`✅ Removed ${newPath}`));
+        } else if (fs.existsSync(oldPath)) {
+          fs.unlinkSync(oldPath);
+          console.log(chalk.green(`✅ Removed ${oldPath}`));
+        } else {
+          console.log(chalk.yellow(`⚠️ ${file} not found (already removed)`));
+        }
+      });
+      
+      // Remove config file and entire .meteor-cloud-run directory
+      const configPath = getConfigFilePath();
+      if (fs.existsSync(configPath)) {
+        console.log(chalk.blue('⚙️ Removing Meteor Cloud Run configuration...'));
+        fs.unlinkSync(configPath);
+        console.log(chalk.green(`✅ Removed ${configPath}`));
+      }
+      if (fs.existsSync(HISTORY_FILE)) {
+        fs.unlinkSync(HISTORY_FILE);
+        console.log(chalk.green(`✅ Removed ${HISTORY_FILE}`));
+      }
+
+      // Remove .meteor-cloud-run directory if empty
+      if (fs.existsSync('.meteor-cloud-run')) {
+        try {
+          fs.rmdirSync('.meteor-cloud-run');
+          console.log(chalk.green('✅ Removed .meteor-cloud-run directory'));
+        } catch (error) {
+          console.log(chalk.yellow('⚠️ .meteor-cloud-run directory not empty, leaving it'));
+        }
+      }
+    }
+    
+    // Summary
+    if (errorCount === 0) {
+      console.log(chalk.green('🎉 Meteor Cloud Run removal completed successfully!'));
+      if (config.environment) {
+        console.log(chalk.blue(`💡 Environment "${config.environment}" resources removed. Its profile is still in .meteor-cloud-run/config.json.`));
+      } else if (options.keepFiles) {
+        console.log(chalk.blue('💡 Generated files have been kept. You can still use "meteor-cloud-run deploy" with existing configuration.'));
+      } else {
+        console.log(chalk.blue('💡 Your project has been completely cleaned of Meteor Cloud Run. You can run "meteor-cloud-run init" to start over.'));
+      }
+    } else {
+      console.log(chalk.yellow(`⚠️ Meteor Cloud Run removal completed with ${errorCount} errors. Some resources may still exist.`));
+      console.log(chalk.blue('💡 You can try running "meteor-cloud-run remove" again or manually clean up remaining resources.'));
+    }
+    
+  } catch (error) {
+    console.log(chalk.red('❌ Failed to remove Meteor Cloud Run resources:'), error.message);
+  }
+}
+
+async function migrateDomainCommand(options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+  
+  console.log(chalk.blue('🔄 Migrating domain mapping to static IP load balancer...'));
+  
+  // Read configuration
+  let config = await readCommandConfig();
+  if (!config) {
+    console.log(chalk.red('❌ Configuration not found. Please run "meteor-cloud-run init" first.'));
+    return;
+  }
+  
+  // Setup authentication
+  const authManager = new AuthManager();
+  try {
+    // Get global options
+    const globalOptions = getGlobalOptions();
+    
+    await authManager.setupAuthentication({
+      serviceAccountKey: globalOptions.serviceAccountKey,
+      projectId: globalOptions.project || config.projectId
+    });
+    
+    verboseLog('Authentication setup completed');
+  } catch (error) {
+    console.log(chalk.red('❌ Authentication failed:'));
+    console.log(error.message);
+    authManager.cleanup();
+    process.exit(1);
+  }
+
+  try {
+    // Force migration by setting the flag
+    config.enableLoadBalancerMigration = true;
+    // Load balancer resource names are derived from the service name, which init doesn't store
+    config.serviceName = getServiceName(config);
+    
+    // Perform migration
+    const updatedConfig = await migrateDomainMapping(config);
+    
+    // Save updated configuration if migration occurred
+    if (updatedConfig.loadBalancerResources) {
+      await saveConfig(updatedConfig);
+      console.log(chalk.green('✅ Configuration updated with load balancer resources'));
+      console.log(chalk.blue('🚀 Your domain has been migrated to use a static IP load balancer!'));
+    } else {
+      console.log(chalk.blue('ℹ️  No migration was performed.'));
+    }
+    
+  } catch (error) {
+    console.log(chalk.red('❌ Migration failed:'), error.message);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function domainsListCommand(options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+
+  let customDomains;
+  try {
+    customDomains = getCustomDomains(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  if (!customDomains) {
+    console.log(chalk.yellow('⚠️  No custom domains configured. Add one with "meteor-cloud-run domains add <domain>".'));
+    output.print({ primary: null, ipAddress: null, domains: [] });
+    return;
+  }
+
+  if (!config.loadBalancerResources) {
+    console.log(chalk.blue('🌐 Custom domains (the load balancer is created by the next deploy):'));
+    customDomains.domains.forEach(domain => {
+      console.log(`   ${domain}${domain === customDomains.primary ? chalk.gray(' (primary)') : ''}`);
+    });
+    output.print({
+      primary: customDomains.primary,
+      ipAddress: null,
+      domains: customDomains.domains.map(domain => ({ domain, primary: domain === customDomains.primary, sslStatus: null, certificate: null }))
+    });
+    return;
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  try {
+    const domainStatus = getDomainSslStatus(customDomains.domains, await readCertificates(config));
+    const { ipAddress } = config.loadBalancerResources;
+
+    console.log(chalk.blue(`🌐 Custom domains of ${getServiceName(config)}, pointing to ${ipAddress}:`));
+    customDomains.domains.forEach(domain => {
+      const { status, certificate } = domainStatus[domain];
+      const statusColor = status === 'ACTIVE' ? chalk.green : chalk.yellow;
+      console.log(`   ${domain}${domain === customDomains.primary ? chalk.gray(' (primary)') : ''}  ${statusColor(status)}${certificate ? chalk.gray(`  ${certificate}`) : ''}`);
+    });
+
+    const pendingSync = needsLoadBalancerUpdate(config);
+    if (pendingSync) {
+      console.log(chalk.yellow('\n⚠️  The load balancer doesn\'t match the configured domains and redirects yet. Run "meteor-cloud-run domains sync" or deploy to update it.'));
+    }
+
+    output.print({
+      primary: customDomains.primary,
+      ipAddress,
+      domains: customDomains.domains.map(domain => ({
+        domain,
+        primary: domain === customDomains.primary,
+        sslStatus: domainStatus[domain].status,
+        certificate: domainStatus[domain].certificate
+      })),
+      pendingSync
+    });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to read the domains: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+/**
+ * Shared flow for domains add, remove, set-primary and sync: save the new
+ * domains to the configuration, then update the load balancer if it exists.
+ * The static IP is kept, so DNS records of the other domains stay valid.
+ * @param {Function} change - Gets the new { customDomain, customDomains } from
+ * the current { domains, primary }, throwing if the change isn't allowed
+ * @param {Object} options - Command options (verbose)
+ */
+async function changeDomains(change, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const serviceName = getServiceName(config);
+
+  let previous;
+  let customDomains;
+  try {
+    previous = getCustomDomains(config) || { domains: [], primary: null };
+    Object.assign(config, change(previous));
+    customDomains = getCustomDomains(config);
+    // e.g. removing www.example.com while redirects.canonicalHost is "www"
+    getRedirects(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  const added = customDomains.domains.filter(domain => !previous.domains.includes(domain));
+  const removed = previous.domains.filter(domain => !customDomains.domains.includes(domain));
+  const result = { domains: customDomains.domains, primary: customDomains.primary, added, removed, ipAddress: null };
+
+  if (!config.loadBalancerResources) {
+    // Domains are served by the load balancer the next deploy creates
+    config.useLoadBalancer = true;
+    config.useManagedSSL = true;
+    await saveConfig(config);
+    console.log(chalk.green(`✅ Saved ${customDomains.domains.join(', ')} to the configuration`));
+    console.log(chalk.gray('💡 The next deploy creates the load balancer and its certificates.'));
+    output.print(result);
+    return;
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  try {
+    if (needsLoadBalancerUpdate(config)) {
+      console.log(chalk.blue(`🔧 Updating the load balancer of ${serviceName} for ${customDomains.domains.join(', ')}...`));
+      config.loadBalancerResources = await updateLoadBalancer({ ...config, serviceName });
+      console.log(chalk.green('✅ Load balancer updated, its static IP is unchanged'));
+    } else {
+      console.log(chalk.green('✅ The load balancer already serves these domains and redirects'));
+    }
+    await saveConfig(config);
+
+    result.ipAddress = config.loadBalancerResources.ipAddress;
+    if (added.length > 0) {
+      console.log('');
+      printDnsRecords(added, result.ipAddress);
+    }
+    if (customDomains.primary !== previous.primary) {
+      console.log(chalk.yellow(`⚠️  ROOT_URL becomes https://${customDomains.primary} with the next deploy`));
+    }
+    output.print(result);
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to update the load balancer: ${error.message}`));
+    console.log(chalk.yellow('⚠️ The configuration was not changed'));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function domainsAddCommand(domains, options) {
+  await changeDomains(current => {
+    const added = domains.map(domain => domain.toLowerCase()).filter(domain => !current.domains.includes(domain));
+    if (added.length === 0) {
+      throw new Error(`${domains.join(', ')} ${domains.length > 1 ? 'are' : 'is'} already configured`);
+    }
+    return { customDomain: current.primary || added[0], customDomains: [...current.domains, ...added] };
+  }, options);
+}
+
+async function domainsRemoveCommand(domains, options) {
+  await changeDomains(current => {
+    const removed = domains.map(domain => domain.toLowerCase());
+    const missing = removed.find(domain => !current.domains.includes(domain));
+    if (missing) {
+      throw new Error(`${missing} is not one of the custom domains (${current.domains.join(', ') || 'none'})`);
+    }
+    if (removed.includes(current.primary)) {
+      throw new Error(`${current.primary} is the primary domain. Make another domain primary first with "meteor-cloud-run domains set-primary <domain>"`);
+    }
+    return { customDomain: current.primary, customDomains: current.domains.filter(domain => !removed.includes(domain)) };
+  }, options);
+}
+
+async function domainsSetPrimaryCommand(domain, options) {
+  await changeDomains(current => {
+    if (!current.domains.includes(domain.toLowerCase())) {
+      throw new Error(`${domain} is not one of the custom domains (${current.domains.join(', ') || 'none'}). Add it first with "meteor-cloud-run domains add ${domain}"`);
+    }
+    return { customDomain: domain.toLowerCase(), customDomains: current.domains };
+  }, options);
+}
+
+async function domainsSyncCommand(options) {
+  await changeDomains(current => {
+    if (current.domains.length === 0) {
+      throw new Error('No custom domains configured');
+    }
+    return {};
+  }, options);
+}
+
+/**
+ * Describes a security policy rule for `security list` and its --output document
+ * @param {Object} rule - Rule from readSecurityPolicy() or buildSecurityRules()
+ * @returns {Object} { priority, action, description, expression, preview, managed }
+ */
+function describeSecurityRule(rule) {
+  return {
+    priority: rule.priority,
+    action: formatRuleAction(rule),
+    description: rule.description || null,
+    expression: rule.expression || rule.match?.expr?.expression || (rule.match?.config?.srcIpRanges || []).join(', '),
+    preview: Boolean(rule.preview),
+    managed: isManagedRule(rule)
+  };
+}
+
+/**
+ * Prints security policy rules, one per line
+ * @param {Array<Object>} rules - Results of describeSecurityRule()
+ */
+function printSecurityRules(rules) {
+  rules.forEach(rule => {
+    const label = rule.description || rule.expression;
+    console.log(`   ${String(rule.priority).padStart(10)}  ${rule.action.padEnd(24)}  ${label}${rule.managed ? '' : chalk.gray('  (not managed by meteor-cloud-run)')}`);
+  });
+}
+
+async function securityListCommand(options = {}) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const serviceName = getServiceName(config);
+
+  let security;
+  try {
+    security = getSecurity(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  const configured = security ? buildSecurityRules(security).map(describeSecurityRule) : [];
+
+  if (!config.loadBalancerResources) {
+    if (configured.length === 0) {
+      console.log(chalk.yellow('⚠️  No security rules configured. Add a "security" block to the configuration, see docs/configuration.md.'));
+    } else {
+      console.log(chalk.blue('🛡️  Configured security rules (the deploy creating the load balancer attaches them):'));
+      printSecurityRules(configured);
+    }
+    output.print({ policy: null, attached: false, rules: configured, pendingSync: configured.length > 0 });
+    return;
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  try {
+    const recorded = config.loadBalancerResources.securityPolicy;
+    const policy = recorded ? await readSecurityPolicy(config, recorded.name) : null;
+    const rules = policy ? policy.rules.sort((a, b) => a.priority - b.priority).map(describeSecurityRule) : [];
+
+    if (policy) {
+      console.log(chalk.blue(`🛡️  Security policy ${recorded.name} on ${config.loadBalancerResources.backendServiceName}:`));
+      printSecurityRules(rules);
+    } else {
+      console.log(chalk.yellow(`⚠️  No security policy attached to ${config.loadBalancerResources.backendServiceName}`));
+    }
+
+    const pendingSync = needsSecurityUpdate(config);
+    if (pendingSync) {
+      console.log(chalk.yellow('\n⚠️  The security policy doesn\'t match the configured rules yet. Run "meteor-cloud-run security update" or deploy to update it.'));
+    }
+
+    output.print({ policy: policy ? recorded.name : null, attached: Boolean(policy), rules, pendingSync });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to read the security policy of ${serviceName}: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function securityUpdateCommand(options = {}) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const serviceName = getServiceName(config);
+
+  if (options.owaspPreview && options.owaspEnforce) {
+    console.log(chalk.red('❌ Use either --owasp-preview or --owasp-enforce'));
+    process.exit(1);
+  }
+
+  // Options change the `security` block before it is applied
+  const security = config.security === true ? { owasp: true, rateLimit: true } : { ...(config.security || {}) };
+  const countries = list => list.split(',').map(country => country.trim().toUpperCase()).filter(Boolean);
+  if (options.rateLimit !== undefined) {
+    if (options.rateLimit === 'off') {
+      delete security.rateLimit;
+    } else {
+      const current = typeof security.rateLimit === 'object' ? security.rateLimit : {};
+      security.rateLimit = { ...current, requestsPerMinute: Number(options.rateLimit) };
+    }
+  }
+  if (options.allowCountries !== undefined) {
+    security.geo = options.allowCountries === 'none' ? undefined : { allow: countries(options.allowCountries) };
+  }
+  if (options.denyCountries !== undefined) {
+    security.geo = options.denyCountries === 'none' ? undefined : { deny: countries(options.denyCountries) };
+  }
+  if (options.owaspPreview || options.owaspEnforce) {
+    const current = typeof security.owasp === 'object' ? security.owasp : {};
+    security.owasp = { ...current, preview: Boolean(options.owaspPreview) };
+  }
+  Object.keys(security).filter(key => security[key] === undefined).forEach(key => delete security[key]);
+  if (config.security !== undefined || Object.keys(security).length > 0) {
+    config.security = security;
+  }
+
+  let rules;
+  try {
+    const configured = getSecurity(config);
+    if (!configured) {
+      throw new Error('No security rules configured. Add a "security" block to the configuration or pass --rate-limit, --allow-countries, --deny-countries or --owasp-preview');
+    }
+    rules = buildSecurityRules(configured).map(describeSecurityRule);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  const result = { policy: getSecurityPolicyName(serviceName), attached: false, rules };
+
+  if (!config.loadBalancerResources) {
+    await saveConfig(config);
+    console.log(chalk.green('✅ Saved the security rules to the configuration'));
+    console.log(chalk.gray('💡 The deploy creating the load balancer attaches the Cloud Armor policy.'));
+    output.print(result);
+    return;
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  try {
+    if (needsSecurityUpdate(config)) {
+      console.log(chalk.blue(`🛡️  Updating the security policy of ${serviceName}...`));
+      config.loadBalancerResources = await updateSecurityPolicy({ ...config, serviceName });
+      console.log(chalk.green('✅ Security policy updated'));
+    } else {
+      console.log(chalk.green('✅ The security policy already has these rules'));
+    }
+    await saveConfig(config);
+
+    printSecurityRules(rules);
+    result.attached = true;
+    output.print(result);
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to update the security policy: ${error.message}`));
+    console.log(chalk.yellow('⚠️ The configuration was not changed'));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function cdnInvalidateCommand(paths = [], options = {}) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const serviceName = getServiceName(config);
+
+  if (!config.loadBalancerResources || !config.loadBalancerResources.cdnEnabled) {
+    console.log(chalk.red(`❌ Cloud CDN is not enabled for ${serviceName}. Set "enableCdn": true and deploy to turn it on.`));
+    process.exit(1);
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  try {
+    console.log(chalk.blue(`⚡ Invalidating the Cloud CDN cache of ${serviceName}...`));
+    const invalidated = await invalidateCdnCache(config, paths.length > 0 ? paths : undefined, { wait: options.wait });
+    console.log(chalk.green(`✅ ${options.wait ? 'Invalidated' : 'Started invalidating'} ${invalidated.join(', ')}`));
+    if (!options.wait) {
+      console.log(chalk.gray('💡 Invalidations take a few minutes to reach every cache. Use --wait to wait for them.'));
+    }
+    output.print({ urlMap: config.loadBalancerResources.urlMapName, paths: invalidated, completed: Boolean(options.wait) });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to invalidate the Cloud CDN cache: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function secretsListCommand(options = {}) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  console.log(chalk.blue('📋 Listing application secrets...'));
+
+  // Read configuration
+  const config = await readCommandConfig();
+  if (!config) {
+    console.log(chalk.red('❌ Configuration not found. Please run "meteor-cloud-run init" first.'));
+    if (output.machine) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  const serviceName = getServiceName(config);
+
+  try {
+    const usage = await readSecretUsage(config, serviceName);
+    const secrets = [];
+    for (const secret of getServiceSecrets(config)) {
+      const described = await describeSecret(config, secret.name);
+      if (!described) {
+        verboseLog(`Secret ${secret.name} not found`);
+        continue;
+      }
+      const versions = await listSecretVersions(config, secret.name);
+      secrets.push({
+        name: secret.name,
+        envName: secret.envName,
+        created: described.created,
+        versions,
+        revisions: (usage[secret.name] || []).map(ref => ({
+          ...ref,
+          // "latest" is the newest version when an instance starts
+          resolvedVersion: ref.version === 'latest' ? (versions[0] ? versions[0].version : null) : ref.version
+        }))
+      });
+    }
+
+    if (output.machine) {
+      output.print(secrets);
+      return;
+    }
+
+    if (secrets.length === 0) {
+      console.log('  ℹ️ No secrets configured');
+      return;
+    }
+
+    secrets.forEach(secret => {
+      console.log(`\n🔐 ${chalk.white(secret.name)} ${chalk.gray(`(${secret.envName})`)}`);
+      console.log(chalk.gray(`   Created: ${secret.created ? new Date(secret.created).toLocaleString() : 'unknown'}`));
+      const versions = secret.versions
+        .filter(v => v.state !== 'DESTROYED')
+        .map(v => (v.state === 'ENABLED' ? v.version : `${v.version} (${v.state.toLowerCase()})`));
+      console.log(`   Versions: ${versions.join(', ') || 'none'}`);
+      secret.revisions.forEach(ref => {
+        const version = ref.version === 'latest' ? `latest (${ref.resolvedVersion || 'none'})` : `version ${ref.version}`;
+        const traffic = ref.trafficPercent > 0 ? chalk.green(` ← ${ref.trafficPercent}% traffic`) : '';
+        console.log(`   ${ref.revision}: ${version}${traffic}`);
+      });
+    });
+
+    console.log(chalk.green('\n✅ Secrets listed successfully!'));
+  } catch (error) {
+    console.log(chalk.red('❌ Failed to list secrets:'), error.message);
+    if (output.machine) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+// list-secrets predates the secrets command group
+async function listSecretsCommand(options) {
+  await secretsListCommand(options);
+}
+
+/**
+ * Read which secret versions the recent revisions use. A service that
+ * hasn't been deployed has no revisions.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {Promise<Object>} Result of getRevisionSecretVersions()
+ */
+async function readSecretUsage(config, serviceName) {
+  try {
+    return getRevisionSecretVersions(await listRevisions(config, serviceName, SECRET_REVISIONS_LIMIT));
+  } catch (error) {
+    verboseLog(`Could not list revisions of ${serviceName}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Find the secret a secrets subcommand works on, exiting if it isn't one of
+ * the service's secrets or is written by deploy
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} name - Variable or secret name from the command line
+ * @returns {Object} { name, envName }
+ */
+function findWritableSecret(config, name) {
+  try {
+    const secret = findServiceSecret(config, name);
+    if (secret.envName === 'METEOR_SETTINGS') {
+      throw new Error(`${secret.name} holds the settings file and is written by "meteor-cloud-run deploy"`);
+    }
+    return secret;
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Read a new secret value from stdin, or ask for it in a terminal
+ * @param {Object} secret - { name, envName }
+ * @returns {Promise<string>} Value
+ */
+async function readNewSecretValue(secret) {
+  let value;
+  if (process.stdin.isTTY) {
+    ({ value } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'value',
+        message: `New value for ${secret.envName}:`,
+        mask: '*'
+      }
+    ]));
+  } else {
+    value = await readSecretValue(process.stdin);
+  }
+  if (!value) {
+    console.log(chalk.red(`❌ No value given for ${secret.envName}. Pipe it in, e.g. "printf %s \"$VALUE\" | meteor-cloud-run secrets set ${secret.envName}"`));
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Store a secret value and let the service's runtime account read it
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Object} secret - { name, envName }
+ * @param {string} value - Secret value
+ * @returns {Promise<Object>} { changed, version }
+ */
+async function storeServiceSecret(config, serviceName, secret, value) {
+  const changed = await writeSecretVersion(config, { name: secret.name, value });
+  let runtimeEmail;
+  if (usesDedicatedServiceAccount(config)) {
+    runtimeEmail = getServiceAccounts(config, serviceName).runtime.email;
+  } else {
+    const projectNumber = (await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`)).stdout.trim();
+    runtimeEmail = `${projectNumber}-compute@developer.gserviceaccount.com`;
+  }
+  await grantSecretAccess(config, secret.name, runtimeEmail);
+  return { changed, version: await getLatestSecretVersion(config, secret.name) };
+}
+
+async function secretsSetCommand(name, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const secret = findWritableSecret(config, name);
+  const value = await readNewSecretValue(secret);
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const { changed, version } = await storeServiceSecret(config, serviceName, secret, value);
+    if (changed) {
+      console.log(chalk.green(`✅ ${secret.envName} stored as ${secret.name} version ${version}`));
+      console.log(chalk.gray(`💡 New instances read it. Use "meteor-cloud-run secrets rotate ${secret.envName}" to switch every instance now.`));
+    } else {
+      console.log(chalk.yellow(`⚠️  ${secret.name} already has this value (version ${version})`));
+    }
+    output.print({ secret: secret.name, envName: secret.envName, version, changed });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to store ${secret.envName}: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function secretsRotateCommand(name, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const secret = findWritableSecret(config, name);
+  const value = await readNewSecretValue(secret);
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const previousVersion = (await describeSecret(config, secret.name)) ? await getLatestSecretVersion(config, secret.name) : null;
+    const { changed, version } = await storeServiceSecret(config, serviceName, secret, value);
+    if (!changed) {
+      throw new Error(`${secret.name} already has this value (version ${version})`);
+    }
+    console.log(chalk.green(`✅ ${secret.envName} stored as ${secret.name} version ${version}`));
+
+    // Instances read secrets when they start, so roll out a new revision from the same image
+    console.log(chalk.blue(`🔄 Rolling out a new revision of ${serviceName}...`));
+    await executeCommand(
+      `gcloud run services update ${serviceName} --region=${config.region} --project=${config.projectId} ` +
+      `--update-labels=secrets-rotated-at=${Math.floor(Date.now() / 1000)} --quiet`
+    );
+    const service = await describeService(config, serviceName);
+    const revision = service.status?.latestCreatedRevisionName || null;
+    if (!revision || revision !== service.status?.latestReadyRevisionName) {
+      throw new Error(`Revision ${revision || '(unknown)'} is not ready. Version ${previousVersion || version} stays enabled.`);
+    }
+    console.log(chalk.green(`✅ ${revision} reads version ${version}`));
+
+    let disabledVersion = null;
+    if (!previousVersion || options.keepPrevious) {
+      verboseLog('Keeping the previous version enabled');
+    } else if (!isTrafficOnLatest(service)) {
+      // Older revisions still serve traffic and would read the old value on restart
+      console.log(chalk.yellow(`⚠️  Traffic is pinned to ${formatServingRevisions(getServingRevisions(service))}, so version ${previousVersion} stays enabled.`));
+    } else {
+      await executeCommand(`gcloud secrets versions disable ${previousVersion} --secret=${secret.name} --project=${config.projectId}`);
+      disabledVersion = previousVersion;
+      console.log(chalk.green(`✅ Disabled version ${previousVersion}`));
+    }
+
+    output.print({ secret: secret.name, envName: secret.envName, version, previousVersion, disabledVersion, revision });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to rotate ${secret.envName}: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function secretsDestroyOldCommand(name, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+
+  const keep = options.keep === undefined ? DEFAULT_VERSIONS_KEPT : Number(options.keep);
+  if (!Number.isInteger(keep) || keep < 1) {
+    console.log(chalk.red('❌ --keep must be a whole number of at least 1'));
+    process.exit(1);
+  }
+  if (!options.yes && !process.stdin.isTTY) {
+    console.log(chalk.red('❌ Destroying secret versions needs confirmation. Use --yes in non-interactive environments.'));
+    process.exit(1);
+  }
+
+  let secrets;
+  try {
+    secrets = name ? [findServiceSecret(config, name)] : getServiceSecrets(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const usage = await readSecretUsage(config, serviceName);
+    const plan = [];
+    for (const secret of secrets) {
+      if (!(await describeSecret(config, secret.name))) {
+        continue;
+      }
+      const versions = selectVersionsToDestroy(await listSecretVersions(config, secret.name), keep, usage[secret.name]);
+      if (versions.length > 0) {
+        plan.push({ secret: secret.name, versions });
+        console.log(`   ${secret.name}: ${chalk.red(`versions ${versions.join(', ')}`)}`);
+      }
+    }
+
+    if (plan.length === 0) {
+      console.log(chalk.green(`✅ No versions to destroy beyond the newest ${keep} of each secret`));
+      output.print({ keep, destroyed: [] });
+      return;
+    }
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: 'Destroy these versions? Destroyed versions can never be read again.',
+          default: false
+        }
+      ]);
+
+      if (!confirm) {
+        console.log(chalk.yellow('Cancelled.'));
+        return;
+      }
+    }
+
+    for (const entry of plan) {
+      for (const version of entry.versions) {
+        await executeCommand(`gcloud secrets versions destroy ${version} --secret=${entry.secret} --project=${config.projectId} --quiet`);
+      }
+      console.log(chalk.green(`✅ Destroyed ${entry.versions.length} version${entry.versions.length > 1 ? 's' : ''} of ${entry.secret}`));
+    }
+    output.print({ keep, destroyed: plan });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to destroy old versions: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+/**
+ * Work out the plain variables a deploy from a settings file would set
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} settingsFile - Path to the settings file
+ * @returns {Promise<Array<string>>} KEY=value list from getDeploymentEnvironment()
+ */
+async function readSettingsEnvironment(config, settingsFile) {
+  const autoDetectedConfig = await extractConfigFromSettings(await fs.readJson(settingsFile));
+  const settingsConfig = { ...config };
+  applyDetectedEnvironment(settingsConfig, autoDetectedConfig);
+  return getDeploymentEnvironment(settingsConfig, autoDetectedConfig.mongoUrl).envVars;
+}
+
+async function envListCommand(options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const settingsFile = findSettingsFile(config, options.settings);
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const { env, secrets } = getServiceEnvironment(await describeService(config, serviceName));
+    const differences = settingsFile ? diffEnvironment(env, await readSettingsEnvironment(config, settingsFile)) : null;
+
+    if (output.machine) {
+      output.print({ service: serviceName, env, secrets, settingsFile, differences });
+      return;
+    }
+
+    console.log(chalk.blue(`🌱 Environment of ${serviceName}${config.environment ? ` (${config.environment})` : ''}:`));
+    Object.keys(env).sort().forEach(key => console.log(`   ${key}=${env[key]}`));
+    Object.keys(secrets).sort().forEach(key => console.log(`   ${key} ${chalk.gray(`(secret ${secrets[key]})`)}`));
+
+    if (!settingsFile) {
+      console.log(chalk.gray('\n💡 No settings file found to compare with. Use --settings <path>.'));
+    } else if (differences.length === 0) {
+      console.log(chalk.green(`\n✅ Matches what a deploy from ${settingsFile} would set`));
+    } else {
+      console.log(chalk.yellow(`\n📋 Differences from ${settingsFile} (the next deploy applies the settings file):`));
+      differences.forEach(change => {
+        if (change.action === 'add') {
+          console.log(chalk.green(`   + ${change.key}=${change.settings}`));
+        } else if (change.action === 'remove') {
+          console.log(chalk.red(`   - ${change.key}=${change.live}`));
+        } else {
+          console.log(chalk.yellow(`   ~ ${change.key}: ${change.live} → ${change.settings}`));
+        }
+      });
+      console.log(chalk.gray('💡 Use "meteor-cloud-run env set KEY=VALUE --save" to change both.'));
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to read the environment: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function envGetCommand(key, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const { env, secrets } = getServiceEnvironment(await describeService(config, serviceName));
+    if (!(key in env) && !(key in secrets)) {
+      throw new Error(`${key} is not set on ${serviceName}`);
+    }
+
+    if (output.machine) {
+      output.print({ key, value: key in env ? env[key] : null, secret: secrets[key] || null });
+    } else if (key in secrets) {
+      console.log(chalk.yellow(`${key} is read from Secret Manager secret ${secrets[key]}`));
+    } else {
+      // Just the value, for scripts
+      console.log(env[key]);
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+/**
+ * Shared flow for env set and env unset: apply the changes that differ from
+ * the live service, then optionally save them to the settings file
+ * @param {Object} changes - { set: { KEY: value }, remove: ['KEY'] }
+ * @param {Object} options - Command options (save, settings, verbose)
+ */
+async function changeServiceEnvironment(changes, options) {
+  const output = setupCommandOutput();
+  const globalOptions = getGlobalOptions();
+  const config = await loadCommandConfig(globalOptions);
+
+  try {
+    const secretEnvVars = getSecretEnvVars(config);
+    const promoted = [...Object.keys(changes.set), ...changes.remove].filter(key => secretEnvVars.includes(key));
+    if (promoted.length > 0) {
+      throw new Error(`${promoted.join(', ')} ${promoted.length > 1 ? 'are' : 'is'} stored in Secret Manager (secretEnvVars). Use "meteor-cloud-run secrets set ${promoted[0]}" instead`);
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  let settingsFile = null;
+  if (options.save) {
+    settingsFile = findSettingsFile(config, options.settings);
+    if (!settingsFile) {
+      console.log(chalk.red('❌ No settings file to save to. Use --settings <path>.'));
+      process.exit(1);
+    }
+  }
+
+  const authManager = await setupCommandAuthentication(globalOptions);
+  const serviceName = getServiceName(config);
+
+  try {
+    const { env } = getServiceEnvironment(await describeService(config, serviceName));
+
+    // Only send what differs, an update without changes still creates a revision
+    const set = {};
+    Object.entries(changes.set).forEach(([key, value]) => {
+      if (env[key] === value) {
+        console.log(chalk.gray(`   ${key} already has this value`));
+      } else {
+        console.log(key in env ? chalk.yellow(`   ~ ${key}`) : chalk.green(`   + ${key}`));
+        set[key] = value;
+      }
+    });
+    const remove = changes.remove.filter(key => {
+      if (!(key in env)) {
+        console.log(chalk.gray(`   ${key} is not set`));
+        return false;
+      }
+      console.log(chalk.red(`   - ${key}`));
+      return true;
+    });
+
+    let revision = null;
+    if (Object.keys(set).length > 0 || remove.length > 0) {
+      console.log(chalk.blue(`🔄 Updating ${serviceName} (new revision from the same image)...`));
+      await updateServiceEnvironment(config, serviceName, { set, remove });
+      const service = await describeService(config, serviceName);
+      revision = service.status?.latestReadyRevisionName || null;
+      console.log(chalk.green(`✅ Environment updated in revision ${revision}`));
+      if (!isTrafficOnLatest(service)) {
+        console.log(chalk.yellow(`⚠️  Traffic is pinned to ${formatServingRevisions(getServingRevisions(service))}, so ${revision} is not serving yet.`));
+      }
+    } else {
+      console.log(chalk.yellow(`⚠️  Nothing to change on ${serviceName}`));
+    }
+
+    if (settingsFile) {
+      await writeSettingsEnvironment(settingsFile, changes);
+      console.log(chalk.green(`📝 Saved to meteor-cloud-run.env in ${settingsFile}`));
+    } else if (revision) {
+      console.log(chalk.gray('💡 The next deploy sets the variables from the settings file again. Add --save to keep this change.'));
+    }
+
+    output.print({ service: serviceName, revision, set: Object.keys(set), removed: remove, settingsFile });
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to update the environment: ${error.message}`));
+    authManager.cleanup();
+    process.exit(1);
+  } finally {
+    authManager.cleanup();
+  }
+}
+
+async function envSetCommand(assignments, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  let set;
+  try {
+    set = parseEnvAssignments(assignments);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  await changeServiceEnvironment({ set, remove: [] }, options);
+}
+
+async function envUnsetCommand(keys, options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  try {
+    keys.forEach(key => validateEnvKey(key));
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  await changeServiceEnvironment({ set: {}, remove: keys }, options);
+}
+
+/**
+ * Build the app image with the local Docker daemon, the same way Cloud Build does
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} options - { image, buildCache } from the command line
+ * @returns {Promise<string|null>} Image name, or null if the build failed
+ */
+async function buildLocalImage(config, options) {
+  if (!fs.existsSync(path.join('.meteor-cloud-run', 'Dockerfile'))) {
+    console.log(chalk.red('❌ .meteor-cloud-run/Dockerfile not found. Please run "meteor-cloud-run init" first.'));
+    return null;
+  }
+
+  let settingsStorage;
+  let buildCache;
+  try {
+    settingsStorage = getSettingsStorage(config);
+    buildCache = getBuildCache(config);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    return null;
+  }
+
+  try {
+    await executeCommand('docker --version');
+  } catch (error) {
+    console.log(chalk.red('❌ Docker is required for local builds but was not found.'));
+    console.log(chalk.yellow('💡 Install Docker Desktop or Docker Engine and make sure the daemon is running.'));
+    return null;
+  }
+
+  await syncGeneratedDockerfile(config, settingsStorage);
+
+  const image = options.image || getLocalImageName(config);
+  if (options.buildCache === false) {
+    console.log(chalk.blue('🧹 Building without cached layers'));
+  }
+  console.log(chalk.blue(`🐳 Building ${image} from .meteor-cloud-run/Dockerfile...`));
+
+  // Cache mounts need BuildKit, which older Docker versions don't use by default
+  const code = await executeCommandAttached(
+    getDockerBuildCommand(image, { noCache: options.buildCache === false }),
+    buildCache.mounts ? { DOCKER_BUILDKIT: '1' } : {}
+  );
+  if (code !== 0) {
+    console.log(chalk.red(`❌ Docker build failed with exit code ${code}`));
+    return null;
+  }
+
+  console.log(chalk.green(`✅ Built ${image}`));
+  return image;
+}
+
+async function buildCommand(options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  // Cloud builds run as part of every deploy
+  if (!options.local) {
+    console.log(chalk.red('❌ Only local builds are supported, use "meteor-cloud-run build --local".'));
+    console.log(chalk.yellow('💡 "meteor-cloud-run deploy" builds the image with Cloud Build.'));
+    process.exit(1);
+  }
+
+  const config = await loadCommandConfig(getGlobalOptions());
+  if (!(await buildLocalImage(config, options))) {
+    process.exit(1);
+  }
+  console.log(chalk.blue('💡 Start it with "meteor-cloud-run run-local".'));
+}
+
+async function runLocalCommand(options) {
+  if (options.verbose) {
+    require('./utils').setVerboseMode(true);
+    verboseLog('Verbose mode enabled');
+  }
+
+  const config = await loadCommandConfig(getGlobalOptions());
+
+  let port;
+  try {
+    port = parsePort(options.port || CONTAINER_PORT);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const settingsFile = findSettingsFile(config, options.settings);
+  let settingsData = null;
+  let mongoUrl = null;
+  if (settingsFile) {
+    console.log(chalk.blue(`📄 Reading settings from: ${settingsFile}`));
+    try {
+      settingsData = await fs.readJson(settingsFile);
+      const autoDetectedConfig = await extractConfigFromSettings(settingsData);
+      applyDetectedEnvironment(config, autoDetectedConfig);
+      mongoUrl = autoDetectedConfig.mongoUrl;
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to process settings file: ${sanitizeErrorMessage(error, settingsFile)}`));
+      process.exit(1);
+    }
+  } else {
+    console.log(chalk.yellow('⚠️ No settings file found. METEOR_SETTINGS will not be available.'));
+  }
+
+  if (!mongoUrl) {
+    console.log(chalk.yellow('⚠️ No MongoDB URL detected. Your app may fail to start without a database connection.'));
+  } else if (pointsAtLocalhost(mongoUrl)) {
+    console.log(chalk.yellow('⚠️ MONGO_URL points at localhost, which inside the container is the container itself.'));
+    console.log(chalk.yellow('💡 Use host.docker.internal instead to reach a database running on this machine.'));
+  }
+
+  let env;
+  try {
+    env = formatEnvFile(buildLocalEnvironment(config, mongoUrl, settingsData, port));
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  let image = options.image || getLocalImageName(config);
+  if (options.build) {
+    image = await buildLocalImage(config, options);
+    if (!image) {
+      process.exit(1);
+    }
+  } else {
+    try {
+      await executeCommand(`docker image inspect ${escapeShellArg(image)} --format="{{.Id}}"`);
+    } catch (error) {
+      console.log(chalk.red(`❌ Image ${image} not found.`));
+      console.log(chalk.yellow('💡 Run "meteor-cloud-run build --local" first, or add --build.'));
+      process.exit(1);
+    }
+  }
+
+  // Pass the environment in a private file so values stay off the command line
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'meteor-cloud-run-'));
+  const envFile = path.join(tempDir, 'env');
+  await fs.writeFile(envFile, env, { mode: 0o600 });
+
+  console.log(chalk.blue(`🐳 Starting ${image} on http://localhost:${port} (Ctrl+C to stop)...`));
+
+  // Ctrl+C also reaches docker, which stops the container, let it finish first
+  const waitForContainer = () => {};
+  process.on('SIGINT', waitForContainer);
+  let code;
+  try {
+    code = await executeCommandAttached(getDockerRunCommand(image, {
+      name: `${getServiceName(config)}-local`,
+      port,
+      envFile
+    }));
+  } finally {
+    process.removeListener('SIGINT', waitForContainer);
+    await fs.remove(tempDir);
+  }
+
+  // 130 is the exit code of a container stopped with Ctrl+C
+  if (code !== 0 && code !== 130) {
+    console.log(chalk.red(`❌ Container exited with code ${code}`));
+    process.exit(code);
+  }
+  console.log(chalk.green('✅ Container stopped'));
+}
+
 // Export individual command functions and a registry
 module.exports = {
   initCommand,
   deployCommand,
+  rollbackCommand,
+  promoteCommand,
+  abortCanaryCommand,
+  logsCommand,
+  historyCommand,
+  infoCommand,
+  removeCommand,
+  migrateDomainCommand,
+  listSecretsCommand,
+  buildCommand,
+  runLocalCommand,
+  envListCommand,
+  envGetCommand,
+  envSetCommand,
+  envUnsetCommand,
+  secretsListCommand,
+  secretsSetCommand,
+  secretsRotateCommand,
+  secretsDestroyOldCommand,
+  domainsListCommand,
+  domainsAddCommand,
+  domainsRemoveCommand,
+  domainsSetPrimaryCommand,
+  domainsSyncCommand,
+  securityListCommand,
+  securityUpdateCommand,
+  cdnInvalidateCommand,
   
   // Command registry for easy access
   commands: {
     init: initCommand,
-    deploy: deployCommand
+    deploy: deployCommand,
+    rollback: rollbackCommand,
+    promote: promoteCommand,
+    'abort-canary': abortCanaryCommand,
+    logs: logsCommand,
+    history: historyCommand,
+    info: infoCommand,
+    remove: removeCommand,
+    'migrate-domain': migrateDomainCommand,
+    'list-secrets': listSecretsCommand,
+    build: buildCommand,
+    'run-local': runLocalCommand,
+    'env list': envListCommand,
+    'env get': envGetCommand,
+    'env set': envSetCommand,
+    'env unset': envUnsetCommand,
+    'secrets list': secretsListCommand,
+    'secrets set': secretsSetCommand,
+    'secrets rotate': secretsRotateCommand,
+    'secrets destroy-old': secretsDestroyOldCommand,
+    'domains list': domainsListCommand,
+    'domains add': domainsAddCommand,
+    'domains remove': domainsRemoveCommand,
+    'domains set-primary': domainsSetPrimaryCommand,
+    'domains sync': domainsSyncCommand,
+    'security list': securityListCommand,
+    'security update': securityUpdateCommand,
+    'cdn invalidate': cdnInvalidateCommand
   }
 };
\ No newline at end of file
@@ -0,0 +1,199 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getServiceName, sanitizeServiceName } = require('./utils');
+
+// Keys that describe the cloud resources of a single deployment. Environment
+// profiles never inherit these from the base configuration, otherwise a
+// staging deploy would try to reuse the production domain and load balancer.
+const NON_INHERITED_KEYS = [
+  'customDomain',
+  'customDomains',
+  'redirects',
+  'useLoadBalancer',
+  'useManagedSSL',
+  'useStaticIP',
+  'createStaticOutboundIp',
+  'enableLoadBalancerMigration',
+  'loadBalancerResources',
+  'rootUrl'
+];
+
+// Keys that only live in memory for the duration of a command. rootUrl is
+// read from the settings or resolved again by every deploy.
+const TRANSIENT_KEYS = ['rawSettings', 'meteorSettings', 'environment', 'rootUrl'];
+
+/**
+ * Get config file path with fallback support for legacy locations
+ * @returns {string} Path to the configuration file
+ */
+function getConfigFilePath() {
+  const newPath = path.join('.meteor-cloud-run', 'config.json');
+  const oldNewPath = path.join('.meteor-cloud-run', '.meteor-cloud-run.json'); // Previous new path for migration
+  const oldPath = '.meteor-cloud-run.json'; // Original old path
+
+  // Check new location first, then previous new location, finally old location for backward compatibility
+  if (fs.existsSync(newPath)) {
+    return newPath;
+  } else if (fs.existsSync(oldNewPath)) {
+    return oldNewPath;
+  } else if (fs.existsSync(oldPath)) {
+    return oldPath;
+  }
+  return newPath; // Return new path for creation
+}
+
+/**
+ * Parse global options from process.argv for command handlers that
+ * don't have access to the commander program instance
+ * @returns {Object} Global options (project, serviceAccountKey, env, output)
+ */
+function getGlobalOptions() {
+  const globalOptions = {};
+  const argv = process.argv;
+  const flags = {
+    '--project': 'project',
+    '--service-account-key': 'serviceAccountKey',
+    '--env': 'env',
+    '--output': 'output'
+  };
+
+  argv.forEach((arg, index) => {
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    if (arg === '--json') {
+      globalOptions.output = 'json';
+    } else if (flags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[index + 1];
+      if (value && !value.startsWith('--')) {
+        globalOptions[flags[flag]] = value;
+      }
+    }
+  });
+
+  return globalOptions;
+}
+
+/**
+ * Validate an environment profile name
+ * @param {string} environment - Environment name (e.g. "staging")
+ */
+function validateEnvironmentName(environment) {
+  if (!/^[a-z][a-z0-9-]{0,19}$/.test(environment)) {
+    throw new Error('Environment name must start with a lowercase letter and contain only lowercase letters, numbers, and hyphens (max 20 characters)');
+  }
+}
+
+/**
+ * Derive the service name for an environment profile that doesn't pin one
+ * @param {Object} baseConfig - Base configuration (without profile overrides)
+ * @param {string} environment - Environment name
+ * @returns {string} Service name such as "my-app-staging"
+ */
+function getEnvironmentServiceName(baseConfig, environment) {
+  return sanitizeServiceName(`${getServiceName(baseConfig)}-${environment}`);
+}
+
+/**
+ * Merge an environment profile over the base configuration
+ * @param {Object} fileConfig - Configuration as stored on disk
+ * @param {string|null} environment - Environment name, or null for the base configuration
+ * @returns {Object} Resolved configuration for the selected environment
+ */
+function resolveEnvironment(fileConfig, environment = null) {
+  if (!environment) {
+    return { ...fileConfig };
+  }
+
+  validateEnvironmentName(environment);
+
+  const environments = fileConfig.environments || {};
+  const profile = environments[environment];
+  if (!profile) {
+    const available = Object.keys(environments);
+    throw new Error(`Environment "${environment}" not found in configuration. Available environments: ${available.length > 0 ? available.join(', ') : 'none'}`);
+  }
+
+  const baseConfig = { ...fileConfig };
+  delete baseConfig.environments;
+
+  const inherited = { ...baseConfig };
+  NON_INHERITED_KEYS.forEach(key => delete inherited[key]);
+
+  return {
+    ...inherited,
+    ...profile,
+    serviceName: profile.serviceName || getEnvironmentServiceName(baseConfig, environment),
+    environment
+  };
+}
+
+/**
+ * Load the configuration file and resolve the selected environment profile
+ * @param {string|null} environment - Environment name from --env
+ * @returns {Promise<Object|null>} Resolved configuration, or null if not initialized
+ */
+async function loadConfig(environment = null) {
+  const configPath = getConfigFilePath();
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  const fileConfig = await fs.readJson(configPath);
+  return resolveEnvironment(fileConfig, environment);
+}
+
+/**
+ * Save configuration, writing environment-specific changes into the profile
+ * instead of the base configuration
+ * @param {Object} config - Resolved configuration
+ */
+async function saveConfig(config) {
+  const configPath = getConfigFilePath();
+  const cleanConfig = { ...config };
+  TRANSIENT_KEYS.forEach(key => delete cleanConfig[key]);
+
+  if (!config.environment) {
+    await fs.ensureDir(path.dirname(configPath));
+    await fs.writeJson(configPath, cleanConfig, { spaces: 2 });
+    return;
+  }
+
+  // Only persist values that differ from what the profile already resolves to
+  const fileConfig = await fs.readJson(configPath);
+  const current = resolveEnvironment(fileConfig, config.environment);
+  const profile = fileConfig.environments[config.environment];
+
+  Object.entries(cleanConfig).forEach(([key, value]) => {
+    if (key !== 'environments' && JSON.stringify(value) !== JSON.stringify(current[key])) {
+      profile[key] = value;
+    }
+  });
+
+  await fs.writeJson(configPath, fileConfig, { spaces: 2 });
+}
+
+/**
+ * Remove deployment state (e.g. load balancer resources) from an environment
+ * profile after its cloud resources were deleted
+ * @param {string} environment - Environment name
+ */
+async function clearEnvironmentState(environment) {
+  const configPath = getConfigFilePath();
+  const fileConfig = await fs.readJson(configPath);
+  const profile = fileConfig.environments?.[environment];
+
+  if (profile) {
+    delete profile.loadBalancerResources;
+    await fs.writeJson(configPath, fileConfig, { spaces: 2 });
+  }
+}
+
+module.exports = {
+  getConfigFilePath,
+  getGlobalOptions,
+  validateEnvironmentName,
+  getEnvironmentServiceName,
+  resolveEnvironment,
+  loadConfig,
+  saveConfig,
+  clearEnvironmentState
+};
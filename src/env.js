@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const { executeCommand, escapeShellArg } = require('./utils');
+
+// Variables deploy sets from the configuration, secrets and settings storage.
+// `env set` and `env unset` leave them alone, the next deploy would undo it.
+const MANAGED_ENV_VARS = [
+  'PORT',
+  'ROOT_URL',
+  'MONGO_URL',
+  'MONGO_OPLOG_URL',
+  'MAIL_URL',
+  'METEOR_SETTINGS',
+  'METEOR_SETTINGS_GCS_BUCKET',
+  'METEOR_SETTINGS_GCS_FILE',
+  'HTTP_FORWARDED_COUNT',
+  'DISABLE_WEBSOCKETS'
+];
+
+// Delimiters gcloud accepts in place of "," when values contain commas
+const LIST_DELIMITERS = ['##', '@@', '%%', '~~'];
+
+/**
+ * Checks that a variable name is valid and can be changed with `env`
+ * @param {string} key - Environment variable name
+ * @returns {string} The name
+ */
+function validateEnvKey(key) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key || '')) {
+    throw new Error(`Invalid environment variable name "${key}"`);
+  }
+  if (MANAGED_ENV_VARS.includes(key)) {
+    throw new Error(`${key} is set by deploy. Change it in the settings file or configuration and run "meteor-cloud-run deploy"`);
+  }
+  return key;
+}
+
+/**
+ * Parses KEY=VALUE arguments of `env set`
+ * @param {Array<string>} assignments - Arguments from the command line
+ * @returns {Object} Values by name
+ */
+function parseEnvAssignments(assignments) {
+  if (!assignments || assignments.length === 0) {
+    throw new Error('Give at least one KEY=VALUE');
+  }
+  const values = {};
+  assignments.forEach(assignment => {
+    const index = assignment.indexOf('=');
+    if (index < 1) {
+      throw new Error(`Expected KEY=VALUE, got "${assignment}"`);
+    }
+    values[validateEnvKey(assignment.slice(0, index))] = assignment.slice(index + 1);
+  });
+  return values;
+}
+
+/**
+ * Reads the environment of the service's current template
+ * @param {Object} service - Service description from describeService()
+ * @returns {Object} { env: { KEY: value }, secrets: { KEY: 'secret:version' } }
+ */
+function getServiceEnvironment(service) {
+  const entries = service.spec?.template?.spec?.containers?.[0]?.env || [];
+  const env = {};
+  const secrets = {};
+  entries.forEach(entry => {
+    const ref = entry.valueFrom?.secretKeyRef;
+    if (ref) {
+      secrets[entry.name] = `${ref.name}:${ref.key}`;
+    } else {
+      env[entry.name] = entry.value === undefined ? '' : entry.value;
+    }
+  });
+  return { env, secrets };
+}
+
+/**
+ * Compares the variables `env` manages on the service with the ones a deploy
+ * from the settings file would set
+ * @param {Object} live - Plain variables on the service
+ * @param {Array<string>} envVars - KEY=value list from getDeploymentEnvironment()
+ * @returns {Array<Object>} { key, action: 'add'|'change'|'remove', live, settings }
+ */
+function diffEnvironment(live, envVars) {
+  const desired = {};
+  envVars.forEach(envVar => {
+    const [key, ...rest] = envVar.split('=');
+    desired[key] = rest.join('=');
+  });
+
+  const keys = [...new Set([...Object.keys(live), ...Object.keys(desired)])]
+    .filter(key => !MANAGED_ENV_VARS.includes(key))
+    .sort();
+
+  const changes = [];
+  keys.forEach(key => {
+    if (!(key in live)) {
+      changes.push({ key, action: 'add', live: null, settings: desired[key] });
+    } else if (!(key in desired)) {
+      changes.push({ key, action: 'remove', live: live[key], settings: null });
+    } else if (live[key] !== desired[key]) {
+      changes.push({ key, action: 'change', live: live[key], settings: desired[key] });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Formats a gcloud list flag, switching to another delimiter when a value
+ * contains a comma
+ * @param {string} flag - Flag name, e.g. --update-env-vars
+ * @param {Array<string>} items - List items
+ * @returns {string} Shell-escaped flag
+ */
+function formatListFlag(flag, items) {
+  if (!items.some(item => item.includes(','))) {
+    return `${flag}=${escapeShellArg(items.join(','))}`;
+  }
+  const delimiter = LIST_DELIMITERS.find(d => !items.some(item => item.includes(d)));
+  if (!delimiter) {
+    throw new Error('Values contain every supported list delimiter');
+  }
+  return `${flag}=${escapeShellArg(`^${delimiter}^${items.join(delimiter)}`)}`;
+}
+
+/**
+ * Sets and removes variables on the service. Cloud Run creates a new revision
+ * from the same image, nothing is rebuilt.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Object} changes - { set: { KEY: value }, remove: ['KEY'] }
+ */
+async function updateServiceEnvironment(config, serviceName, changes) {
+  const flags = [];
+  const set = Object.entries(changes.set || {}).map(([key, value]) => `${key}=${value}`);
+  if (set.length > 0) {
+    flags.push(formatListFlag('--update-env-vars', set));
+  }
+  if (changes.remove && changes.remove.length > 0) {
+    flags.push(formatListFlag('--remove-env-vars', changes.remove));
+  }
+  await executeCommand(
+    `gcloud run services update ${serviceName} --region=${config.region} --project=${config.projectId} ${flags.join(' ')} --quiet`
+  );
+}
+
+/**
+ * Writes changes to the meteor-cloud-run.env section of a settings file, so
+ * the next deploy keeps them. When the section doesn't exist yet it starts
+ * from the section deploy currently reads, because it takes precedence over
+ * galaxy.meteor.com.env and env.
+ * @param {string} settingsFile - Path to the settings file
+ * @param {Object} changes - { set: { KEY: value }, remove: ['KEY'] }
+ */
+async function writeSettingsEnvironment(settingsFile, changes) {
+  const settings = await fs.readJson(settingsFile);
+  if (!settings['meteor-cloud-run'] || typeof settings['meteor-cloud-run'] !== 'object') {
+    settings['meteor-cloud-run'] = {};
+  }
+  const section = settings['meteor-cloud-run'];
+  if (!section.env) {
+    section.env = { ...(settings['galaxy.meteor.com']?.env || settings.env || {}) };
+  }
+
+  Object.assign(section.env, changes.set || {});
+  (changes.remove || []).forEach(key => {
+    delete section.env[key];
+  });
+
+  await fs.writeJson(settingsFile, settings, { spaces: 2 });
+}
+
+module.exports = {
+  MANAGED_ENV_VARS,
+  validateEnvKey,
+  parseEnvAssignments,
+  getServiceEnvironment,
+  diffEnvironment,
+  formatListFlag,
+  updateServiceEnvironment,
+  writeSettingsEnvironment
+};
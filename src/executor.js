@@ -0,0 +1,282 @@
+const childProcess = require('child_process');
+const https = require('https');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+
+// Replay canned responses from a fixture file instead of running commands
+const REPLAY_ENV = 'METEOR_CLOUD_RUN_REPLAY';
+// Record every command and its result to a fixture file
+const RECORD_ENV = 'METEOR_CLOUD_RUN_RECORD';
+
+// Commands whose output is a secret: Secret Manager values, settings files
+// from the settings bucket and access tokens. Recordings keep a placeholder.
+const SECRET_OUTPUT_COMMANDS = [
+  /\bsecrets versions access\b/,
+  /\bgsutil cat gs:\/\/\S+\/settings-[^/\s]*\.json\b/,
+  /\bprint-access-token\b/
+];
+const REDACTED_OUTPUT = '<redacted>';
+
+/**
+ * Runs commands on this machine. Executors implement the subset of
+ * child_process and https used by utils.js: execSync(command, options),
+ * spawn(command, args, options) and request(options, callback).
+ */
+const realExecutor = {
+  execSync: (command, options) => childProcess.execSync(command, options),
+  spawn: (command, args, options) => childProcess.spawn(command, args, options),
+  request: (options, callback) => https.request(options, callback)
+};
+
+let currentExecutor = null;
+
+/**
+ * Creates the error execSync throws for a failed command
+ * @param {string} command - Command that failed
+ * @param {Object} response - { stdout, stderr, exitCode }
+ * @returns {Error} Error with stdout, stderr and status
+ */
+function createCommandError(command, response) {
+  const error = new Error(`Command failed: ${command}\n${response.stderr || ''}`);
+  error.stdout = response.stdout || '';
+  error.stderr = response.stderr || '';
+  error.status = response.exitCode;
+  return error;
+}
+
+/**
+ * Checks whether a fake response rule applies to a command. Rules match
+ * the exact `command`, a `match` substring or RegExp, or a `pattern`
+ * regular expression source (for JSON fixtures).
+ * @param {Object} rule - Response rule
+ * @param {string} command - Command being run
+ * @returns {boolean} True if the rule applies
+ */
+function ruleMatches(rule, command) {
+  if (rule.command !== undefined) {
+    return rule.command === command;
+  }
+  if (rule.pattern !== undefined) {
+    return new RegExp(rule.pattern).test(command);
+  }
+  if (rule.match instanceof RegExp) {
+    return rule.match.test(command);
+  }
+  return command.includes(rule.match);
+}
+
+/**
+ * Creates an executor that never runs anything and answers each command
+ * with the first matching rule. Rules with `times` are used up after that
+ * many matches, so later rules can describe the same command's next state.
+ * Commands without a rule fail like a missing binary. HTTPS requests are
+ * matched as "GET https://host/path", answered with `stdout` as the body and
+ * `statusCode` (200 by default), and fail like a network error without a rule.
+ * @param {Array<Object>} rules - { command|match|pattern, stdout, stderr, exitCode, statusCode, times }
+ * @returns {Object} Executor with `calls` (commands run, in order) and `respond(rule)`
+ */
+function createFakeExecutor(rules = []) {
+  const pending = rules.map(rule => ({ ...rule }));
+  const calls = [];
+
+  const respond = command => {
+    calls.push(command);
+    const rule = pending.find(r => r.times !== 0 && ruleMatches(r, command));
+    if (!rule) {
+      return { stdout: '', stderr: `No fake response for: ${command}`, exitCode: 127 };
+    }
+    if (rule.times !== undefined) {
+      rule.times--;
+    }
+    return { stdout: rule.stdout || '', stderr: rule.stderr || '', exitCode: rule.exitCode || 0, statusCode: rule.statusCode || 200 };
+  };
+
+  return {
+    calls,
+
+    /**
+     * Adds a rule after the initial ones
+     * @param {Object} rule - Response rule
+     */
+    respond(rule) {
+      pending.push({ ...rule });
+    },
+
+    /**
+     * Lists the commands run that match a substring or RegExp
+     * @param {string|RegExp} match - Pattern
+     * @returns {Array<string>} Matching commands
+     */
+    callsMatching(match) {
+      return calls.filter(command => ruleMatches({ match }, command));
+    },
+
+    execSync(command) {
+      const response = respond(command);
+      if (response.exitCode !== 0) {
+        throw createCommandError(command, response);
+      }
+      return response.stdout;
+    },
+
+    spawn(command) {
+      const response = respond(command);
+      const child = new EventEmitter();
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+
+      setImmediate(() => {
+        if (response.stdout) {
+          child.stdout.emit('data', Buffer.from(response.stdout));
+        }
+        if (response.stderr) {
+          child.stderr.emit('data', Buffer.from(response.stderr));
+        }
+        child.emit('close', response.exitCode);
+      });
+
+      return child;
+    },
+
+    request(options, callback) {
+      const response = respond(`${options.method || 'GET'} https://${options.hostname}${options.path}`);
+      const req = new EventEmitter();
+      req.destroy = () => {};
+      req.end = () => {
+        setImmediate(() => {
+          if (response.exitCode !== 0) {
+            req.emit('error', new Error(response.stderr));
+            return;
+          }
+          const res = new EventEmitter();
+          res.statusCode = response.statusCode;
+          callback(res);
+          res.emit('data', response.stdout);
+          res.emit('end');
+        });
+      };
+      return req;
+    }
+  };
+}
+
+/**
+ * Gets the output of a command as it is recorded, without secret values
+ * @param {string} command - Command line
+ * @param {*} output - Output of the command
+ * @returns {string} Output, or a placeholder for commands that print secrets
+ */
+function getRecordedOutput(command, output) {
+  if (!output) {
+    return '';
+  }
+  return SECRET_OUTPUT_COMMANDS.some(pattern => pattern.test(command)) ? REDACTED_OUTPUT : output.toString();
+}
+
+/**
+ * Creates an executor that runs commands with another executor and records
+ * each command and its result as an exact-match rule for createFakeExecutor()
+ * @param {Object} inner - Executor that actually runs the commands
+ * @returns {Object} Executor with `recording` (the rules recorded so far)
+ */
+function createRecordingExecutor(inner = realExecutor) {
+  const recording = [];
+
+  return {
+    recording,
+
+    execSync(command, options) {
+      try {
+        const stdout = inner.execSync(command, options);
+        recording.push({ command, stdout: getRecordedOutput(command, stdout) });
+        return stdout;
+      } catch (error) {
+        recording.push({
+          command,
+          stdout: getRecordedOutput(command, error.stdout),
+          stderr: error.stderr ? error.stderr.toString() : error.message,
+          exitCode: error.status || 1
+        });
+        throw error;
+      }
+    },
+
+    spawn(command, args, options) {
+      const child = inner.spawn(command, args, options);
+      const entry = { command, stdout: '', stderr: '', exitCode: 0 };
+      // Attached commands write to the terminal, there is no output to record
+      if (child.stdout) {
+        child.stdout.on('data', data => { entry.stdout += data.toString(); });
+        child.stderr.on('data', data => { entry.stderr += data.toString(); });
+      }
+      child.on('close', code => {
+        entry.exitCode = code;
+        recording.push(entry);
+      });
+      return child;
+    },
+
+    // Requests aren't recorded, replays treat them as network errors
+    request: (options, callback) => inner.request(options, callback)
+  };
+}
+
+/**
+ * Creates the executor selected by the environment: a replay of the fixture
+ * in METEOR_CLOUD_RUN_REPLAY, a recording to METEOR_CLOUD_RUN_RECORD, or the
+ * real executor
+ * @returns {Object} Executor
+ */
+function createExecutorFromEnvironment() {
+  if (process.env[REPLAY_ENV]) {
+    return createFakeExecutor(fs.readJsonSync(process.env[REPLAY_ENV]));
+  }
+
+  if (process.env[RECORD_ENV]) {
+    const file = process.env[RECORD_ENV];
+    const recorder = createRecordingExecutor(realExecutor);
+    process.on('exit', () => {
+      fs.writeJsonSync(file, recorder.recording, { spaces: 2 });
+    });
+    return recorder;
+  }
+
+  return realExecutor;
+}
+
+/**
+ * Gets the executor all commands go through
+ * @returns {Object} Current executor
+ */
+function getExecutor() {
+  if (!currentExecutor) {
+    currentExecutor = createExecutorFromEnvironment();
+  }
+  return currentExecutor;
+}
+
+/**
+ * Replaces the executor, e.g. with createFakeExecutor() in tests
+ * @param {Object} executor - Executor to use
+ */
+function setExecutor(executor) {
+  currentExecutor = executor;
+}
+
+/**
+ * Goes back to the executor selected by the environment
+ */
+function resetExecutor() {
+  currentExecutor = null;
+}
+
+module.exports = {
+  REPLAY_ENV,
+  RECORD_ENV,
+  realExecutor,
+  createFakeExecutor,
+  createRecordingExecutor,
+  getExecutor,
+  setExecutor,
+  resetExecutor
+};
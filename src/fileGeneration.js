@@ -1,7 +1,38 @@
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
-const { detectMeteorVersion, getCompatibleBaseImage, getServiceName, getSecretName } = require('./utils');
+const { verboseLog, detectMeteorVersion, getCompatibleBaseImage, getRuntimeImage, getServiceName, getSecretName } = require('./utils');
+const { getSecretEnvVars, getEnvSecretName } = require('./secrets');
+const { saveConfig } = require('./config');
+const { getRuntimeFlags } = require('./runtimeOptions');
+const { formatListFlag } = require('./env');
+
+// Where METEOR_SETTINGS are kept between deploys (config.settingsStorage)
+const SETTINGS_STORAGES = ['gcs', 'secret-manager'];
+
+// Secret Manager payloads are limited to 64 KiB
+const MAX_SECRET_SETTINGS_BYTES = 64 * 1024;
+
+// Settings secret versions kept for rollback, like the GCS lifecycle policy below
+const SETTINGS_VERSIONS_KEPT = 5;
+
+// Dockerfile lines the startup script needs to download settings from GCS
+const SETTINGS_DOWNLOAD_TOOLS = `# Install curl and jq for GCS access
+RUN apt-get update && apt-get install -y curl jq && apt-get clean && rm -rf /var/lib/apt/lists/*
+
+`;
+
+// Line of the generated Dockerfile the download tools are installed before
+const STARTUP_SCRIPT_MARKER = '# Create startup script';
+
+// Line of the generated Dockerfile followed by the runtime image's FROM
+const PRODUCTION_STAGE_MARKER = '# Production stage';
+
+// Build stage of a generated Dockerfile (with the syntax line cache mounts need)
+const BUILD_STAGE_PATTERN = new RegExp(`^(?:# syntax=.*\\n)?# Build stage\\nFROM (\\S+) as builder\\n[\\s\\S]*?\\n(?=${PRODUCTION_STAGE_MARKER}\\n)`);
+
+// Moving image tags the build cache is pushed under, next to the deploy tags
+const BUILD_CACHE_TAGS = { builder: 'cache-builder', runtime: 'cache-runtime' };
 
 async function createDeploymentFiles(config, mongoUrl) {
   // Create the .meteor-cloud-run directory
@@ -9,10 +40,8 @@ async function createDeploymentFiles(config, mongoUrl) {
   await fs.ensureDir(deployDir);
 
   // Save clean configuration without any secrets or settings content
-  const cleanConfig = { ...config };
-  delete cleanConfig.meteorSettings; // Remove any temporary secrets
-  delete cleanConfig.rawSettings; // Never save raw settings to disk
-  await fs.writeJson(path.join(deployDir, 'config.json'), cleanConfig, { spaces: 2 });
+  // (temporary secrets and raw settings are stripped by saveConfig)
+  await saveConfig(config);
 
   // Detect Meteor version and get compatible base image
   const meteorVersion = await detectMeteorVersion();
@@ -28,8 +57,12 @@ async function createDeploymentFiles(config, mongoUrl) {
   const baseImage = await getCompatibleBaseImage(finalVersion);
   console.log(require('chalk').blue(`🐳 Using base image: ${baseImage}`));
 
+  const runtime = getRuntimeImage(config, finalVersion);
+  console.log(require('chalk').blue(`🐳 Using runtime image: ${runtime.image}`));
+  warnOnNodeVersionMismatch(runtime, finalVersion, config);
+
   // Generate Dockerfile
-  await createDockerfile(baseImage);
+  await createDockerfile(baseImage, config, runtime.image);
   
   // Generate startup script
   await createStartupScript();
@@ -40,25 +73,112 @@ async function createDeploymentFiles(config, mongoUrl) {
   // Generate cloudbuild.yaml
   await createCloudBuildConfig(config, mongoUrl);
 }
+/**
+ * Warns when the runtime image runs a different Node.js major than the one
+ * the Meteor release builds the bundle with
+ * @param {Object} runtime - Runtime image from getRuntimeImage()
+ * @param {string} meteorVersion - Meteor version
+ * @param {Object} config - Meteor Cloud Run configuration
+ */
+function warnOnNodeVersionMismatch(runtime, meteorVersion, config) {
+  const chalk = require('chalk');
+  if (!runtime.nodeVersion) {
+    verboseLog(`Can't tell the Node.js version of ${runtime.image}, expecting Node.js ${runtime.builderNodeVersion}`);
+    return;
+  }
+  if (runtime.nodeVersion !== runtime.builderNodeVersion) {
+    console.log(chalk.yellow(`⚠️ Meteor ${meteorVersion} builds with Node.js ${runtime.builderNodeVersion}, but the runtime image ${runtime.image} runs Node.js ${runtime.nodeVersion}`));
+    // Earlier versions of init wrote this value into every configuration without using it
+    if (!config.runtimeImage && String(config.nodeVersion) === '18') {
+      console.log(chalk.yellow('   "nodeVersion": "18" may have been written by an earlier version of init, which always ran Node.js 18'));
+    }
+    console.log(chalk.yellow('   Remove "nodeVersion" and "runtimeImage" from .meteor-cloud-run/config.json to use the matching runtime'));
+  }
+}
+
+/**
+ * Reads the `buildCache` block of the configuration
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Object} { enabled, mounts, key } with defaults applied
+ */
+function getBuildCache(config = {}) {
+  const buildCache = config.buildCache || {};
+  if (typeof buildCache !== 'object' || Array.isArray(buildCache)) {
+    throw new Error('buildCache must be an object, e.g. { "enabled": true }');
+  }
+
+  const key = buildCache.key !== undefined && buildCache.key !== null ? String(buildCache.key) : null;
+  if (key !== null && !/^[A-Za-z0-9_.-]{1,64}$/.test(key)) {
+    throw new Error(`Invalid buildCache.key "${key}". Use up to 64 letters, digits, dots, dashes or underscores`);
+  }
+
+  return {
+    enabled: buildCache.enabled === true,
+    mounts: buildCache.mounts === true,
+    key
+  };
+}
 
-async function createDockerfile(baseImage) {
-  const dockerfile = `# Build stage
+/**
+ * Gets the image tags the build cache is stored under. Changing
+ * buildCache.key moves to new tags, so the next build starts cold.
+ * @param {Object} buildCache - From getBuildCache()
+ * @returns {Object} { builder, runtime } tags
+ */
+function getBuildCacheTags(buildCache) {
+  const suffix = buildCache.key ? `-${buildCache.key}` : '';
+  return {
+    builder: `${BUILD_CACHE_TAGS.builder}${suffix}`,
+    runtime: `${BUILD_CACHE_TAGS.runtime}${suffix}`
+  };
+}
+
+/**
+ * Generates the build stage of the Dockerfile. Dependencies are installed
+ * before the app is copied, so the npm install layer is reused until
+ * package.json or package-lock.json change.
+ * @param {string} baseImage - meteor-base image
+ * @param {Object} buildCache - From getBuildCache()
+ * @returns {string} Dockerfile lines up to the production stage
+ */
+function createBuildStage(baseImage, buildCache) {
+  // BuildKit cache mounts keep the npm cache and Meteor's build cache between builds on the same builder
+  const npmCache = buildCache.mounts ? '--mount=type=cache,target=/root/.npm ' : '';
+  const meteorCache = buildCache.mounts ? '--mount=type=cache,target=/app/.meteor/local ' : '';
+
+  return `${buildCache.mounts ? '# syntax=docker/dockerfile:1\n' : ''}# Build stage
 FROM ${baseImage} as builder
 
+# Install dependencies first so this layer is cached until they change
+COPY package*.json /app/
+RUN ${npmCache}cd /app && \\
+    meteor npm install
+
 # Copy app files
 COPY . /app
 
 # Build the app
-RUN cd /app && \\
-    meteor npm install && \\
+RUN ${meteorCache}cd /app && \\
     meteor build --directory /opt/bundle --server-only
 
-# Production stage
-FROM node:18-slim
+`;
+}
+
+async function createDockerfile(baseImage, config = {}, runtimeImage = getRuntimeImage(config, config.meteorVersion).image) {
+  // Settings from Secret Manager arrive as an environment variable, no download tools needed
+  const downloadTools = getSettingsStorage(config) === 'gcs' ? SETTINGS_DOWNLOAD_TOOLS : '';
+
+  const dockerfile = `${createBuildStage(baseImage, getBuildCache(config))}${PRODUCTION_STAGE_MARKER}
+FROM ${runtimeImage}
 
 # Copy the built app
 COPY --from=builder /opt/bundle/bundle /app
 
+# Warn when the runtime Node.js major differs from the one the bundle was built with
+RUN BUILT=$(cat /app/.node_version.txt) && RUNNING=$(node --version) && \\
+    echo "Bundle built with Node.js $BUILT, running on $RUNNING" && \\
+    if [ "\${BUILT%%.*}" != "\${RUNNING%%.*}" ]; then echo "WARNING: Node.js major version mismatch between build and runtime"; fi
+
 # Install production dependencies
 WORKDIR /app/programs/server
 RUN npm install
@@ -67,10 +187,7 @@ RUN npm install
 WORKDIR /app
 ENV PORT=8080
 
-# Install curl and jq for GCS access
-RUN apt-get update && apt-get install -y curl jq && apt-get clean && rm -rf /var/lib/apt/lists/*
-
-# Create startup script
+${downloadTools}${STARTUP_SCRIPT_MARKER}
 COPY .meteor-cloud-run/meteor-cloud-run-startup.sh /meteor-cloud-run-startup.sh
 RUN chmod +x /meteor-cloud-run-startup.sh
 
@@ -88,6 +205,7 @@ async function createStartupScript() {
 #
 # Meteor Cloud Run startup script (meteor-cloud-run-startup.sh) for Meteor applications on Google Cloud Run
 # Handles METEOR_SETTINGS download from Google Cloud Storage
+# (settings kept in Secret Manager are set by Cloud Run directly)
 
 set -e
 
@@ -130,6 +248,8 @@ if [ ! -z "$METEOR_SETTINGS_GCS_BUCKET" ] && [ ! -z "$METEOR_SETTINGS_GCS_FILE"
         echo 'ERROR: Failed to download settings from GCS'
         exit 1
     fi
+elif [ ! -z "$METEOR_SETTINGS" ]; then
+    echo 'METEOR_SETTINGS provided by the environment'
 else
     echo 'No GCS settings configured'
 fi
@@ -149,7 +269,126 @@ node_modules`;
   await fs.writeFile(path.join('.meteor-cloud-run', '.dockerignore'), dockerignore.replace(/\r\n/g, '\n').replace(/\r/g, '\n'));
 }
 
-async function createCloudBuildConfig(config, mongoUrl, settingsInfo = null) {
+/**
+ * Adds or removes the GCS download tools in an existing Dockerfile to match
+ * the settings storage, so switching storage needs no `init`
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Promise<boolean>} True if the Dockerfile was changed
+ */
+async function syncDockerfileSettingsTools(config) {
+  const dockerfilePath = path.join('.meteor-cloud-run', 'Dockerfile');
+  if (!fs.existsSync(dockerfilePath)) {
+    return false;
+  }
+
+  const dockerfile = await fs.readFile(dockerfilePath, 'utf8');
+  const hasTools = dockerfile.includes(SETTINGS_DOWNLOAD_TOOLS);
+  let updated = dockerfile;
+
+  if (getSettingsStorage(config) === 'gcs') {
+    // Only the generated layout is known, leave customised Dockerfiles alone
+    if (!hasTools && dockerfile.includes(STARTUP_SCRIPT_MARKER)) {
+      updated = dockerfile.replace(STARTUP_SCRIPT_MARKER, `${SETTINGS_DOWNLOAD_TOOLS}${STARTUP_SCRIPT_MARKER}`);
+    }
+  } else if (hasTools) {
+    updated = dockerfile.replace(SETTINGS_DOWNLOAD_TOOLS, '');
+  }
+
+  if (updated === dockerfile) {
+    return false;
+  }
+  await fs.writeFile(dockerfilePath, updated);
+  return true;
+}
+
+/**
+ * Points the production stage of an existing Dockerfile at the runtime image
+ * for the configured Node.js version, so `nodeVersion` and `runtimeImage`
+ * changes need no `init`
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Promise<string|null>} New runtime image, or null if unchanged
+ */
+async function syncDockerfileRuntimeImage(config) {
+  const dockerfilePath = path.join('.meteor-cloud-run', 'Dockerfile');
+  if (!fs.existsSync(dockerfilePath)) {
+    return null;
+  }
+
+  const dockerfile = await fs.readFile(dockerfilePath, 'utf8');
+  const fromLine = dockerfile.match(new RegExp(`${PRODUCTION_STAGE_MARKER}\\nFROM (\\S+)`));
+  if (!fromLine) {
+    // Customised Dockerfile, leave it alone
+    return null;
+  }
+
+  const meteorVersion = (await detectMeteorVersion()) || config.meteorVersion;
+  const runtime = getRuntimeImage(config, meteorVersion);
+  warnOnNodeVersionMismatch(runtime, meteorVersion || '2.12', config);
+  if (fromLine[1] === runtime.image) {
+    return null;
+  }
+
+  await fs.writeFile(dockerfilePath, dockerfile.replace(fromLine[0], `${PRODUCTION_STAGE_MARKER}\nFROM ${runtime.image}`));
+  return runtime.image;
+}
+
+/**
+ * Regenerates the build stage of an existing Dockerfile for the current
+ * buildCache settings, keeping its base image
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Promise<boolean>} True if the Dockerfile was changed
+ */
+async function syncDockerfileBuildStage(config) {
+  const dockerfilePath = path.join('.meteor-cloud-run', 'Dockerfile');
+  if (!fs.existsSync(dockerfilePath)) {
+    return false;
+  }
+
+  const dockerfile = await fs.readFile(dockerfilePath, 'utf8');
+  const buildStage = dockerfile.match(BUILD_STAGE_PATTERN);
+  if (!buildStage) {
+    // Customised Dockerfile, leave it alone
+    return false;
+  }
+
+  const updated = dockerfile.replace(buildStage[0], createBuildStage(buildStage[1], getBuildCache(config)));
+  if (updated === dockerfile) {
+    return false;
+  }
+  await fs.writeFile(dockerfilePath, updated);
+  return true;
+}
+
+/**
+ * Gets where METEOR_SETTINGS are stored between deploys
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {string} "gcs" (default) or "secret-manager"
+ */
+function getSettingsStorage(config = {}) {
+  const storage = config.settingsStorage || 'gcs';
+  if (!SETTINGS_STORAGES.includes(storage)) {
+    throw new Error(`Unknown settingsStorage "${storage}". Use "gcs" or "secret-manager"`);
+  }
+  return storage;
+}
+
+/**
+ * Gets the Secret Manager secret holding a service's settings
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {string} Secret name
+ */
+function getSettingsSecretName(serviceName) {
+  return getSecretName(serviceName, 'settings');
+}
+
+/**
+ * Work out the environment variables and secrets a deploy sets on the service
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} mongoUrl - MongoDB connection string
+ * @param {Object|null} settingsInfo - Settings location from uploadSettingsToGCS() or uploadSettingsToSecretManager()
+ * @returns {Object} { envVars: ['KEY=value'], secrets: ['KEY=secret:latest'], secretsToCreate: [{ name, value, envName }] }
+ */
+function getDeploymentEnvironment(config, mongoUrl, settingsInfo = null) {
   const serviceName = getServiceName(config);
   // Separate sensitive and non-sensitive variables
   let envVars = [`ROOT_URL=${config.rootUrl || 'https://placeholder.run.app'}`];
@@ -164,10 +403,14 @@ async function createCloudBuildConfig(config, mongoUrl, settingsInfo = null) {
     envVars.push(`DISABLE_WEBSOCKETS=${config.disableWebsockets}`);
   }
   
-  // Add all additional environment variables from Galaxy or other sources
+  // Add all additional environment variables from Galaxy or other sources,
+  // except the ones promoted to secrets with secretEnvVars
+  const secretEnvVars = getSecretEnvVars(config);
   if (config.additionalEnvVars) {
     Object.entries(config.additionalEnvVars).forEach(([key, value]) => {
-      envVars.push(`${key}=${value}`);
+      if (!secretEnvVars.includes(key)) {
+        envVars.push(`${key}=${value}`);
+      }
     });
   }
   
@@ -191,22 +434,86 @@ async function createCloudBuildConfig(config, mongoUrl, settingsInfo = null) {
     secretsToCreate.push({ name: secretName, value: config.mailUrl, envName: 'MAIL_URL' });
     secrets.push(`MAIL_URL=${secretName}:latest`);
   }
+
+  // Without a value in the settings file the secret is mounted as it is,
+  // e.g. after "meteor-cloud-run secrets set"
+  secretEnvVars.forEach(envName => {
+    const secretName = getEnvSecretName(serviceName, envName);
+    const value = config.additionalEnvVars?.[envName];
+    if (value !== undefined && value !== null && value !== '') {
+      secretsToCreate.push({ name: secretName, value: String(value), envName });
+    }
+    secrets.push(`${envName}=${secretName}:latest`);
+  });
   
-  // Add METEOR_SETTINGS via pre-created GCS bucket (if provided)
-  if (settingsInfo) {
+  // Mount METEOR_SETTINGS from Secret Manager, pinned to the version of this deploy
+  if (settingsInfo && settingsInfo.secret) {
+    secrets.push(`METEOR_SETTINGS=${settingsInfo.secret}:${settingsInfo.version}`);
+  } else if (settingsInfo) {
+    // Add METEOR_SETTINGS via pre-created GCS bucket (if provided)
     envVars.push(`METEOR_SETTINGS_GCS_BUCKET=${settingsInfo.bucket}`);
     envVars.push(`METEOR_SETTINGS_GCS_FILE=${settingsInfo.file}`);
   }
   
+  return { envVars, secrets, secretsToCreate };
+}
+
+async function createCloudBuildConfig(config, mongoUrl, settingsInfo = null, deployOptions = {}) {
+  const serviceName = getServiceName(config);
+  const imageName = `${config.region}-docker.pkg.dev/$PROJECT_ID/${serviceName}/${serviceName}`;
+  // Secret values are stored by the CLI before the build, which only
+  // references the secrets by name and version
+  const { envVars, secrets } = getDeploymentEnvironment(config, mongoUrl, settingsInfo);
+  
+  // With dedicated service accounts the CLI also creates the repository
+  // itself, so the build doesn't need admin roles
+  const serviceAccounts = deployOptions.serviceAccounts || null;
+
+  // Layer caching: build the builder stage on its own and push both stages under
+  // moving cache tags with inline cache metadata, for the next build's --cache-from.
+  // deployOptions.noBuildCache rebuilds from scratch but still refreshes the cache.
+  const buildCache = getBuildCache(config);
+  const cacheTags = getBuildCacheTags(buildCache);
+  const useBuildKit = buildCache.enabled || buildCache.mounts;
+  const cacheArgs = refs => (deployOptions.noBuildCache
+    ? ['--no-cache']
+    : refs.flatMap(ref => ['--cache-from', `${imageName}:${ref}`]));
+  const quoteArgs = args => args.map(arg => `'${arg}'`).join(', ');
+  const builderArgs = ['build', '-f', '.meteor-cloud-run/Dockerfile', '--target', 'builder',
+    '--build-arg', 'BUILDKIT_INLINE_CACHE=1', ...cacheArgs([cacheTags.builder]),
+    '-t', `${imageName}:${cacheTags.builder}`, '.'];
+  const imageArgs = buildCache.enabled
+    ? ['build', '-f', '.meteor-cloud-run/Dockerfile', '--build-arg', 'BUILDKIT_INLINE_CACHE=1',
+      ...cacheArgs([cacheTags.builder, cacheTags.runtime]),
+      '-t', `${imageName}:$_IMAGE_TAG`, '-t', `${imageName}:${cacheTags.runtime}`, '.']
+    : ['build', '-f', '.meteor-cloud-run/Dockerfile', ...(deployOptions.noBuildCache ? ['--no-cache'] : []), '-t', `${imageName}:$_IMAGE_TAG`, '.'];
+  
   // Build deployment arguments
   let deployArgs = [];
+  // Values can contain commas and spaces, such as FEATURE_FLAGS=checkout,search
   if (envVars.length > 0) {
-    deployArgs.push(`--set-env-vars=${envVars.join(',')}`);
+    deployArgs.push(formatListFlag('--set-env-vars', envVars));
   }
   if (secrets.length > 0) {
     deployArgs.push(`--update-secrets=${secrets.join(',')}`);
   }
   
+  // Canary deploys create the revision without sending it any traffic yet
+  if (deployOptions.noTraffic) {
+    deployArgs.push('--no-traffic');
+  }
+  if (deployOptions.revisionTag) {
+    deployArgs.push(`--tag=${deployOptions.revisionTag}`);
+  }
+  
+  if (serviceAccounts) {
+    deployArgs.push(`--service-account=${serviceAccounts.runtime.email}`);
+  }
+
+  // Timeout, session affinity, CPU boost, execution environment and billing,
+  // validated by deploy. Options that aren't configured keep their current value.
+  deployArgs.push(...getRuntimeFlags(config));
+  
   // Add VPC connector if configured (for static outbound IP)
   if (config.loadBalancerResources && config.loadBalancerResources.vpcConnectorName) {
     deployArgs.push(`--vpc-connector=${config.loadBalancerResources.vpcConnectorName}`);
@@ -217,80 +524,14 @@ async function createCloudBuildConfig(config, mongoUrl, settingsInfo = null) {
     console.log('Note: VPC connector will be configured after initial deployment');
   }
 
-  const cloudbuild = `steps:
+  const cloudbuild = `steps:${serviceAccounts ? '' : `
   # Create Artifact Registry repository if it doesn't exist
   - name: 'gcr.io/google.com/cloudsdktool/cloud-sdk'
     entrypoint: 'bash'
     args:
       - '-c'
       - |
-        gcloud artifacts repositories create ${serviceName} --repository-format=docker --location=${config.region} --quiet || true
-${secretsToCreate.length > 0 ? `
-  # Optimize secret management to reduce costs
-  - name: 'gcr.io/google.com/cloudsdktool/cloud-sdk'
-    entrypoint: 'bash'
-    args:
-      - '-c'
-      - |
-        # Enable Secret Manager API
-        gcloud services enable secretmanager.googleapis.com
-        
-        # Get the actual project number for the service account
-        PROJECT_NUMBER=$$(gcloud projects describe $PROJECT_ID --format="value(projectNumber)")
-        echo "Project number: $$PROJECT_NUMBER"
-        
-        if [ -z "$$PROJECT_NUMBER" ]; then
-          echo "ERROR: Could not get project number for service account"
-          exit 1
-        fi
-        
-        # Grant permissions to the default compute service account
-        SERVICE_ACCOUNT="$$PROJECT_NUMBER-compute@developer.gserviceaccount.com"
-        echo "Service account: $$SERVICE_ACCOUNT"
-        
-${secretsToCreate.map(secret => `        
-        # Optimized handling for ${secret.name} secret
-        # Only create new version if value has changed
-        CURRENT_VALUE=""
-        if gcloud secrets describe ${secret.name} --project=$PROJECT_ID >/dev/null 2>&1; then
-          echo "Secret ${secret.name} exists, checking if update needed..."
-          CURRENT_VALUE=$$(gcloud secrets versions access latest --secret=${secret.name} --project=$PROJECT_ID 2>/dev/null || echo "")
-          
-          if [ "$$CURRENT_VALUE" = "$_${secret.envName}" ]; then
-            echo "✅ Secret ${secret.name} unchanged, skipping version creation (cost optimization)"
-          else
-            echo "Secret value changed, creating new version..."
-            echo -n "$_${secret.envName}" | gcloud secrets versions add ${secret.name} --data-file=- --project=$PROJECT_ID
-            
-            # Cleanup old versions to reduce costs (keep only 3 most recent)
-            echo "Cleaning up old versions..."
-            VERSIONS=$$(gcloud secrets versions list ${secret.name} --project=$PROJECT_ID --filter="state:ENABLED" --format="value(name)" | tail -n +4)
-            for VERSION in $$VERSIONS; do
-              VERSION_ID=$$(echo $$VERSION | rev | cut -d'/' -f1 | rev)
-              gcloud secrets versions destroy $$VERSION_ID --secret=${secret.name} --project=$PROJECT_ID --quiet || true
-            done
-          fi
-        else
-          echo "Creating new secret ${secret.name}..."
-          echo -n "$_${secret.envName}" | gcloud secrets create ${secret.name} --data-file=- --project=$PROJECT_ID --replication-policy=automatic
-        fi
-        
-        # Grant IAM permissions - retry up to 3 times to ensure it works
-        echo "Granting secret access to service account..."
-        for i in 1 2 3; do
-          if gcloud secrets add-iam-policy-binding ${secret.name} \
-            --member="serviceAccount:$$SERVICE_ACCOUNT" \
-            --role="roles/secretmanager.secretAccessor" \
-            --project=$PROJECT_ID 2>/dev/null; then
-            echo "✅ Secret permissions granted successfully"
-            break
-          else
-            echo "Attempt $$i failed, retrying..."
-            sleep 2
-          fi
-        done`).join('')}
-        
-        echo "Secret management completed with cost optimization"` : ''}
+        gcloud artifacts repositories create ${serviceName} --repository-format=docker --location=${config.region} --quiet || true`}
   
   # Configure docker to authenticate with Artifact Registry
   - name: 'gcr.io/google.com/cloudsdktool/cloud-sdk'
@@ -300,13 +541,29 @@ ${secretsToCreate.map(secret => `
       - |
         gcloud auth configure-docker ${config.region}-docker.pkg.dev --quiet
   
-  # Build the container image
+${buildCache.enabled ? `  # Build the builder stage on its own so its layers are cached under ${cacheTags.builder}
   - name: 'gcr.io/cloud-builders/docker'
-    args: ['build', '-f', '.meteor-cloud-run/Dockerfile', '-t', '${config.region}-docker.pkg.dev/$PROJECT_ID/${serviceName}/${serviceName}:latest', '.']
+    env: ['DOCKER_BUILDKIT=1']
+    args: [${quoteArgs(builderArgs)}]
+  
+` : ''}  # Build the container image with this deploy's immutable tag (_IMAGE_TAG)
+  - name: 'gcr.io/cloud-builders/docker'${useBuildKit ? `
+    env: ['DOCKER_BUILDKIT=1']` : ''}
+    args: [${quoteArgs(imageArgs)}]
   
-  # Push the container image to Artifact Registry
+  # Add any extra tags requested with --tag (_EXTRA_TAGS, space separated)
   - name: 'gcr.io/cloud-builders/docker'
-    args: ['push', '${config.region}-docker.pkg.dev/$PROJECT_ID/${serviceName}/${serviceName}:latest']
+    entrypoint: 'bash'
+    args:
+      - '-c'
+      - |
+        for TAG in $_EXTRA_TAGS; do
+          docker tag ${imageName}:$_IMAGE_TAG ${imageName}:$$TAG
+        done
+  
+  # Push all tags of the container image to Artifact Registry
+  - name: 'gcr.io/cloud-builders/docker'
+    args: ['push', '--all-tags', '${imageName}']
   
   # Deploy container image to Cloud Run
   - name: 'gcr.io/google.com/cloudsdktool/cloud-sdk'
@@ -314,11 +571,22 @@ ${secretsToCreate.map(secret => `
     args:
       - '-c'
       - |
-        # Deploy to Cloud Run (using default compute service account)
+        # Pin the revision to the pushed image digest so tags can't move under it
+        DIGEST=$$(gcloud artifacts docker images describe ${imageName}:$_IMAGE_TAG --format="value(image_summary.digest)")
+        if [ -z "$$DIGEST" ]; then
+          echo "ERROR: Could not resolve digest for ${imageName}:$_IMAGE_TAG"
+          exit 1
+        fi
+        echo "Deploying ${imageName}@$$DIGEST"
+        
+        # Labels record the configured labels, image tag, commit, branch, author, tool version and deploy time
+        # Deploy to Cloud Run (as the dedicated runtime account if configured,
+        # otherwise the default compute service account)
         # Using --allow-unauthenticated for public access through load balancer
         # This flag configures the service differently than IAM bindings
         gcloud run deploy ${serviceName} \\
-          --image=${config.region}-docker.pkg.dev/$PROJECT_ID/${serviceName}/${serviceName}:latest \\
+          --image=${imageName}@$$DIGEST \\
+          --update-labels=$_REVISION_LABELS \\
           --platform=managed \\
           --region=${config.region} \\
           --allow-unauthenticated \\
@@ -331,18 +599,33 @@ ${deployArgs.map(arg => '          ' + arg + ' \\').join('\n')}${deployArgs.leng
           --port=8080
 
 images:
-  - '${config.region}-docker.pkg.dev/$PROJECT_ID/${serviceName}/${serviceName}:latest'`;
+  - '${imageName}:$_IMAGE_TAG'${serviceAccounts ? `
+
+# Builds running as a user-specified service account can't use the default logs bucket
+options:
+  logging: CLOUD_LOGGING_ONLY` : ''}`;
 
   // Ensure consistent Unix line endings for cross-platform compatibility
   const cloudbuildUnix = cloudbuild.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
   await fs.writeFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), cloudbuildUnix);
 }
 
+// Persistent bucket holding the timestamped settings files of a project
+function getSettingsBucketName(projectId) {
+  return `meteor-cloud-run-settings-${projectId}`;
+}
+
+// Check `gsutil lifecycle get` output for the settings retention policy set below
+function hasSettingsLifecyclePolicy(lifecycleOutput) {
+  return lifecycleOutput.includes('numNewerVersions') && lifecycleOutput.includes('"age": 90');
+}
+
 // Helper function to create a persistent GCS bucket and upload settings
-async function uploadSettingsToGCS(projectId, settingsData) {
+// Readers are granted by setupServiceAccounts() instead when options.skipReaderGrant is set
+async function uploadSettingsToGCS(projectId, settingsData, options = {}) {
   const { executeCommand, getServiceName } = require('./utils');
   const timestamp = Date.now();
-  const bucketName = `meteor-cloud-run-settings-${projectId}`;
+  const bucketName = getSettingsBucketName(projectId);
   const fileName = `settings-${timestamp}.json`; // Timestamped filename for proper rollback
 
   try {
@@ -404,8 +687,7 @@ async function uploadSettingsToGCS(projectId, settingsData) {
       // Set lifecycle policy only if it doesn't exist or needs updating
       try {
         const currentLifecycle = await executeCommand(`gsutil lifecycle get gs://${bucketName}`);
-        const hasCorrectPolicy = currentLifecycle.stdout.includes('numNewerVersions') &&
-                                 currentLifecycle.stdout.includes('"age": 90');
+        const hasCorrectPolicy = hasSettingsLifecyclePolicy(currentLifecycle.stdout);
 
         if (!hasCorrectPolicy) {
           await fs.writeFile(lifecyclePath, lifecyclePolicy, { mode: 0o600 });
@@ -427,7 +709,9 @@ async function uploadSettingsToGCS(projectId, settingsData) {
       console.log(require('chalk').green('✅ Settings uploaded (previous version archived for rollback)'));
 
       // Set IAM permissions for Cloud Run service account (uses project number, not project ID)
-      await executeCommand(`gsutil iam ch serviceAccount:${projectNumber}-compute@developer.gserviceaccount.com:objectViewer gs://${bucketName}`);
+      if (!options.skipReaderGrant) {
+        await executeCommand(`gsutil iam ch serviceAccount:${projectNumber}-compute@developer.gserviceaccount.com:objectViewer gs://${bucketName}`);
+      }
     } finally {
       // Secure cleanup of temporary directory and all contents
       await fs.remove(tempDir);
@@ -445,11 +729,68 @@ async function uploadSettingsToGCS(projectId, settingsData) {
   }
 }
 
+/**
+ * Stores settings as a new version of the service's settings secret, only
+ * when they changed, and destroys versions beyond the ones kept for rollback.
+ * The runtime account is granted access by the caller.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} settingsData - Settings object
+ * @returns {Promise<Object>} { secret, version } to pin in the revision
+ */
+async function uploadSettingsToSecretManager(config, settingsData) {
+  const { executeCommand } = require('./utils');
+  const { writeSecretVersion } = require('./serviceAccounts');
+  const chalk = require('chalk');
+  const secretName = getSettingsSecretName(getServiceName(config));
+  const projectFlag = `--project=${config.projectId}`;
+  const value = JSON.stringify(settingsData);
+
+  if (Buffer.byteLength(value) > MAX_SECRET_SETTINGS_BYTES) {
+    throw new Error(`Settings are ${Math.ceil(Buffer.byteLength(value) / 1024)} KiB, Secret Manager holds at most 64 KiB. Use settingsStorage "gcs" instead`);
+  }
+
+  try {
+    console.log(chalk.blue('🔐 Storing settings in Secret Manager...'));
+    await writeSecretVersion(config, { name: secretName, value });
+
+    const latest = await executeCommand(`gcloud secrets versions describe latest --secret=${secretName} ${projectFlag} --format="value(name)"`);
+    const version = latest.stdout.trim().split('/').pop();
+
+    // Versions are listed newest first
+    const enabled = await executeCommand(`gcloud secrets versions list ${secretName} --filter="state:ENABLED" --format="value(name)" ${projectFlag}`);
+    const expired = enabled.stdout.trim().split('\n').filter(Boolean)
+      .map(name => name.split('/').pop())
+      .slice(SETTINGS_VERSIONS_KEPT);
+    for (const oldVersion of expired) {
+      await executeCommand(`gcloud secrets versions destroy ${oldVersion} --secret=${secretName} ${projectFlag} --quiet`);
+    }
+
+    console.log(chalk.green(`✅ Settings stored as ${secretName} version ${version}`));
+    return { secret: secretName, version };
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to store settings in Secret Manager: ${error.message}`));
+    throw error;
+  }
+}
+
 module.exports = {
+  SETTINGS_STORAGES,
   createDeploymentFiles,
   createDockerfile,
   createStartupScript,
   createDockerignore,
+  syncDockerfileSettingsTools,
+  syncDockerfileRuntimeImage,
+  syncDockerfileBuildStage,
   createCloudBuildConfig,
-  uploadSettingsToGCS
+  warnOnNodeVersionMismatch,
+  getDeploymentEnvironment,
+  getSettingsBucketName,
+  hasSettingsLifecyclePolicy,
+  getSettingsStorage,
+  getSettingsSecretName,
+  getBuildCache,
+  getBuildCacheTags,
+  uploadSettingsToGCS,
+  uploadSettingsToSecretManager
 };
\ No newline at end of file
@@ -0,0 +1,203 @@
+const { verboseLog, executeCommand, escapeShellArg } = require('./utils');
+
+// Variables CI systems set to the branch being built, which is checked out
+// as a detached HEAD
+const CI_BRANCH_VARIABLES = [
+  'GITHUB_REF_NAME',
+  'CI_COMMIT_BRANCH',
+  'CIRCLE_BRANCH',
+  'BRANCH_NAME',
+  'TRAVIS_BRANCH',
+  'BUILD_SOURCEBRANCHNAME'
+];
+
+// Revision labels deploy writes, by the revision summary field they are read into
+const REVISION_LABELS = {
+  imageTag: 'image-tag',
+  commit: 'commit-sha',
+  branch: 'git-branch',
+  author: 'commit-author',
+  toolVersion: 'tool-version',
+  deployedAt: 'deployed-at'
+};
+
+/**
+ * Reads the current git commit, branch and working tree state
+ * @param {Array<string>} ignoredPaths - Files written by the CLI itself, which
+ * don't make the working tree dirty
+ * @returns {Promise<Object|null>} Git information, or null outside a git repository
+ */
+async function getGitInfo(ignoredPaths = []) {
+  try {
+    const commit = (await executeCommand('git rev-parse HEAD')).stdout.trim();
+    const shortSha = (await executeCommand('git rev-parse --short=7 HEAD')).stdout.trim();
+    const branch = (await executeCommand('git rev-parse --abbrev-ref HEAD')).stdout.trim();
+    const pathspecs = ignoredPaths.map(file => ` ${escapeShellArg(`:!${file}`)}`).join('');
+    const status = (await executeCommand(`git status --porcelain${pathspecs ? ` --${pathspecs}` : ''}`)).stdout.trim();
+
+    let author = null;
+    try {
+      author = (await executeCommand('git log -1 --format=%ae')).stdout.trim() || null;
+    } catch (error) {
+      verboseLog('Commit author not available:', error.message);
+    }
+
+    return {
+      commit,
+      shortSha,
+      // Detached HEAD (common in CI)
+      branch: branch === 'HEAD' ? getCIBranch() : branch,
+      author,
+      dirty: status.length > 0
+    };
+  } catch (error) {
+    verboseLog('Git information not available:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Gets the branch a CI system is building
+ * @returns {string|null} Branch name
+ */
+function getCIBranch() {
+  const variable = CI_BRANCH_VARIABLES.find(name => process.env[name]);
+  return variable ? process.env[variable] : null;
+}
+
+/**
+ * Gets the git checks deploy runs, from `deploy` in the configuration
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {boolean} ci - Whether deploy runs in CI
+ * @returns {Object} { allowedBranches: Array<string>|null, requireCleanTree: boolean }
+ */
+function getDeployGuards(config, ci) {
+  const settings = config.deploy === undefined ? {} : config.deploy;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('deploy must be an object like { "allowedBranches": ["main"] }');
+  }
+
+  const { allowedBranches = null, requireCleanTree = ci } = settings;
+  if (allowedBranches !== null &&
+    (!Array.isArray(allowedBranches) || allowedBranches.length === 0 || !allowedBranches.every(b => typeof b === 'string' && b))) {
+    throw new Error('deploy.allowedBranches must be a non-empty list of branch names, like ["main", "release/*"]');
+  }
+  if (typeof requireCleanTree !== 'boolean') {
+    throw new Error(`deploy.requireCleanTree must be true or false, got "${requireCleanTree}"`);
+  }
+
+  return { allowedBranches, requireCleanTree };
+}
+
+/**
+ * Checks whether a branch matches an allowedBranches entry, where "*"
+ * matches any characters
+ * @param {string} branch - Branch name
+ * @param {string} pattern - Branch name or pattern
+ * @returns {boolean} True if it matches
+ */
+function matchesBranch(branch, pattern) {
+  const regex = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}$`).test(branch);
+}
+
+/**
+ * Lists the reasons deploy refuses to run from the current checkout
+ * @param {Object|null} gitInfo - Result of getGitInfo()
+ * @param {Object} guards - Result of getDeployGuards()
+ * @param {Object} options - { allowDirty }
+ * @returns {Array<string>} Problems, empty if deploy may go ahead
+ */
+function checkDeployGuards(gitInfo, guards, options = {}) {
+  const problems = [];
+  if (gitInfo && gitInfo.dirty && guards.requireCleanTree && !options.allowDirty) {
+    problems.push('The working tree has uncommitted changes, which Cloud Build would upload as they are. Commit or stash them, or pass --allow-dirty');
+  }
+
+  if (guards.allowedBranches) {
+    const allowed = guards.allowedBranches.join(', ');
+    if (!gitInfo) {
+      problems.push(`deploy.allowedBranches (${allowed}) is set, but this is not a git repository`);
+    } else if (!gitInfo.branch) {
+      problems.push(`deploy.allowedBranches (${allowed}) is set, but the checkout is a detached HEAD and no CI branch variable is set`);
+    } else if (!guards.allowedBranches.some(pattern => matchesBranch(gitInfo.branch, pattern))) {
+      problems.push(`Branch "${gitInfo.branch}" is not in deploy.allowedBranches (${allowed})`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Turns a value into a valid Cloud Run label value: lowercase letters,
+ * digits, "_" and "-", at most 63 characters
+ * @param {string} value - Value
+ * @returns {string} Label value
+ */
+function toLabelValue(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9_-]/g, '_').substring(0, 63);
+}
+
+/**
+ * Creates the labels deploy puts on the new revision
+ * @param {Object|null} gitInfo - Result of getGitInfo()
+ * @param {string} imageTag - Image tag of the deploy
+ * @param {Object} deploy - { toolVersion, deployedAt } with deployedAt in milliseconds
+ * @returns {Array<string>} key=value labels
+ */
+function createRevisionLabels(gitInfo, imageTag, deploy) {
+  const values = {
+    imageTag,
+    commit: gitInfo && gitInfo.commit,
+    branch: gitInfo && gitInfo.branch,
+    author: gitInfo && gitInfo.author,
+    toolVersion: deploy.toolVersion,
+    deployedAt: Math.floor(deploy.deployedAt / 1000)
+  };
+  return Object.entries(REVISION_LABELS)
+    .filter(([field]) => values[field])
+    .map(([field, label]) => `${label}=${toLabelValue(values[field])}`);
+}
+
+/**
+ * Reads the labels written by createRevisionLabels(). Label values can't hold
+ * every character, so branches and authors are shown as stored (e.g.
+ * dev_example_com).
+ * @param {Object} labels - Revision labels
+ * @returns {Object} { imageTag, commit, branch, author, toolVersion, deployedAt }
+ */
+function readRevisionLabels(labels = {}) {
+  const deployedAt = Number(labels[REVISION_LABELS.deployedAt]);
+  return {
+    imageTag: labels[REVISION_LABELS.imageTag] || null,
+    commit: labels[REVISION_LABELS.commit] || null,
+    branch: labels[REVISION_LABELS.branch] || null,
+    author: labels[REVISION_LABELS.author] || null,
+    // Versions are stored as 1_0_4
+    toolVersion: labels[REVISION_LABELS.toolVersion] ? labels[REVISION_LABELS.toolVersion].replace(/_/g, '.') : null,
+    deployedAt: deployedAt ? new Date(deployedAt * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Creates the immutable image tag for a deploy: the short commit SHA, with a
+ * timestamp suffix for uncommitted changes, or just a timestamp outside git
+ * @param {Object|null} gitInfo - Result of getGitInfo()
+ * @param {number} timestamp - Deploy timestamp in milliseconds
+ * @returns {string} Docker image tag (also valid as a Cloud Run label value)
+ */
+function createImageTag(gitInfo, timestamp = Date.now()) {
+  if (!gitInfo) {
+    return `deploy-${timestamp}`;
+  }
+  return gitInfo.dirty ? `${gitInfo.shortSha}-dirty-${timestamp}` : gitInfo.shortSha;
+}
+
+module.exports = {
+  REVISION_LABELS,
+  getGitInfo,
+  getDeployGuards,
+  checkDeployGuards,
+  createImageTag,
+  createRevisionLabels,
+  readRevisionLabels
+};
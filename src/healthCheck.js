@@ -0,0 +1,193 @@
+const { getExecutor } = require('./executor');
+const { verboseLog } = require('./utils');
+
+// Traffic tag that gives a new revision its own URL while it has no traffic
+const HEALTH_CHECK_TAG = 'candidate';
+
+// Used for settings missing from `healthCheck` in the configuration
+const HEALTH_CHECK_DEFAULTS = {
+  path: '/',
+  expectedStatus: 200,
+  bodyIncludes: null,
+  timeoutSeconds: 10,
+  retries: 5,
+  intervalSeconds: 5
+};
+
+// Response bytes kept for the body check and the failure report
+const MAX_BODY_BYTES = 64 * 1024;
+const REPORTED_BODY_CHARS = 500;
+
+/**
+ * Gets the health check settings, validated and with defaults applied.
+ * Health checks are on by default, `healthCheck: false` turns them off.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Object|null} Health check settings, or null if disabled
+ */
+function getHealthCheck(config) {
+  const healthCheck = config.healthCheck === undefined ? {} : config.healthCheck;
+  if (healthCheck === false || (healthCheck && healthCheck.enabled === false)) {
+    return null;
+  }
+  if (!healthCheck || typeof healthCheck !== 'object' || Array.isArray(healthCheck)) {
+    throw new Error('healthCheck must be an object like { "path": "/healthz" }, or false to disable it');
+  }
+
+  const settings = { ...HEALTH_CHECK_DEFAULTS, ...healthCheck };
+  delete settings.enabled;
+
+  if (typeof settings.path !== 'string' || !settings.path.startsWith('/')) {
+    throw new Error(`healthCheck.path must start with "/", got "${settings.path}"`);
+  }
+  if (!Number.isInteger(settings.expectedStatus) || settings.expectedStatus < 100 || settings.expectedStatus > 599) {
+    throw new Error(`healthCheck.expectedStatus must be an HTTP status code, got "${settings.expectedStatus}"`);
+  }
+  if (settings.bodyIncludes !== null && (typeof settings.bodyIncludes !== 'string' || settings.bodyIncludes === '')) {
+    throw new Error('healthCheck.bodyIncludes must be a non-empty string');
+  }
+  if (typeof settings.timeoutSeconds !== 'number' || !(settings.timeoutSeconds >= 1) || settings.timeoutSeconds > 300) {
+    throw new Error(`healthCheck.timeoutSeconds must be between 1 and 300, got "${settings.timeoutSeconds}"`);
+  }
+  if (!Number.isInteger(settings.retries) || settings.retries < 0 || settings.retries > 30) {
+    throw new Error(`healthCheck.retries must be a whole number between 0 and 30, got "${settings.retries}"`);
+  }
+  if (typeof settings.intervalSeconds !== 'number' || settings.intervalSeconds < 0 || settings.intervalSeconds > 300) {
+    throw new Error(`healthCheck.intervalSeconds must be between 0 and 300, got "${settings.intervalSeconds}"`);
+  }
+
+  return settings;
+}
+
+/**
+ * Sends one GET request for the health check
+ * @param {string} url - URL to request
+ * @param {number} timeoutSeconds - Time to wait for the whole response
+ * @returns {Promise<Object>} { status, body } or { error }
+ */
+function requestOnce(url, timeoutSeconds) {
+  return new Promise((resolve) => {
+    const { hostname, port, pathname, search } = new URL(url);
+    let settled = false;
+    let timeout = null;
+    const finish = result => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timeout);
+        resolve(result);
+      }
+    };
+
+    const options = {
+      hostname,
+      port: port || 443,
+      path: `${pathname}${search}`,
+      method: 'GET',
+      headers: {
+        'User-Agent': 'meteor-cloud-run-cli'
+      }
+    };
+
+    const req = getExecutor().request(options, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        if (body.length < MAX_BODY_BYTES) {
+          body += chunk;
+        }
+      });
+      res.on('end', () => finish({ status: res.statusCode, body }));
+    });
+
+    timeout = setTimeout(() => {
+      finish({ error: `No response within ${timeoutSeconds}s` });
+      req.destroy();
+    }, timeoutSeconds * 1000);
+
+    req.on('error', error => finish({ error: error.message }));
+    req.end();
+  });
+}
+
+/**
+ * Explains why a response fails the health check
+ * @param {Object} response - Result of requestOnce()
+ * @param {Object} healthCheck - Settings from getHealthCheck()
+ * @returns {string|null} Reason, or null if the response is healthy
+ */
+function getFailureReason(response, healthCheck) {
+  if (response.error) {
+    return `Request failed: ${response.error}`;
+  }
+  if (response.status !== healthCheck.expectedStatus) {
+    return `Expected HTTP ${healthCheck.expectedStatus}, got ${response.status}`;
+  }
+  if (healthCheck.bodyIncludes && !response.body.includes(healthCheck.bodyIncludes)) {
+    return `Response body does not include "${healthCheck.bodyIncludes}"`;
+  }
+  return null;
+}
+
+/**
+ * Requests the health check path until it answers as expected or the
+ * retries run out. A revision can take a few seconds to answer on a new
+ * tagged URL, so failures are retried.
+ * @param {string} baseUrl - Revision or service URL
+ * @param {Object} healthCheck - Settings from getHealthCheck()
+ * @returns {Promise<Object>} { ok, url, attempts, status, reason, body }
+ */
+async function runHealthCheck(baseUrl, healthCheck) {
+  const url = `${baseUrl.replace(/\/+$/, '')}${healthCheck.path}`;
+  let attempts = 0;
+  let response;
+  let reason;
+
+  while (attempts <= healthCheck.retries) {
+    if (attempts > 0) {
+      await new Promise(resolve => setTimeout(resolve, healthCheck.intervalSeconds * 1000));
+    }
+    attempts++;
+    response = await requestOnce(url, healthCheck.timeoutSeconds);
+    reason = getFailureReason(response, healthCheck);
+    verboseLog(`Health check ${attempts}/${healthCheck.retries + 1} for ${url}: ${reason || `HTTP ${response.status}`}`);
+    if (!reason) {
+      break;
+    }
+  }
+
+  return {
+    ok: !reason,
+    url,
+    attempts,
+    status: response.status || null,
+    reason,
+    body: response.body === undefined ? null : response.body.slice(0, REPORTED_BODY_CHARS)
+  };
+}
+
+/**
+ * Formats a failed health check for the terminal
+ * @param {Object} result - Result of runHealthCheck()
+ * @returns {Array<string>} Report lines
+ */
+function formatHealthCheckFailure(result) {
+  const lines = [
+    `URL: ${result.url}`,
+    `Attempts: ${result.attempts}`,
+    `Reason: ${result.reason}`
+  ];
+  if (result.status) {
+    lines.push(`Status: HTTP ${result.status}`);
+  }
+  if (result.body) {
+    lines.push('Response body:');
+    result.body.split('\n').forEach(line => lines.push(`  ${line}`));
+  }
+  return lines;
+}
+
+module.exports = {
+  HEALTH_CHECK_TAG,
+  HEALTH_CHECK_DEFAULTS,
+  getHealthCheck,
+  runHealthCheck,
+  formatHealthCheckFailure
+};
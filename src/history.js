@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { executeCommand, verboseLog } = require('./utils');
+const { getSettingsBucketName } = require('./fileGeneration');
+const { validateSince } = require('./logs');
+
+// Local deploy history, one JSON entry per line. Written with forward slashes
+// because deploy also passes it to git as a pathspec.
+const HISTORY_FILE = '.meteor-cloud-run/history.jsonl';
+
+// Folder of the settings bucket holding one object per deploy with `history.gcs`
+const HISTORY_GCS_FOLDER = 'history';
+
+const HISTORY_STATUSES = ['deployed', 'failed'];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Gets where deploy history is kept, from `history` in the configuration.
+ * The local file is always written, `"gcs": true` also uploads each entry
+ * to the settings bucket so every machine and CI job sees the same history.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Object} { gcs: boolean }
+ */
+function getHistoryStorage(config) {
+  const history = config.history === undefined ? {} : config.history;
+  if (!history || typeof history !== 'object' || Array.isArray(history)) {
+    throw new Error('history must be an object like { "gcs": true }');
+  }
+  const { gcs = false } = history;
+  if (typeof gcs !== 'boolean') {
+    throw new Error(`history.gcs must be true or false, got "${gcs}"`);
+  }
+  return { gcs };
+}
+
+/**
+ * Hashes the configuration file, so entries show whether the configuration
+ * changed between two deploys
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Promise<string|null>} Short SHA-256, or null if it can't be read
+ */
+async function hashConfigFile(configPath) {
+  try {
+    const content = await fs.readFile(configPath);
+    return crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+  } catch (error) {
+    verboseLog('Configuration not hashed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Finds the Cloud Build ID in `gcloud builds submit` output
+ * @param {string} output - Command output
+ * @returns {string|null} Build ID
+ */
+function findBuildId(output) {
+  const match = (output || '').match(/builds\/([a-f0-9-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Creates a short random ID for a history entry
+ * @returns {string} 8 hex characters
+ */
+function createHistoryId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Gets the object of a history entry in the settings bucket
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} id - Entry ID, or "*" for every entry
+ * @returns {string} gs:// URL
+ */
+function getHistoryObject(config, serviceName, id) {
+  return `gs://${getSettingsBucketName(config.projectId)}/${HISTORY_GCS_FOLDER}/${serviceName}/${id}.json`;
+}
+
+/**
+ * Uploads one history entry to the settings bucket, creating the bucket when
+ * settings are kept in Secret Manager and it doesn't exist yet
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} entry - History entry
+ */
+async function uploadHistoryEntry(config, entry) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'meteor-cloud-run-'));
+  const entryPath = path.join(tempDir, 'history.json');
+  const copy = `gsutil cp ${entryPath} ${getHistoryObject(config, entry.service, entry.id)}`;
+  try {
+    await fs.writeFile(entryPath, `${JSON.stringify(entry)}\n`);
+    try {
+      await executeCommand(copy);
+    } catch (error) {
+      if (!/BucketNotFound|bucket does not exist|404/i.test(`${error.message} ${error.stderr || ''}`)) {
+        throw error;
+      }
+      await executeCommand(`gsutil mb -p ${config.projectId} gs://${getSettingsBucketName(config.projectId)}`);
+      await executeCommand(copy);
+    }
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+/**
+ * Records a deploy in the local history file, and in the settings bucket
+ * with `history.gcs`. History is informational, so failures only warn.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} entry - History entry
+ * @returns {Promise<Array<string>>} Warnings for the stores that couldn't be written
+ */
+async function appendHistory(config, entry) {
+  const warnings = [];
+  try {
+    await fs.ensureDir(path.dirname(HISTORY_FILE));
+    await fs.appendFile(HISTORY_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    warnings.push(`Could not write ${HISTORY_FILE}: ${error.message}`);
+  }
+
+  if (getHistoryStorage(config).gcs) {
+    try {
+      await uploadHistoryEntry(config, entry);
+    } catch (error) {
+      warnings.push(`Could not upload the deploy history entry: ${error.message}`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Parses JSON lines, skipping lines that aren't valid JSON such as a line
+ * cut short by an interrupted write
+ * @param {string} content - JSONL content
+ * @returns {Array<Object>} Entries
+ */
+function parseHistory(content) {
+  return content.split('\n').filter(line => line.trim()).reduce((entries, line) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      verboseLog(`Skipping invalid history line: ${line.substring(0, 80)}`);
+    }
+    return entries;
+  }, []);
+}
+
+/**
+ * Reads the deploy history, oldest first
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} options - { remote, serviceName } where remote reads the
+ * settings bucket copy of serviceName instead of the local file
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function readHistory(config, options = {}) {
+  let content = '';
+  if (options.remote) {
+    try {
+      content = (await executeCommand(`gsutil cat ${getHistoryObject(config, options.serviceName, '*')}`)).stdout;
+    } catch (error) {
+      if (!/No URLs matched|BucketNotFound|bucket does not exist/i.test(`${error.message} ${error.stderr || ''}`)) {
+        throw error;
+      }
+    }
+  } else if (await fs.pathExists(HISTORY_FILE)) {
+    content = await fs.readFile(HISTORY_FILE, 'utf8');
+  }
+  return parseHistory(content).sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+/**
+ * Filters history entries for the `history` command
+ * @param {Array<Object>} entries - Result of readHistory()
+ * @param {Object} filters - { service, status, branch, since, limit, now }
+ * @returns {Array<Object>} Matching entries, newest first
+ */
+function filterHistory(entries, filters = {}) {
+  if (filters.status && !HISTORY_STATUSES.includes(filters.status)) {
+    throw new Error(`--status must be one of: ${HISTORY_STATUSES.join(', ')}`);
+  }
+  let after = null;
+  if (filters.since) {
+    validateSince(filters.since);
+    after = (filters.now || Date.now()) - parseInt(filters.since, 10) * DURATION_UNITS[filters.since.slice(-1)];
+  }
+
+  const matching = entries
+    .filter(entry => !filters.service || entry.service === filters.service)
+    .filter(entry => !filters.status || entry.status === filters.status)
+    .filter(entry => !filters.branch || entry.branch === filters.branch)
+    .filter(entry => after === null || Date.parse(entry.startedAt) >= after)
+    .reverse();
+  return filters.limit ? matching.slice(0, filters.limit) : matching;
+}
+
+/**
+ * Finds an entry by its ID or the start of it
+ * @param {Array<Object>} entries - Result of readHistory()
+ * @param {string} id - Entry ID or prefix
+ * @returns {Object} Entry
+ */
+function findHistoryEntry(entries, id) {
+  const matching = entries.filter(entry => entry.id && entry.id.startsWith(id));
+  if (matching.length === 0) {
+    throw new Error(`No deploy ${id} in the history`);
+  }
+  if (matching.length > 1) {
+    throw new Error(`${id} matches ${matching.length} deploys, give more characters of the ID`);
+  }
+  return matching[0];
+}
+
+/**
+ * Formats a duration in seconds, e.g. 214 → "3m 34s"
+ * @param {number|null} seconds - Duration
+ * @returns {string} Duration
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return '-';
+  }
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Describes where the settings of a deploy were stored
+ * @param {Object|null} settings - settingsInfo recorded by deploy
+ * @returns {string} gs:// URL or secret version
+ */
+function formatHistorySettings(settings) {
+  if (!settings) {
+    return 'none';
+  }
+  return settings.secret
+    ? `secret ${settings.secret} version ${settings.version}`
+    : `gs://${settings.bucket}/${settings.file}`;
+}
+
+/**
+ * Formats the details of a history entry for `history <id>`
+ * @param {Object} entry - History entry
+ * @returns {Array<string>} Label and value pairs
+ */
+function formatHistoryEntry(entry) {
+  const details = [
+    ['Service', entry.environment ? `${entry.service} (environment ${entry.environment})` : entry.service],
+    ['Status', entry.status],
+    ['Started', new Date(entry.startedAt).toLocaleString()],
+    ['Duration', formatDuration(entry.durationSeconds)],
+    ['Deployed by', `${entry.account || 'unknown'}${entry.authMethod ? ` (${entry.authMethod})` : ''}${entry.ci ? ` in ${entry.ci}` : ''}`],
+    ['Commit', entry.commit ? `${entry.commit}${entry.branch ? ` on ${entry.branch}` : ''}${entry.dirty ? ' with uncommitted changes' : ''}` : 'not a git repository'],
+    ['Image', entry.imageDigest ? `${entry.imageTag} (${entry.imageDigest})` : entry.imageTag],
+    ['Revision', entry.revision || '-'],
+    ['Settings', formatHistorySettings(entry.settings)],
+    ['Config hash', entry.configHash || '-']
+  ];
+  if (entry.canaryPercent) {
+    details.push(['Canary', `${entry.canaryPercent}% of traffic`]);
+  }
+  if (entry.buildId) {
+    details.push(['Build', `${entry.buildId} (gcloud builds log ${entry.buildId} --project=${entry.projectId})`]);
+  }
+  if (entry.error) {
+    details.push(['Error', entry.error]);
+  }
+  return details;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  getHistoryStorage,
+  hashConfigFile,
+  findBuildId,
+  createHistoryId,
+  appendHistory,
+  readHistory,
+  filterHistory,
+  findHistoryEntry,
+  formatDuration,
+  formatHistorySettings,
+  formatHistoryEntry
+};
@@ -1,9 +1,445 @@
-const { verboseLog, executeCommand, sanitizeServiceName } = require('./utils');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { verboseLog, executeCommand, sanitizeServiceName, validateCustomDomain } = require('./utils');
 const chalk = require('chalk');
+const { getSecurity, applySecurityPolicy } = require('./security');
+const { getCdn, applyCdn } = require('./cdn');
+
+// Google-managed certificates cover at most 100 domains, and an HTTPS proxy
+// holds at most 15 certificates
+const MAX_DOMAINS_PER_CERTIFICATE = 100;
+const MAX_CERTIFICATES_PER_PROXY = 15;
+
+// Hosts `redirects.canonicalHost` can send visitors to
+const CANONICAL_HOSTS = ['www', 'apex'];
+
+// 301, keeping the path and query of the request
+const PERMANENT_REDIRECT = { redirectResponseCode: 'MOVED_PERMANENTLY_DEFAULT', stripQuery: false };
+
+/**
+ * Gets the custom domains served by the load balancer, from `customDomains`
+ * or a single `customDomain`. `customDomain` is the primary domain used for
+ * ROOT_URL, and defaults to the first of `customDomains`.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Object|null} { domains, primary }, or null without a custom domain
+ */
+function getCustomDomains(config) {
+  const { customDomain, customDomains } = config;
+  if (customDomains === undefined) {
+    if (!customDomain) {
+      return null;
+    }
+    validateCustomDomain(customDomain);
+    return { domains: [customDomain.toLowerCase()], primary: customDomain.toLowerCase() };
+  }
+
+  if (!Array.isArray(customDomains) || customDomains.length === 0) {
+    throw new Error('customDomains must be a list of domains, like ["example.com", "www.example.com"]');
+  }
+  const domains = customDomains.map(domain => {
+    if (typeof domain !== 'string') {
+      throw new Error(`customDomains entries must be domain names, got "${domain}"`);
+    }
+    try {
+      validateCustomDomain(domain);
+    } catch (error) {
+      throw new Error(`${domain}: ${error.message}`);
+    }
+    return domain.toLowerCase();
+  });
+  const duplicate = domains.find((domain, index) => domains.indexOf(domain) !== index);
+  if (duplicate) {
+    throw new Error(`${duplicate} is listed twice in customDomains`);
+  }
+  if (domains.length > MAX_DOMAINS_PER_CERTIFICATE * MAX_CERTIFICATES_PER_PROXY) {
+    throw new Error(`customDomains can have at most ${MAX_DOMAINS_PER_CERTIFICATE * MAX_CERTIFICATES_PER_PROXY} domains`);
+  }
+
+  const primary = customDomain ? customDomain.toLowerCase() : domains[0];
+  if (!domains.includes(primary)) {
+    throw new Error(`The primary domain ${customDomain} (customDomain) must be one of customDomains`);
+  }
+  return { domains, primary };
+}
+
+/**
+ * Gets the redirects of the load balancer, from `redirects` in the
+ * configuration. `httpToHttps` adds a port 80 forwarding rule that answers
+ * every HTTP request with a 301 to HTTPS. `canonicalHost` ("www" or "apex")
+ * redirects the other host of each domain listed both with and without
+ * "www." in customDomains, so the app is served from one host only.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Object} { httpToHttps, canonicalHost, hostRedirects } where
+ * hostRedirects lists { from, to } hosts
+ */
+function getRedirects(config) {
+  const redirects = config.redirects === undefined ? {} : config.redirects;
+  if (!redirects || typeof redirects !== 'object' || Array.isArray(redirects)) {
+    throw new Error('redirects must be an object like { "httpToHttps": true, "canonicalHost": "www" }');
+  }
+  const { httpToHttps = false, canonicalHost = null } = redirects;
+  if (typeof httpToHttps !== 'boolean') {
+    throw new Error(`redirects.httpToHttps must be true or false, got "${httpToHttps}"`);
+  }
+  if (canonicalHost !== null && !CANONICAL_HOSTS.includes(canonicalHost)) {
+    throw new Error(`redirects.canonicalHost must be one of: ${CANONICAL_HOSTS.join(', ')}, got "${canonicalHost}"`);
+  }
+
+  const hostRedirects = [];
+  if (canonicalHost) {
+    const customDomains = getCustomDomains(config);
+    const domains = customDomains ? customDomains.domains : [];
+    domains.forEach(domain => {
+      const apex = domain.startsWith('www.') ? domain.substring(4) : domain;
+      const [from, to] = canonicalHost === 'www' ? [apex, `www.${apex}`] : [`www.${apex}`, apex];
+      if (domain === from && domains.includes(to)) {
+        hostRedirects.push({ from, to });
+      }
+    });
+    if (hostRedirects.length === 0) {
+      throw new Error(`redirects.canonicalHost "${canonicalHost}" needs a domain listed both with and without "www." in customDomains`);
+    }
+    const redirected = hostRedirects.find(redirect => redirect.from === customDomains.primary);
+    if (redirected) {
+      throw new Error(`The primary domain ${redirected.from} redirects to ${redirected.to}, make ${redirected.to} the primary domain (customDomain)`);
+    }
+  }
+  return { httpToHttps, canonicalHost, hostRedirects };
+}
+
+/**
+ * Gets the redirects the load balancer was last set up with. Load balancers
+ * created before `redirects` have none.
+ * @param {Object} loadBalancerResources - Recorded load balancer resources
+ * @returns {Object} { httpToHttps, canonicalHost }
+ */
+function getLoadBalancerRedirects(loadBalancerResources) {
+  return { httpToHttps: false, canonicalHost: null, ...loadBalancerResources.redirects };
+}
+
+/**
+ * Names a certificate after the service and the domains it covers, so a new
+ * set of domains gets a new certificate and the current one keeps serving
+ * while it provisions
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Array<string>} domains - Domains on the certificate
+ * @returns {string} Certificate name
+ */
+function getCertificateName(serviceName, domains) {
+  const hash = crypto.createHash('sha256').update([...domains].sort().join(',')).digest('hex').substring(0, 8);
+  return `${sanitizeServiceName(serviceName).substring(0, 45)}-ssl-${hash}`;
+}
+
+/**
+ * Splits domains into certificates of at most 100 domains
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Array<string>} domains - Domains to cover
+ * @returns {Array<Object>} { name, domains }
+ */
+function groupCertificates(serviceName, domains) {
+  const certificates = [];
+  for (let i = 0; i < domains.length; i += MAX_DOMAINS_PER_CERTIFICATE) {
+    const group = domains.slice(i, i + MAX_DOMAINS_PER_CERTIFICATE);
+    certificates.push({ name: getCertificateName(serviceName, group), domains: group });
+  }
+  return certificates;
+}
+
+/**
+ * Lists the certificates attached to a load balancer. Load balancers created
+ * before `customDomains` only recorded the name of their single certificate,
+ * so its domains are null until read from Google Cloud.
+ * @param {Object} loadBalancerResources - Recorded load balancer resources
+ * @returns {Array<Object>} { name, domains, retired }
+ */
+function getLoadBalancerCertificates(loadBalancerResources) {
+  if (loadBalancerResources.sslCertificates) {
+    return loadBalancerResources.sslCertificates;
+  }
+  return loadBalancerResources.sslCertName ? [{ name: loadBalancerResources.sslCertName, domains: null }] : [];
+}
+
+/**
+ * Gets the domains the load balancer was last set up for
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {Array<string>} Domains
+ */
+function getLoadBalancerDomains(config) {
+  const recorded = config.loadBalancerResources.domains;
+  return recorded || (config.customDomain ? [config.customDomain.toLowerCase()] : []);
+}
+
+/**
+ * Checks whether the redirects of the load balancer differ from the configured ones
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {boolean} True if the redirects changed
+ */
+function redirectsChanged(config) {
+  const { httpToHttps, canonicalHost } = getRedirects(config);
+  const recorded = getLoadBalancerRedirects(config.loadBalancerResources);
+  return httpToHttps !== recorded.httpToHttps || canonicalHost !== recorded.canonicalHost;
+}
+
+/**
+ * Checks whether the load balancer needs updating for the configured domains
+ * and redirects, either because they changed or a replaced certificate is
+ * still attached
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {boolean} True if updateLoadBalancer() has work to do
+ */
+function needsLoadBalancerUpdate(config) {
+  const { domains } = getCustomDomains(config);
+  const recorded = getLoadBalancerDomains(config);
+  return domains.length !== recorded.length ||
+    domains.some(domain => !recorded.includes(domain)) ||
+    getLoadBalancerCertificates(config.loadBalancerResources).some(certificate => certificate.retired) ||
+    redirectsChanged(config);
+}
+
+/**
+ * Reads the status of the load balancer's certificates
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {Promise<Array<Object>>} { name, domains, retired, status, domainStatus },
+ * status null for certificates that don't exist
+ */
+async function readCertificates(config) {
+  const certificates = [];
+  for (const certificate of getLoadBalancerCertificates(config.loadBalancerResources)) {
+    try {
+      const result = await executeCommand(
+        `gcloud compute ssl-certificates describe ${certificate.name} --global --project=${config.projectId} --format=json`
+      );
+      const managed = JSON.parse(result.stdout).managed || {};
+      certificates.push({
+        ...certificate,
+        domains: certificate.domains || managed.domains || [],
+        status: managed.status || 'UNKNOWN',
+        domainStatus: managed.domainStatus || {}
+      });
+    } catch (error) {
+      verboseLog(`Unable to describe certificate ${certificate.name}:`, error.message);
+      certificates.push({ ...certificate, domains: certificate.domains || [], status: null, domainStatus: {} });
+    }
+  }
+  return certificates;
+}
+
+/**
+ * Gets the SSL status of each domain. While a certificate is being replaced
+ * a domain can be on two certificates, the ACTIVE one is the one serving it.
+ * @param {Array<string>} domains - Custom domains
+ * @param {Array<Object>} certificates - Result of readCertificates()
+ * @returns {Object} Domain → { status, certificate }
+ */
+function getDomainSslStatus(domains, certificates) {
+  return Object.fromEntries(domains.map(domain => {
+    const covering = certificates
+      .filter(certificate => certificate.status && certificate.domains.includes(domain))
+      .map(certificate => ({ status: certificate.domainStatus[domain] || certificate.status, certificate: certificate.name, retired: certificate.retired }));
+    const serving = covering.find(entry => entry.status === 'ACTIVE') || covering.find(entry => !entry.retired) || covering[0];
+    return [domain, serving ? { status: serving.status, certificate: serving.certificate } : { status: 'NO_CERTIFICATE', certificate: null }];
+  }));
+}
+
+/**
+ * Works out the certificate changes for a new set of domains. Certificates
+ * whose domains are all still served are kept, the remaining domains get new
+ * certificates, and certificates with a removed domain are retired. A retired
+ * certificate stays attached until the domains it still covers are on an
+ * ACTIVE certificate, so HTTPS keeps working while replacements provision.
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Array<string>} domains - Domains to serve
+ * @param {Array<Object>} current - Result of readCertificates()
+ * @returns {Object} { keep, create, retire, release } lists of certificates
+ */
+function planCertificates(serviceName, domains, current) {
+  const existing = current.filter(certificate => certificate.status !== null);
+  const keep = existing.filter(certificate => !certificate.retired && certificate.domains.every(domain => domains.includes(domain)));
+  const covered = keep.flatMap(certificate => certificate.domains);
+  const create = groupCertificates(serviceName, domains.filter(domain => !covered.includes(domain)));
+
+  const activeDomains = keep.filter(certificate => certificate.status === 'ACTIVE').flatMap(certificate => certificate.domains);
+  const retire = [];
+  const release = [];
+  existing.filter(certificate => !keep.includes(certificate)).forEach(certificate => {
+    const stillServed = certificate.domains.filter(domain => domains.includes(domain));
+    if (stillServed.every(domain => activeDomains.includes(domain))) {
+      release.push(certificate);
+    } else {
+      retire.push({ ...certificate, retired: true });
+    }
+  });
+  return { keep, create, retire, release };
+}
+
+/**
+ * Adds a host rule per canonical host redirect to a URL map
+ * @param {Object} urlMap - URL map being built
+ * @param {Array<Object>} hostRedirects - { from, to } hosts from getRedirects()
+ * @param {Object} redirect - Fields added to each redirect, such as httpsRedirect
+ */
+function addHostRedirects(urlMap, hostRedirects, redirect = {}) {
+  hostRedirects.forEach(({ from, to }, index) => {
+    urlMap.hostRules.push({ hosts: [from], pathMatcher: `redirect-${index + 1}` });
+    urlMap.pathMatchers.push({
+      name: `redirect-${index + 1}`,
+      defaultUrlRedirect: { hostRedirect: to, ...redirect, ...PERMANENT_REDIRECT }
+    });
+  });
+}
+
+/**
+ * Builds the URL map of the load balancer, with a host rule for the custom
+ * domains and one redirecting each non-canonical host. Requests for other
+ * hosts, such as the bare IP, use the default service.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} resourceNames - Load balancer resource names
+ * @param {Array<string>} domains - Custom domains
+ * @returns {Object} URL map for `gcloud compute url-maps import`
+ */
+function buildUrlMap(config, resourceNames, domains) {
+  const backendService = `https://www.googleapis.com/compute/v1/projects/${config.projectId}/global/backendServices/${resourceNames.backendServiceName}`;
+  const { hostRedirects } = getRedirects(config);
+  const redirected = hostRedirects.map(redirect => redirect.from);
+  const urlMap = {
+    name: resourceNames.urlMapName,
+    defaultService: backendService,
+    hostRules: [{ hosts: domains.filter(domain => !redirected.includes(domain)), pathMatcher: 'custom-domains' }],
+    pathMatchers: [{ name: 'custom-domains', defaultService: backendService }]
+  };
+  addHostRedirects(urlMap, hostRedirects);
+  return urlMap;
+}
+
+/**
+ * Builds the redirect-only URL map behind the HTTP forwarding rule. Every
+ * request gets a 301 to HTTPS, non-canonical hosts straight to the canonical one.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} resourceNames - Load balancer resource names
+ * @returns {Object} URL map for `gcloud compute url-maps import`
+ */
+function buildHttpRedirectUrlMap(config, resourceNames) {
+  const urlMap = {
+    name: resourceNames.httpUrlMapName,
+    defaultUrlRedirect: { httpsRedirect: true, ...PERMANENT_REDIRECT },
+    hostRules: [],
+    pathMatchers: []
+  };
+  addHostRedirects(urlMap, getRedirects(config).hostRedirects, { httpsRedirect: true });
+  if (urlMap.hostRules.length === 0) {
+    delete urlMap.hostRules;
+    delete urlMap.pathMatchers;
+  }
+  return urlMap;
+}
+
+/**
+ * Creates or replaces a URL map
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} urlMap - Result of buildUrlMap() or buildHttpRedirectUrlMap()
+ */
+async function importUrlMap(config, urlMap) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'meteor-cloud-run-'));
+  // gcloud reads the file as YAML, which JSON is a subset of
+  const urlMapPath = path.join(tempDir, 'url-map.yaml');
+  try {
+    await fs.writeJson(urlMapPath, urlMap, { spaces: 2 });
+    await executeCommand(
+      `gcloud compute url-maps import ${urlMap.name} --source=${urlMapPath} --global --project=${config.projectId} --quiet`
+    );
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+/**
+ * Sets up the HTTP to HTTPS redirect on the static IP of the load balancer:
+ * the redirect-only URL map, a target HTTP proxy and a port 80 forwarding rule
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} resourceNames - Load balancer resource names
+ */
+async function setupHttpRedirect(config, resourceNames) {
+  const { projectId } = config;
+  console.log(chalk.blue('Redirecting HTTP to HTTPS...'));
+  await importUrlMap(config, buildHttpRedirectUrlMap(config, resourceNames));
+
+  console.log(chalk.blue(`Checking for existing HTTP target proxy: ${resourceNames.httpProxyName}`));
+  try {
+    await executeCommand(
+      `gcloud compute target-http-proxies describe ${resourceNames.httpProxyName} --global --project=${projectId}`
+    );
+    console.log(chalk.yellow(`✅ Using existing HTTP target proxy: ${resourceNames.httpProxyName}`));
+  } catch (error) {
+    console.log(chalk.blue(`Creating HTTP target proxy...`));
+    await executeCommand(
+      `gcloud compute target-http-proxies create ${resourceNames.httpProxyName} --url-map=${resourceNames.httpUrlMapName} --global --project=${projectId}`
+    );
+  }
+
+  console.log(chalk.blue(`Checking for existing HTTP forwarding rule: ${resourceNames.httpForwardingRuleName}`));
+  try {
+    await executeCommand(
+      `gcloud compute forwarding-rules describe ${resourceNames.httpForwardingRuleName} --global --project=${projectId}`
+    );
+    console.log(chalk.yellow(`✅ Using existing HTTP forwarding rule: ${resourceNames.httpForwardingRuleName}`));
+  } catch (error) {
+    console.log(chalk.blue(`Creating HTTP forwarding rule...`));
+    await executeCommand(
+      `gcloud compute forwarding-rules create ${resourceNames.httpForwardingRuleName} --target-http-proxy=${resourceNames.httpProxyName} --address=${resourceNames.staticIpName} --global --ports=80 --project=${projectId}`
+    );
+  }
+}
+
+/**
+ * Lists the commands deleting the HTTP to HTTPS redirect, forwarding rule first
+ * @param {string} projectId - Google Cloud project
+ * @param {Object} resourceNames - Load balancer resource names
+ * @returns {Array<Object>} { name, command } steps
+ */
+function getHttpRedirectDeletionSteps(projectId, resourceNames) {
+  return [
+    {
+      name: 'HTTP forwarding rule',
+      command: `gcloud compute forwarding-rules delete ${resourceNames.httpForwardingRuleName} --global --project=${projectId} --quiet`
+    },
+    {
+      name: 'target HTTP proxy',
+      command: `gcloud compute target-http-proxies delete ${resourceNames.httpProxyName} --global --project=${projectId} --quiet`
+    },
+    {
+      name: 'HTTP redirect URL map',
+      command: `gcloud compute url-maps delete ${resourceNames.httpUrlMapName} --global --project=${projectId} --quiet`
+    }
+  ];
+}
+
+/**
+ * Prints the DNS records the custom domains need
+ * @param {Array<string>} domains - Custom domains
+ * @param {string} ipAddress - Static IP of the load balancer
+ */
+function printDnsRecords(domains, ipAddress) {
+  console.log(chalk.blue('📌 DNS Configuration Required:\n'));
+  console.log(`Add the following DNS ${domains.length > 1 ? 'records' : 'record'} for your ${domains.length > 1 ? 'domains' : 'domain'}:`);
+  domains.forEach(domain => {
+    console.log(`  Type: A`);
+    console.log(`  Name: ${domain}`);
+    console.log(`  Value: ${ipAddress}\n`);
+  });
+  console.log(chalk.dim('Note: DNS propagation may take up to 48 hours'));
+  console.log(chalk.dim('SSL certificate provisioning may take up to 30 minutes'));
+}
 
 async function createLoadBalancer(config) {
-  const { projectId, serviceName, customDomain, region, useStaticIP } = config;
-  const resourceNames = generateResourceNames(serviceName, customDomain);
+  const { projectId, serviceName, region, useStaticIP } = config;
+  const { domains } = getCustomDomains(config);
+  const { httpToHttps, canonicalHost } = getRedirects(config);
+  const security = getSecurity(config);
+  const cdnEnabled = getCdn(config);
+  const resourceNames = generateResourceNames(serviceName);
+  const certificates = groupCertificates(serviceName, domains);
   
   console.log(chalk.blue('\n🔧 Creating load balancer resources for custom domain...\n'));
 
@@ -194,19 +630,22 @@ async function createLoadBalancer(config) {
       console.log(chalk.green(`✅ VPC connector configured for Cloud Run`));
     }
 
-    // 2. Create or reuse Google-managed SSL certificate
-    console.log(chalk.blue(`Checking for existing SSL certificate: ${resourceNames.sslCertName}`));
-    try {
-      await executeCommand(
-        `gcloud compute ssl-certificates describe ${resourceNames.sslCertName} --global --project=${projectId}`
-      );
-      console.log(chalk.yellow(`✅ Using existing SSL certificate for domain: ${customDomain}`));
-    } catch (error) {
-      console.log(chalk.blue(`Creating SSL certificate for domain: ${customDomain}`));
-      await executeCommand(
-        `gcloud compute ssl-certificates create ${resourceNames.sslCertName} --domains=${customDomain} --global --project=${projectId}`
-      );
+    // 2. Create or reuse Google-managed SSL certificates, up to 100 domains each
+    for (const certificate of certificates) {
+      console.log(chalk.blue(`Checking for existing SSL certificate: ${certificate.name}`));
+      try {
+        await executeCommand(
+          `gcloud compute ssl-certificates describe ${certificate.name} --global --project=${projectId}`
+        );
+        console.log(chalk.yellow(`✅ Using existing SSL certificate for: ${certificate.domains.join(', ')}`));
+      } catch (error) {
+        console.log(chalk.blue(`Creating SSL certificate for: ${certificate.domains.join(', ')}`));
+        await executeCommand(
+          `gcloud compute ssl-certificates create ${certificate.name} --domains=${certificate.domains.join(',')} --global --project=${projectId}`
+        );
+      }
     }
+    const certificateNames = certificates.map(certificate => certificate.name).join(',');
 
     // 3. Create or reuse serverless NEG for Cloud Run service
     console.log(chalk.blue(`Checking for existing network endpoint group: ${resourceNames.negName}`));
@@ -245,6 +684,15 @@ async function createLoadBalancer(config) {
       );
     }
 
+    // Attach the Cloud Armor policy before the backend gets traffic
+    let securityPolicy = null;
+    if (security) {
+      securityPolicy = await applySecurityPolicy(config, resourceNames.backendServiceName);
+    }
+    if (cdnEnabled) {
+      await applyCdn(config, resourceNames.backendServiceName, true);
+    }
+
     // 5. Create or reuse URL map
     console.log(chalk.blue(`Checking for existing URL map: ${resourceNames.urlMapName}`));
     try {
@@ -258,6 +706,8 @@ async function createLoadBalancer(config) {
         `gcloud compute url-maps create ${resourceNames.urlMapName} --default-service=${resourceNames.backendServiceName} --global --project=${projectId}`
       );
     }
+    console.log(chalk.blue(`Routing ${domains.join(', ')} to ${resourceNames.backendServiceName}...`));
+    await importUrlMap(config, buildUrlMap(config, resourceNames, domains));
 
     // 6. Create or reuse HTTPS target proxy
     console.log(chalk.blue(`Checking for existing HTTPS target proxy: ${resourceNames.targetProxyName}`));
@@ -266,10 +716,13 @@ async function createLoadBalancer(config) {
         `gcloud compute target-https-proxies describe ${resourceNames.targetProxyName} --global --project=${projectId}`
       );
       console.log(chalk.yellow(`✅ Using existing HTTPS target proxy: ${resourceNames.targetProxyName}`));
+      await executeCommand(
+        `gcloud compute target-https-proxies update ${resourceNames.targetProxyName} --ssl-certificates=${certificateNames} --global --project=${projectId}`
+      );
     } catch (error) {
       console.log(chalk.blue(`Creating HTTPS target proxy...`));
       await executeCommand(
-        `gcloud compute target-https-proxies create ${resourceNames.targetProxyName} --url-map=${resourceNames.urlMapName} --ssl-certificates=${resourceNames.sslCertName} --global --project=${projectId}`
+        `gcloud compute target-https-proxies create ${resourceNames.targetProxyName} --url-map=${resourceNames.urlMapName} --ssl-certificates=${certificateNames} --global --project=${projectId}`
       );
     }
 
@@ -287,21 +740,29 @@ async function createLoadBalancer(config) {
       );
     }
 
+    // 8. Answer HTTP on the same static IP with redirects to HTTPS
+    if (httpToHttps) {
+      await setupHttpRedirect(config, resourceNames);
+    }
+
     console.log(chalk.green('\n✅ Load balancer created successfully!\n'));
     
     // Display DNS configuration instructions
-    console.log(chalk.blue('📌 DNS Configuration Required:\n'));
-    console.log(`Add the following DNS record for your domain:`);
-    console.log(`  Type: A`);
-    console.log(`  Name: ${customDomain}`);
-    console.log(`  Value: ${ipAddress}\n`);
-    console.log(chalk.dim('Note: DNS propagation may take up to 48 hours'));
-    console.log(chalk.dim('SSL certificate provisioning may take up to 30 minutes'));
+    printDnsRecords(domains, ipAddress);
 
     const result = {
       ipAddress,
-      ...resourceNames
+      ...resourceNames,
+      domains,
+      sslCertificates: certificates,
+      redirects: { httpToHttps, canonicalHost }
     };
+    if (securityPolicy) {
+      result.securityPolicy = securityPolicy;
+    }
+    if (cdnEnabled) {
+      result.cdnEnabled = true;
+    }
 
     // Add NAT IP if Cloud NAT was configured
     if (useStaticIP) {
@@ -319,6 +780,79 @@ async function createLoadBalancer(config) {
   }
 }
 
+/**
+ * Points an existing load balancer at the configured domains and redirects
+ * without touching its static IP: creates certificates for new domains,
+ * attaches them to the HTTPS proxy, retires certificates of removed domains,
+ * updates the URL map host rules and adds or removes the HTTP redirect
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {Promise<Object>} Updated loadBalancerResources to save
+ */
+async function updateLoadBalancer(config) {
+  const { projectId, serviceName, loadBalancerResources } = config;
+  const { domains } = getCustomDomains(config);
+  const { httpToHttps, canonicalHost } = getRedirects(config);
+  // Load balancers created before the HTTP redirect didn't record its names
+  const resourceNames = { ...generateResourceNames(serviceName), ...loadBalancerResources };
+  const current = await readCertificates(config);
+  const { keep, create, retire, release } = planCertificates(serviceName, domains, current);
+
+  const attached = [...keep, ...create, ...retire];
+  if (attached.length > MAX_CERTIFICATES_PER_PROXY) {
+    throw new Error(`The HTTPS proxy would need ${attached.length} certificates, at most ${MAX_CERTIFICATES_PER_PROXY} are allowed. Wait for the new certificates to become ACTIVE and try again.`);
+  }
+
+  for (const certificate of create) {
+    console.log(chalk.blue(`Creating SSL certificate for: ${certificate.domains.join(', ')}`));
+    await executeCommand(
+      `gcloud compute ssl-certificates create ${certificate.name} --domains=${certificate.domains.join(',')} --global --project=${projectId}`
+    );
+  }
+
+  await executeCommand(
+    `gcloud compute target-https-proxies update ${resourceNames.targetProxyName} --ssl-certificates=${attached.map(certificate => certificate.name).join(',')} --global --project=${projectId}`
+  );
+  await importUrlMap(config, buildUrlMap(config, resourceNames, domains));
+
+  if (httpToHttps) {
+    await setupHttpRedirect(config, resourceNames);
+  } else if (getLoadBalancerRedirects(loadBalancerResources).httpToHttps) {
+    console.log(chalk.blue('Removing the HTTP to HTTPS redirect...'));
+    for (const step of getHttpRedirectDeletionSteps(projectId, resourceNames)) {
+      try {
+        await executeCommand(step.command);
+      } catch (error) {
+        if (!error.message.includes('was not found')) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  for (const certificate of release) {
+    console.log(chalk.blue(`Deleting SSL certificate ${certificate.name}...`));
+    try {
+      await executeCommand(`gcloud compute ssl-certificates delete ${certificate.name} --global --project=${projectId} --quiet`);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not delete ${certificate.name}: ${error.message}`));
+    }
+  }
+  retire.forEach(certificate => {
+    console.log(chalk.yellow(`⏳ ${certificate.name} stays attached until the certificates replacing it are ACTIVE. Run "meteor-cloud-run domains sync" later to remove it.`));
+  });
+
+  const updated = {
+    ...resourceNames,
+    domains,
+    sslCertificates: attached.map(({ name, domains: certificateDomains, retired }) => (
+      retired ? { name, domains: certificateDomains, retired } : { name, domains: certificateDomains }
+    )),
+    redirects: { httpToHttps, canonicalHost }
+  };
+  delete updated.sslCertName;
+  return updated;
+}
+
 async function deleteLoadBalancer(config) {
   const { projectId, region, loadBalancerResources } = config;
   
@@ -328,7 +862,11 @@ async function deleteLoadBalancer(config) {
 
   console.log(chalk.blue('\n🧹 Cleaning up load balancer resources...\n'));
 
+  // The HTTP redirect goes first, its forwarding rule also holds the static IP
   const deletionSteps = [
+    ...(getLoadBalancerRedirects(loadBalancerResources).httpToHttps
+      ? getHttpRedirectDeletionSteps(projectId, loadBalancerResources)
+      : []),
     {
       name: 'forwarding rule',
       command: `gcloud compute forwarding-rules delete ${loadBalancerResources.forwardingRuleName} --global --project=${projectId} --quiet`
@@ -345,14 +883,19 @@ async function deleteLoadBalancer(config) {
       name: 'backend service',
       command: `gcloud compute backend-services delete ${loadBalancerResources.backendServiceName} --global --project=${projectId} --quiet`
     },
+    // Only deletable once the backend service using it is gone
+    ...(loadBalancerResources.securityPolicy ? [{
+      name: 'security policy',
+      command: `gcloud compute security-policies delete ${loadBalancerResources.securityPolicy.name} --global --project=${projectId} --quiet`
+    }] : []),
     {
       name: 'network endpoint group',
       command: `gcloud compute network-endpoint-groups delete ${loadBalancerResources.negName} --region=${region} --project=${projectId} --quiet`
     },
-    {
-      name: 'SSL certificate',
-      command: `gcloud compute ssl-certificates delete ${loadBalancerResources.sslCertName} --global --project=${projectId} --quiet`
-    }
+    ...getLoadBalancerCertificates(loadBalancerResources).map(certificate => ({
+      name: `SSL certificate ${certificate.name}`,
+      command: `gcloud compute ssl-certificates delete ${certificate.name} --global --project=${projectId} --quiet`
+    }))
   ];
 
   // Add Cloud NAT resources if they exist
@@ -425,10 +968,9 @@ async function checkLoadBalancerStatus(config) {
   }
 
   try {
-    // Check SSL certificate status
-    const certStatus = await executeCommand(
-      `gcloud compute ssl-certificates describe ${loadBalancerResources.sslCertName} --global --project=${projectId} --format="value(managed.status)"`
-    );
+    // Check SSL certificate status, ACTIVE once every certificate is
+    const certificates = await readCertificates(config);
+    const pending = certificates.find(certificate => certificate.status !== 'ACTIVE');
 
     // Check if forwarding rule is active
     const forwardingRuleStatus = await executeCommand(
@@ -436,7 +978,7 @@ async function checkLoadBalancerStatus(config) {
     );
 
     return {
-      sslStatus: certStatus.stdout.trim(),
+      sslStatus: pending ? pending.status || 'NOT_FOUND' : 'ACTIVE',
       forwardingRuleActive: forwardingRuleStatus.stdout.trim() === 'ACTIVE',
       ipAddress: loadBalancerResources.ipAddress
     };
@@ -447,17 +989,19 @@ async function checkLoadBalancerStatus(config) {
   }
 }
 
-function generateResourceNames(serviceName, customDomain) {
+function generateResourceNames(serviceName) {
   const sanitizedName = sanitizeServiceName(serviceName);
   
   return {
     staticIpName: `${sanitizedName}-ip`,
-    sslCertName: `${sanitizedName}-ssl-cert`,
     negName: `${sanitizedName}-neg`,
     backendServiceName: `${sanitizedName}-backend`,
     urlMapName: `${sanitizedName}-url-map`,
     targetProxyName: `${sanitizedName}-https-proxy`,
     forwardingRuleName: `${sanitizedName}-https-rule`,
+    httpUrlMapName: `${sanitizedName}-http-redirect`,
+    httpProxyName: `${sanitizedName}-http-proxy`,
+    httpForwardingRuleName: `${sanitizedName}-http-rule`,
     natIpName: `${sanitizedName}-nat-ip`,
     routerName: `${sanitizedName}-router`,
     natName: `${sanitizedName}-nat`
@@ -465,7 +1009,23 @@ function generateResourceNames(serviceName, customDomain) {
 }
 
 module.exports = {
+  MAX_DOMAINS_PER_CERTIFICATE,
+  getCustomDomains,
+  getRedirects,
+  getLoadBalancerRedirects,
+  groupCertificates,
+  getLoadBalancerCertificates,
+  getLoadBalancerDomains,
+  needsLoadBalancerUpdate,
+  readCertificates,
+  getDomainSslStatus,
+  planCertificates,
+  buildUrlMap,
+  buildHttpRedirectUrlMap,
+  printDnsRecords,
   createLoadBalancer,
+  updateLoadBalancer,
   deleteLoadBalancer,
-  checkLoadBalancerStatus
+  checkLoadBalancerStatus,
+  generateResourceNames
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { getServiceName, escapeShellArg } = require('./utils');
+const { getDeploymentEnvironment } = require('./fileGeneration');
+
+// Port the container listens on, as on Cloud Run
+const CONTAINER_PORT = 8080;
+
+/**
+ * Gets the name of the image built by `build --local`
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {string} Image name with the "local" tag
+ */
+function getLocalImageName(config) {
+  return `${getServiceName(config)}:local`;
+}
+
+/**
+ * Validates a --port value
+ * @param {string|number} port - Host port
+ * @returns {number} Port number
+ */
+function parsePort(port) {
+  const value = Number(port);
+  if (!Number.isInteger(value) || value < 1 || value > 65535) {
+    throw new Error(`Invalid port "${port}". Use a number between 1 and 65535`);
+  }
+  return value;
+}
+
+/**
+ * Assembles the container environment a deploy would set, with settings
+ * injected directly: secrets become plain variables, METEOR_SETTINGS holds
+ * the settings file and ROOT_URL points at localhost
+ * @param {Object} config - Configuration with the values extracted from the settings file
+ * @param {string|null} mongoUrl - MongoDB connection string
+ * @param {Object|null} settings - Parsed settings file
+ * @param {number} port - Host port the app is published on
+ * @returns {Object} Environment variables by name
+ */
+function buildLocalEnvironment(config, mongoUrl, settings, port) {
+  const { envVars, secretsToCreate } = getDeploymentEnvironment(config, mongoUrl);
+  const env = {};
+
+  envVars.forEach(envVar => {
+    const [key, ...rest] = envVar.split('=');
+    env[key] = rest.join('=');
+  });
+  secretsToCreate.forEach(secret => {
+    env[secret.envName] = secret.value;
+  });
+
+  env.PORT = String(CONTAINER_PORT);
+  env.ROOT_URL = `http://localhost:${port}`;
+  if (settings) {
+    env.METEOR_SETTINGS = JSON.stringify(settings);
+  }
+  return env;
+}
+
+/**
+ * Formats an environment for `docker run --env-file`, which keeps values
+ * off the command line. Docker reads each line literally, so values can't
+ * contain newlines.
+ * @param {Object} env - Environment variables by name
+ * @returns {string} Env file contents
+ */
+function formatEnvFile(env) {
+  return Object.entries(env).map(([key, value]) => {
+    const text = String(value);
+    if (/[\r\n]/.test(text)) {
+      throw new Error(`${key} contains a line break, which Docker env files can't hold`);
+    }
+    return `${key}=${text}`;
+  }).join('\n') + '\n';
+}
+
+/**
+ * Checks whether a connection string points at this machine, which the
+ * container reaches as host.docker.internal instead
+ * @param {string|null} url - Connection string
+ * @returns {boolean} True for localhost addresses
+ */
+function pointsAtLocalhost(url) {
+  return /^[a-z+]+:\/\/([^@/]*@)?(localhost|127\.0\.0\.1)[:/]/i.test(url || '');
+}
+
+/**
+ * Builds the `docker build` command for a local build
+ * @param {string} image - Image name
+ * @param {Object} options - { noCache }
+ * @returns {string} Command
+ */
+function getDockerBuildCommand(image, options = {}) {
+  const noCache = options.noCache ? ' --no-cache' : '';
+  return `docker build -f .meteor-cloud-run/Dockerfile${noCache} -t ${escapeShellArg(image)} .`;
+}
+
+/**
+ * Builds the `docker run` command that runs the image like Cloud Run does.
+ * The startup script execs Node.js as PID 1, which ignores Ctrl+C, so --init
+ * adds an init process that forwards signals.
+ * @param {string} image - Image name
+ * @param {Object} options - { name, port, envFile }
+ * @returns {string} Command
+ */
+function getDockerRunCommand(image, options) {
+  return [
+    'docker run --rm --init',
+    `--name ${escapeShellArg(options.name)}`,
+    `-p ${options.port}:${CONTAINER_PORT}`,
+    '--add-host=host.docker.internal:host-gateway',
+    `--env-file ${escapeShellArg(options.envFile)}`,
+    escapeShellArg(image)
+  ].join(' ');
+}
+
+module.exports = {
+  CONTAINER_PORT,
+  getLocalImageName,
+  parsePort,
+  buildLocalEnvironment,
+  formatEnvFile,
+  pointsAtLocalhost,
+  getDockerBuildCommand,
+  getDockerRunCommand
+};
@@ -0,0 +1,220 @@
+const chalk = require('chalk');
+const { executeCommand, escapeShellArg } = require('./utils');
+
+const SEVERITIES = ['DEFAULT', 'DEBUG', 'INFO', 'NOTICE', 'WARNING', 'ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY'];
+
+// Progress lines printed by meteor-cloud-run-startup.sh before Node.js starts
+const STARTUP_MESSAGES = [
+  'Starting Meteor app...',
+  'Downloading METEOR_SETTINGS from GCS...',
+  'Getting access token...',
+  'Token obtained, downloading settings...',
+  'Validating JSON format...',
+  'JSON validation passed',
+  'METEOR_SETTINGS loaded successfully',
+  'METEOR_SETTINGS length:',
+  'METEOR_SETTINGS provided by the environment',
+  'No GCS settings configured',
+  'Starting Node.js...'
+];
+
+// Failures reported by meteor-cloud-run-startup.sh, with a hint for each
+const STARTUP_ERRORS = {
+  'ERROR: Failed to get access token': 'The container could not reach the metadata server to authenticate. Check the service account attached to the service.',
+  'ERROR: Failed to download settings from GCS': 'Check that the settings file still exists in the settings bucket and that the service account can read it.',
+  'ERROR: Downloaded settings file is empty': 'The settings file in GCS is empty or could not be read. Redeploy to upload it again.',
+  'ERROR: Downloaded file is not valid JSON': 'The settings download returned something other than JSON, usually an access denied response from GCS.'
+};
+
+/**
+ * Validates a --since duration such as "30m", "1h" or "2d"
+ * @param {string} since - Duration
+ */
+function validateSince(since) {
+  if (!/^\d+[smhd]$/.test(since)) {
+    throw new Error(`Invalid duration "${since}". Use a number followed by s, m, h or d (e.g. 30m, 1h, 2d)`);
+  }
+}
+
+/**
+ * Normalizes and validates a --severity value
+ * @param {string} severity - Severity name (case-insensitive)
+ * @returns {string} Upper case severity
+ */
+function normalizeSeverity(severity) {
+  const normalized = severity.toUpperCase();
+  if (!SEVERITIES.includes(normalized)) {
+    throw new Error(`Invalid severity "${severity}". Use one of: ${SEVERITIES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Builds the Cloud Logging filter for a Cloud Run service
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Object} options - { severity, revision, receivedAfter }
+ * @returns {string} Logging query
+ */
+function buildLogFilter(config, serviceName, options = {}) {
+  const clauses = [
+    'resource.type="cloud_run_revision"',
+    `resource.labels.service_name="${serviceName}"`,
+    `resource.labels.location="${config.region}"`
+  ];
+
+  if (options.severity) {
+    clauses.push(`severity>=${normalizeSeverity(options.severity)}`);
+  }
+  if (options.revision) {
+    clauses.push(`resource.labels.revision_name="${options.revision}"`);
+  }
+  // Follow mode polls on receive time so entries that arrive late aren't skipped
+  if (options.receivedAfter) {
+    clauses.push(`receiveTimestamp>="${options.receivedAfter}"`);
+  }
+
+  return clauses.join(' AND ');
+}
+
+/**
+ * Reads log entries, returning them oldest first
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} filter - Logging query from buildLogFilter()
+ * @param {Object} options - { since, limit }
+ * @returns {Promise<Array<Object>>} Log entries
+ */
+async function readLogEntries(config, filter, options = {}) {
+  const result = await executeCommand(
+    `gcloud logging read ${escapeShellArg(filter)} --project=${config.projectId} --freshness=${options.since || '1h'} --limit=${options.limit || 100} --order=desc --format=json`
+  );
+  return JSON.parse(result.stdout || '[]').reverse();
+}
+
+/**
+ * Extracts the human readable message from a log entry
+ * @param {Object} entry - Log entry
+ * @returns {string} Message text
+ */
+function getEntryMessage(entry) {
+  if (entry.textPayload !== undefined) {
+    return entry.textPayload;
+  }
+
+  if (entry.jsonPayload) {
+    const { message, ...rest } = entry.jsonPayload;
+    return message !== undefined ? String(message) : JSON.stringify(rest);
+  }
+
+  if (entry.httpRequest) {
+    const request = entry.httpRequest;
+    return `${request.requestMethod} ${request.status} ${request.requestUrl} ${request.latency || ''}`.trim();
+  }
+
+  if (entry.protoPayload) {
+    return entry.protoPayload.status?.message || entry.protoPayload.methodName || '';
+  }
+
+  return '';
+}
+
+/**
+ * Classifies a line of output for highlighting
+ * @param {string} line - Single line of a log message
+ * @returns {string|null} 'startup-error', 'startup', 'error', 'stack-frame', 'stack-frame-internal' or null
+ */
+function classifyLine(line) {
+  const trimmed = line.trim();
+
+  if (Object.keys(STARTUP_ERRORS).some(message => trimmed.startsWith(message))) {
+    return 'startup-error';
+  }
+  if (STARTUP_MESSAGES.some(message => trimmed.startsWith(message))) {
+    return 'startup';
+  }
+  if (/^at\s/.test(trimmed)) {
+    return /node_modules|node:internal|\(internal\/|packages\/(meteor|ddp|mongo|webapp|promise)/.test(trimmed)
+      ? 'stack-frame-internal'
+      : 'stack-frame';
+  }
+  // Node errors ("TypeError: ...") and Meteor's "Exception while invoking method ..." style messages
+  if (/^([A-Z]\w*)?(Error|Exception)\b/.test(trimmed) || /^Exception (in|while|from)\b/.test(trimmed)) {
+    return 'error';
+  }
+  return null;
+}
+
+/**
+ * Applies Meteor-aware highlighting to a line
+ * @param {string} line - Single line of a log message
+ * @returns {string} Highlighted line
+ */
+function highlightLine(line) {
+  switch (classifyLine(line)) {
+    case 'startup-error':
+      return chalk.red.bold(line);
+    case 'startup':
+      return chalk.cyan(line);
+    case 'error':
+      return chalk.red(line);
+    case 'stack-frame':
+      return chalk.yellow(line);
+    case 'stack-frame-internal':
+      return chalk.gray(line);
+    default:
+      return line;
+  }
+}
+
+/**
+ * Colors the severity label of an entry
+ * @param {string} severity - Entry severity
+ * @returns {string} Padded, colored label
+ */
+function formatSeverity(severity = 'DEFAULT') {
+  const label = severity.padEnd(8);
+  if (['ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY'].includes(severity)) {
+    return chalk.red(label);
+  }
+  if (severity === 'WARNING') {
+    return chalk.yellow(label);
+  }
+  if (severity === 'DEBUG') {
+    return chalk.gray(label);
+  }
+  return chalk.white(label);
+}
+
+/**
+ * Formats a log entry for the terminal, with startup script failures
+ * followed by a hint
+ * @param {Object} entry - Log entry
+ * @param {string} serviceName - Cloud Run service name (stripped from revision names)
+ * @returns {string} Formatted, possibly multi-line output
+ */
+function formatLogEntry(entry, serviceName) {
+  const timestamp = entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '';
+  const revision = (entry.resource?.labels?.revision_name || '').replace(`${serviceName}-`, '');
+  const prefix = `${chalk.gray(timestamp)} ${formatSeverity(entry.severity)} ${chalk.gray(revision)}`;
+
+  const lines = getEntryMessage(entry).replace(/\n+$/, '').split('\n');
+  const output = lines.map((line, index) => (index === 0 ? `${prefix} ${highlightLine(line)}` : `    ${highlightLine(line)}`));
+
+  const startupError = Object.keys(STARTUP_ERRORS).find(message => lines[0].trim().startsWith(message));
+  if (startupError) {
+    output.push(chalk.yellow(`    💡 ${STARTUP_ERRORS[startupError]}`));
+  }
+
+  return output.join('\n');
+}
+
+module.exports = {
+  SEVERITIES,
+  validateSince,
+  normalizeSeverity,
+  buildLogFilter,
+  readLogEntries,
+  getEntryMessage,
+  classifyLine,
+  formatLogEntry
+};
@@ -0,0 +1,147 @@
+// Formats selectable with the global --output option (--json is short for --output json)
+const OUTPUT_FORMATS = ['table', 'json', 'yaml'];
+
+// YAML words that would be read back as booleans or null if left unquoted
+const YAML_RESERVED = ['true', 'false', 'yes', 'no', 'on', 'off', 'null', '~', 'y', 'n'];
+
+let machineOutput = false;
+// console.log while json or yaml mode sends it to stderr
+let originalLog = null;
+
+/**
+ * Gets the output format selected with --output or --json
+ * @param {Object} globalOptions - Global options from getGlobalOptions()
+ * @returns {string} One of OUTPUT_FORMATS, "table" by default
+ */
+function getOutputFormat(globalOptions = {}) {
+  const format = (globalOptions.output || 'table').toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${globalOptions.output}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Formats a scalar value for YAML, quoting strings that would otherwise be
+ * read back as another type or break the document
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} YAML scalar
+ */
+function toYamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+  const plain = /^[A-Za-z0-9_./@(][A-Za-z0-9_ ./@:%+()=,-]*$/.test(value) &&
+    !/: |:$| $/.test(value) &&
+    !YAML_RESERVED.includes(value.toLowerCase()) &&
+    !/^\d{4}-\d{2}-\d{2}/.test(value) && // Timestamps
+    isNaN(Number(value));
+  // JSON strings are valid double-quoted YAML scalars
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Serializes plain data (objects, arrays and scalars) as YAML
+ * @param {*} value - Data to serialize
+ * @param {number} indent - Indentation of nested lines
+ * @returns {string} YAML document without a trailing newline
+ */
+function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const isNested = item => item !== null && typeof item === 'object' && Object.keys(item).length > 0;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    return value.map(item => {
+      if (isNested(item)) {
+        return `${pad}- ${toYaml(item, indent + 2).trimStart()}`;
+      }
+      return `${pad}- ${typeof item === 'object' && item !== null ? toYaml(item) : toYamlScalar(item)}`;
+    }).join('\n');
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    return entries.map(([key, item]) => {
+      if (isNested(item)) {
+        return `${pad}${toYamlScalar(key)}:\n${toYaml(item, indent + 2)}`;
+      }
+      return `${pad}${toYamlScalar(key)}: ${typeof item === 'object' && item !== null ? toYaml(item) : toYamlScalar(item)}`;
+    }).join('\n');
+  }
+
+  return toYamlScalar(value);
+}
+
+/**
+ * Formats a result document
+ * @param {string} format - "json" or "yaml"
+ * @param {*} document - Result to format
+ * @returns {string} Formatted document
+ */
+function formatDocument(format, document) {
+  return format === 'yaml' ? toYaml(document) : JSON.stringify(document, null, 2);
+}
+
+/**
+ * Sets up output for a command. In json and yaml mode the human-readable
+ * messages move to stderr, so stdout only carries the printed document.
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {Object} { format, machine, print(document) }
+ */
+function startOutput(format) {
+  if (format === 'table') {
+    return { format, machine: false, print: () => {} };
+  }
+
+  machineOutput = true;
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  if (!originalLog) {
+    originalLog = console.log;
+    console.log = console.error;
+  }
+
+  return {
+    format,
+    machine: true,
+    print: document => writeStdout(`${formatDocument(format, document)}\n`)
+  };
+}
+
+/**
+ * Ends the output of a command started with startOutput(), so messages go
+ * to stdout again
+ */
+function endOutput() {
+  if (originalLog) {
+    console.log = originalLog;
+    originalLog = null;
+  }
+  machineOutput = false;
+}
+
+/**
+ * Gets the stream for progress output written without console.log
+ * @returns {Object} process.stderr in json and yaml mode, process.stdout otherwise
+ */
+function getHumanStream() {
+  return machineOutput ? process.stderr : process.stdout;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  getOutputFormat,
+  toYaml,
+  formatDocument,
+  startOutput,
+  endOutput,
+  getHumanStream
+};
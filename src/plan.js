@@ -0,0 +1,503 @@
+const chalk = require('chalk');
+const { verboseLog, executeCommand, REQUIRED_APIS } = require('./utils');
+const {
+  getDeploymentEnvironment,
+  getSettingsBucketName,
+  hasSettingsLifecyclePolicy,
+  getSettingsStorage,
+  getSettingsSecretName
+} = require('./fileGeneration');
+const {
+  getCustomDomains,
+  getRedirects,
+  getLoadBalancerRedirects,
+  groupCertificates,
+  getLoadBalancerDomains,
+  needsLoadBalancerUpdate,
+  generateResourceNames
+} = require('./loadBalancer');
+const { getRevisionEnvValue, getTrafficSplit } = require('./revisions');
+const { IAM_API, DEPLOYER_PROJECT_ROLES, usesDedicatedServiceAccount, getServiceAccounts } = require('./serviceAccounts');
+const { SECRET_HASH_ANNOTATION, HASH_KEY_SECRET, hashSecretValue, readHashKey } = require('./secrets');
+const { getRuntimeOptions, readRuntimeOptions, getRuntimePlanValues } = require('./runtimeOptions');
+const { getSecurityPolicyName, getSecurity, buildSecurityRules, needsSecurityUpdate } = require('./security');
+const { getCdn, needsCdnUpdate } = require('./cdn');
+
+const ACTION_SYMBOLS = {
+  create: chalk.green('+'),
+  update: chalk.yellow('~'),
+  'no-op': chalk.gray('='),
+  unknown: chalk.magenta('?')
+};
+
+/**
+ * Runs a read-only describe command and reports whether the resource exists
+ * @param {string} command - gcloud/gsutil describe command
+ * @returns {Promise<boolean>} True if the resource exists
+ * @throws {Error} If the command failed for another reason (e.g. permissions)
+ */
+async function resourceExists(command) {
+  try {
+    await executeCommand(command);
+    return true;
+  } catch (error) {
+    if (/NOT_FOUND|not found|was not found|Cannot find|does not exist|BucketNotFoundException|404/i.test(error.message)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Adds a plan entry, turning read errors into "unknown" entries
+ * @param {Array<Object>} entries - Plan entries
+ * @param {string} type - Resource type label
+ * @param {string} name - Resource name
+ * @param {Function} check - Async function returning { action, details }
+ */
+async function addEntry(entries, type, name, check) {
+  try {
+    const { action, details = [] } = await check();
+    entries.push({ action, type, name, details });
+  } catch (error) {
+    verboseLog(`Plan check failed for ${type} ${name}:`, error.message);
+    entries.push({ action: 'unknown', type, name, details: [`could not be read: ${error.message.split('\n').pop()}`] });
+  }
+}
+
+/**
+ * Normalizes CPU values so "1000m" and "1" compare equal
+ * @param {string|number} cpu - CPU value
+ * @returns {string} Normalized CPU value
+ */
+function normalizeCpu(cpu) {
+  const value = String(cpu);
+  return /^\d+m$/.test(value) ? String(parseInt(value, 10) / 1000) : value;
+}
+
+/**
+ * Compares the Cloud Run service as it exists with what the deploy will set
+ * @param {Object} service - Parsed service description
+ * @param {Object} desired - { flags, env, secrets, imageTag }
+ * @returns {Array<string>} Change descriptions (empty if nothing changes)
+ */
+function diffCloudRunService(service, desired) {
+  const template = service.spec?.template || {};
+  const annotations = template.metadata?.annotations || {};
+  const container = template.spec?.containers?.[0] || {};
+  const limits = container.resources?.limits || {};
+
+  const current = {
+    cpu: limits.cpu !== undefined ? normalizeCpu(limits.cpu) : undefined,
+    memory: limits.memory,
+    concurrency: template.spec?.containerConcurrency,
+    'min-instances': annotations['autoscaling.knative.dev/minScale'] || '0',
+    'max-instances': annotations['autoscaling.knative.dev/maxScale'],
+    port: container.ports?.[0]?.containerPort,
+    ingress: service.metadata?.annotations?.['run.googleapis.com/ingress'],
+    'vpc-connector': annotations['run.googleapis.com/vpc-access-connector'] || 'none',
+    'vpc-egress': annotations['run.googleapis.com/vpc-access-egress'] || 'none',
+    'service-account': template.spec?.serviceAccountName || 'default',
+    ...getRuntimePlanValues(readRuntimeOptions(service))
+  };
+
+  const details = [];
+
+  Object.entries(desired.flags).forEach(([flag, value]) => {
+    const from = current[flag] === undefined ? 'unset' : String(current[flag]);
+    const to = flag === 'cpu' ? normalizeCpu(value) : String(value);
+    if (from !== to) {
+      details.push(`~ ${flag}: ${from} → ${to}`);
+    }
+  });
+
+  // Plain environment variables (values aren't printed, they may be sensitive)
+  const currentEnv = {};
+  const currentSecrets = {};
+  (container.env || []).forEach(e => {
+    if (e.valueFrom?.secretKeyRef) {
+      currentSecrets[e.name] = e.valueFrom.secretKeyRef.name;
+    } else {
+      currentEnv[e.name] = e.value;
+    }
+  });
+
+  Object.entries(desired.env).forEach(([key, value]) => {
+    if (!(key in currentEnv)) {
+      details.push(`+ env ${key}`);
+    } else if (currentEnv[key] !== value) {
+      details.push(`~ env ${key}`);
+    }
+  });
+  // The GCS settings variables change with every deploy, only show them going away
+  // when settings move to Secret Manager
+  const settingsMoved = 'METEOR_SETTINGS' in desired.secrets;
+  Object.keys(currentEnv)
+    .filter(key => !(key in desired.env) && (settingsMoved || !key.startsWith('METEOR_SETTINGS_GCS_')))
+    .forEach(key => details.push(`- env ${key}`));
+
+  Object.entries(desired.secrets).forEach(([key, secretName]) => {
+    if (currentSecrets[key] !== secretName) {
+      details.push(`${key in currentSecrets ? '~' : '+'} secret env ${key} → ${secretName}`);
+    }
+  });
+
+  const currentTag = template.metadata?.labels?.['image-tag'];
+  if (currentTag !== desired.imageTag) {
+    details.push(`~ image: ${currentTag || 'untagged'} → ${desired.imageTag}`);
+  }
+
+  return details;
+}
+
+/**
+ * Computes the deploy plan using only read-only describe/list calls
+ * @param {Object} config - Meteor Cloud Run configuration (with rawSettings if settings are deployed)
+ * @param {Object} context - { serviceName, mongoUrl, imageTag, canaryPercent }
+ * @returns {Promise<Array<Object>>} Plan entries { action, type, name, details }
+ */
+async function buildDeployPlan(config, context) {
+  const { serviceName, mongoUrl, imageTag, canaryPercent } = context;
+  const projectFlag = `--project=${config.projectId}`;
+  const entries = [];
+  const dedicatedServiceAccount = usesDedicatedServiceAccount(config);
+
+  // APIs
+  let enabledApis = null;
+  try {
+    const result = await executeCommand(`gcloud services list --enabled ${projectFlag} --format="value(config.name)"`);
+    enabledApis = result.stdout.trim().split('\n').map(api => api.trim());
+  } catch (error) {
+    verboseLog('Unable to list enabled APIs:', error.message);
+  }
+  for (const api of dedicatedServiceAccount ? [...REQUIRED_APIS, IAM_API] : REQUIRED_APIS) {
+    await addEntry(entries, 'API', api, async () => {
+      if (!enabledApis) {
+        throw new Error('unable to list enabled APIs');
+      }
+      return { action: enabledApis.includes(api) ? 'no-op' : 'create' };
+    });
+  }
+
+  // Project IAM bindings: Editor for the default service accounts, or the
+  // dedicated accounts and the deployer's roles
+  const projectNumber = (await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`)).stdout.trim();
+  const cloudBuildSA = `${projectNumber}@cloudbuild.gserviceaccount.com`;
+  const computeSA = `${projectNumber}-compute@developer.gserviceaccount.com`;
+  const accounts = dedicatedServiceAccount ? getServiceAccounts(config, serviceName) : null;
+  const runtimeSA = accounts ? accounts.runtime.email : computeSA;
+
+  const projectBindings = accounts
+    ? DEPLOYER_PROJECT_ROLES.map(role => [role, accounts.deployer.email])
+    : [['roles/editor', cloudBuildSA], ['roles/editor', computeSA]];
+
+  if (accounts) {
+    for (const account of [accounts.runtime, accounts.deployer]) {
+      await addEntry(entries, 'Service account', account.email, async () => {
+        const exists = await resourceExists(`gcloud iam service-accounts describe ${account.email} ${projectFlag}`);
+        return { action: exists ? 'no-op' : 'create' };
+      });
+    }
+  }
+
+  let iamPolicy = null;
+  for (const [role, member] of projectBindings) {
+    await addEntry(entries, 'IAM binding', `${role} → ${member}`, async () => {
+      if (!iamPolicy) {
+        iamPolicy = JSON.parse((await executeCommand(`gcloud projects get-iam-policy ${config.projectId} --format=json`)).stdout);
+      }
+      const granted = (iamPolicy.bindings || []).some(binding =>
+        binding.role === role && binding.members?.includes(`serviceAccount:${member}`)
+      );
+      return { action: granted ? 'no-op' : 'create' };
+    });
+  }
+
+  // Cloud Run service (read first, it references the current settings file)
+  let service = null;
+  try {
+    service = JSON.parse((await executeCommand(
+      `gcloud run services describe ${serviceName} --region=${config.region} ${projectFlag} --format=json`
+    )).stdout);
+  } catch (error) {
+    if (!/NOT_FOUND|Cannot find service|could not be found/i.test(error.message)) {
+      throw error;
+    }
+  }
+
+  // The service template has the same shape as a revision for env lookups
+  const currentTemplate = { spec: service?.spec?.template?.spec };
+
+  // Settings secret, checked with the other secrets below
+  const settingsSecret = config.rawSettings && getSettingsStorage(config) === 'secret-manager'
+    ? { name: getSettingsSecretName(serviceName), value: JSON.stringify(config.rawSettings) }
+    : null;
+
+  // Settings bucket, lifecycle policy, bucket IAM and settings file
+  if (config.rawSettings && !settingsSecret) {
+    const bucketName = getSettingsBucketName(config.projectId);
+    let bucketExists = false;
+
+    await addEntry(entries, 'Storage bucket', `gs://${bucketName}`, async () => {
+      bucketExists = await resourceExists(`gsutil ls -b gs://${bucketName}`);
+      return { action: bucketExists ? 'no-op' : 'create' };
+    });
+
+    await addEntry(entries, 'Bucket lifecycle policy', `gs://${bucketName}`, async () => {
+      if (!bucketExists) {
+        return { action: 'create' };
+      }
+      const lifecycle = await executeCommand(`gsutil lifecycle get gs://${bucketName}`);
+      return { action: hasSettingsLifecyclePolicy(lifecycle.stdout) ? 'no-op' : 'update' };
+    });
+
+    await addEntry(entries, 'Bucket IAM binding', `roles/storage.objectViewer → ${runtimeSA}`, async () => {
+      if (!bucketExists) {
+        return { action: 'create' };
+      }
+      const policy = JSON.parse((await executeCommand(`gsutil iam get gs://${bucketName}`)).stdout);
+      const granted = (policy.bindings || []).some(binding =>
+        binding.role === 'roles/storage.objectViewer' && binding.members?.includes(`serviceAccount:${runtimeSA}`)
+      );
+      return { action: granted ? 'no-op' : 'create' };
+    });
+
+    // Every deploy uploads a new file, so the current one is never read
+    await addEntry(entries, 'Settings file', `gs://${bucketName}/settings-<timestamp>.json`, async () => {
+      const currentFile = getRevisionEnvValue(currentTemplate, 'METEOR_SETTINGS_GCS_FILE');
+      return { action: 'create', details: currentFile ? [`replaces ${currentFile}`] : [] };
+    });
+  }
+
+  // Secrets (compared by the HMAC deploy annotates them with, values are never read)
+  const settingsInfo = settingsSecret ? { secret: settingsSecret.name, version: 'latest' } : null;
+  const { envVars, secrets, secretsToCreate } = getDeploymentEnvironment(config, mongoUrl, settingsInfo);
+  const secretsToWrite = settingsSecret ? [...secretsToCreate, settingsSecret] : secretsToCreate;
+  let hashKey = null;
+  if (secretsToWrite.length > 0) {
+    await addEntry(entries, 'Secret', HASH_KEY_SECRET, async () => {
+      if (!(await resourceExists(`gcloud secrets describe ${HASH_KEY_SECRET} ${projectFlag}`))) {
+        return { action: 'create', details: ['random key secret values are hashed with'] };
+      }
+      hashKey = await readHashKey(config);
+      return hashKey ? { action: 'no-op' } : { action: 'unknown', details: ['can\'t be read, secret values can\'t be compared'] };
+    });
+  }
+  for (const secret of secretsToWrite) {
+    let secretExists = false;
+    await addEntry(entries, 'Secret', secret.name, async () => {
+      secretExists = await resourceExists(`gcloud secrets describe ${secret.name} ${projectFlag}`);
+      if (!secretExists) {
+        return { action: 'create' };
+      }
+      if (!hashKey) {
+        return { action: 'update', details: ['new secret version'] };
+      }
+      const described = await executeCommand(`gcloud secrets describe ${secret.name} ${projectFlag} --format="value(annotations.${SECRET_HASH_ANNOTATION})"`);
+      return described.stdout.trim() === hashSecretValue(secret.value, hashKey)
+        ? { action: 'no-op' }
+        : { action: 'update', details: ['new secret version'] };
+    });
+
+    await addEntry(entries, 'Secret IAM binding', `${secret.name} → ${runtimeSA}`, async () => {
+      if (!secretExists) {
+        return { action: 'create' };
+      }
+      const policy = JSON.parse((await executeCommand(`gcloud secrets get-iam-policy ${secret.name} ${projectFlag} --format=json`)).stdout);
+      const granted = (policy.bindings || []).some(binding =>
+        binding.role === 'roles/secretmanager.secretAccessor' && binding.members?.includes(`serviceAccount:${runtimeSA}`)
+      );
+      return { action: granted ? 'no-op' : 'create' };
+    });
+  }
+
+  // Artifact Registry repository
+  await addEntry(entries, 'Artifact Registry repository', serviceName, async () => {
+    const exists = await resourceExists(`gcloud artifacts repositories describe ${serviceName} --location=${config.region} ${projectFlag}`);
+    return { action: exists ? 'no-op' : 'create' };
+  });
+
+  // Load balancer components for custom domains
+  const customDomains = getCustomDomains(config);
+  if (customDomains && config.useLoadBalancer && !config.loadBalancerResources) {
+    const names = generateResourceNames(serviceName);
+    const components = [
+      ['Static IP', names.staticIpName, `gcloud compute addresses describe ${names.staticIpName} --global ${projectFlag}`],
+      ...groupCertificates(serviceName, customDomains.domains).map(certificate => (
+        ['SSL certificate', certificate.name, `gcloud compute ssl-certificates describe ${certificate.name} --global ${projectFlag}`]
+      )),
+      ['Network endpoint group', names.negName, `gcloud compute network-endpoint-groups describe ${names.negName} --region=${config.region} ${projectFlag}`],
+      ['Backend service', names.backendServiceName, `gcloud compute backend-services describe ${names.backendServiceName} --global ${projectFlag}`],
+      ['URL map', names.urlMapName, `gcloud compute url-maps describe ${names.urlMapName} --global ${projectFlag}`],
+      ['HTTPS proxy', names.targetProxyName, `gcloud compute target-https-proxies describe ${names.targetProxyName} --global ${projectFlag}`],
+      ['Forwarding rule', names.forwardingRuleName, `gcloud compute forwarding-rules describe ${names.forwardingRuleName} --global ${projectFlag}`]
+    ];
+
+    if (getSecurity(config)) {
+      const policyName = getSecurityPolicyName(serviceName);
+      components.push(['Security policy', policyName, `gcloud compute security-policies describe ${policyName} --global ${projectFlag}`]);
+    }
+
+    if (getRedirects(config).httpToHttps) {
+      components.push(
+        ['HTTP redirect URL map', names.httpUrlMapName, `gcloud compute url-maps describe ${names.httpUrlMapName} --global ${projectFlag}`],
+        ['HTTP proxy', names.httpProxyName, `gcloud compute target-http-proxies describe ${names.httpProxyName} --global ${projectFlag}`],
+        ['HTTP forwarding rule', names.httpForwardingRuleName, `gcloud compute forwarding-rules describe ${names.httpForwardingRuleName} --global ${projectFlag}`]
+      );
+    }
+
+    if (config.useStaticIP) {
+      components.push(
+        ['NAT IP', names.natIpName, `gcloud compute addresses describe ${names.natIpName} --region=${config.region} ${projectFlag}`],
+        ['Cloud Router', names.routerName, `gcloud compute routers describe ${names.routerName} --region=${config.region} ${projectFlag}`],
+        ['Cloud NAT', names.natName, `gcloud compute routers nats describe ${names.natName} --router=${names.routerName} --region=${config.region} ${projectFlag}`],
+        ['VPC connector', `${serviceName}-connector`, `gcloud compute networks vpc-access connectors describe ${serviceName}-connector --region=${config.region} ${projectFlag}`]
+      );
+    }
+
+    for (const [type, name, command] of components) {
+      await addEntry(entries, type, name, async () => ({ action: (await resourceExists(command)) ? 'no-op' : 'create' }));
+    }
+  } else if (customDomains && config.loadBalancerResources && needsLoadBalancerUpdate(config)) {
+    const recorded = getLoadBalancerDomains(config);
+    const redirects = getRedirects(config);
+    const recordedRedirects = getLoadBalancerRedirects(config.loadBalancerResources);
+    const details = [
+      ...customDomains.domains.filter(domain => !recorded.includes(domain)).map(domain => `+ ${domain} (new certificate)`),
+      ...recorded.filter(domain => !customDomains.domains.includes(domain)).map(domain => `- ${domain}`)
+    ];
+    if (redirects.httpToHttps !== recordedRedirects.httpToHttps) {
+      details.push(redirects.httpToHttps ? '+ HTTP to HTTPS redirect (port 80 forwarding rule)' : '- HTTP to HTTPS redirect');
+    }
+    if (redirects.canonicalHost !== recordedRedirects.canonicalHost) {
+      details.push(redirects.canonicalHost
+        ? `canonical host ${redirects.canonicalHost}: ${redirects.hostRedirects.map(redirect => `${redirect.from} → ${redirect.to}`).join(', ')}`
+        : '- canonical host redirect');
+    }
+    details.push('certificates and URL map host rules updated, static IP kept');
+    entries.push({ action: 'update', type: 'Load balancer', name: customDomains.primary, details });
+  } else if (customDomains && config.loadBalancerResources) {
+    entries.push({ action: 'no-op', type: 'Load balancer', name: customDomains.domains.join(', '), details: ['already configured'] });
+  }
+
+  // Cloud Armor rules changed since the policy was last applied
+  if (config.loadBalancerResources && needsSecurityUpdate(config)) {
+    const security = getSecurity(config);
+    const recorded = config.loadBalancerResources.securityPolicy;
+    entries.push({
+      action: recorded ? 'update' : 'create',
+      type: 'Security policy',
+      name: recorded ? recorded.name : getSecurityPolicyName(serviceName),
+      details: security
+        ? buildSecurityRules(security).map(rule => `${rule.priority} ${rule.description}`)
+        : ['detached from the backend service and deleted']
+    });
+  }
+
+  // enableCdn changed since Cloud CDN was last set up on the backend
+  if (config.loadBalancerResources && needsCdnUpdate(config)) {
+    entries.push({
+      action: 'update',
+      type: 'Cloud CDN',
+      name: config.loadBalancerResources.backendServiceName,
+      details: [getCdn(config) ? 'enabled, caching what Meteor marks as cacheable (USE_ORIGIN_HEADERS)' : 'disabled']
+    });
+  }
+
+  // Cloud Run service flags, environment and image (ROOT_URL is resolved by the caller)
+  const desiredEnv = {};
+  envVars.forEach(envVar => {
+    const [key, ...rest] = envVar.split('=');
+    desiredEnv[key] = rest.join('=');
+  });
+
+  const desiredSecrets = {};
+  secrets.forEach(secret => {
+    const [key, reference] = secret.split('=');
+    desiredSecrets[key] = reference.split(':')[0];
+  });
+
+  const vpcConnector = config.loadBalancerResources?.vpcConnectorName;
+  const desired = {
+    flags: {
+      cpu: config.cpu,
+      memory: config.memory,
+      concurrency: config.concurrency,
+      'min-instances': config.minInstances,
+      'max-instances': config.maxInstances,
+      port: 8080,
+      ingress: 'all',
+      'vpc-connector': vpcConnector || 'none',
+      'vpc-egress': vpcConnector ? 'all-traffic' : 'none',
+      ...getRuntimePlanValues(getRuntimeOptions(config))
+    },
+    env: desiredEnv,
+    secrets: desiredSecrets,
+    imageTag
+  };
+  if (accounts) {
+    desired.flags['service-account'] = accounts.runtime.email;
+  }
+
+  if (!service) {
+    entries.push({
+      action: 'create',
+      type: 'Cloud Run service',
+      name: serviceName,
+      details: [
+        ...Object.entries(desired.flags).map(([flag, value]) => `+ ${flag}: ${value}`),
+        ...Object.keys(desired.env).map(key => `+ env ${key}`),
+        ...Object.entries(desired.secrets).map(([key, secretName]) => `+ secret env ${key} → ${secretName}`),
+        `+ image: ${imageTag}`
+      ]
+    });
+  } else {
+    const details = diffCloudRunService(service, desired);
+    const { stable } = getTrafficSplit(service);
+    if (canaryPercent && stable) {
+      details.push(`~ traffic: ${canaryPercent}% to the new revision (canary), ${100 - canaryPercent}% stays on ${stable.revisionName}`);
+    }
+    entries.push({ action: details.length > 0 ? 'update' : 'no-op', type: 'Cloud Run service', name: serviceName, details });
+  }
+
+  return entries;
+}
+
+/**
+ * Prints a plan in a diff-like format
+ * @param {Array<Object>} entries - Plan entries from buildDeployPlan()
+ * @returns {Object} Counts per action
+ */
+function printPlan(entries) {
+  const counts = { create: 0, update: 0, 'no-op': 0, unknown: 0 };
+
+  entries.forEach(entry => {
+    counts[entry.action]++;
+    const line = `  ${ACTION_SYMBOLS[entry.action]} ${entry.type.padEnd(30)} ${entry.name}`;
+    console.log(entry.action === 'no-op' ? chalk.gray(line) : line);
+    entry.details.forEach(detail => {
+      console.log(entry.action === 'no-op' ? chalk.gray(`      ${detail}`) : `      ${detail}`);
+    });
+  });
+
+  console.log('');
+  console.log(chalk.bold(`Plan: ${counts.create} to create, ${counts.update} to update, ${counts['no-op']} unchanged${counts.unknown > 0 ? `, ${counts.unknown} unknown` : ''}.`));
+
+  return counts;
+}
+
+/**
+ * Whether applying the plan would change anything (unknown entries count as changes)
+ * @param {Array<Object>} entries - Plan entries
+ * @returns {boolean} True if changes are pending
+ */
+function hasPendingChanges(entries) {
+  return entries.some(entry => entry.action !== 'no-op');
+}
+
+module.exports = {
+  buildDeployPlan,
+  diffCloudRunService,
+  printPlan,
+  hasPendingChanges
+};
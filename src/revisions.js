@@ -0,0 +1,404 @@
+const { verboseLog, executeCommand, executeCommandWithRetry } = require('./utils');
+const { readRevisionLabels } = require('./git');
+const { getCustomDomains } = require('./loadBalancer');
+
+// Traffic tag given to the revision created by `deploy --canary`
+const CANARY_TAG = 'canary';
+
+/**
+ * Describes the Cloud Run service
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {Object} Parsed service description
+ */
+async function describeService(config, serviceName) {
+  const result = await executeCommandWithRetry(
+    `gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format=json`,
+    { maxRetries: 2, baseDelay: 1000 }
+  );
+  return JSON.parse(result.stdout);
+}
+
+/**
+ * Builds the deterministic URL Cloud Run gives every service, known before
+ * the service exists
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} projectNumber - Google Cloud project number
+ * @param {string} region - Cloud Run region
+ * @returns {string} URL like https://shop-123456789.us-central1.run.app
+ */
+function getDeterministicServiceUrl(serviceName, projectNumber, region) {
+  return `https://${serviceName}-${projectNumber}.${region}.run.app`;
+}
+
+/**
+ * Gets the URL an existing service is served on, preferring the
+ * deterministic URL from the run.googleapis.com/urls annotation over the
+ * older hashed status.url
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {Promise<string|null>} URL, or null if the service doesn't exist yet
+ */
+async function getServiceUrl(config, serviceName) {
+  try {
+    const result = await executeCommand(
+      `gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format="value(metadata.annotations.'run.googleapis.com/urls',status.url)"`
+    );
+    const [annotation, statusUrl] = result.stdout.trim().split('\t');
+    try {
+      const urls = JSON.parse(annotation);
+      const url = urls.find(u => u.includes(config.region)) || urls[0];
+      if (url) {
+        return url;
+      }
+    } catch (error) {
+      verboseLog('Failed to parse the run.googleapis.com/urls annotation, using status.url');
+    }
+    return statusUrl || null;
+  } catch (error) {
+    verboseLog(`Unable to describe ${serviceName}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Works out the ROOT_URL before deploying, so the deployed revision already
+ * has its final value: the ROOT_URL set in the settings, the primary custom
+ * domain served by the load balancer, the URL of the existing service, or the
+ * deterministic URL of a new service
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {Promise<Object>} { url, source }
+ */
+async function resolveRootUrl(config, serviceName) {
+  // Earlier versions saved the placeholder they deployed with before the real URL was known
+  if (config.rootUrl && config.rootUrl !== 'https://placeholder.run.app') {
+    return { url: config.rootUrl, source: 'settings' };
+  }
+
+  const customDomains = getCustomDomains(config);
+  if (customDomains && (config.useLoadBalancer || config.loadBalancerResources)) {
+    return { url: `https://${customDomains.primary}`, source: 'custom domain' };
+  }
+
+  const serviceUrl = await getServiceUrl(config, serviceName);
+  if (serviceUrl) {
+    return { url: serviceUrl, source: 'existing service' };
+  }
+
+  const result = await executeCommand(`gcloud projects describe ${config.projectId} --format="value(projectNumber)"`);
+  const projectNumber = result.stdout.trim();
+  if (!projectNumber) {
+    throw new Error(`Could not get the project number of ${config.projectId}`);
+  }
+  return { url: getDeterministicServiceUrl(serviceName, projectNumber, config.region), source: 'new service' };
+}
+
+/**
+ * Gets the value of an environment variable from a revision's container spec
+ * @param {Object} revision - Raw revision description from gcloud
+ * @param {string} name - Environment variable name
+ * @returns {string|null} Variable value
+ */
+function getRevisionEnvValue(revision, name) {
+  const env = revision.spec?.containers?.[0]?.env || [];
+  const entry = env.find(e => e.name === name);
+  return entry && entry.value !== undefined ? entry.value : null;
+}
+
+/**
+ * Gets the secret an environment variable of a revision is mounted from
+ * @param {Object} revision - Raw revision description from gcloud
+ * @param {string} name - Environment variable name
+ * @returns {Object|null} { name, version }
+ */
+function getRevisionSecretRef(revision, name) {
+  const env = revision.spec?.containers?.[0]?.env || [];
+  const ref = env.find(e => e.name === name)?.valueFrom?.secretKeyRef;
+  return ref ? { name: ref.name, version: ref.key } : null;
+}
+
+/**
+ * Describes where a revision reads its settings from
+ * @param {Object} revision - Revision summary from listRevisions()
+ * @returns {string|null} Settings file or secret:version
+ */
+function describeRevisionSettings(revision) {
+  if (revision.settingsFile) {
+    return revision.settingsFile;
+  }
+  return revision.settingsSecret ? `${revision.settingsSecret}:${revision.settingsSecretVersion}` : null;
+}
+
+/**
+ * Lists recent revisions of the service, newest first, annotated with the
+ * settings object they reference, their deploy labels and their current
+ * traffic share
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {number} limit - Maximum number of revisions to return
+ * @returns {Array<Object>} Revision summaries
+ */
+async function listRevisions(config, serviceName, limit = 10) {
+  const [revisionsResult, service] = await Promise.all([
+    executeCommandWithRetry(
+      `gcloud run revisions list --service=${serviceName} --region=${config.region} --project=${config.projectId} --format=json --sort-by="~metadata.creationTimestamp" --limit=${limit}`,
+      { maxRetries: 2, baseDelay: 1000 }
+    ),
+    describeService(config, serviceName)
+  ]);
+
+  const traffic = service.status?.traffic || [];
+  const revisions = JSON.parse(revisionsResult.stdout || '[]');
+
+  return revisions.map(revision => {
+    const name = revision.metadata?.name;
+    const readyCondition = (revision.status?.conditions || []).find(c => c.type === 'Ready');
+    const percent = traffic
+      .filter(t => t.revisionName === name)
+      .reduce((sum, t) => sum + (t.percent || 0), 0);
+
+    const image = revision.spec?.containers?.[0]?.image || '';
+    const labels = revision.metadata?.labels || {};
+    const settingsSecret = getRevisionSecretRef(revision, 'METEOR_SETTINGS');
+
+    return {
+      name,
+      created: revision.metadata?.creationTimestamp,
+      ready: readyCondition?.status === 'True',
+      image,
+      imageDigest: image.includes('@') ? image.split('@').pop() : null,
+      // imageTag, commit, branch, author, toolVersion and deployedAt
+      ...readRevisionLabels(labels),
+      settingsBucket: getRevisionEnvValue(revision, 'METEOR_SETTINGS_GCS_BUCKET'),
+      settingsFile: getRevisionEnvValue(revision, 'METEOR_SETTINGS_GCS_FILE'),
+      settingsSecret: settingsSecret ? settingsSecret.name : null,
+      settingsSecretVersion: settingsSecret ? settingsSecret.version : null,
+      trafficPercent: percent,
+      raw: revision
+    };
+  });
+}
+
+/**
+ * Picks the default rollback target: the newest ready revision that is older
+ * than the revision currently receiving the most traffic
+ * @param {Array<Object>} revisions - Revision summaries, newest first
+ * @returns {Object|null} Revision summary
+ */
+function findPreviousRevision(revisions) {
+  const servingIndex = revisions.reduce((best, revision, index) => {
+    if (best === -1 || revision.trafficPercent > revisions[best].trafficPercent) {
+      return index;
+    }
+    return best;
+  }, -1);
+
+  if (servingIndex === -1) {
+    return null;
+  }
+
+  return revisions.slice(servingIndex + 1).find(revision => revision.ready) || null;
+}
+
+/**
+ * Checks whether a settings object still exists in the settings bucket
+ * @param {string} bucket - GCS bucket name
+ * @param {string} file - Object name
+ * @returns {boolean} True if the object exists
+ */
+async function settingsObjectExists(bucket, file) {
+  try {
+    await executeCommand(`gsutil -q stat gs://${bucket}/${file}`);
+    return true;
+  } catch (error) {
+    verboseLog(`Settings object gs://${bucket}/${file} not found: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Checks that a settings secret version can still be read
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} secret - Secret name
+ * @param {string} version - Version number
+ * @returns {boolean} True if the version is enabled
+ */
+async function settingsSecretVersionEnabled(config, secret, version) {
+  try {
+    const result = await executeCommand(`gcloud secrets versions describe ${version} --secret=${secret} --project=${config.projectId} --format="value(state)"`);
+    return result.stdout.trim() === 'ENABLED';
+  } catch (error) {
+    verboseLog(`Settings secret ${secret} version ${version} not found: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Routes 100% of the service's traffic to a single revision
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} revisionName - Revision to receive all traffic
+ * @param {Object} options - { removeCanaryTag } to also drop the canary tag
+ */
+async function routeAllTraffic(config, serviceName, revisionName, options = {}) {
+  const removeTags = options.removeCanaryTag ? ` --remove-tags=${CANARY_TAG}` : '';
+  await executeCommand(
+    `gcloud run services update-traffic ${serviceName} --to-revisions=${revisionName}=100${removeTags} --region=${config.region} --project=${config.projectId}`
+  );
+}
+
+/**
+ * Splits the service's current traffic into the canary (the revision tagged
+ * "canary") and the stable revision receiving the most of the remaining traffic
+ * @param {Object} service - Parsed service description
+ * @returns {Object} { canary, stable } where each is { revisionName, percent, url } or null
+ */
+function getTrafficSplit(service) {
+  const traffic = service.status?.traffic || [];
+  const percentFor = revisionName => traffic
+    .filter(t => t.revisionName === revisionName)
+    .reduce((sum, t) => sum + (t.percent || 0), 0);
+
+  const canaryEntry = traffic.find(t => t.tag === CANARY_TAG);
+  const canary = canaryEntry ? {
+    revisionName: canaryEntry.revisionName,
+    percent: percentFor(canaryEntry.revisionName),
+    url: canaryEntry.url || null
+  } : null;
+
+  const stable = traffic
+    .filter(t => t.revisionName && (!canary || t.revisionName !== canary.revisionName))
+    .map(t => ({ revisionName: t.revisionName, percent: percentFor(t.revisionName), url: null }))
+    .reduce((best, entry) => (!best || entry.percent > best.percent ? entry : best), null);
+
+  return { canary, stable };
+}
+
+/**
+ * Sends a percentage of traffic to the canary revision and the rest to the
+ * stable revision, moving the canary tag to the canary revision
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} stableRevision - Revision receiving the remaining traffic
+ * @param {string} canaryRevision - Revision receiving the canary traffic
+ * @param {number} percent - Percentage of traffic for the canary (1-99)
+ */
+async function splitTraffic(config, serviceName, stableRevision, canaryRevision, percent) {
+  await executeCommand(
+    `gcloud run services update-traffic ${serviceName} --to-revisions=${stableRevision}=${100 - percent},${canaryRevision}=${percent} --update-tags=${CANARY_TAG}=${canaryRevision} --region=${config.region} --project=${config.projectId}`
+  );
+}
+
+/**
+ * Routes all traffic to the latest revision so future deploys receive
+ * traffic again
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Object} options - { removeCanaryTag } to also drop the canary tag
+ */
+async function routeTrafficToLatest(config, serviceName, options = {}) {
+  const removeTags = options.removeCanaryTag ? ` --remove-tags=${CANARY_TAG}` : '';
+  await executeCommand(
+    `gcloud run services update-traffic ${serviceName} --to-latest${removeTags} --region=${config.region} --project=${config.projectId}`
+  );
+}
+
+/**
+ * Lists the revisions receiving traffic, with their combined share
+ * @param {Object} service - Parsed service description
+ * @returns {Array<Object>} [{ revisionName, percent }] for revisions with traffic
+ */
+function getServingRevisions(service) {
+  const serving = [];
+  (service.status?.traffic || []).forEach(t => {
+    if (!t.revisionName || !t.percent) {
+      return;
+    }
+    const entry = serving.find(s => s.revisionName === t.revisionName);
+    if (entry) {
+      entry.percent += t.percent;
+    } else {
+      serving.push({ revisionName: t.revisionName, percent: t.percent });
+    }
+  });
+  return serving;
+}
+
+/**
+ * Puts the traffic split back the way getServingRevisions() found it
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Array<Object>} serving - Result of getServingRevisions()
+ * @param {Array<string>} removeTags - Tags to drop at the same time
+ */
+async function restoreTraffic(config, serviceName, serving, removeTags = []) {
+  const revisions = serving.map(s => `${s.revisionName}=${s.percent}`).join(',');
+  const tags = removeTags.length > 0 ? ` --remove-tags=${removeTags.join(',')}` : '';
+  await executeCommand(
+    `gcloud run services update-traffic ${serviceName} --to-revisions=${revisions}${tags} --region=${config.region} --project=${config.projectId}`
+  );
+}
+
+/**
+ * Gives a revision a traffic tag, which serves it on its own URL without
+ * changing the traffic split
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} tag - Traffic tag
+ * @param {string} revisionName - Revision to tag
+ * @returns {Promise<string|null>} Tagged URL
+ */
+async function tagRevision(config, serviceName, tag, revisionName) {
+  await executeCommand(
+    `gcloud run services update-traffic ${serviceName} --update-tags=${tag}=${revisionName} --region=${config.region} --project=${config.projectId}`
+  );
+  const service = await describeService(config, serviceName);
+  const entry = (service.status?.traffic || []).find(t => t.tag === tag);
+  return entry ? entry.url || null : null;
+}
+
+/**
+ * Removes a traffic tag and its URL
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} tag - Traffic tag
+ */
+async function removeRevisionTag(config, serviceName, tag) {
+  await executeCommand(
+    `gcloud run services update-traffic ${serviceName} --remove-tags=${tag} --region=${config.region} --project=${config.projectId}`
+  );
+}
+
+/**
+ * Checks whether the service sends all traffic to whatever revision is latest
+ * @param {Object} service - Parsed service description
+ * @returns {boolean} True if 100% of traffic follows the latest revision
+ */
+function isTrafficOnLatest(service) {
+  return (service.spec?.traffic || []).some(t => t.latestRevision && t.percent === 100);
+}
+
+module.exports = {
+  CANARY_TAG,
+  describeService,
+  getDeterministicServiceUrl,
+  getServiceUrl,
+  resolveRootUrl,
+  getRevisionEnvValue,
+  getRevisionSecretRef,
+  describeRevisionSettings,
+  listRevisions,
+  findPreviousRevision,
+  settingsObjectExists,
+  settingsSecretVersionEnabled,
+  routeAllTraffic,
+  getTrafficSplit,
+  splitTraffic,
+  getServingRevisions,
+  restoreTraffic,
+  tagRevision,
+  removeRevisionTag,
+  routeTrafficToLatest,
+  isTrafficOnLatest
+};
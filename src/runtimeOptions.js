@@ -0,0 +1,282 @@
+const { REVISION_LABELS } = require('./git');
+
+// Whole CPU counts Cloud Run accepts, with the memory range each one allows (MiB)
+const CPU_MEMORY_LIMITS = {
+  1: { min: 128, max: 4 * 1024 },
+  2: { min: 128, max: 8 * 1024 },
+  4: { min: 2 * 1024, max: 16 * 1024 },
+  6: { min: 4 * 1024, max: 24 * 1024 },
+  8: { min: 4 * 1024, max: 32 * 1024 }
+};
+
+// Cloud Run's own values, used when an option isn't configured
+const RUNTIME_DEFAULTS = {
+  timeoutSeconds: 300,
+  sessionAffinity: false,
+  cpuBoost: false,
+  executionEnvironment: 'default',
+  billing: 'request'
+};
+
+const EXECUTION_ENVIRONMENTS = ['gen1', 'gen2'];
+const BILLING_MODES = ['request', 'instance'];
+
+/**
+ * Converts a Cloud Run memory value to MiB
+ * @param {string} memory - Memory, e.g. 512Mi or 2Gi
+ * @returns {number} MiB
+ */
+function parseMemory(memory) {
+  const match = /^(\d+)(Mi|Gi)$/.exec(String(memory));
+  if (!match) {
+    throw new Error(`memory must be a size like "512Mi" or "2Gi", got "${memory}"`);
+  }
+  return parseInt(match[1], 10) * (match[2] === 'Gi' ? 1024 : 1);
+}
+
+/**
+ * Checks that a boolean option is true, false or not set
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} key - Option name
+ */
+function validateBoolean(config, key) {
+  if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+    throw new Error(`${key} must be true or false, got "${config[key]}"`);
+  }
+}
+
+/**
+ * Checks the custom labels added to the service and its revisions
+ * @param {Object} labels - Label values by key
+ */
+function validateLabels(labels) {
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new Error('labels must be an object like { "team": "web" }');
+  }
+  const reserved = Object.values(REVISION_LABELS);
+  Object.entries(labels).forEach(([key, value]) => {
+    if (!/^[a-z][a-z0-9_-]{0,62}$/.test(key)) {
+      throw new Error(`Label key "${key}" must start with a lowercase letter and have at most 63 lowercase letters, digits, "_" or "-"`);
+    }
+    if (reserved.includes(key)) {
+      throw new Error(`Label "${key}" is set by deploy`);
+    }
+    if (typeof value !== 'string' || !/^[a-z0-9_-]{0,63}$/.test(value)) {
+      throw new Error(`Label "${key}" must have a value of at most 63 lowercase letters, digits, "_" or "-", got "${value}"`);
+    }
+  });
+}
+
+/**
+ * Checks that CPU and memory are a combination Cloud Run accepts
+ * @param {number} cpu - CPU count
+ * @param {number} memory - Memory in MiB
+ * @param {string} memoryValue - Memory as configured, for messages
+ */
+function validateCpuMemory(cpu, memory, memoryValue) {
+  if (memory < 128 || memory > 32 * 1024) {
+    throw new Error(`memory must be between 128Mi and 32Gi, got "${memoryValue}"`);
+  }
+  if (cpu < 1) {
+    // Fractional CPU: up to 512Mi below 0.5 CPU, up to 1Gi from 0.5 CPU
+    const max = cpu < 0.5 ? 512 : 1024;
+    if (memory > max) {
+      throw new Error(`memory ${memoryValue} needs at least ${cpu < 0.5 ? '0.5' : '1'} CPU, cpu is ${cpu}`);
+    }
+    return;
+  }
+  const limits = CPU_MEMORY_LIMITS[cpu];
+  if (memory > limits.max) {
+    const needed = Object.keys(CPU_MEMORY_LIMITS).find(count => CPU_MEMORY_LIMITS[count].max >= memory);
+    throw new Error(`memory ${memoryValue} needs at least ${needed} CPUs, cpu is ${cpu}`);
+  }
+  if (memory < limits.min) {
+    throw new Error(`cpu ${cpu} needs at least ${limits.min / 1024}Gi of memory, memory is ${memoryValue}`);
+  }
+}
+
+/**
+ * Gets the Cloud Run runtime options, validated together with the resources
+ * they depend on, so invalid combinations fail before a build is submitted.
+ * Options that aren't configured are left as they are on the service.
+ * @param {Object} config - Meteor Cloud Run configuration, with cpu, memory,
+ * concurrency, minInstances and maxInstances defaults applied
+ * @returns {Object} { timeoutSeconds, sessionAffinity, cpuBoost, executionEnvironment, billing, labels },
+ * undefined for options that aren't configured
+ */
+function getRuntimeOptions(config) {
+  const cpu = Number(config.cpu);
+  if (!(cpu >= 0.08 && cpu < 1) && !CPU_MEMORY_LIMITS[cpu]) {
+    throw new Error(`cpu must be 1, 2, 4, 6, 8 or a fraction between 0.08 and 1, got "${config.cpu}"`);
+  }
+  validateCpuMemory(cpu, parseMemory(config.memory), config.memory);
+
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1 || config.concurrency > 1000) {
+    throw new Error(`concurrency must be a whole number between 1 and 1000, got "${config.concurrency}"`);
+  }
+  if (!Number.isInteger(config.minInstances) || config.minInstances < 0) {
+    throw new Error(`minInstances must be a whole number of at least 0, got "${config.minInstances}"`);
+  }
+  if (!Number.isInteger(config.maxInstances) || config.maxInstances < 1) {
+    throw new Error(`maxInstances must be a whole number of at least 1, got "${config.maxInstances}"`);
+  }
+  if (config.minInstances > config.maxInstances) {
+    throw new Error(`minInstances (${config.minInstances}) can't be more than maxInstances (${config.maxInstances})`);
+  }
+
+  const { timeoutSeconds, executionEnvironment, billing, labels } = config;
+  if (timeoutSeconds !== undefined && (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 3600)) {
+    throw new Error(`timeoutSeconds must be a whole number between 1 and 3600, got "${timeoutSeconds}"`);
+  }
+  validateBoolean(config, 'sessionAffinity');
+  validateBoolean(config, 'cpuBoost');
+  if (executionEnvironment !== undefined && !EXECUTION_ENVIRONMENTS.includes(executionEnvironment)) {
+    throw new Error(`executionEnvironment must be one of: ${EXECUTION_ENVIRONMENTS.join(', ')}, got "${executionEnvironment}"`);
+  }
+  if (billing !== undefined && !BILLING_MODES.includes(billing)) {
+    throw new Error(`billing must be one of: ${BILLING_MODES.join(', ')}, got "${billing}"`);
+  }
+  if (labels !== undefined) {
+    validateLabels(labels);
+  }
+
+  if (cpu < 1 && config.concurrency !== 1) {
+    throw new Error(`cpu below 1 needs concurrency 1, concurrency is ${config.concurrency}`);
+  }
+  if (cpu < 1 && billing === 'instance') {
+    throw new Error('billing "instance" needs at least 1 CPU');
+  }
+  if (executionEnvironment === 'gen2' && parseMemory(config.memory) < 512) {
+    throw new Error(`executionEnvironment "gen2" needs at least 512Mi of memory, memory is ${config.memory}`);
+  }
+
+  return {
+    timeoutSeconds,
+    sessionAffinity: config.sessionAffinity,
+    cpuBoost: config.cpuBoost,
+    executionEnvironment,
+    billing,
+    labels
+  };
+}
+
+/**
+ * Gets the `gcloud run deploy` flags for the configured runtime options.
+ * Custom labels are added to the revision labels instead.
+ * @param {Object} options - Result of getRuntimeOptions(), or the configuration itself
+ * @returns {Array<string>} Flags
+ */
+function getRuntimeFlags(options) {
+  const flags = [];
+  if (options.timeoutSeconds !== undefined) {
+    flags.push(`--timeout=${options.timeoutSeconds}`);
+  }
+  if (options.sessionAffinity !== undefined) {
+    flags.push(options.sessionAffinity ? '--session-affinity' : '--no-session-affinity');
+  }
+  if (options.cpuBoost !== undefined) {
+    flags.push(options.cpuBoost ? '--cpu-boost' : '--no-cpu-boost');
+  }
+  if (options.executionEnvironment !== undefined) {
+    flags.push(`--execution-environment=${options.executionEnvironment}`);
+  }
+  // Instance-based billing keeps the CPU allocated outside requests
+  if (options.billing !== undefined) {
+    flags.push(options.billing === 'instance' ? '--no-cpu-throttling' : '--cpu-throttling');
+  }
+  return flags;
+}
+
+/**
+ * Formats the custom labels for --update-labels
+ * @param {Object} options - Result of getRuntimeOptions()
+ * @returns {Array<string>} key=value labels
+ */
+function getCustomLabels(options) {
+  return Object.entries(options.labels || {}).map(([key, value]) => `${key}=${value}`);
+}
+
+/**
+ * Parses labels typed as comma-separated key=value pairs
+ * @param {string} input - e.g. "team=web,tier=frontend"
+ * @returns {Object} Label values by key
+ */
+function parseLabels(input) {
+  return (input || '').split(',').map(pair => pair.trim()).filter(Boolean).reduce((labels, pair) => {
+    const [key, ...value] = pair.split('=');
+    labels[key.trim()] = value.join('=').trim();
+    return labels;
+  }, {});
+}
+
+/**
+ * Reads the runtime options of a service's current template
+ * @param {Object} service - Service description from describeService()
+ * @returns {Object} { timeoutSeconds, sessionAffinity, cpuBoost, executionEnvironment, billing, labels }
+ */
+function readRuntimeOptions(service) {
+  const template = service.spec?.template || {};
+  const annotations = template.metadata?.annotations || {};
+  const labels = { ...(service.metadata?.labels || {}) };
+  Object.keys(labels)
+    .filter(key => Object.values(REVISION_LABELS).includes(key) || key.includes('/'))
+    .forEach(key => delete labels[key]);
+
+  return {
+    timeoutSeconds: template.spec?.timeoutSeconds || RUNTIME_DEFAULTS.timeoutSeconds,
+    sessionAffinity: annotations['run.googleapis.com/sessionAffinity'] === 'true',
+    cpuBoost: annotations['run.googleapis.com/startup-cpu-boost'] === 'true',
+    executionEnvironment: annotations['run.googleapis.com/execution-environment'] || RUNTIME_DEFAULTS.executionEnvironment,
+    billing: annotations['run.googleapis.com/cpu-throttling'] === 'false' ? 'instance' : 'request',
+    labels
+  };
+}
+
+/**
+ * Lists runtime options as the values `deploy --plan` compares, leaving out
+ * options that aren't set
+ * @param {Object} options - Result of getRuntimeOptions() or readRuntimeOptions()
+ * @returns {Object} Values by flag name, plus one "label <key>" entry per label
+ */
+function getRuntimePlanValues(options) {
+  const values = {
+    timeout: options.timeoutSeconds,
+    'session-affinity': options.sessionAffinity,
+    'cpu-boost': options.cpuBoost,
+    'execution-environment': options.executionEnvironment,
+    billing: options.billing
+  };
+  Object.entries(options.labels || {}).forEach(([key, value]) => {
+    values[`label ${key}`] = value;
+  });
+  Object.keys(values).filter(key => values[key] === undefined).forEach(key => delete values[key]);
+  return values;
+}
+
+/**
+ * Describes runtime options in one line, e.g.
+ * "timeout 3600s, session affinity, CPU boost, gen2, instance billing"
+ * @param {Object} options - Result of readRuntimeOptions()
+ * @returns {string} Description
+ */
+function formatRuntimeOptions(options) {
+  return [
+    `timeout ${options.timeoutSeconds}s`,
+    options.sessionAffinity ? 'session affinity' : 'no session affinity',
+    options.cpuBoost ? 'CPU boost' : 'no CPU boost',
+    options.executionEnvironment === 'default' ? 'default execution environment' : options.executionEnvironment,
+    `${options.billing} billing`
+  ].join(', ');
+}
+
+module.exports = {
+  RUNTIME_DEFAULTS,
+  parseMemory,
+  getRuntimeOptions,
+  getRuntimeFlags,
+  getCustomLabels,
+  parseLabels,
+  readRuntimeOptions,
+  getRuntimePlanValues,
+  formatRuntimeOptions
+};
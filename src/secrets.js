@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { executeCommand, verboseLog, getSecretName, getServiceName } = require('./utils');
+const { MANAGED_ENV_VARS } = require('./env');
+
+// Secret types of the variables deploy always stores in Secret Manager
+const BUILT_IN_SECRETS = {
+  MONGO_URL: 'mongodb-url',
+  MONGO_OPLOG_URL: 'mongodb-oplog-url',
+  MAIL_URL: 'mail-url'
+};
+
+// Enabled versions `secrets destroy-old` keeps by default
+const DEFAULT_VERSIONS_KEPT = 3;
+
+// Secret annotation holding an HMAC of the latest value written by the CLI,
+// so unchanged values are detected without reading the secret. The key lives
+// in its own secret, so anyone who can only view secret metadata can't
+// brute-force values from the annotation.
+const SECRET_HASH_ANNOTATION = 'value_hmac';
+
+// Annotation with the plain SHA-256 of the value written by earlier versions,
+// removed the next time the secret is written
+const LEGACY_HASH_ANNOTATION = 'value_sha256';
+
+// Secret holding the HMAC key, shared by the services of a project
+const HASH_KEY_SECRET = 'meteor-cloud-run-hash-key';
+
+/**
+ * Gets the variables promoted to Secret Manager with `secretEnvVars`.
+ * The CLI writes their values to Secret Manager before the build. Names are
+ * limited to uppercase letters, digits and underscores because the secret
+ * name is the lowercased name with hyphens (see getEnvSecretName()), so
+ * STRIPE_KEY and stripe_key can't end up sharing one secret.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Array<string>} Environment variable names
+ */
+function getSecretEnvVars(config) {
+  const secretEnvVars = config.secretEnvVars === undefined ? [] : config.secretEnvVars;
+  if (!Array.isArray(secretEnvVars)) {
+    throw new Error('secretEnvVars must be a list of environment variable names, like ["STRIPE_KEY"]');
+  }
+  secretEnvVars.forEach(name => {
+    if (typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+      throw new Error(`secretEnvVars entries must be uppercase environment variable names, got "${name}"`);
+    }
+    if (BUILT_IN_SECRETS[name]) {
+      throw new Error(`${name} is always stored in Secret Manager, remove it from secretEnvVars`);
+    }
+    if (MANAGED_ENV_VARS.includes(name)) {
+      throw new Error(`${name} is set by deploy and can't be stored in Secret Manager`);
+    }
+  });
+  return secretEnvVars;
+}
+
+/**
+ * Gets the name of the secret holding an environment variable,
+ * e.g. STRIPE_KEY → shop-stripe-key
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} envName - Environment variable name
+ * @returns {string} Secret name
+ */
+function getEnvSecretName(serviceName, envName) {
+  return getSecretName(serviceName, BUILT_IN_SECRETS[envName] || envName.toLowerCase().replace(/_/g, '-'));
+}
+
+/**
+ * Lists every secret a service can use: the built-in ones, `secretEnvVars`
+ * and the settings secret of settingsStorage "secret-manager"
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Array<Object>} { name, envName }
+ */
+function getServiceSecrets(config) {
+  const serviceName = getServiceName(config);
+  return [...Object.keys(BUILT_IN_SECRETS), ...getSecretEnvVars(config), 'METEOR_SETTINGS'].map(envName => ({
+    name: envName === 'METEOR_SETTINGS' ? getSecretName(serviceName, 'settings') : getEnvSecretName(serviceName, envName),
+    envName
+  }));
+}
+
+/**
+ * Finds one of the service's secrets by variable or secret name
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} name - Variable name (STRIPE_KEY) or secret name (shop-stripe-key)
+ * @returns {Object} { name, envName }
+ */
+function findServiceSecret(config, name) {
+  const secret = getServiceSecrets(config).find(s => s.envName === name || s.name === name);
+  if (!secret) {
+    throw new Error(`${name} is not a secret of ${getServiceName(config)}. Add it to "secretEnvVars" in .meteor-cloud-run/config.json`);
+  }
+  return secret;
+}
+
+/**
+ * Hashes a secret value for the value_hmac annotation
+ * @param {string} value - Secret value
+ * @param {string} key - Key read with readHashKey()
+ * @returns {string} Hex HMAC-SHA256
+ */
+function hashSecretValue(value, key) {
+  return crypto.createHmac('sha256', key).update(value).digest('hex');
+}
+
+/**
+ * Reads the key secret values are hashed with
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Promise<string|null>} Key, or null if the key secret doesn't exist or can't be read
+ */
+async function readHashKey(config) {
+  try {
+    const result = await executeCommand(`gcloud secrets versions access latest --secret=${HASH_KEY_SECRET} --project=${config.projectId}`);
+    return result.stdout || null;
+  } catch (error) {
+    verboseLog(`Could not read ${HASH_KEY_SECRET}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Checks whether a secret exists
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} secretName - Secret name
+ * @returns {Promise<Object|null>} { created, hash, legacyHash }, or null if it
+ * doesn't exist. hash is null for secrets not written by this version of the
+ * CLI, legacyHash is set on those written by earlier versions.
+ */
+async function describeSecret(config, secretName) {
+  try {
+    const result = await executeCommand(
+      `gcloud secrets describe ${secretName} --project=${config.projectId} --format="value(createTime,annotations.${SECRET_HASH_ANNOTATION},annotations.${LEGACY_HASH_ANNOTATION})"`
+    );
+    const [created, hash, legacyHash] = result.stdout.replace(/\n$/, '').split('\t');
+    return { created: created || null, hash: hash || null, legacyHash: legacyHash || null };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the versions of a secret, newest first
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} secretName - Secret name
+ * @returns {Promise<Array<Object>>} { version, state, created }
+ */
+async function listSecretVersions(config, secretName) {
+  const result = await executeCommand(`gcloud secrets versions list ${secretName} --project=${config.projectId} --format=json`);
+  return JSON.parse(result.stdout || '[]')
+    .map(version => ({
+      version: version.name.split('/').pop(),
+      state: version.state,
+      created: version.createTime || null
+    }))
+    .sort((a, b) => Number(b.version) - Number(a.version));
+}
+
+/**
+ * Gets the number of the newest version of a secret
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} secretName - Secret name
+ * @returns {Promise<string>} Version number
+ */
+async function getLatestSecretVersion(config, secretName) {
+  const result = await executeCommand(`gcloud secrets versions describe latest --secret=${secretName} --project=${config.projectId} --format="value(name)"`);
+  return result.stdout.trim().split('/').pop();
+}
+
+/**
+ * Works out which revisions reference which secret versions
+ * @param {Array<Object>} revisions - Revision summaries from listRevisions()
+ * @returns {Object} Secret name → [{ revision, envName, version, trafficPercent }]
+ */
+function getRevisionSecretVersions(revisions) {
+  const usage = {};
+  revisions.forEach(revision => {
+    (revision.raw?.spec?.containers?.[0]?.env || []).forEach(entry => {
+      const ref = entry.valueFrom?.secretKeyRef;
+      if (ref) {
+        usage[ref.name] = usage[ref.name] || [];
+        usage[ref.name].push({
+          revision: revision.name,
+          envName: entry.name,
+          version: ref.key,
+          trafficPercent: revision.trafficPercent
+        });
+      }
+    });
+  });
+  return usage;
+}
+
+/**
+ * Picks the versions `secrets destroy-old` destroys: everything not yet
+ * destroyed except the newest enabled versions and versions a revision is
+ * pinned to. References to "latest" always read the newest version.
+ * @param {Array<Object>} versions - Result of listSecretVersions()
+ * @param {number} keep - Enabled versions to keep
+ * @param {Array<Object>} references - Entries from getRevisionSecretVersions()
+ * @returns {Array<string>} Version numbers
+ */
+function selectVersionsToDestroy(versions, keep, references = []) {
+  const pinned = references.map(ref => ref.version).filter(version => version !== 'latest');
+  const kept = versions.filter(v => v.state === 'ENABLED').slice(0, keep).map(v => v.version);
+  return versions
+    .filter(v => v.state !== 'DESTROYED' && !kept.includes(v.version) && !pinned.includes(v.version))
+    .map(v => v.version);
+}
+
+/**
+ * Reads a secret value from a stream such as stdin, without the line break
+ * `echo` and most editors add at the end
+ * @param {Object} stream - Readable stream
+ * @returns {Promise<string>} Value
+ */
+function readSecretValue(stream) {
+  return new Promise((resolve, reject) => {
+    let value = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      value += chunk;
+    });
+    stream.on('end', () => resolve(value.replace(/\r?\n$/, '')));
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  BUILT_IN_SECRETS,
+  DEFAULT_VERSIONS_KEPT,
+  SECRET_HASH_ANNOTATION,
+  LEGACY_HASH_ANNOTATION,
+  HASH_KEY_SECRET,
+  getSecretEnvVars,
+  getEnvSecretName,
+  getServiceSecrets,
+  findServiceSecret,
+  hashSecretValue,
+  readHashKey,
+  describeSecret,
+  listSecretVersions,
+  getLatestSecretVersion,
+  getRevisionSecretVersions,
+  selectVersionsToDestroy,
+  readSecretValue
+};
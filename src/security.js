@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { executeCommand, verboseLog, sanitizeServiceName } = require('./utils');
+
+// Cloud Armor allows at most 5 subexpressions in the match expression of a rule
+const MAX_SUBEXPRESSIONS = 5;
+
+// First priority of each kind of rule meteor-cloud-run manages. Cloud Armor
+// evaluates the lowest priority first and stops at the first match, so
+// blocking rules come before the rate limit, which allows what it doesn't
+// throttle. Rules outside 1000-4999, such as ones added in the console, are
+// left alone.
+const RULE_PRIORITIES = { adminPaths: 1000, geo: 2000, owasp: 3000, rateLimit: 4000 };
+const MANAGED_PRIORITIES = { min: 1000, max: 4999 };
+
+// Preconfigured WAF rule sets based on the OWASP ModSecurity Core Rule Set 3.3
+const OWASP_RULE_SETS = [
+  'sqli', 'xss', 'lfi', 'rfi', 'rce', 'methodenforcement', 'scannerdetection',
+  'protocolattack', 'php', 'sessionfixation', 'java', 'nodejs'
+];
+const DEFAULT_OWASP_RULE_SETS = [
+  'sqli', 'xss', 'lfi', 'rfi', 'rce', 'scannerdetection', 'protocolattack', 'sessionfixation', 'nodejs'
+];
+
+// DDP runs over /sockjs (and /websocket for clients connecting directly),
+// so its connections and XHR fallback requests are throttled per IP
+const DEFAULT_RATE_LIMIT = { requestsPerMinute: 600, paths: ['/sockjs', '/websocket'] };
+
+const SECURITY_KEYS = ['owasp', 'rateLimit', 'geo', 'adminPaths'];
+
+/**
+ * Gets the name of the Cloud Armor policy of a service
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {string} Security policy name
+ */
+function getSecurityPolicyName(serviceName) {
+  return `${sanitizeServiceName(serviceName)}-security-policy`;
+}
+
+/**
+ * Checks that a path can be matched with request.path.startsWith()
+ * @param {string} path - URL path
+ * @param {string} key - Option name, for messages
+ */
+function validatePath(path, key) {
+  if (typeof path !== 'string' || !/^\/[^\s'"\\]*$/.test(path)) {
+    throw new Error(`${key} must be URL paths starting with "/" and without quotes or spaces, got "${path}"`);
+  }
+}
+
+/**
+ * Reads the `owasp` option
+ * @param {boolean|Object|undefined} owasp - true, or { rules, sensitivity, preview }
+ * @returns {Object|null} { rules, sensitivity, preview }
+ */
+function getOwasp(owasp) {
+  if (owasp === undefined || owasp === false) {
+    return null;
+  }
+  const options = owasp === true ? {} : owasp;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('security.owasp must be true or an object like { "rules": ["sqli", "xss"], "sensitivity": 1 }');
+  }
+  const { rules = DEFAULT_OWASP_RULE_SETS, sensitivity = 1, preview = false } = options;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error(`security.owasp.rules must be a list of: ${OWASP_RULE_SETS.join(', ')}`);
+  }
+  const unknown = rules.find(rule => !OWASP_RULE_SETS.includes(rule));
+  if (unknown) {
+    throw new Error(`Unknown OWASP rule set "${unknown}", use: ${OWASP_RULE_SETS.join(', ')}`);
+  }
+  if (!Number.isInteger(sensitivity) || sensitivity < 1 || sensitivity > 4) {
+    throw new Error(`security.owasp.sensitivity must be 1 (fewest false positives) to 4, got "${sensitivity}"`);
+  }
+  if (typeof preview !== 'boolean') {
+    throw new Error(`security.owasp.preview must be true or false, got "${preview}"`);
+  }
+  return { rules, sensitivity, preview };
+}
+
+/**
+ * Reads the `rateLimit` option
+ * @param {boolean|Object|undefined} rateLimit - true, or { requestsPerMinute, paths }
+ * @returns {Object|null} { requestsPerMinute, paths }
+ */
+function getRateLimit(rateLimit) {
+  if (rateLimit === undefined || rateLimit === false) {
+    return null;
+  }
+  const options = rateLimit === true ? {} : rateLimit;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('security.rateLimit must be true or an object like { "requestsPerMinute": 600 }');
+  }
+  const { requestsPerMinute = DEFAULT_RATE_LIMIT.requestsPerMinute, paths = DEFAULT_RATE_LIMIT.paths } = options;
+  if (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 1) {
+    throw new Error(`security.rateLimit.requestsPerMinute must be a whole number of at least 1, got "${requestsPerMinute}"`);
+  }
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new Error('security.rateLimit.paths must be a list of paths, like ["/sockjs", "/api/"]');
+  }
+  paths.forEach(path => validatePath(path, 'security.rateLimit.paths'));
+  return { requestsPerMinute, paths };
+}
+
+/**
+ * Reads the `geo` option
+ * @param {Object|undefined} geo - { allow } or { deny } lists of country codes
+ * @returns {Object|null} { allow } or { deny }
+ */
+function getGeo(geo) {
+  if (geo === undefined) {
+    return null;
+  }
+  if (!geo || typeof geo !== 'object' || Array.isArray(geo) || (geo.allow && geo.deny) || (!geo.allow && !geo.deny)) {
+    throw new Error('security.geo must be either { "allow": ["US", "CA"] } or { "deny": ["XX"] }');
+  }
+  const [mode, countries] = geo.allow ? ['allow', geo.allow] : ['deny', geo.deny];
+  if (!Array.isArray(countries) || countries.length === 0) {
+    throw new Error(`security.geo.${mode} must be a list of country codes, like ["US", "CA"]`);
+  }
+  const invalid = countries.find(country => typeof country !== 'string' || !/^[A-Z]{2}$/.test(country));
+  if (invalid !== undefined) {
+    throw new Error(`security.geo.${mode} entries must be two-letter uppercase country codes (ISO 3166-1), got "${invalid}"`);
+  }
+  // An allow-list is a single "not one of" rule
+  if (mode === 'allow' && countries.length > MAX_SUBEXPRESSIONS) {
+    throw new Error(`security.geo.allow can list at most ${MAX_SUBEXPRESSIONS} countries, Cloud Armor rules have at most ${MAX_SUBEXPRESSIONS} subexpressions`);
+  }
+  return { [mode]: countries };
+}
+
+/**
+ * Reads the `adminPaths` option
+ * @param {Array<Object>|undefined} adminPaths - { path, allowIps } entries
+ * @returns {Array<Object>} { path, allowIps } with IPs as CIDR ranges
+ */
+function getAdminPaths(adminPaths) {
+  if (adminPaths === undefined) {
+    return [];
+  }
+  if (!Array.isArray(adminPaths)) {
+    throw new Error('security.adminPaths must be a list like [{ "path": "/admin", "allowIps": ["203.0.113.0/24"] }]');
+  }
+  return adminPaths.map(entry => {
+    const { path, allowIps } = entry || {};
+    validatePath(path, 'security.adminPaths');
+    // One subexpression for the path, the others for the ranges
+    if (!Array.isArray(allowIps) || allowIps.length === 0 || allowIps.length > MAX_SUBEXPRESSIONS - 1) {
+      throw new Error(`security.adminPaths: ${path} needs allowIps, a list of 1 to ${MAX_SUBEXPRESSIONS - 1} IP addresses or CIDR ranges`);
+    }
+    return {
+      path,
+      allowIps: allowIps.map(ip => {
+        const match = /^([0-9.]+|[0-9a-fA-F:]+)(\/\d{1,3})?$/.exec(String(ip));
+        if (!match || (!match[1].includes('.') && !match[1].includes(':'))) {
+          throw new Error(`security.adminPaths: ${path} has an invalid IP address or CIDR range "${ip}"`);
+        }
+        return match[2] ? ip : `${ip}/${ip.includes(':') ? 128 : 32}`;
+      })
+    };
+  });
+}
+
+/**
+ * Gets the Cloud Armor options from `security` in the configuration.
+ * `"security": true` turns on the OWASP rules and the default rate limit.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Object|null} { owasp, rateLimit, geo, adminPaths }, or null
+ * without a security policy
+ */
+function getSecurity(config) {
+  if (config.security === undefined || config.security === false) {
+    return null;
+  }
+  const security = config.security === true ? { owasp: true, rateLimit: true } : config.security;
+  if (!security || typeof security !== 'object' || Array.isArray(security)) {
+    throw new Error('security must be true or an object like { "owasp": true, "rateLimit": { "requestsPerMinute": 600 } }');
+  }
+  const unknown = Object.keys(security).find(key => !SECURITY_KEYS.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown security option "${unknown}", use: ${SECURITY_KEYS.join(', ')}`);
+  }
+  return {
+    owasp: getOwasp(security.owasp),
+    rateLimit: getRateLimit(security.rateLimit),
+    geo: getGeo(security.geo),
+    adminPaths: getAdminPaths(security.adminPaths)
+  };
+}
+
+/**
+ * Splits a list into chunks
+ * @param {Array} items - Items
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Builds the rules of the security policy from the security options
+ * @param {Object} security - Result of getSecurity()
+ * @returns {Array<Object>} { priority, action, expression, description, preview, rateLimit }
+ * in priority order
+ */
+function buildSecurityRules(security) {
+  const rules = [];
+
+  security.adminPaths.forEach(({ path, allowIps }, index) => {
+    rules.push({
+      priority: RULE_PRIORITIES.adminPaths + index,
+      action: 'deny-403',
+      expression: `request.path.startsWith('${path}') && !(${allowIps.map(ip => `inIpRange(origin.ip, '${ip}')`).join(' || ')})`,
+      description: `Only ${allowIps.join(', ')} can reach ${path}`,
+      preview: false
+    });
+  });
+
+  if (security.geo && security.geo.allow) {
+    rules.push({
+      priority: RULE_PRIORITIES.geo,
+      action: 'deny-403',
+      expression: `!(${security.geo.allow.map(country => `origin.region_code == '${country}'`).join(' || ')})`,
+      description: `Allow only ${security.geo.allow.join(', ')}`,
+      preview: false
+    });
+  } else if (security.geo) {
+    chunk(security.geo.deny, MAX_SUBEXPRESSIONS).forEach((countries, index) => {
+      rules.push({
+        priority: RULE_PRIORITIES.geo + index,
+        action: 'deny-403',
+        expression: countries.map(country => `origin.region_code == '${country}'`).join(' || '),
+        description: `Deny ${countries.join(', ')}`,
+        preview: false
+      });
+    });
+  }
+
+  if (security.owasp) {
+    security.owasp.rules.forEach((ruleSet, index) => {
+      rules.push({
+        priority: RULE_PRIORITIES.owasp + index,
+        action: 'deny-403',
+        expression: `evaluatePreconfiguredWaf('${ruleSet}-v33-stable', {'sensitivity': ${security.owasp.sensitivity}})`,
+        description: `OWASP ${ruleSet}`,
+        preview: security.owasp.preview
+      });
+    });
+  }
+
+  if (security.rateLimit) {
+    chunk(security.rateLimit.paths, MAX_SUBEXPRESSIONS).forEach((paths, index) => {
+      rules.push({
+        priority: RULE_PRIORITIES.rateLimit + index,
+        action: 'throttle',
+        expression: paths.map(path => `request.path.startsWith('${path}')`).join(' || '),
+        description: `${security.rateLimit.requestsPerMinute} requests per minute per IP on ${paths.join(', ')}`,
+        preview: false,
+        rateLimit: { count: security.rateLimit.requestsPerMinute, intervalSec: 60 }
+      });
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Hashes the rules, so deploy can tell when the configured rules changed
+ * since the policy was last updated
+ * @param {Array<Object>} rules - Result of buildSecurityRules()
+ * @returns {string} Short SHA-256
+ */
+function hashSecurityRules(rules) {
+  return crypto.createHash('sha256').update(JSON.stringify(rules)).digest('hex').substring(0, 12);
+}
+
+/**
+ * Checks whether the security policy needs updating: it was added, removed
+ * or its configured rules changed
+ * @param {Object} config - Meteor Cloud Run configuration with loadBalancerResources
+ * @returns {boolean} True if updateSecurityPolicy() has work to do
+ */
+function needsSecurityUpdate(config) {
+  const security = getSecurity(config);
+  const recorded = config.loadBalancerResources.securityPolicy;
+  if (!security) {
+    return Boolean(recorded);
+  }
+  return !recorded || recorded.rulesHash !== hashSecurityRules(buildSecurityRules(security));
+}
+
+/**
+ * Checks whether a rule is a rule meteor-cloud-run manages
+ * @param {Object} rule - Rule with a priority
+ * @returns {boolean} True for priorities 1000-4999
+ */
+function isManagedRule(rule) {
+  return rule.priority >= MANAGED_PRIORITIES.min && rule.priority <= MANAGED_PRIORITIES.max;
+}
+
+/**
+ * Reads a security policy
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} name - Security policy name
+ * @returns {Promise<Object|null>} Policy with its rules, or null if it doesn't exist
+ */
+async function readSecurityPolicy(config, name) {
+  try {
+    const result = await executeCommand(
+      `gcloud compute security-policies describe ${name} --global --project=${config.projectId} --format=json`
+    );
+    const policy = JSON.parse(result.stdout);
+    return { ...policy, rules: (policy.rules || []).map(rule => ({ ...rule, priority: Number(rule.priority) })) };
+  } catch (error) {
+    verboseLog(`Unable to describe security policy ${name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Checks whether a rule of the policy already is the wanted rule
+ * @param {Object} current - Rule from readSecurityPolicy()
+ * @param {Object} rule - Rule from buildSecurityRules()
+ * @returns {boolean} True if nothing needs updating
+ */
+function ruleMatches(current, rule) {
+  const threshold = current.rateLimitOptions?.rateLimitThreshold;
+  return current.action === rule.action &&
+    current.match?.expr?.expression === rule.expression &&
+    Boolean(current.preview) === rule.preview &&
+    (!rule.rateLimit || (Number(threshold?.count) === rule.rateLimit.count && Number(threshold?.intervalSec) === rule.rateLimit.intervalSec));
+}
+
+/**
+ * Gets the `gcloud compute security-policies rules create|update` flags of a rule
+ * @param {Object} rule - Rule from buildSecurityRules()
+ * @returns {string} Flags
+ */
+function getRuleFlags(rule) {
+  const flags = [
+    `--expression="${rule.expression}"`,
+    `--action=${rule.action}`,
+    `--description="${rule.description}"`,
+    rule.preview ? '--preview' : '--no-preview'
+  ];
+  if (rule.rateLimit) {
+    flags.push(
+      `--rate-limit-threshold-count=${rule.rateLimit.count}`,
+      `--rate-limit-threshold-interval-sec=${rule.rateLimit.intervalSec}`,
+      '--conform-action=allow',
+      '--exceed-action=deny-429',
+      '--enforce-on-key=IP'
+    );
+  }
+  return flags.join(' ');
+}
+
+/**
+ * Creates or updates the Cloud Armor policy of the service with the
+ * configured rules and attaches it to the load balancer backend service.
+ * Managed rules that are no longer configured are deleted.
+ * @param {Object} config - Meteor Cloud Run configuration with serviceName
+ * @param {string} backendServiceName - Backend service of the load balancer
+ * @returns {Promise<Object>} { name, rulesHash } to record in loadBalancerResources
+ */
+async function applySecurityPolicy(config, backendServiceName) {
+  const { projectId } = config;
+  const name = getSecurityPolicyName(config.serviceName);
+  const rules = buildSecurityRules(getSecurity(config));
+  const policyFlags = `--security-policy=${name} --project=${projectId}`;
+
+  console.log(chalk.blue(`Checking for existing security policy: ${name}`));
+  let policy = await readSecurityPolicy(config, name);
+  if (policy) {
+    console.log(chalk.yellow(`✅ Using existing security policy: ${name}`));
+  } else {
+    console.log(chalk.blue(`Creating Cloud Armor security policy...`));
+    await executeCommand(
+      `gcloud compute security-policies create ${name} --description="meteor-cloud-run rules for ${config.serviceName}" --global --project=${projectId}`
+    );
+    policy = { rules: [] };
+  }
+
+  for (const rule of rules) {
+    const current = policy.rules.find(existing => existing.priority === rule.priority);
+    if (!current) {
+      console.log(chalk.blue(`Adding rule ${rule.priority}: ${rule.description}`));
+      await executeCommand(`gcloud compute security-policies rules create ${rule.priority} ${policyFlags} ${getRuleFlags(rule)}`);
+    } else if (!ruleMatches(current, rule)) {
+      console.log(chalk.blue(`Updating rule ${rule.priority}: ${rule.description}`));
+      await executeCommand(`gcloud compute security-policies rules update ${rule.priority} ${policyFlags} ${getRuleFlags(rule)}`);
+    }
+  }
+
+  const removed = policy.rules.filter(current => isManagedRule(current) && !rules.some(rule => rule.priority === current.priority));
+  for (const rule of removed) {
+    console.log(chalk.blue(`Deleting rule ${rule.priority}${rule.description ? `: ${rule.description}` : ''}`));
+    await executeCommand(`gcloud compute security-policies rules delete ${rule.priority} ${policyFlags} --quiet`);
+  }
+
+  console.log(chalk.blue(`Attaching ${name} to ${backendServiceName}...`));
+  await executeCommand(
+    `gcloud compute backend-services update ${backendServiceName} --security-policy=${name} --global --project=${projectId}`
+  );
+
+  return { name, rulesHash: hashSecurityRules(rules) };
+}
+
+/**
+ * Detaches the security policy from the backend service and deletes it
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} backendServiceName - Backend service of the load balancer
+ * @param {string} name - Security policy name
+ */
+async function removeSecurityPolicy(config, backendServiceName, name) {
+  const { projectId } = config;
+  console.log(chalk.blue(`Detaching ${name} from ${backendServiceName}...`));
+  await executeCommand(
+    `gcloud compute backend-services update ${backendServiceName} --security-policy="" --global --project=${projectId}`
+  );
+  console.log(chalk.blue(`Deleting security policy ${name}...`));
+  try {
+    await executeCommand(`gcloud compute security-policies delete ${name} --global --project=${projectId} --quiet`);
+  } catch (error) {
+    if (!error.message.includes('was not found')) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Applies the configured security policy to an existing load balancer,
+ * or removes the policy when `security` was removed from the configuration
+ * @param {Object} config - Meteor Cloud Run configuration with serviceName and loadBalancerResources
+ * @returns {Promise<Object>} Updated loadBalancerResources to save
+ */
+async function updateSecurityPolicy(config) {
+  const { loadBalancerResources } = config;
+  const updated = { ...loadBalancerResources };
+  if (getSecurity(config)) {
+    updated.securityPolicy = await applySecurityPolicy(config, loadBalancerResources.backendServiceName);
+  } else if (loadBalancerResources.securityPolicy) {
+    await removeSecurityPolicy(config, loadBalancerResources.backendServiceName, loadBalancerResources.securityPolicy.name);
+    delete updated.securityPolicy;
+  }
+  return updated;
+}
+
+/**
+ * Describes the action of a rule, e.g. "throttle 600/60s" or "deny-403 (preview)"
+ * @param {Object} rule - Rule from readSecurityPolicy() or buildSecurityRules()
+ * @returns {string} Action
+ */
+function formatRuleAction(rule) {
+  const threshold = rule.rateLimit || rule.rateLimitOptions?.rateLimitThreshold;
+  const action = rule.action === 'throttle' && threshold ? `throttle ${threshold.count}/${threshold.intervalSec}s` : rule.action;
+  return rule.preview ? `${action} (preview)` : action;
+}
+
+module.exports = {
+  RULE_PRIORITIES,
+  OWASP_RULE_SETS,
+  getSecurityPolicyName,
+  getSecurity,
+  buildSecurityRules,
+  hashSecurityRules,
+  needsSecurityUpdate,
+  isManagedRule,
+  readSecurityPolicy,
+  applySecurityPolicy,
+  updateSecurityPolicy,
+  formatRuleAction
+};
@@ -0,0 +1,372 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { verboseLog, executeCommand } = require('./utils');
+const { getSettingsBucketName } = require('./fileGeneration');
+const {
+  SECRET_HASH_ANNOTATION,
+  LEGACY_HASH_ANNOTATION,
+  HASH_KEY_SECRET,
+  getServiceSecrets,
+  hashSecretValue,
+  readHashKey,
+  describeSecret
+} = require('./secrets');
+
+// Enabled in addition to REQUIRED_APIS to manage the accounts
+const IAM_API = 'iam.googleapis.com';
+
+// Project-level roles of the Cloud Build deployer account. Creating the service
+// and allowing unauthenticated access needs run.admin, and builds running as a
+// user-specified account must write their logs to Cloud Logging themselves.
+const DEPLOYER_PROJECT_ROLES = ['roles/run.admin', 'roles/logging.logWriter'];
+
+/**
+ * Checks whether the configuration opts into dedicated service accounts
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {boolean} True if the service runs as its own service account
+ */
+function usesDedicatedServiceAccount(config) {
+  return config.useDedicatedServiceAccount === true;
+}
+
+/**
+ * Builds a service account ID for a service. IDs must be 6-30 characters,
+ * so long service names are shortened and get a hash suffix to stay unique.
+ * @param {string} serviceName - Cloud Run service name
+ * @param {string} suffix - Account purpose, e.g. "run" or "deploy"
+ * @returns {string} Service account ID
+ */
+function getServiceAccountId(serviceName, suffix) {
+  let id = `${serviceName}-${suffix}`;
+
+  if (id.length > 30) {
+    const hash = crypto.createHash('sha256').update(serviceName).digest('hex').substring(0, 4);
+    const base = serviceName.substring(0, 30 - suffix.length - hash.length - 2).replace(/-+$/, '');
+    id = `${base}-${hash}-${suffix}`;
+  }
+
+  return id.length < 6 ? `${id}-sa` : id;
+}
+
+/**
+ * Gets the dedicated runtime and deployer service accounts of a service
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {Object} { runtime, deployer } where each is { id, email }
+ */
+function getServiceAccounts(config, serviceName) {
+  const account = suffix => {
+    const id = getServiceAccountId(serviceName, suffix);
+    return { id, email: `${id}@${config.projectId}.iam.gserviceaccount.com` };
+  };
+
+  return {
+    runtime: account('run'),
+    deployer: account('deploy')
+  };
+}
+
+/**
+ * Creates a service account unless it already exists
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} account - { id, email }
+ * @param {string} displayName - Display name for a new account
+ */
+async function ensureServiceAccount(config, account, displayName) {
+  try {
+    await executeCommand(`gcloud iam service-accounts describe ${account.email} --project=${config.projectId}`);
+    verboseLog(`Service account ${account.email} already exists`);
+  } catch (error) {
+    if (!/NOT_FOUND|not found|does not exist/i.test(error.message)) {
+      throw error;
+    }
+    await executeCommand(`gcloud iam service-accounts create ${account.id} --display-name="${displayName}" --project=${config.projectId}`);
+    console.log(chalk.green(`  ✅ Created service account ${account.email}`));
+  }
+}
+
+/**
+ * Creates the runtime and deployer service accounts and grants each only what
+ * the deploy needs: the runtime account can read the app's own secrets and the
+ * settings bucket, the deployer can push to the app's repository, deploy
+ * Cloud Run and act as the runtime account.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @param {Object} options - { settingsBucket } when settings are stored in GCS
+ * @returns {Promise<Object>} { runtime, deployer } service accounts
+ */
+async function setupServiceAccounts(config, serviceName, options = {}) {
+  const { projectId, region } = config;
+  const accounts = getServiceAccounts(config, serviceName);
+  const runtimeMember = `serviceAccount:${accounts.runtime.email}`;
+  const deployerMember = `serviceAccount:${accounts.deployer.email}`;
+
+  await ensureServiceAccount(config, accounts.runtime, `${serviceName} Cloud Run runtime`);
+  await ensureServiceAccount(config, accounts.deployer, `${serviceName} Cloud Build deployer`);
+
+  // Runtime: read the settings file
+  if (options.settingsBucket) {
+    await executeCommand(`gsutil iam ch ${runtimeMember}:objectViewer gs://${options.settingsBucket}`);
+  }
+
+  // Deployer: project roles, and permission to deploy revisions running as the runtime account
+  for (const role of DEPLOYER_PROJECT_ROLES) {
+    await executeCommand(`gcloud projects add-iam-policy-binding ${projectId} --member="${deployerMember}" --role="${role}" --condition=None`);
+  }
+  await executeCommand(`gcloud iam service-accounts add-iam-policy-binding ${accounts.runtime.email} --member="${deployerMember}" --role="roles/iam.serviceAccountUser" --project=${projectId}`);
+
+  // Deployer: push images to this service's repository only
+  try {
+    await executeCommand(`gcloud artifacts repositories describe ${serviceName} --location=${region} --project=${projectId}`);
+  } catch (error) {
+    await executeCommand(`gcloud artifacts repositories create ${serviceName} --repository-format=docker --location=${region} --project=${projectId} --quiet`);
+  }
+  await executeCommand(`gcloud artifacts repositories add-iam-policy-binding ${serviceName} --location=${region} --member="${deployerMember}" --role="roles/artifactregistry.writer" --project=${projectId}`);
+
+  // Deployer: read the source archive uploaded by `gcloud builds submit`
+  const sourceBucket = `${projectId}_cloudbuild`;
+  try {
+    await executeCommand(`gsutil ls -b gs://${sourceBucket}`);
+  } catch (error) {
+    await executeCommand(`gsutil mb -p ${projectId} gs://${sourceBucket}`);
+  }
+  await executeCommand(`gsutil iam ch ${deployerMember}:objectViewer gs://${sourceBucket}`);
+
+  return accounts;
+}
+
+/**
+ * Runs a command with a value written to a private temp file, so the value
+ * never appears on the command line
+ * @param {string} value - Value to write
+ * @param {Function} run - Async function receiving the file path
+ * @returns {Promise<*>} Result of run
+ */
+async function withValueFile(value, run) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'meteor-cloud-run-'));
+  const valuePath = path.join(tempDir, 'secret');
+  try {
+    await fs.writeFile(valuePath, value, { mode: 0o600 });
+    return await run(valuePath);
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+/**
+ * Gets the key secret values are hashed with, creating the key secret with
+ * a random key the first time
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @returns {Promise<string|null>} Key, or null if the key secret exists but can't be read
+ */
+async function ensureHashKey(config) {
+  const key = await readHashKey(config);
+  if (key || (await describeSecret(config, HASH_KEY_SECRET))) {
+    return key;
+  }
+
+  const created = crypto.randomBytes(32).toString('hex');
+  try {
+    await withValueFile(created, valuePath => executeCommand(
+      `gcloud secrets create ${HASH_KEY_SECRET} --data-file=${valuePath} --replication-policy=automatic --project=${config.projectId}`
+    ));
+    return created;
+  } catch (error) {
+    // Another deploy may have created it in the meantime
+    verboseLog(`Could not create ${HASH_KEY_SECRET}:`, error.message);
+    return readHashKey(config);
+  }
+}
+
+/**
+ * Writes a secret value from this machine, creating the secret or adding a
+ * version only when the value changed. Changes are detected by comparing an
+ * HMAC of the value with the secret's value_hmac annotation, so the current
+ * value is never read back. The value goes through a private temp file,
+ * never the command line.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} secret - { name, value }
+ * @returns {Promise<boolean>} True if a secret or version was created
+ */
+async function writeSecretVersion(config, secret) {
+  const projectFlag = `--project=${config.projectId}`;
+  const key = await ensureHashKey(config);
+  if (!key) {
+    verboseLog(`Can't read ${HASH_KEY_SECRET}, adding a version of ${secret.name} without comparing values`);
+  }
+  const hash = key ? hashSecretValue(secret.value, key) : null;
+  const existing = await describeSecret(config, secret.name);
+  if (existing && hash && existing.hash === hash) {
+    verboseLog(`Secret ${secret.name} unchanged`);
+    return false;
+  }
+
+  return withValueFile(secret.value, async valuePath => {
+    if (!existing) {
+      const annotation = hash ? ` --set-annotations=${SECRET_HASH_ANNOTATION}=${hash}` : '';
+      await executeCommand(`gcloud secrets create ${secret.name} --data-file=${valuePath} --replication-policy=automatic${annotation} ${projectFlag}`);
+      console.log(chalk.green(`  ✅ Created secret ${secret.name}`));
+      return true;
+    }
+
+    // Secrets written before the annotation existed have no hash, so they get
+    // one new version. A hash that can't be updated is removed, it no longer
+    // matches the latest version.
+    await executeCommand(`gcloud secrets versions add ${secret.name} --data-file=${valuePath} ${projectFlag}`);
+    const flags = [];
+    if (hash) {
+      flags.push(`--update-annotations=${SECRET_HASH_ANNOTATION}=${hash}`);
+    }
+    const removed = [];
+    if (!hash && existing.hash) {
+      removed.push(SECRET_HASH_ANNOTATION);
+    }
+    if (existing.legacyHash) {
+      removed.push(LEGACY_HASH_ANNOTATION);
+    }
+    if (removed.length > 0) {
+      flags.push(`--remove-annotations=${removed.join(',')}`);
+    }
+    if (flags.length > 0) {
+      await executeCommand(`gcloud secrets update ${secret.name} ${flags.join(' ')} ${projectFlag}`);
+    }
+    console.log(chalk.green(`  ✅ Added new version of secret ${secret.name}`));
+    return true;
+  });
+}
+
+/**
+ * Lets a service account read a secret
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} secretName - Secret name
+ * @param {string} email - Service account email
+ */
+async function grantSecretAccess(config, secretName, email) {
+  await executeCommand(`gcloud secrets add-iam-policy-binding ${secretName} --member="serviceAccount:${email}" --role="roles/secretmanager.secretAccessor" --project=${config.projectId}`);
+}
+
+/**
+ * Stores a secret value from this machine and lets the runtime account read
+ * it, so secret values never reach the build
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {Object} secret - { name, value } from getDeploymentEnvironment()
+ * @param {string} runtimeEmail - Runtime service account email
+ */
+async function storeSecret(config, secret, runtimeEmail) {
+  await writeSecretVersion(config, secret);
+  await grantSecretAccess(config, secret.name, runtimeEmail);
+}
+
+/**
+ * Removes the dedicated service accounts of a service together with the
+ * bindings granted to them. Secrets and buckets themselves are kept.
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string} serviceName - Cloud Run service name
+ * @returns {Promise<number>} Number of failed steps
+ */
+async function deleteServiceAccounts(config, serviceName) {
+  const { projectId } = config;
+  const accounts = getServiceAccounts(config, serviceName);
+  const runtimeMember = `serviceAccount:${accounts.runtime.email}`;
+  const deployerMember = `serviceAccount:${accounts.deployer.email}`;
+
+  const exists = async account => {
+    try {
+      await executeCommand(`gcloud iam service-accounts describe ${account.email} --project=${projectId}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  const runtimeExists = await exists(accounts.runtime);
+  const deployerExists = await exists(accounts.deployer);
+
+  if (!runtimeExists && !deployerExists) {
+    verboseLog('No dedicated service accounts to remove');
+    return 0;
+  }
+
+  const steps = [];
+
+  if (runtimeExists) {
+    getServiceSecrets({ ...config, serviceName }).forEach(({ name: secretName }) => {
+      steps.push({
+        name: `secret access to ${secretName}`,
+        command: `gcloud secrets remove-iam-policy-binding ${secretName} --member="${runtimeMember}" --role="roles/secretmanager.secretAccessor" --project=${projectId}`
+      });
+    });
+    steps.push({
+      name: 'settings bucket access',
+      command: `gsutil iam ch -d ${runtimeMember} gs://${getSettingsBucketName(projectId)}`
+    });
+  }
+
+  if (deployerExists) {
+    DEPLOYER_PROJECT_ROLES.forEach(role => {
+      steps.push({
+        name: `${role} binding`,
+        command: `gcloud projects remove-iam-policy-binding ${projectId} --member="${deployerMember}" --role="${role}" --condition=None`
+      });
+    });
+    steps.push({
+      name: 'Cloud Build source bucket access',
+      command: `gsutil iam ch -d ${deployerMember} gs://${projectId}_cloudbuild`
+    });
+    steps.push({
+      name: `service account ${accounts.deployer.email}`,
+      command: `gcloud iam service-accounts delete ${accounts.deployer.email} --project=${projectId} --quiet`
+    });
+  }
+
+  if (runtimeExists) {
+    steps.push({
+      name: `service account ${accounts.runtime.email}`,
+      command: `gcloud iam service-accounts delete ${accounts.runtime.email} --project=${projectId} --quiet`
+    });
+  }
+
+  let errorCount = 0;
+
+  for (const step of steps) {
+    try {
+      await executeCommand(step.command);
+      console.log(chalk.green(`✅ Removed ${step.name}`));
+    } catch (error) {
+      // Bindings that were never granted and resources that are already gone
+      if (/NOT_FOUND|not found|does not exist|No such/i.test(error.message)) {
+        verboseLog(`${step.name} not found (already removed)`);
+      } else {
+        console.log(chalk.red(`❌ Failed to remove ${step.name}:`), error.message);
+        errorCount++;
+      }
+    }
+  }
+
+  return errorCount;
+}
+
+/**
+ * Describes the identity a Cloud Run service runs as
+ * @param {Object} service - Parsed service description
+ * @returns {string} Service account email, or a note for the default account
+ */
+function getServiceIdentity(service) {
+  return service.spec?.template?.spec?.serviceAccountName || 'default compute service account';
+}
+
+module.exports = {
+  IAM_API,
+  DEPLOYER_PROJECT_ROLES,
+  usesDedicatedServiceAccount,
+  getServiceAccountId,
+  getServiceAccounts,
+  setupServiceAccounts,
+  writeSecretVersion,
+  grantSecretAccess,
+  storeSecret,
+  deleteServiceAccounts,
+  getServiceIdentity
+};
@@ -1,7 +1,7 @@
-const { execSync, spawn } = require('child_process');
+const { getExecutor } = require('./executor');
+const { getHumanStream } = require('./output');
 const chalk = require('chalk');
 const path = require('path');
-const https = require('https');
 
 let verboseMode = false;
 
@@ -147,7 +147,7 @@ async function executeCommand(command) {
   const startTime = Date.now();
   
   try {
-    const stdout = execSync(command, { 
+    const stdout = getExecutor().execSync(command, { 
       encoding: 'utf8',
       stdio: ['pipe', 'pipe', 'pipe'],
       maxBuffer: 1024 * 1024 * 10, // 10MB buffer
@@ -185,7 +185,7 @@ async function executeCommandWithAuth(command, authManager = null) {
 
 async function executeCommandSimple(command) {
   try {
-    return execSync(command, { 
+    return getExecutor().execSync(command, { 
       encoding: 'utf8', 
       stdio: 'pipe',
       shell: shell,
@@ -206,7 +206,7 @@ async function executeCommandVerbose(command, description = '') {
   const startTime = Date.now();
   
   try {
-    const result = execSync(command, { 
+    const result = getExecutor().execSync(command, { 
       encoding: 'utf8',
       stdio: ['pipe', 'pipe', 'pipe'],
       maxBuffer: 1024 * 1024 * 10,
@@ -245,7 +245,7 @@ async function executeCommandStreaming(command) {
     const progressInterval = 10000; // Show progress every 10 seconds
     
     // Use spawn for streaming output
-    const child = spawn(command, [], {
+    const child = getExecutor().spawn(command, [], {
       shell: shell,
       windowsHide: true,
       env: { ...process.env },
@@ -261,7 +261,7 @@ async function executeCommandStreaming(command) {
       if (!hasShownProgress) {
         hasShownProgress = true;
         // Clear the progress line and show build step
-        process.stdout.write('\r' + ' '.repeat(60) + '\r');
+        getHumanStream().write('\r' + ' '.repeat(60) + '\r');
       }
       console.log(message);
     };
@@ -273,7 +273,7 @@ async function executeCommandStreaming(command) {
       const seconds = elapsed % 60;
       if (!hasShownProgress) {
         // Use \r to overwrite the same line instead of creating new lines
-        process.stdout.write(`\r   ⏱️  Build in progress... (${minutes}m ${seconds}s elapsed)`);
+        getHumanStream().write(`\r   ⏱️  Build in progress... (${minutes}m ${seconds}s elapsed)`);
       }
     }, progressInterval);
     
@@ -379,6 +379,35 @@ async function executeCommandStreaming(command) {
   });
 }
 
+/**
+ * Execute a command attached to the terminal, so its output and Ctrl+C go
+ * straight to the child process
+ * @param {string} command - The command to execute
+ * @param {Object} env - Extra environment variables for the command
+ * @returns {Promise<number>} Exit code of the command
+ */
+async function executeCommandAttached(command, env = {}) {
+  return new Promise((resolve, reject) => {
+    verboseLog(`Running attached command: ${command}`);
+
+    const child = getExecutor().spawn(command, [], {
+      shell: shell,
+      windowsHide: true,
+      env: { ...process.env, ...env },
+      stdio: 'inherit'
+    });
+
+    child.on('close', (code) => {
+      verboseLog(`Command exited with code ${code}`);
+      resolve(code);
+    });
+    child.on('error', (error) => {
+      verboseLog('Command execution error:', error.message);
+      reject(error);
+    });
+  });
+}
+
 async function detectMeteorVersion() {
   try {
     // Try reading from .meteor/release file first
@@ -486,6 +515,59 @@ function getCompatibleBaseImageFallback(meteorVersion) {
   }
 }
 
+// Node.js major each Meteor release ships with, newest first. A release uses
+// the first entry it is at least as new as.
+const METEOR_NODE_VERSIONS = [
+  { meteor: [3, 1], node: '22' },
+  { meteor: [3, 0], node: '20' },
+  { meteor: [2, 3], node: '14' },
+  { meteor: [1, 9], node: '12' },
+  { meteor: [1, 6], node: '8' }
+];
+
+// The default slim images of these Node.js majors use Debian releases whose
+// package archives are gone, so apt-get fails in them
+const NODE_IMAGE_VARIANTS = {
+  12: 'bullseye-slim',
+  14: 'bullseye-slim'
+};
+
+/**
+ * Gets the Node.js major a Meteor release builds with
+ * @param {string|null} meteorVersion - Meteor version, e.g. "3.0.4"
+ * @returns {string} Node.js major version
+ */
+function getNodeVersionForMeteor(meteorVersion) {
+  const [major, minor] = (meteorVersion || '2.12').split('.').map(Number);
+  if (isNaN(major)) {
+    return METEOR_NODE_VERSIONS[0].node;
+  }
+  const entry = METEOR_NODE_VERSIONS.find(({ meteor }) =>
+    major > meteor[0] || (major === meteor[0] && (minor || 0) >= meteor[1])
+  );
+  return (entry || METEOR_NODE_VERSIONS[METEOR_NODE_VERSIONS.length - 1]).node;
+}
+
+/**
+ * Works out the image the production stage runs on: `runtimeImage` from the
+ * config, a slim `node:<nodeVersion>` image, or the Node.js release matching Meteor
+ * @param {Object} config - Meteor Cloud Run configuration
+ * @param {string|null} meteorVersion - Detected Meteor version
+ * @returns {Object} { image, nodeVersion (major, null if unknown), builderNodeVersion }
+ */
+function getRuntimeImage(config, meteorVersion) {
+  const builderNodeVersion = getNodeVersionForMeteor(meteorVersion);
+
+  if (config.runtimeImage) {
+    const tag = config.runtimeImage.match(/^(?:[^/]+\/)*node:(\d+)/);
+    return { image: config.runtimeImage, nodeVersion: tag ? tag[1] : null, builderNodeVersion };
+  }
+
+  const nodeVersion = config.nodeVersion ? String(config.nodeVersion) : builderNodeVersion;
+  const major = nodeVersion.split('.')[0];
+  return { image: `node:${nodeVersion}-${NODE_IMAGE_VARIANTS[major] || 'slim'}`, nodeVersion: major, builderNodeVersion };
+}
+
 function getServiceName(config = {}) {
   // 1. Use explicit serviceName from config if provided
   if (config.serviceName && typeof config.serviceName === 'string') {
@@ -579,6 +661,27 @@ function validateCustomDomain(domain) {
   return true;
 }
 
+function validateImageTag(tag) {
+  // Docker tag format: up to 128 characters, may not start with a period or hyphen
+  if (!tag || !/^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/.test(tag)) {
+    throw new Error(`Invalid image tag "${tag}". Tags may contain letters, numbers, underscores, periods and hyphens (max 128 characters) and cannot start with a period or hyphen.`);
+  }
+  
+  return true;
+}
+
+// APIs enabled by every deploy
+const REQUIRED_APIS = [
+  'cloudbuild.googleapis.com',
+  'run.googleapis.com',
+  'artifactregistry.googleapis.com',
+  'secretmanager.googleapis.com',
+  'storage.googleapis.com',
+  'compute.googleapis.com',
+  'cloudresourcemanager.googleapis.com',
+  'serviceusage.googleapis.com'
+];
+
 async function checkRequiredAPIs(projectId) {
   const requiredAPIs = {
     'compute.googleapis.com': 'Compute Engine API'
@@ -684,7 +787,7 @@ async function fetchMeteorBaseTags() {
       }
     };
 
-    const req = https.request(options, (res) => {
+    const req = getExecutor().request(options, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -911,15 +1014,20 @@ module.exports = {
   executeCommandSimple,
   executeCommandVerbose,
   executeCommandStreaming,
+  executeCommandAttached,
   executeCommandWithRetry,
   isRetryableError,
   detectMeteorVersion,
   getCompatibleBaseImage,
+  getNodeVersionForMeteor,
+  getRuntimeImage,
   getServiceName,
   sanitizeServiceName,
   getSecretName,
   generateLoadBalancerResourceNames,
   validateCustomDomain,
+  validateImageTag,
+  REQUIRED_APIS,
   checkRequiredAPIs,
   waitForResourceReady
 };
\ No newline at end of file
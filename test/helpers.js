@@ -0,0 +1,97 @@
+/**
+ * Test Helpers
+ * Runs the tests of a test/test-*.js file and reports the results
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Runs synchronous tests, then async tests, printing PASS or FAIL for each.
+ * Exits with code 1 if any test failed.
+ * @param {string} title - Name used in the summary, e.g. "Cloud CDN"
+ * @param {Object} suite - Tests to run
+ * @param {Array<Object>} [suite.tests] - { name, run } returning true on success
+ * @param {Array<Object>} [suite.asyncTests] - { name, run } resolving to true on success
+ * @param {boolean} [suite.quiet] - Hide console.log output of the async tests
+ * @param {boolean|Function} [suite.tempDir] - Run the async tests in a new
+ * temporary directory, after calling the function if one is given
+ * @returns {Promise<void>}
+ */
+async function runTests(title, { tests = [], asyncTests = [], quiet = false, tempDir = false }) {
+  let passed = 0;
+  let failed = 0;
+
+  const report = (result, error) => {
+    if (result) {
+      console.log(chalk.green('✓ PASS'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      if (error) {
+        console.log(chalk.red(`  Error: ${error.message}`));
+      }
+      failed++;
+    }
+  };
+
+  tests.forEach(test => {
+    process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+    try {
+      report(test.run());
+    } catch (error) {
+      report(false, error);
+    }
+  });
+
+  const originalCwd = process.cwd();
+  const dir = tempDir ? await fs.mkdtemp(path.join(os.tmpdir(), 'meteor-cloud-run-test-')) : null;
+
+  try {
+    if (dir) {
+      process.chdir(dir);
+      if (typeof tempDir === 'function') {
+        await tempDir();
+      }
+    }
+
+    const originalLog = console.log;
+    for (const test of asyncTests) {
+      process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+      let result = false;
+      let failure = null;
+      if (quiet) {
+        console.log = () => {};
+      }
+      try {
+        result = await test.run();
+      } catch (error) {
+        failure = error;
+      } finally {
+        console.log = originalLog;
+      }
+      report(result, failure);
+    }
+  } finally {
+    if (dir) {
+      process.chdir(originalCwd);
+      await fs.remove(dir);
+    }
+  }
+
+  console.log(chalk.bold(`\n=== Results ===`));
+  console.log(chalk.green(`Passed: ${passed}`));
+  console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log(chalk.bold.green(`\n✓ All ${title} tests passed!\n`));
+}
+
+module.exports = {
+  runTests
+};
@@ -38,7 +38,7 @@ try {
 
 // Test 3: All commands are registered
 console.log(chalk.bold('\nTest 3: Command Registration'));
-const commands = ['init', 'deploy', 'info', 'list-secrets', 'migrate-domain', 'remove'];
+const commands = ['init', 'deploy', 'rollback', 'promote', 'abort-canary', 'logs', 'info', 'list-secrets', 'migrate-domain', 'remove', 'build', 'run-local', 'env', 'secrets', 'history', 'domains', 'security', 'cdn'];
 const helpOutput = execSync('node src/index.js --help', { encoding: 'utf8' });
 
 let allCommandsRegistered = true;
@@ -75,11 +75,27 @@ const fs = require('fs');
 const requiredFiles = [
   'src/index.js',
   'src/commands.js',
+  'src/config.js',
+  'src/revisions.js',
+  'src/git.js',
+  'src/logs.js',
+  'src/plan.js',
+  'src/serviceAccounts.js',
+  'src/executor.js',
+  'src/output.js',
+  'src/local.js',
+  'src/healthCheck.js',
+  'src/env.js',
+  'src/secrets.js',
+  'src/history.js',
+  'src/runtimeOptions.js',
   'src/auth.js',
   'src/utils.js',
   'src/settings.js',
   'src/fileGeneration.js',
   'src/loadBalancer.js',
+  'src/security.js',
+  'src/cdn.js',
   'src/domainMappingMigration.js'
 ];
 
@@ -137,16 +153,20 @@ console.log(chalk.bold('3. Test info command:'));
 console.log(chalk.gray('   meteor-cloud-run info'));
 console.log(chalk.gray('   # Verify: Shows correct deployment information\n'));
 
-console.log(chalk.bold('4. Test secrets listing:'));
+console.log(chalk.bold('4. Test rollback (after at least two deploys):'));
+console.log(chalk.gray('   meteor-cloud-run rollback'));
+console.log(chalk.gray('   # Verify: Previous revision receives 100% of traffic with its original settings\n'));
+
+console.log(chalk.bold('5. Test secrets listing:'));
 console.log(chalk.gray('   meteor-cloud-run list-secrets'));
 console.log(chalk.gray('   # Verify: Lists secrets correctly\n'));
 
-console.log(chalk.bold('5. Test cleanup:'));
+console.log(chalk.bold('6. Test cleanup:'));
 console.log(chalk.gray('   meteor-cloud-run remove --service-only'));
 console.log(chalk.gray('   meteor-cloud-run remove'));
 console.log(chalk.gray('   # Verify: Resources are properly cleaned up\n'));
 
-console.log(chalk.bold('6. Test with custom domain:'));
+console.log(chalk.bold('7. Test with custom domain:'));
 console.log(chalk.gray('   meteor-cloud-run init # Answer yes to custom domain'));
 console.log(chalk.gray('   meteor-cloud-run deploy'));
 console.log(chalk.gray('   meteor-cloud-run migrate-domain'));
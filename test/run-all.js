@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner
+ * Runs the manual test suite and every test/test-*.js file, one at a time
+ */
+
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const testFiles = [
+  'manual-tests.js',
+  ...fs.readdirSync(__dirname).filter(file => /^test-.+\.js$/.test(file)).sort()
+];
+
+const failures = testFiles.filter(file => {
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], {
+    cwd: path.join(__dirname, '..'),
+    stdio: 'inherit'
+  });
+  return result.status !== 0;
+});
+
+console.log(chalk.bold(`\n=== ${testFiles.length} test files ===`));
+if (failures.length > 0) {
+  failures.forEach(file => console.log(chalk.red(`✗ ${file} failed`)));
+  process.exit(1);
+}
+
+console.log(chalk.bold.green('✓ All test files passed!\n'));
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Build Cache Tests
+ * Tests the buildCache configuration and the cached layers in the generated Dockerfile and Cloud Build config
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+const {
+  getBuildCache,
+  getBuildCacheTags,
+  createDockerfile,
+  createCloudBuildConfig,
+  syncDockerfileBuildStage
+} = require('../src/fileGeneration');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Build Cache Tests ===\n'));
+
+const config = {
+  projectId: 'shop-prod',
+  region: 'us-central1',
+  serviceName: 'shop',
+  meteorVersion: '3.0',
+  cpu: '1',
+  memory: '512Mi',
+  concurrency: 80,
+  minInstances: 0,
+  maxInstances: 10
+};
+
+const imageName = 'us-central1-docker.pkg.dev/$PROJECT_ID/shop/shop';
+
+// Build stage written by earlier versions, before dependencies got their own layer
+const previousBuildStage = `# Build stage
+FROM geoffreybooth/meteor-base:2.16 as builder
+
+# Copy app files
+COPY . /app
+
+# Build the app
+RUN cd /app && \\
+    meteor npm install && \\
+    meteor build --directory /opt/bundle --server-only
+
+# Production stage
+FROM node:14-bullseye-slim
+`;
+
+const readFile = name => fs.readFile(path.join('.meteor-cloud-run', name), 'utf8');
+
+const tests = [
+  {
+    name: 'Build cache is off by default',
+    run: () => {
+      const buildCache = getBuildCache({});
+      return buildCache.enabled === false && buildCache.mounts === false && buildCache.key === null;
+    }
+  },
+  {
+    name: 'Cache key selects separate cache tags',
+    run: () => {
+      const plain = getBuildCacheTags(getBuildCache({ buildCache: { enabled: true } }));
+      const keyed = getBuildCacheTags(getBuildCache({ buildCache: { enabled: true, key: 2 } }));
+      return plain.builder === 'cache-builder' && plain.runtime === 'cache-runtime' &&
+        keyed.builder === 'cache-builder-2' && keyed.runtime === 'cache-runtime-2';
+    }
+  },
+  {
+    name: 'Invalid buildCache settings are rejected',
+    run: () => {
+      const rejects = value => {
+        try {
+          getBuildCache({ buildCache: value });
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      return rejects(true) && rejects({ key: 'not a tag' }) && rejects({ key: 'x'.repeat(65) });
+    }
+  }
+];
+
+// Files are written to .meteor-cloud-run/, so run these in a temp dir
+const asyncTests = [
+  {
+    name: 'Default build has no cache steps',
+    run: async () => {
+      await createCloudBuildConfig(config, null);
+      const yaml = await readFile('cloudbuild.yaml');
+      return yaml.includes(`args: ['build', '-f', '.meteor-cloud-run/Dockerfile', '-t', '${imageName}:$_IMAGE_TAG', '.']`) &&
+        !yaml.includes('--cache-from') && !yaml.includes('DOCKER_BUILDKIT');
+    }
+  },
+  {
+    name: 'Cached build reuses and refreshes both stages',
+    run: async () => {
+      await createCloudBuildConfig({ ...config, buildCache: { enabled: true } }, null);
+      const yaml = await readFile('cloudbuild.yaml');
+      return yaml.includes(`'--target', 'builder'`) &&
+        yaml.includes(`'--cache-from', '${imageName}:cache-builder', '-t', '${imageName}:cache-builder'`) &&
+        yaml.includes(`'--cache-from', '${imageName}:cache-runtime', '-t', '${imageName}:$_IMAGE_TAG', '-t', '${imageName}:cache-runtime'`) &&
+        yaml.includes('BUILDKIT_INLINE_CACHE=1') &&
+        yaml.includes(`args: ['push', '--all-tags', '${imageName}']`);
+    }
+  },
+  {
+    name: 'Busting the cache rebuilds without --cache-from',
+    run: async () => {
+      await createCloudBuildConfig({ ...config, buildCache: { enabled: true } }, null, null, { noBuildCache: true });
+      const yaml = await readFile('cloudbuild.yaml');
+      return !yaml.includes('--cache-from') && yaml.split("'--no-cache'").length === 3 &&
+        yaml.includes(`'-t', '${imageName}:cache-builder'`);
+    }
+  },
+  {
+    name: 'Dependencies are installed before the app is copied',
+    run: async () => {
+      await createDockerfile('geoffreybooth/meteor-base:3.0', config);
+      const dockerfile = await readFile('Dockerfile');
+      const install = dockerfile.indexOf('meteor npm install');
+      return dockerfile.indexOf('COPY package*.json /app/') < install &&
+        install < dockerfile.indexOf('COPY . /app') &&
+        !dockerfile.includes('--mount=type=cache') && !dockerfile.includes('# syntax=');
+    }
+  },
+  {
+    name: 'Cache mounts need the Dockerfile syntax line',
+    run: async () => {
+      await createDockerfile('geoffreybooth/meteor-base:3.0', { ...config, buildCache: { mounts: true } });
+      const dockerfile = await readFile('Dockerfile');
+      return dockerfile.startsWith('# syntax=docker/dockerfile:1\n# Build stage') &&
+        dockerfile.includes('RUN --mount=type=cache,target=/root/.npm cd /app') &&
+        dockerfile.includes('RUN --mount=type=cache,target=/app/.meteor/local cd /app');
+    }
+  },
+  {
+    name: 'Existing Dockerfiles get the cached build stage, keeping their base image',
+    run: async () => {
+      await fs.writeFile(path.join('.meteor-cloud-run', 'Dockerfile'), previousBuildStage);
+      const changed = await syncDockerfileBuildStage(config);
+      const dockerfile = await readFile('Dockerfile');
+      return changed && dockerfile.includes('FROM geoffreybooth/meteor-base:2.16 as builder') &&
+        dockerfile.includes('COPY package*.json /app/') &&
+        dockerfile.endsWith('# Production stage\nFROM node:14-bullseye-slim\n') &&
+        !(await syncDockerfileBuildStage(config));
+    }
+  },
+  {
+    name: 'Customised Dockerfiles are left alone',
+    run: async () => {
+      const custom = 'FROM node:20\nCOPY . /app\nCMD ["node", "main.js"]\n';
+      await fs.writeFile(path.join('.meteor-cloud-run', 'Dockerfile'), custom);
+      return !(await syncDockerfileBuildStage(config)) && (await readFile('Dockerfile')) === custom;
+    }
+  }
+];
+
+runTests('build cache', {
+  tests,
+  asyncTests,
+  tempDir: () => fs.ensureDir('.meteor-cloud-run')
+});
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Cloud CDN Tests
+ * Tests the enableCdn option, how it is applied to the load balancer backend
+ * service and how cached responses are invalidated
+ */
+
+const chalk = require('chalk');
+
+const { createFakeExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const { getCdn, needsCdnUpdate, updateCdn, invalidateCdnCache } = require('../src/cdn');
+const { createLoadBalancer, generateResourceNames } = require('../src/loadBalancer');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Cloud CDN Tests ===\n'));
+
+const names = generateResourceNames('shop');
+
+const config = {
+  projectId: 'shop-prod',
+  region: 'us-central1',
+  serviceName: 'shop',
+  customDomain: 'shop.example.com',
+  useLoadBalancer: true,
+  enableCdn: true,
+  loadBalancerResources: { ...names, ipAddress: '34.1.2.3' }
+};
+
+/**
+ * Checks that a promise rejects with a message
+ * @param {Promise} promise - Promise expected to reject
+ * @param {string} message - Part of the expected message
+ * @returns {Promise<boolean>} True if it rejected with the message
+ */
+async function rejects(promise, message) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.message.includes(message);
+  }
+}
+
+const tests = [
+  {
+    name: 'enableCdn is off unless set to true',
+    run: () => {
+      let rejected = false;
+      try {
+        getCdn({ enableCdn: 'yes' });
+      } catch (error) {
+        rejected = error.message.includes('enableCdn must be true or false');
+      }
+      return getCdn(config) === true && getCdn({}) === false && getCdn({ enableCdn: false }) === false && rejected;
+    }
+  },
+  {
+    name: 'Cloud CDN is updated when enableCdn changes',
+    run: () => {
+      const applied = { ...config, loadBalancerResources: { ...config.loadBalancerResources, cdnEnabled: true } };
+      return needsCdnUpdate(config) &&
+        !needsCdnUpdate(applied) &&
+        needsCdnUpdate({ ...applied, enableCdn: false }) &&
+        !needsCdnUpdate({ ...config, enableCdn: undefined });
+    }
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'Cloud CDN caches only what Meteor marks as cacheable',
+    run: async () => {
+      const fake = createFakeExecutor([{ match: 'backend-services update', stdout: '' }]);
+      setExecutor(fake);
+      try {
+        const resources = await updateCdn(config);
+        return fake.callsMatching('backend-services update shop-backend --enable-cdn --cache-mode=USE_ORIGIN_HEADERS --cache-key-include-query-string --no-negative-caching --global --project=shop-prod').length === 1 &&
+          resources.cdnEnabled === true && resources.backendServiceName === 'shop-backend';
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Setting enableCdn to false turns Cloud CDN off',
+    run: async () => {
+      const fake = createFakeExecutor([{ match: 'backend-services update', stdout: '' }]);
+      setExecutor(fake);
+      try {
+        const resources = await updateCdn({ ...config, enableCdn: false, loadBalancerResources: { ...config.loadBalancerResources, cdnEnabled: true } });
+        return fake.callsMatching('backend-services update shop-backend --no-enable-cdn --global').length === 1 &&
+          resources.cdnEnabled === undefined;
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Invalidations run on the URL map without waiting unless asked',
+    run: async () => {
+      const fake = createFakeExecutor([{ match: 'url-maps invalidate-cdn-cache', stdout: '' }]);
+      setExecutor(fake);
+      try {
+        const all = await invalidateCdnCache(config);
+        const some = await invalidateCdnCache(config, ['/packages/*', '/favicon.ico'], { wait: true });
+        const [first, second, third] = fake.calls;
+        return all.join(',') === '/*' && some.length === 2 &&
+          first.includes('url-maps invalidate-cdn-cache shop-url-map --path="/*" --global --async --project=shop-prod') &&
+          second.includes('--path="/packages/*" --global --project=shop-prod') &&
+          third.includes('--path="/favicon.ico" --global --project=shop-prod');
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Invalid paths and missing load balancers are rejected',
+    run: async () => {
+      const fake = createFakeExecutor([]);
+      setExecutor(fake);
+      try {
+        return await rejects(invalidateCdnCache(config, ['packages/*']), 'CDN paths must start with "/"') &&
+          await rejects(invalidateCdnCache(config, ['/*/app.js']), 'may only end with "*"') &&
+          await rejects(invalidateCdnCache({ ...config, loadBalancerResources: undefined }), 'No load balancer found') &&
+          fake.calls.length === 0;
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'createLoadBalancer turns Cloud CDN on and records it',
+    run: async () => {
+      const fake = createFakeExecutor([
+        { match: 'addresses describe shop-ip --global --project=shop-prod --format', stdout: '34.1.2.3' },
+        { match: ' describe ', stderr: 'was not found', exitCode: 1 },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const result = await createLoadBalancer({ ...config, loadBalancerResources: undefined });
+        const backend = fake.calls.findIndex(command => command.includes('backend-services create shop-backend'));
+        const cdn = fake.calls.findIndex(command => command.includes('backend-services update shop-backend --enable-cdn'));
+        return backend !== -1 && cdn > backend && result.cdnEnabled === true;
+      } finally {
+        resetExecutor();
+      }
+    }
+  }
+];
+
+runTests('Cloud CDN', {
+  tests,
+  asyncTests,
+  // Progress messages of the load balancer updates are not part of the results
+  quiet: true
+});
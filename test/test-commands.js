@@ -31,6 +31,26 @@ const tests = [
     command: 'node src/index.js deploy --help',
     shouldSucceed: true
   },
+  {
+    name: 'Rollback help',
+    command: 'node src/index.js rollback --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Promote help',
+    command: 'node src/index.js promote --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Abort-canary help',
+    command: 'node src/index.js abort-canary --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Logs help',
+    command: 'node src/index.js logs --help',
+    shouldSucceed: true
+  },
   {
     name: 'Info help',
     command: 'node src/index.js info --help',
@@ -46,6 +66,56 @@ const tests = [
     command: 'node src/index.js migrate-domain --help',
     shouldSucceed: true
   },
+  {
+    name: 'Env help',
+    command: 'node src/index.js env --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Env set help',
+    command: 'node src/index.js env set --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Secrets help',
+    command: 'node src/index.js secrets --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Secrets rotate help',
+    command: 'node src/index.js secrets rotate --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'History help',
+    command: 'node src/index.js history --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Domains help',
+    command: 'node src/index.js domains --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Domains add help',
+    command: 'node src/index.js domains add --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Security help',
+    command: 'node src/index.js security --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'Security update help',
+    command: 'node src/index.js security update --help',
+    shouldSucceed: true
+  },
+  {
+    name: 'CDN invalidate help',
+    command: 'node src/index.js cdn invalidate --help',
+    shouldSucceed: true
+  },
   {
     name: 'Remove help',
     command: 'node src/index.js remove --help',
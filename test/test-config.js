@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Configuration Tests
+ * Tests environment profile resolution and saving in src/config.js
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { resolveEnvironment, loadConfig, saveConfig } = require('../src/config');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Configuration Tests ===\n'));
+
+const baseConfig = {
+  projectId: 'my-project-12345',
+  region: 'us-central1',
+  serviceName: 'shop',
+  cpu: '1',
+  memory: '512Mi',
+  settingsFile: 'settings.json',
+  customDomain: 'shop.example.com',
+  useLoadBalancer: true,
+  loadBalancerResources: { staticIpName: 'shop-ip' },
+  environments: {
+    staging: {
+      region: 'europe-west1',
+      settingsFile: 'settings-staging.json',
+      maxInstances: 2
+    },
+    production: {
+      serviceName: 'shop-prod',
+      customDomain: 'www.example.com',
+      useLoadBalancer: true
+    }
+  }
+};
+
+const tests = [
+  {
+    name: 'No environment returns base configuration',
+    run: () => {
+      const config = resolveEnvironment(baseConfig, null);
+      return config.serviceName === 'shop' && config.region === 'us-central1' && !config.environment;
+    }
+  },
+  {
+    name: 'Profile overrides base values',
+    run: () => {
+      const config = resolveEnvironment(baseConfig, 'staging');
+      return config.region === 'europe-west1' &&
+        config.settingsFile === 'settings-staging.json' &&
+        config.maxInstances === 2 &&
+        config.cpu === '1';
+    }
+  },
+  {
+    name: 'Profile without serviceName gets a derived name',
+    run: () => resolveEnvironment(baseConfig, 'staging').serviceName === 'shop-staging'
+  },
+  {
+    name: 'Profile serviceName is used as-is',
+    run: () => resolveEnvironment(baseConfig, 'production').serviceName === 'shop-prod'
+  },
+  {
+    name: 'Domain and load balancer state are not inherited',
+    run: () => {
+      const config = resolveEnvironment(baseConfig, 'staging');
+      return !config.customDomain && !config.useLoadBalancer && !config.loadBalancerResources;
+    }
+  },
+  {
+    name: 'Profile domain is used',
+    run: () => resolveEnvironment(baseConfig, 'production').customDomain === 'www.example.com'
+  },
+  {
+    name: 'Unknown environment throws with available names',
+    run: () => {
+      try {
+        resolveEnvironment(baseConfig, 'qa');
+        return false;
+      } catch (error) {
+        return error.message.includes('staging, production');
+      }
+    }
+  },
+  {
+    name: 'Invalid environment name throws',
+    run: () => {
+      try {
+        resolveEnvironment(baseConfig, 'Bad Name');
+        return false;
+      } catch (error) {
+        return error.message.includes('Environment name');
+      }
+    }
+  }
+];
+
+// saveConfig works relative to the current directory, so run these in a temp dir
+const asyncTests = [
+  {
+    name: 'Saving an environment writes changes into its profile only',
+    run: async () => {
+      const config = await loadConfig('staging');
+      config.loadBalancerResources = { staticIpName: 'shop-staging-ip' };
+      config.rawSettings = { private: {} };
+      await saveConfig(config);
+
+      const saved = await fs.readJson(path.join('.meteor-cloud-run', 'config.json'));
+      const profile = saved.environments.staging;
+      return profile.loadBalancerResources.staticIpName === 'shop-staging-ip' &&
+        !profile.serviceName &&
+        !profile.rawSettings &&
+        !profile.environment &&
+        saved.loadBalancerResources.staticIpName === 'shop-ip' &&
+        saved.region === 'us-central1';
+    }
+  },
+  {
+    name: 'Saving without an environment keeps the profiles',
+    run: async () => {
+      const config = await loadConfig(null);
+      config.memory = '1Gi';
+      await saveConfig(config);
+
+      const saved = await fs.readJson(path.join('.meteor-cloud-run', 'config.json'));
+      return saved.memory === '1Gi' && Object.keys(saved.environments).length === 2;
+    }
+  }
+];
+
+runTests('configuration', {
+  tests,
+  asyncTests,
+  tempDir: () => fs.outputJson(path.join('.meteor-cloud-run', 'config.json'), baseConfig)
+});
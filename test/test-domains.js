@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * Custom Domains Tests
+ * Tests the domains served by the load balancer, their certificates, URL maps and redirects
+ */
+
+const chalk = require('chalk');
+
+const { createFakeExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const {
+  MAX_DOMAINS_PER_CERTIFICATE,
+  getCustomDomains,
+  getRedirects,
+  groupCertificates,
+  getLoadBalancerCertificates,
+  needsLoadBalancerUpdate,
+  getDomainSslStatus,
+  planCertificates,
+  buildUrlMap,
+  buildHttpRedirectUrlMap,
+  updateLoadBalancer,
+  deleteLoadBalancer,
+  generateResourceNames
+} = require('../src/loadBalancer');
+const { resolveRootUrl } = require('../src/revisions');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Custom Domains Tests ===\n'));
+
+const names = generateResourceNames('shop');
+const [apexCertificate] = groupCertificates('shop', ['example.com']);
+const [wwwCertificate] = groupCertificates('shop', ['www.example.com']);
+
+// Load balancer set up for example.com and www.example.com
+const config = {
+  projectId: 'shop-prod',
+  region: 'us-central1',
+  serviceName: 'shop',
+  useLoadBalancer: true,
+  customDomains: ['example.com', 'www.example.com'],
+  loadBalancerResources: {
+    ...names,
+    ipAddress: '34.1.2.3',
+    domains: ['example.com', 'www.example.com'],
+    sslCertificates: [apexCertificate, wwwCertificate]
+  }
+};
+
+/**
+ * Checks that a function throws
+ * @param {Function} run - Function to call
+ * @param {string} message - Part of the expected message
+ * @returns {boolean} True if it threw the message
+ */
+function rejects(run, message) {
+  try {
+    run();
+    return false;
+  } catch (error) {
+    return error.message.includes(message);
+  }
+}
+
+/**
+ * Builds `gcloud compute ssl-certificates describe --format=json` output
+ * @param {Array<string>} domains - Domains on the certificate
+ * @param {string} status - Certificate status
+ * @returns {string} JSON output
+ */
+function describedCertificate(domains, status) {
+  return JSON.stringify({
+    managed: { domains, status, domainStatus: Object.fromEntries(domains.map(domain => [domain, status])) }
+  });
+}
+
+const tests = [
+  {
+    name: 'customDomain alone is the only and primary domain',
+    run: () => {
+      const domains = getCustomDomains({ customDomain: 'Shop.Example.com' });
+      return domains.domains.join(',') === 'shop.example.com' && domains.primary === 'shop.example.com' &&
+        getCustomDomains({}) === null;
+    }
+  },
+  {
+    name: 'customDomains lists every domain, the first is primary unless customDomain says otherwise',
+    run: () => getCustomDomains(config).primary === 'example.com' &&
+      getCustomDomains({ ...config, customDomain: 'www.example.com' }).primary === 'www.example.com' &&
+      rejects(() => getCustomDomains({ ...config, customDomain: 'app.example.org' }), 'must be one of customDomains') &&
+      rejects(() => getCustomDomains({ customDomains: ['example.com', 'EXAMPLE.com'] }), 'example.com is listed twice') &&
+      rejects(() => getCustomDomains({ customDomains: ['shop.run.app'] }), 'shop.run.app: Cannot use .run.app domains') &&
+      rejects(() => getCustomDomains({ customDomains: [] }), 'customDomains must be a list')
+  },
+  {
+    name: 'Domains are split into certificates of at most 100 domains',
+    run: () => {
+      const domains = Array.from({ length: 250 }, (_, i) => `site${i}.example.com`);
+      const certificates = groupCertificates('shop', domains);
+      return MAX_DOMAINS_PER_CERTIFICATE === 100 &&
+        certificates.map(certificate => certificate.domains.length).join(',') === '100,100,50' &&
+        new Set(certificates.map(certificate => certificate.name)).size === 3 &&
+        /^shop-ssl-[a-f0-9]{8}$/.test(certificates[0].name) &&
+        groupCertificates('shop', ['a.example.com', 'b.example.com'])[0].name === groupCertificates('shop', ['b.example.com', 'a.example.com'])[0].name;
+    }
+  },
+  {
+    name: 'Load balancers created for a single domain keep their certificate',
+    run: () => {
+      const legacy = { ...names, sslCertName: 'shop-ssl-cert' };
+      return getLoadBalancerCertificates(legacy)[0].name === 'shop-ssl-cert' &&
+        getLoadBalancerCertificates(legacy)[0].domains === null &&
+        !needsLoadBalancerUpdate({ customDomain: 'shop.example.com', loadBalancerResources: legacy }) &&
+        needsLoadBalancerUpdate({ customDomain: 'shop.example.com', customDomains: ['shop.example.com', 'www.shop.example.com'], loadBalancerResources: legacy });
+    }
+  },
+  {
+    name: 'Adding a domain keeps the current certificates and creates one for the new domain',
+    run: () => {
+      const current = [
+        { ...apexCertificate, status: 'ACTIVE' },
+        { ...wwwCertificate, status: 'ACTIVE' }
+      ];
+      const plan = planCertificates('shop', ['example.com', 'www.example.com', 'app.example.org'], current);
+      return plan.keep.length === 2 && plan.retire.length === 0 && plan.release.length === 0 &&
+        plan.create.length === 1 && plan.create[0].domains.join(',') === 'app.example.org';
+    }
+  },
+  {
+    name: 'A certificate with a removed domain stays attached until its replacement is ACTIVE',
+    run: () => {
+      const shared = groupCertificates('shop', ['example.com', 'www.example.com'])[0];
+      const removing = planCertificates('shop', ['example.com'], [{ ...shared, status: 'ACTIVE' }]);
+      const [replacement] = removing.create;
+      const waiting = planCertificates('shop', ['example.com'], [
+        { ...shared, retired: true, status: 'ACTIVE' },
+        { ...replacement, status: 'PROVISIONING' }
+      ]);
+      const done = planCertificates('shop', ['example.com'], [
+        { ...shared, retired: true, status: 'ACTIVE' },
+        { ...replacement, status: 'ACTIVE' }
+      ]);
+      return replacement.domains.join(',') === 'example.com' &&
+        removing.retire.length === 1 && removing.retire[0].retired === true &&
+        waiting.create.length === 0 && waiting.retire.length === 1 &&
+        done.retire.length === 0 && done.release[0].name === shared.name;
+    }
+  },
+  {
+    name: 'Certificates of removed domains only are released right away',
+    run: () => {
+      const plan = planCertificates('shop', ['example.com'], [
+        { ...apexCertificate, status: 'ACTIVE' },
+        { ...wwwCertificate, status: 'PROVISIONING' }
+      ]);
+      return plan.keep.length === 1 && plan.create.length === 0 && plan.release[0].name === wwwCertificate.name;
+    }
+  },
+  {
+    name: 'Each domain reports the status of the certificate serving it',
+    run: () => {
+      const status = getDomainSslStatus(['example.com', 'www.example.com', 'app.example.org'], [
+        { name: 'old', domains: ['example.com'], retired: true, status: 'ACTIVE', domainStatus: { 'example.com': 'ACTIVE' } },
+        { name: 'new', domains: ['example.com', 'www.example.com'], status: 'PROVISIONING', domainStatus: { 'example.com': 'PROVISIONING', 'www.example.com': 'FAILED_NOT_VISIBLE' } }
+      ]);
+      return status['example.com'].certificate === 'old' && status['example.com'].status === 'ACTIVE' &&
+        status['www.example.com'].status === 'FAILED_NOT_VISIBLE' &&
+        status['app.example.org'].status === 'NO_CERTIFICATE';
+    }
+  },
+  {
+    name: 'The URL map has a host rule for the custom domains',
+    run: () => {
+      const urlMap = buildUrlMap(config, names, ['example.com', 'www.example.com']);
+      return urlMap.name === 'shop-url-map' &&
+        urlMap.defaultService.endsWith('/projects/shop-prod/global/backendServices/shop-backend') &&
+        urlMap.hostRules[0].hosts.join(',') === 'example.com,www.example.com' &&
+        urlMap.pathMatchers[0].name === urlMap.hostRules[0].pathMatcher;
+    }
+  },
+  {
+    name: 'Redirects are checked against the custom domains',
+    run: () => {
+      const redirects = getRedirects({ ...config, customDomain: 'www.example.com', redirects: { httpToHttps: true, canonicalHost: 'www' } });
+      const none = getRedirects(config);
+      return redirects.httpToHttps === true &&
+        JSON.stringify(redirects.hostRedirects) === '[{"from":"example.com","to":"www.example.com"}]' &&
+        getRedirects({ ...config, redirects: { canonicalHost: 'apex' } }).hostRedirects[0].from === 'www.example.com' &&
+        none.httpToHttps === false && none.canonicalHost === null && none.hostRedirects.length === 0 &&
+        rejects(() => getRedirects({ ...config, redirects: { canonicalHost: 'www' } }), 'The primary domain example.com redirects to www.example.com') &&
+        rejects(() => getRedirects({ customDomain: 'app.example.org', redirects: { canonicalHost: 'www' } }), 'needs a domain listed both with and without "www."') &&
+        rejects(() => getRedirects({ ...config, redirects: { canonicalHost: 'naked' } }), 'redirects.canonicalHost must be one of: www, apex') &&
+        rejects(() => getRedirects({ ...config, redirects: { httpToHttps: 'yes' } }), 'redirects.httpToHttps must be true or false') &&
+        rejects(() => getRedirects({ ...config, redirects: true }), 'redirects must be an object');
+    }
+  },
+  {
+    name: 'The non-canonical host gets a 301 to the canonical one',
+    run: () => {
+      const urlMap = buildUrlMap({ ...config, redirects: { canonicalHost: 'apex' } }, names, ['example.com', 'www.example.com']);
+      const redirect = urlMap.pathMatchers.find(matcher => matcher.name === urlMap.hostRules[1].pathMatcher).defaultUrlRedirect;
+      return urlMap.hostRules[0].hosts.join(',') === 'example.com' &&
+        urlMap.hostRules[1].hosts.join(',') === 'www.example.com' &&
+        redirect.hostRedirect === 'example.com' && redirect.redirectResponseCode === 'MOVED_PERMANENTLY_DEFAULT' &&
+        redirect.stripQuery === false && !urlMap.pathMatchers[1].defaultService;
+    }
+  },
+  {
+    name: 'The HTTP URL map only redirects, to the canonical host directly',
+    run: () => {
+      const plain = buildHttpRedirectUrlMap({ ...config, redirects: { httpToHttps: true } }, names);
+      const canonical = buildHttpRedirectUrlMap({ ...config, redirects: { httpToHttps: true, canonicalHost: 'apex' } }, names);
+      const hostRedirect = canonical.pathMatchers[0].defaultUrlRedirect;
+      return plain.name === 'shop-http-redirect' && !plain.defaultService && !plain.hostRules &&
+        plain.defaultUrlRedirect.httpsRedirect === true && plain.defaultUrlRedirect.redirectResponseCode === 'MOVED_PERMANENTLY_DEFAULT' &&
+        canonical.hostRules[0].hosts.join(',') === 'www.example.com' &&
+        hostRedirect.hostRedirect === 'example.com' && hostRedirect.httpsRedirect === true;
+    }
+  },
+  {
+    name: 'Changing the redirects needs a load balancer update',
+    run: () => !needsLoadBalancerUpdate(config) &&
+      needsLoadBalancerUpdate({ ...config, redirects: { httpToHttps: true } }) &&
+      !needsLoadBalancerUpdate({ ...config, redirects: { httpToHttps: true }, loadBalancerResources: { ...config.loadBalancerResources, redirects: { httpToHttps: true, canonicalHost: null } } }) &&
+      needsLoadBalancerUpdate({ ...config, redirects: { canonicalHost: 'apex' } })
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'ROOT_URL uses the primary domain',
+    run: async () => {
+      const rootUrl = await resolveRootUrl({ ...config, customDomain: 'www.example.com' }, 'shop');
+      return rootUrl.url === 'https://www.example.com' && rootUrl.source === 'custom domain';
+    }
+  },
+  {
+    name: 'Updating the domains attaches new certificates without touching the static IP',
+    run: async () => {
+      const fake = createFakeExecutor([
+        { match: `ssl-certificates describe ${apexCertificate.name}`, stdout: describedCertificate(['example.com'], 'ACTIVE') },
+        { match: `ssl-certificates describe ${wwwCertificate.name}`, stdout: describedCertificate(['www.example.com'], 'ACTIVE') },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const resources = await updateLoadBalancer({ ...config, customDomains: ['example.com', 'app.example.org'] });
+        const [appCertificate] = groupCertificates('shop', ['app.example.org']);
+        return fake.callsMatching(`ssl-certificates create ${appCertificate.name} --domains=app.example.org`).length === 1 &&
+          fake.callsMatching(`target-https-proxies update shop-https-proxy --ssl-certificates=${apexCertificate.name},${appCertificate.name} `).length === 1 &&
+          fake.callsMatching(/url-maps import shop-url-map --source=\S+url-map\.yaml/).length === 1 &&
+          fake.callsMatching(`ssl-certificates delete ${wwwCertificate.name}`).length === 1 &&
+          fake.callsMatching('addresses').length === 0 &&
+          resources.domains.join(',') === 'example.com,app.example.org' &&
+          resources.ipAddress === '34.1.2.3';
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Turning on httpToHttps adds a port 80 forwarding rule on the same static IP',
+    run: async () => {
+      const fake = createFakeExecutor([
+        { match: `ssl-certificates describe ${apexCertificate.name}`, stdout: describedCertificate(['example.com'], 'ACTIVE') },
+        { match: `ssl-certificates describe ${wwwCertificate.name}`, stdout: describedCertificate(['www.example.com'], 'ACTIVE') },
+        { match: 'target-http-proxies describe', exitCode: 1, stderr: 'was not found' },
+        { match: 'forwarding-rules describe shop-http-rule', exitCode: 1, stderr: 'was not found' },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const resources = await updateLoadBalancer({ ...config, redirects: { httpToHttps: true } });
+        return fake.callsMatching(/url-maps import shop-http-redirect --source=\S+url-map\.yaml/).length === 1 &&
+          fake.callsMatching('target-http-proxies create shop-http-proxy --url-map=shop-http-redirect ').length === 1 &&
+          fake.callsMatching('forwarding-rules create shop-http-rule --target-http-proxy=shop-http-proxy --address=shop-ip --global --ports=80 ').length === 1 &&
+          fake.callsMatching('addresses').length === 0 &&
+          resources.redirects.httpToHttps === true && resources.httpForwardingRuleName === 'shop-http-rule';
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'The HTTP redirect is deleted before the static IP, and when turned off',
+    run: async () => {
+      const redirected = { ...config.loadBalancerResources, redirects: { httpToHttps: true, canonicalHost: null } };
+      const fake = createFakeExecutor([
+        { match: `ssl-certificates describe ${apexCertificate.name}`, stdout: describedCertificate(['example.com'], 'ACTIVE') },
+        { match: `ssl-certificates describe ${wwwCertificate.name}`, stdout: describedCertificate(['www.example.com'], 'ACTIVE') },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const resources = await updateLoadBalancer({ ...config, loadBalancerResources: redirected });
+        const turnedOff = fake.callsMatching('forwarding-rules delete shop-http-rule').length === 1 &&
+          fake.callsMatching('target-http-proxies delete shop-http-proxy').length === 1 &&
+          fake.callsMatching('url-maps delete shop-http-redirect').length === 1 &&
+          resources.redirects.httpToHttps === false;
+
+        const before = fake.calls.length;
+        await deleteLoadBalancer({ ...config, loadBalancerResources: redirected });
+        const deletes = fake.calls.slice(before);
+        const httpRule = deletes.findIndex(command => command.includes('forwarding-rules delete shop-http-rule'));
+        const staticIp = deletes.findIndex(command => command.includes('addresses delete shop-ip'));
+        return turnedOff && httpRule !== -1 && httpRule < staticIp &&
+          deletes.some(command => command.includes('url-maps delete shop-http-redirect'));
+      } finally {
+        resetExecutor();
+      }
+    }
+  }
+];
+
+runTests('custom domains', {
+  tests,
+  asyncTests,
+  // Progress messages of the load balancer are not part of the results
+  quiet: true
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Environment Variable Tests
+ * Tests the helpers behind env list, get, set and unset
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+const {
+  validateEnvKey,
+  parseEnvAssignments,
+  getServiceEnvironment,
+  diffEnvironment,
+  formatListFlag,
+  writeSettingsEnvironment
+} = require('../src/env');
+const { createCloudBuildConfig } = require('../src/fileGeneration');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Environment Variable Tests ===\n'));
+
+const service = {
+  spec: {
+    template: {
+      spec: {
+        containers: [{
+          env: [
+            { name: 'ROOT_URL', value: 'https://shop.example.com' },
+            { name: 'FEATURE_FLAGS', value: 'checkout' },
+            { name: 'EMPTY' },
+            { name: 'MONGO_URL', valueFrom: { secretKeyRef: { name: 'shop-mongo-url', key: 'latest' } } }
+          ]
+        }]
+      }
+    }
+  }
+};
+
+/**
+ * Checks that a function throws
+ * @param {Function} run - Function to call
+ * @returns {boolean} True if it threw
+ */
+function rejects(run) {
+  try {
+    run();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const tests = [
+  {
+    name: 'Variables set by deploy and invalid names are rejected',
+    run: () => validateEnvKey('FEATURE_FLAGS') === 'FEATURE_FLAGS' &&
+      rejects(() => validateEnvKey('MONGO_URL')) &&
+      rejects(() => validateEnvKey('ROOT_URL')) &&
+      rejects(() => validateEnvKey('HTTP_FORWARDED_COUNT')) &&
+      rejects(() => validateEnvKey('DISABLE_WEBSOCKETS')) &&
+      rejects(() => validateEnvKey('1FLAG')) &&
+      rejects(() => validateEnvKey('MY-FLAG'))
+  },
+  {
+    name: 'Assignments split on the first "=" and keep empty values',
+    run: () => {
+      const values = parseEnvAssignments(['QUERY=a=b', 'EMPTY=']);
+      return values.QUERY === 'a=b' && values.EMPTY === '' &&
+        rejects(() => parseEnvAssignments(['FLAG'])) &&
+        rejects(() => parseEnvAssignments(['=value'])) &&
+        rejects(() => parseEnvAssignments([]));
+    }
+  },
+  {
+    name: 'Service environment separates plain values from secrets',
+    run: () => {
+      const { env, secrets } = getServiceEnvironment(service);
+      return env.FEATURE_FLAGS === 'checkout' && env.EMPTY === '' && !('MONGO_URL' in env) &&
+        secrets.MONGO_URL === 'shop-mongo-url:latest' &&
+        Object.keys(getServiceEnvironment({}).env).length === 0;
+    }
+  },
+  {
+    name: 'Diff ignores variables set by deploy',
+    run: () => {
+      const changes = diffEnvironment(
+        { ROOT_URL: 'https://shop-123456.us-central1.run.app', FEATURE_FLAGS: 'checkout', DEBUG: '1', SAME: 'x' },
+        ['ROOT_URL=https://shop.example.com', 'FEATURE_FLAGS=checkout,search', 'NEW_FLAG=on', 'SAME=x']
+      );
+      return JSON.stringify(changes) === JSON.stringify([
+        { key: 'DEBUG', action: 'remove', live: '1', settings: null },
+        { key: 'FEATURE_FLAGS', action: 'change', live: 'checkout', settings: 'checkout,search' },
+        { key: 'NEW_FLAG', action: 'add', live: null, settings: 'on' }
+      ]);
+    }
+  },
+  {
+    name: 'List flags switch delimiter for values with commas',
+    run: () => formatListFlag('--update-env-vars', ['A=1', 'B=2']) === "--update-env-vars='A=1,B=2'" &&
+      formatListFlag('--update-env-vars', ['A=1,2', 'B=x##y']) === "--update-env-vars='^@@^A=1,2@@B=x##y'"
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'Saving starts meteor-cloud-run.env from the section deploy reads',
+    run: async () => {
+      await fs.writeJson('settings.json', {
+        'galaxy.meteor.com': { env: { MONGO_URL: 'mongodb://db/shop', DEBUG: '1' } },
+        public: { currency: 'EUR' }
+      });
+      await writeSettingsEnvironment('settings.json', { set: { FEATURE_FLAGS: 'checkout' }, remove: ['DEBUG'] });
+      const settings = await fs.readJson('settings.json');
+      return JSON.stringify(settings['meteor-cloud-run'].env) === JSON.stringify({ MONGO_URL: 'mongodb://db/shop', FEATURE_FLAGS: 'checkout' }) &&
+        settings['galaxy.meteor.com'].env.DEBUG === '1' &&
+        settings.public.currency === 'EUR';
+    }
+  },
+  {
+    name: 'Saving updates an existing meteor-cloud-run.env section',
+    run: async () => {
+      await fs.writeJson('settings.json', {
+        'meteor-cloud-run': { env: { FEATURE_FLAGS: 'checkout' } },
+        env: { IGNORED: 'yes' }
+      });
+      await writeSettingsEnvironment('settings.json', { set: { FEATURE_FLAGS: 'search' }, remove: [] });
+      const settings = await fs.readJson('settings.json');
+      return JSON.stringify(settings['meteor-cloud-run'].env) === JSON.stringify({ FEATURE_FLAGS: 'search' });
+    }
+  },
+  {
+    name: 'Deploys quote saved values with commas and spaces',
+    run: async () => {
+      await fs.ensureDir('.meteor-cloud-run');
+      await createCloudBuildConfig({
+        projectId: 'shop-prod',
+        region: 'us-central1',
+        serviceName: 'shop',
+        meteorVersion: '3.0',
+        rootUrl: 'https://shop.example.com',
+        additionalEnvVars: { FEATURE_FLAGS: 'checkout,search', GREETING: 'hello world' },
+        cpu: '1',
+        memory: '512Mi',
+        concurrency: 80,
+        minInstances: 0,
+        maxInstances: 10
+      }, null);
+      const cloudbuild = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      return cloudbuild.includes("--set-env-vars='^##^ROOT_URL=https://shop.example.com##FEATURE_FLAGS=checkout,search##GREETING=hello world' \\\n");
+    }
+  }
+];
+
+runTests('environment variable', {
+  tests,
+  asyncTests,
+  tempDir: true
+});
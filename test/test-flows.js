@@ -0,0 +1,855 @@
+#!/usr/bin/env node
+
+/**
+ * Command Flow Tests
+ * Runs init, deploy, build, run-local, migrate-domain and remove end to end
+ * against a fake executor, so no gcloud, docker, git or network access is needed
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const inquirer = require('inquirer');
+
+const { createFakeExecutor, createRecordingExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const {
+  initCommand,
+  deployCommand,
+  buildCommand,
+  runLocalCommand,
+  envListCommand,
+  envSetCommand,
+  secretsListCommand,
+  secretsDestroyOldCommand,
+  historyCommand,
+  migrateDomainCommand,
+  domainsAddCommand,
+  domainsSyncCommand,
+  securityUpdateCommand,
+  cdnInvalidateCommand,
+  removeCommand
+} = require('../src/commands');
+const { hashSecretValue } = require('../src/secrets');
+const { buildDeployPlan } = require('../src/plan');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Command Flow Tests ===\n'));
+
+const serviceUrl = 'https://shop-123456.us-central1.run.app';
+const buildId = '1f2e3d4c-5b6a-4789-8abc-def012345678';
+
+// Cloud Run service as described after a deploy, with traffic on the latest revision
+const deployedService = {
+  metadata: { name: 'shop' },
+  spec: { traffic: [{ latestRevision: true, percent: 100 }] },
+  status: { url: serviceUrl, latestReadyRevisionName: 'shop-00001-abc', latestCreatedRevisionName: 'shop-00001-abc' }
+};
+
+// Service with traffic on shop-00001-abc and a new revision tagged for its health check
+const candidateUrl = 'https://candidate---shop-123456.us-central1.run.app';
+const servingService = {
+  metadata: { name: 'shop' },
+  spec: { traffic: [{ revisionName: 'shop-00001-abc', percent: 100 }] },
+  status: {
+    url: serviceUrl,
+    latestReadyRevisionName: 'shop-00002-def',
+    latestCreatedRevisionName: 'shop-00002-def',
+    traffic: [
+      { revisionName: 'shop-00001-abc', percent: 100 },
+      { revisionName: 'shop-00002-def', percent: 0, tag: 'candidate', url: candidateUrl }
+    ]
+  }
+};
+
+// Service whose template sets one variable besides the ones deploy manages
+const envService = {
+  ...deployedService,
+  spec: {
+    ...deployedService.spec,
+    template: {
+      spec: {
+        containers: [{
+          env: [
+            { name: 'ROOT_URL', value: serviceUrl },
+            { name: 'FEATURE_FLAGS', value: 'checkout' }
+          ]
+        }]
+      }
+    }
+  }
+};
+
+// Revisions reading the built-in MongoDB secret and a pinned settings secret version
+const secretRevisions = [
+  ['shop-00002-def', '3'],
+  ['shop-00001-abc', '1']
+].map(([name, settingsVersion]) => ({
+  metadata: { name },
+  spec: {
+    containers: [{
+      env: [
+        { name: 'MONGO_URL', valueFrom: { secretKeyRef: { name: 'shop-mongodb-url', key: 'latest' } } },
+        { name: 'METEOR_SETTINGS', valueFrom: { secretKeyRef: { name: 'shop-settings', key: settingsVersion } } }
+      ]
+    }]
+  }
+}));
+
+/**
+ * Builds the `gcloud secrets versions list` output for enabled versions
+ * @param {string} secretName - Secret name
+ * @param {number} count - Number of versions
+ * @returns {string} JSON output
+ */
+function secretVersions(secretName, count) {
+  return JSON.stringify(Array.from({ length: count }, (_, i) => ({
+    name: `projects/123456/secrets/${secretName}/versions/${i + 1}`,
+    state: 'ENABLED',
+    createTime: '2026-01-01T00:00:00Z'
+  })));
+}
+
+// Deploy responses for a service that is already serving traffic
+const healthCheckRules = [
+  { match: 'gcloud services enable', stdout: '' },
+  { match: 'gcloud projects describe', stdout: '123456\n' },
+  { match: 'gcloud projects get-iam-policy', stdout: '{"bindings": []}' },
+  { match: 'add-iam-policy-binding', stdout: '' },
+  { match: 'gcloud builds submit', stdout: `Service URL: ${serviceUrl}\n` },
+  { match: "run.googleapis.com/urls", stdout: `["${serviceUrl}"]\n` },
+  { match: '--format=json', stdout: JSON.stringify(servingService) },
+  { match: 'gcloud run services update', stdout: '' }
+];
+
+// Responses shared by every flow: an authenticated gcloud and a clean git checkout
+const baseRules = [
+  { match: 'gcloud auth list', stdout: 'dev@example.com\n' },
+  { match: 'gcloud config get-value project', stdout: 'shop-prod\n' },
+  { match: 'gcloud auth application-default print-access-token', stdout: 'token\n' },
+  { command: 'gcloud --version', stdout: 'Google Cloud SDK 450.0.0\n' },
+  { command: 'git rev-parse HEAD', stdout: 'abc1234def5678abc1234def5678abc1234def56\n' },
+  { command: 'git rev-parse --short=7 HEAD', stdout: 'abc1234\n' },
+  { command: 'git rev-parse --abbrev-ref HEAD', stdout: 'main\n' },
+  { match: 'git status --porcelain', stdout: '' },
+  { command: 'git log -1 --format=%ae', stdout: 'dev@example.com\n' }
+];
+
+/**
+ * Runs a command with a fake executor and canned prompt answers, capturing its output
+ * @param {Function} run - Runs the command
+ * @param {Array<Object>} rules - Fake executor rules, after the base rules
+ * @param {Object} answers - Answers returned for every prompt
+ * @returns {Promise<Object>} { fake, output }
+ */
+async function runFlow(run, rules, answers = {}) {
+  const fake = createFakeExecutor([...baseRules, ...rules]);
+  const output = [];
+  const originalLog = console.log;
+  const originalPrompt = inquirer.prompt;
+
+  setExecutor(fake);
+  inquirer.prompt = async () => answers;
+  console.log = (...args) => output.push(args.join(' '));
+
+  try {
+    await run();
+  } finally {
+    console.log = originalLog;
+    inquirer.prompt = originalPrompt;
+    resetExecutor();
+  }
+
+  return { fake, output: output.join('\n') };
+}
+
+const tests = [
+  {
+    name: 'Fake executor matches exact commands, substrings and patterns',
+    run: () => {
+      const fake = createFakeExecutor([
+        { command: 'gcloud --version', stdout: 'exact' },
+        { match: 'services describe', stdout: 'substring' },
+        { pattern: '^gsutil ls', stdout: 'pattern' }
+      ]);
+      return fake.execSync('gcloud --version') === 'exact' &&
+        fake.execSync('gcloud run services describe shop') === 'substring' &&
+        fake.execSync('gsutil ls gs://bucket') === 'pattern' &&
+        fake.calls.length === 3;
+    }
+  },
+  {
+    name: 'Rules with times are used up in order',
+    run: () => {
+      const fake = createFakeExecutor([
+        { match: 'describe', exitCode: 1, stderr: 'NOT_FOUND', times: 1 },
+        { match: 'describe', stdout: 'found' }
+      ]);
+      let firstFailed = false;
+      try {
+        fake.execSync('gcloud secrets describe s');
+      } catch (error) {
+        firstFailed = error.message.includes('NOT_FOUND') && error.status === 1;
+      }
+      return firstFailed && fake.execSync('gcloud secrets describe s') === 'found';
+    }
+  },
+  {
+    name: 'Commands without a rule fail like a missing binary',
+    run: () => {
+      try {
+        createFakeExecutor().execSync('gcloud run deploy');
+        return false;
+      } catch (error) {
+        return error.status === 127 && error.message.includes('No fake response for: gcloud run deploy');
+      }
+    }
+  },
+  {
+    name: 'Recordings replay as exact-command rules',
+    run: () => {
+      const recorder = createRecordingExecutor(createFakeExecutor([{ match: 'config', stdout: 'shop-prod\n' }]));
+      recorder.execSync('gcloud config get-value project');
+      try {
+        recorder.execSync('gcloud run deploy');
+      } catch (error) {
+        // Recorded as a failure
+      }
+      const replay = createFakeExecutor(recorder.recording);
+      let replayedFailure = false;
+      try {
+        replay.execSync('gcloud run deploy');
+      } catch (error) {
+        replayedFailure = error.status === 127;
+      }
+      return replay.execSync('gcloud config get-value project') === 'shop-prod\n' &&
+        recorder.recording.length === 2 && replayedFailure;
+    }
+  },
+  {
+    name: 'Recordings leave out secret values',
+    run: () => {
+      const recorder = createRecordingExecutor(createFakeExecutor([
+        { match: 'versions access', stdout: 'mongodb://user:pass@db' },
+        { match: 'history/', stdout: '{"id":"5e6f7a8b"}\n' },
+        { match: 'gsutil cat', stdout: '{"private":{"key":"sk_live_123"}}' },
+        { match: 'print-access-token', stdout: 'ya29.token\n' }
+      ]));
+      const value = recorder.execSync('gcloud secrets versions access latest --secret=shop-mongodb-url --project=shop-prod');
+      recorder.execSync('gsutil cat gs://meteor-cloud-run-settings-shop-prod/settings-1700000000000.json');
+      recorder.execSync('gsutil cat gs://meteor-cloud-run-settings-shop-prod/history/shop/*.json');
+      recorder.execSync('gcloud auth application-default print-access-token');
+      const recorded = JSON.stringify(recorder.recording);
+      return value === 'mongodb://user:pass@db' &&
+        !recorded.includes('user:pass') && !recorded.includes('sk_live_123') && !recorded.includes('ya29') &&
+        recorder.recording[2].stdout === '{"id":"5e6f7a8b"}\n' &&
+        recorder.recording.filter(entry => entry.stdout === '<redacted>').length === 3;
+    }
+  }
+];
+
+// The flows read and write .meteor-cloud-run/, so run them in order in a temp dir
+const asyncTests = [
+  {
+    name: 'init writes the configuration and deployment files',
+    run: async () => {
+      const { fake } = await runFlow(() => initCommand({}), [
+        { match: 'gcloud projects list', stdout: 'shop-prod\n' }
+      ], {
+        region: 'us-central1',
+        cpu: '1',
+        memory: '512Mi',
+        minInstances: 0,
+        maxInstances: 10,
+        concurrency: 80,
+        timeoutSeconds: 3600,
+        sessionAffinity: true,
+        useCustomDomain: false
+      });
+      const config = await fs.readJson(path.join('.meteor-cloud-run', 'config.json'));
+      const cloudbuild = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      return config.projectId === 'shop-prod' && config.region === 'us-central1' &&
+        config.timeoutSeconds === 3600 && !('billing' in config) &&
+        cloudbuild.includes('--timeout=3600') && cloudbuild.includes('--session-affinity') &&
+        !cloudbuild.includes('cpu-throttling') &&
+        ['Dockerfile', 'cloudbuild.yaml', '.dockerignore'].every(file => fs.existsSync(path.join('.meteor-cloud-run', file))) &&
+        fake.callsMatching('gcloud projects list').length === 1;
+    }
+  },
+  {
+    name: 'deploy builds the commit image with the service URL as ROOT_URL',
+    run: async () => {
+      const { fake, output } = await runFlow(() => deployCommand({}), [
+        { match: 'gcloud services enable', stdout: '' },
+        { match: 'gcloud projects describe', stdout: '123456\n' },
+        { match: 'gcloud projects get-iam-policy', stdout: '{"bindings": []}' },
+        { match: 'add-iam-policy-binding', stdout: '' },
+        { match: 'gcloud builds submit', stdout: `Service URL: ${serviceUrl}\n` },
+        { match: "run.googleapis.com/urls", stdout: `["${serviceUrl}"]\t${serviceUrl}\n` },
+        { match: '--format=json', stdout: JSON.stringify(deployedService) },
+        { match: `GET ${serviceUrl}/`, stdout: '<html></html>' }
+      ]);
+      const cloudbuild = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      return fake.callsMatching(/builds submit .*_IMAGE_TAG=abc1234/).length === 1 &&
+        fake.callsMatching(/_REVISION_LABELS=image-tag=abc1234,commit-sha=abc1234def5678abc1234def5678abc1234def56,git-branch=main,commit-author=dev_example_com,tool-version=\d+_\d+_\d+,deployed-at=\d+'/).length === 1 &&
+        cloudbuild.includes('--update-labels=$_REVISION_LABELS') &&
+        cloudbuild.includes(`ROOT_URL=${serviceUrl}`) &&
+        fake.callsMatching('gcloud run services update').length === 0 &&
+        output.includes(`Your application is now available at: ${serviceUrl}`) &&
+        !output.includes('Deployment failed');
+    }
+  },
+  {
+    name: 'deploy reports a failed build without updating the service',
+    run: async () => {
+      const { fake, output } = await runFlow(() => deployCommand({}), [
+        { match: 'gcloud services enable', stdout: '' },
+        { match: 'gcloud projects describe', stdout: '123456\n' },
+        { match: 'gcloud projects get-iam-policy', stdout: '{"bindings": []}' },
+        { match: 'add-iam-policy-binding', stdout: '' },
+        { match: '--format=json', stdout: JSON.stringify(deployedService) },
+        { match: 'gcloud builds submit', stderr: `Logs are available at [https://console.cloud.google.com/cloud-build/builds/${buildId}?project=123456].\nERROR: build step 0 failed\n`, exitCode: 1 }
+      ]);
+      try {
+        return process.exitCode === 1 &&
+          output.includes('Deployment failed') &&
+          output.includes(`gcloud builds log ${buildId} --project=shop-prod`) &&
+          fake.callsMatching('gcloud run services update').length === 0;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'history lists the deploys with the build of the failed one',
+    run: async () => {
+      const lines = (await fs.readFile(path.join('.meteor-cloud-run', 'history.jsonl'), 'utf8')).trim().split('\n');
+      const [deployed, failed] = lines.map(line => JSON.parse(line));
+      const { output } = await runFlow(() => historyCommand(undefined, {}), []);
+      const details = await runFlow(() => historyCommand(failed.id.substring(0, 5), {}), []);
+      return lines.length === 2 &&
+        deployed.status === 'deployed' && deployed.revision === 'shop-00001-abc' &&
+        deployed.account === 'dev@example.com' && deployed.commit === 'abc1234def5678abc1234def5678abc1234def56' &&
+        /^[0-9a-f]{12}$/.test(deployed.configHash) &&
+        failed.status === 'failed' && failed.buildId === buildId &&
+        output.indexOf(failed.id) < output.indexOf(deployed.id) &&
+        output.includes(`failed (build ${buildId})`) &&
+        details.output.includes(`Build:        ${buildId} (gcloud builds log ${buildId} --project=shop-prod)`) &&
+        details.output.includes('Error:        Command failed with exit code 1');
+    }
+  },
+  {
+    name: 'deploy keeps the ROOT_URL set in the settings',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const original = await fs.readJson(configPath);
+      await fs.writeJson('settings.json', { 'meteor-cloud-run': { env: { ROOT_URL: 'https://app.example.com' } } });
+      await fs.writeJson(configPath, { ...original, settingsFile: 'settings.json' });
+      try {
+        const { fake } = await runFlow(() => deployCommand({}), [
+          { match: 'gcloud services enable', stdout: '' },
+          { match: 'gcloud projects describe', stdout: '123456\n' },
+          { match: 'gcloud projects get-iam-policy', stdout: '{"bindings": []}' },
+          { match: 'add-iam-policy-binding', stdout: '' },
+          { match: 'gsutil', stdout: '' },
+          { match: 'gcloud builds submit', stdout: `Service URL: ${serviceUrl}\n` },
+          { match: '--format=json', stdout: JSON.stringify(deployedService) },
+          { match: `GET ${serviceUrl}/`, stdout: '<html></html>' }
+        ]);
+        const cloudbuild = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+        return cloudbuild.includes('ROOT_URL=https://app.example.com') &&
+          fake.callsMatching('run.googleapis.com/urls').length === 0 &&
+          !('rootUrl' in (await fs.readJson(configPath)));
+      } finally {
+        await fs.writeJson(configPath, original);
+        await fs.remove('settings.json');
+      }
+    }
+  },
+  {
+    name: 'deploy succeeds when the deployed revision can\'t be read afterwards',
+    run: async () => {
+      try {
+        const { output } = await runFlow(() => deployCommand({}), [
+          { match: 'gcloud services enable', stdout: '' },
+          { match: 'gcloud projects describe', stdout: '123456\n' },
+          { match: 'gcloud projects get-iam-policy', stdout: '{"bindings": []}' },
+          { match: 'add-iam-policy-binding', stdout: '' },
+          { match: 'gcloud builds submit', stdout: `Service URL: ${serviceUrl}\n` },
+          { match: 'run.googleapis.com/urls', stdout: `["${serviceUrl}"]\t${serviceUrl}\n` },
+          { match: '--format=json', stdout: JSON.stringify(deployedService), times: 3 },
+          { match: '--format=json', stderr: 'ERROR: (gcloud.run.services.describe) Service Unavailable', exitCode: 1 },
+          { match: `GET ${serviceUrl}/`, stdout: '<html></html>' }
+        ]);
+        const lines = (await fs.readFile(path.join('.meteor-cloud-run', 'history.jsonl'), 'utf8')).trim().split('\n');
+        const entry = JSON.parse(lines[lines.length - 1]);
+        return process.exitCode !== 1 &&
+          output.includes('Could not read the deployed revision') &&
+          !output.includes('Deployment failed') &&
+          entry.status === 'deployed' && entry.revision === null;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy exits with code 1 for an unknown --env profile',
+    run: async () => {
+      const originalArgv = process.argv;
+      process.argv = [...originalArgv, '--env', 'staging'];
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({}), []);
+        return process.exitCode === 1 &&
+          output.includes('Environment "staging" not found in configuration') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.argv = originalArgv;
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy stops before building when ROOT_URL can\'t be resolved',
+    run: async () => {
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({}), [
+          { match: 'run.googleapis.com/urls', stderr: 'ERROR: Cannot find service [shop]', exitCode: 1 },
+          { match: 'gcloud projects describe', stdout: '\n' }
+        ]);
+        return process.exitCode === 1 &&
+          output.includes('Failed to resolve ROOT_URL: Could not get the project number of shop-prod') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy --plan --detailed-exitcode exits with code 2 when changes are pending',
+    run: async () => {
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({ plan: true, detailedExitcode: true }), [
+          { match: 'gcloud projects describe', stdout: '123456\n' },
+          { match: 'run.googleapis.com/urls', stdout: `["${serviceUrl}"]\t${serviceUrl}\n` },
+          { match: '--format=json', stdout: JSON.stringify(deployedService) }
+        ]);
+        return process.exitCode === 2 &&
+          output.includes('Deploy plan for shop') &&
+          fake.callsMatching('gcloud services enable').length === 0 &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy --plan shows a new settings file without reading the current one',
+    run: async () => {
+      const config = { ...(await fs.readJson(path.join('.meteor-cloud-run', 'config.json'))), rawSettings: { public: { currency: 'EUR' } } };
+      const settingsService = {
+        ...deployedService,
+        spec: {
+          ...deployedService.spec,
+          template: {
+            spec: {
+              containers: [{
+                env: [
+                  { name: 'METEOR_SETTINGS_GCS_BUCKET', value: 'meteor-cloud-run-settings-shop-prod' },
+                  { name: 'METEOR_SETTINGS_GCS_FILE', value: 'settings-1700000000000.json' }
+                ]
+              }]
+            }
+          }
+        }
+      };
+      let entries = [];
+      const { fake } = await runFlow(async () => {
+        entries = await buildDeployPlan(config, { serviceName: 'shop', mongoUrl: null, imageTag: 'abc1234', canaryPercent: null });
+      }, [
+        { match: 'gcloud projects describe', stdout: '123456\n' },
+        { match: '--format=json', stdout: JSON.stringify(settingsService) },
+        { match: 'gsutil', stdout: '' }
+      ]);
+      const settingsFile = entries.find(entry => entry.type === 'Settings file');
+      return settingsFile.action === 'create' &&
+        settingsFile.details[0] === 'replaces settings-1700000000000.json' &&
+        fake.callsMatching('gsutil cat').length === 0;
+    }
+  },
+  {
+    name: 'deploy refuses branches outside deploy.allowedBranches',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const original = await fs.readJson(configPath);
+      await fs.writeJson(configPath, { ...original, deploy: { allowedBranches: ['release/*'] } });
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({}), []);
+        return process.exitCode === 1 &&
+          output.includes('Branch "main" is not in deploy.allowedBranches (release/*)') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+        await fs.writeJson(configPath, original);
+      }
+    }
+  },
+  {
+    name: 'deploy rejects runtime options Cloud Run would refuse before building',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const original = await fs.readJson(configPath);
+      await fs.writeJson(configPath, { ...original, memory: '256Mi', executionEnvironment: 'gen2' });
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({}), []);
+        return process.exitCode === 1 &&
+          output.includes('executionEnvironment "gen2" needs at least 512Mi of memory, memory is 256Mi') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+        await fs.writeJson(configPath, original);
+      }
+    }
+  },
+  {
+    name: 'deploy stops on invalid settings before building',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const original = await fs.readJson(configPath);
+      await fs.writeJson(configPath, { ...original, healthCheck: { path: 'healthz' } });
+      try {
+        const { fake } = await runFlow(() => deployCommand({}), []);
+        return process.exitCode === 1 &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+        await fs.writeJson(configPath, original);
+      }
+    }
+  },
+  {
+    name: 'deploy exits with code 1 when the settings file is missing',
+    run: async () => {
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({ settings: 'missing.json' }), []);
+        return process.exitCode === 1 &&
+          output.includes('Specified settings file not found: missing.json') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy refuses invalid extra image tags',
+    run: async () => {
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({ tag: ['release 1'] }), []);
+        return process.exitCode === 1 &&
+          output.includes('Invalid image tag "release 1"') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy refuses an invalid canary percentage',
+    run: async () => {
+      try {
+        const { fake, output } = await runFlow(() => deployCommand({ canary: '150' }), []);
+        return process.exitCode === 1 &&
+          output.includes('--canary must be a whole percentage between 1 and 99') &&
+          fake.callsMatching('gcloud builds submit').length === 0;
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy health checks the new revision before and after traffic moves',
+    run: async () => {
+      const { fake, output } = await runFlow(() => deployCommand({}), [
+        ...healthCheckRules,
+        { match: `GET ${candidateUrl}/`, stdout: '<html></html>' }
+      ]);
+      const cloudbuild = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      const calls = fake.calls.join('\n');
+      return cloudbuild.includes('--no-traffic') && cloudbuild.includes('--tag=candidate') &&
+        calls.indexOf('--update-tags=candidate=shop-00002-def') < calls.indexOf('--to-latest') &&
+        fake.callsMatching(`GET ${candidateUrl}/`).length === 2 &&
+        fake.callsMatching('--remove-tags=candidate').length === 1 &&
+        fake.callsMatching('--to-revisions=').length === 0 &&
+        !output.includes('Deployment failed');
+    }
+  },
+  {
+    name: 'deploy restores the previous traffic when the health check fails',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      await fs.writeJson(configPath, { ...(await fs.readJson(configPath)), healthCheck: { path: '/healthz', retries: 0 } });
+
+      const { fake, output } = await runFlow(() => deployCommand({}), [
+        ...healthCheckRules,
+        { match: `GET ${candidateUrl}/healthz`, stdout: 'ok', times: 1 },
+        { match: `GET ${candidateUrl}/healthz`, stdout: 'MongoNetworkError: connection refused', statusCode: 500 }
+      ]);
+      try {
+        return process.exitCode === 1 &&
+          fake.callsMatching('--to-latest').length === 1 &&
+          fake.callsMatching('update-traffic shop --to-revisions=shop-00001-abc=100 --remove-tags=candidate').length === 1 &&
+          output.includes('Expected HTTP 200, got 500') &&
+          output.includes('MongoNetworkError: connection refused') &&
+          output.includes('Traffic was restored to shop-00001-abc (100%)');
+      } finally {
+        process.exitCode = 0;
+      }
+    }
+  },
+  {
+    name: 'deploy with settingsStorage secret-manager pins a settings secret version',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      await fs.writeJson('settings.json', { 'meteor-cloud-run': { env: { FEATURE_FLAGS: 'checkout', STRIPE_KEY: 'sk_live_123' } }, public: { currency: 'EUR' } });
+      await fs.writeJson(configPath, { ...(await fs.readJson(configPath)), settingsFile: 'settings.json', settingsStorage: 'secret-manager', secretEnvVars: ['STRIPE_KEY'] });
+
+      const { fake, output } = await runFlow(() => deployCommand({}), [
+        { match: 'gcloud services enable', stdout: '' },
+        { command: 'gcloud secrets versions access latest --secret=meteor-cloud-run-hash-key --project=shop-prod', stdout: 'hash-key' },
+        { match: 'gcloud secrets describe', stderr: 'NOT_FOUND', exitCode: 1 },
+        { match: 'gcloud secrets create', stdout: '' },
+        { match: 'gcloud secrets versions describe latest', stdout: 'projects/123456/secrets/shop-settings/versions/1\n' },
+        { match: 'gcloud secrets versions list', stdout: 'projects/123456/secrets/shop-settings/versions/1\n' },
+        { match: 'gcloud projects describe', stdout: '123456\n' },
+        { match: 'gcloud projects get-iam-policy', stdout: '{"bindings": []}' },
+        { match: 'add-iam-policy-binding', stdout: '' },
+        { match: 'gcloud builds submit', stdout: `Service URL: ${serviceUrl}\n` },
+        // The service doesn't exist yet, so ROOT_URL is the deterministic URL
+        { match: "run.googleapis.com/urls", stderr: 'ERROR: Cannot find service [shop]', exitCode: 1 },
+        { match: '--format=json', stdout: JSON.stringify(deployedService) },
+        { match: `GET ${serviceUrl}/`, stdout: '<html></html>' }
+      ]);
+      const cloudbuild = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      const dockerfile = await fs.readFile(path.join('.meteor-cloud-run', 'Dockerfile'), 'utf8');
+      return cloudbuild.includes('METEOR_SETTINGS=shop-settings:1') &&
+        !cloudbuild.includes('METEOR_SETTINGS_GCS_') &&
+        !dockerfile.includes('curl') &&
+        fake.callsMatching('gsutil').length === 0 &&
+        fake.callsMatching('secrets add-iam-policy-binding shop-settings --member="serviceAccount:123456-compute@developer.gserviceaccount.com"').length === 1 &&
+        cloudbuild.includes(`ROOT_URL=${serviceUrl},`) &&
+        cloudbuild.includes('FEATURE_FLAGS=checkout') &&
+        cloudbuild.includes('STRIPE_KEY=shop-stripe-key:latest') &&
+        !cloudbuild.includes('sk_live_123') &&
+        fake.callsMatching(`gcloud secrets create shop-stripe-key --data-file=`).length === 1 &&
+        fake.callsMatching(`--set-annotations=value_hmac=${hashSecretValue('sk_live_123', 'hash-key')}`).length === 1 &&
+        fake.callsMatching('sk_live_123').length === 0 &&
+        fake.callsMatching('gcloud run services update').length === 0 &&
+        fake.callsMatching('METEOR_SETTINGS_GCS_').length === 0 &&
+        !output.includes('Deployment failed');
+    }
+  },
+  {
+    name: 'build --local builds the image with the local Docker daemon',
+    run: async () => {
+      const { fake, output } = await runFlow(() => buildCommand({ local: true, buildCache: false }), [
+        { command: 'docker --version', stdout: 'Docker version 27.0.3\n' },
+        { match: 'docker build', stdout: '' }
+      ]);
+      return fake.callsMatching("docker build -f .meteor-cloud-run/Dockerfile --no-cache -t 'shop:local' .").length === 1 &&
+        fake.callsMatching('gcloud').length === 0 &&
+        output.includes('Built shop:local');
+    }
+  },
+  {
+    name: 'run-local starts the image with settings in the environment',
+    run: async () => {
+      await fs.writeJson('settings.json', {
+        public: { currency: 'EUR' },
+        'meteor-cloud-run': { env: { MONGO_URL: 'mongodb://localhost:27017/shop' } }
+      });
+
+      const { fake, output } = await runFlow(() => runLocalCommand({ port: '3000' }), [
+        { match: 'docker image inspect', stdout: 'sha256:abc\n' },
+        { match: 'docker run', stdout: '' }
+      ]);
+      const [run] = fake.callsMatching('docker run');
+      const envFile = run && run.match(/--env-file '([^']+)'/)[1];
+      return run.includes('-p 3000:8080') && run.endsWith("'shop:local'") &&
+        !fs.existsSync(envFile) &&
+        fake.callsMatching('gcloud').length === 0 &&
+        output.includes('MONGO_URL points at localhost') &&
+        output.includes('Container stopped');
+    }
+  },
+  {
+    name: 'env set updates the service without rebuilding and saves to the settings file',
+    run: async () => {
+      const { fake, output } = await runFlow(() => envSetCommand(['FEATURE_FLAGS=checkout,search', 'DEBUG=1'], { save: true }), [
+        { match: '--format=json', stdout: JSON.stringify(envService) },
+        { match: 'gcloud run services update shop', stdout: '' }
+      ]);
+      const settings = await fs.readJson('settings.json');
+      return fake.callsMatching("--update-env-vars='^##^FEATURE_FLAGS=checkout,search##DEBUG=1'").length === 1 &&
+        fake.callsMatching('gcloud builds submit').length === 0 &&
+        settings['meteor-cloud-run'].env.FEATURE_FLAGS === 'checkout,search' &&
+        settings['meteor-cloud-run'].env.DEBUG === '1' &&
+        output.includes('Saved to meteor-cloud-run.env in settings.json');
+    }
+  },
+  {
+    name: 'env list compares the service with the settings file',
+    run: async () => {
+      const { fake, output } = await runFlow(() => envListCommand({}), [
+        { match: '--format=json', stdout: JSON.stringify(envService) }
+      ]);
+      return output.includes('FEATURE_FLAGS=checkout') &&
+        output.includes('+ DEBUG=1') &&
+        output.includes('~ FEATURE_FLAGS: checkout → checkout,search') &&
+        !output.includes('ROOT_URL:') &&
+        fake.callsMatching('gcloud run services update').length === 0;
+    }
+  },
+  {
+    name: 'secrets list shows versions and the revisions reading them',
+    run: async () => {
+      const { output } = await runFlow(() => secretsListCommand({}), [
+        { match: 'gcloud run revisions list', stdout: JSON.stringify(secretRevisions) },
+        { match: 'gcloud secrets describe shop-mongodb-url', stdout: '2026-01-01T00:00:00Z\n' },
+        { match: 'gcloud secrets describe', stderr: 'NOT_FOUND', exitCode: 1 },
+        { match: 'gcloud secrets versions list shop-mongodb-url', stdout: secretVersions('shop-mongodb-url', 2) },
+        { match: '--format=json', stdout: JSON.stringify(servingService) }
+      ]);
+      return output.includes('shop-mongodb-url') &&
+        output.includes('Versions: 2, 1') &&
+        output.includes('shop-00001-abc: latest (2) ← 100% traffic') &&
+        output.includes('shop-00002-def: latest (2)') &&
+        !output.includes('shop-settings');
+    }
+  },
+  {
+    name: 'secrets destroy-old keeps recent and pinned versions',
+    run: async () => {
+      const { fake, output } = await runFlow(() => secretsDestroyOldCommand('METEOR_SETTINGS', { keep: '2', yes: true }), [
+        { match: 'gcloud run revisions list', stdout: JSON.stringify(secretRevisions) },
+        { match: 'gcloud secrets describe shop-settings', stdout: '2026-01-01T00:00:00Z\n' },
+        { match: 'gcloud secrets versions list shop-settings', stdout: secretVersions('shop-settings', 5) },
+        { match: 'gcloud secrets versions destroy', stdout: '' },
+        { match: '--format=json', stdout: JSON.stringify(servingService) }
+      ]);
+      const destroyed = fake.callsMatching('gcloud secrets versions destroy');
+      return destroyed.length === 1 &&
+        destroyed[0] === 'gcloud secrets versions destroy 2 --secret=shop-settings --project=shop-prod --quiet' &&
+        output.includes('Destroyed 1 version of shop-settings');
+    }
+  },
+  {
+    name: 'migrate-domain replaces the domain mapping with a load balancer',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      await fs.writeJson(configPath, { ...(await fs.readJson(configPath)), customDomain: 'shop.example.com' });
+
+      const { fake } = await runFlow(() => migrateDomainCommand({}), [
+        { match: 'domain-mappings describe', stdout: 'shop.example.com\n' },
+        { match: 'addresses describe', stdout: '34.1.2.3\n' },
+        { match: 'gcloud compute', stdout: '' },
+        { match: 'gcloud services enable', stdout: '' },
+        { match: 'domain-mappings delete', stdout: '' }
+      ]);
+      const config = await fs.readJson(configPath);
+      return config.loadBalancerResources && config.loadBalancerResources.ipAddress === '34.1.2.3' &&
+        fake.callsMatching('gcloud run domain-mappings delete shop.example.com').length === 1;
+    }
+  },
+  {
+    name: 'domains add serves another domain on the same static IP',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const [certificate] = (await fs.readJson(configPath)).loadBalancerResources.sslCertificates;
+      const { fake, output } = await runFlow(() => domainsAddCommand(['www.shop.example.com'], {}), [
+        { match: 'ssl-certificates describe', stdout: JSON.stringify({ managed: { domains: ['shop.example.com'], status: 'ACTIVE' } }) },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      const config = await fs.readJson(configPath);
+      return config.customDomain === 'shop.example.com' &&
+        config.customDomains.join(',') === 'shop.example.com,www.shop.example.com' &&
+        config.loadBalancerResources.sslCertificates.length === 2 &&
+        fake.callsMatching('ssl-certificates create').length === 1 &&
+        fake.callsMatching(`target-https-proxies update shop-https-proxy --ssl-certificates=${certificate.name},`).length === 1 &&
+        fake.callsMatching('url-maps import shop-url-map').length === 1 &&
+        fake.callsMatching(/addresses (create|delete)/).length === 0 &&
+        output.includes('Name: www.shop.example.com') && output.includes('Value: 34.1.2.3');
+    }
+  },
+  {
+    name: 'domains sync adds the HTTP to HTTPS and canonical host redirects',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      await fs.writeJson(configPath, { ...(await fs.readJson(configPath)), redirects: { httpToHttps: true, canonicalHost: 'apex' } });
+
+      const { fake } = await runFlow(() => domainsSyncCommand({}), [
+        { match: 'ssl-certificates describe', stdout: JSON.stringify({ managed: { domains: ['shop.example.com'], status: 'ACTIVE' } }) },
+        { match: 'target-http-proxies describe', stderr: 'was not found', exitCode: 1 },
+        { match: 'forwarding-rules describe shop-http-rule', stderr: 'was not found', exitCode: 1 },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      const config = await fs.readJson(configPath);
+      return config.loadBalancerResources.redirects.httpToHttps === true &&
+        config.loadBalancerResources.redirects.canonicalHost === 'apex' &&
+        fake.callsMatching('url-maps import shop-url-map').length === 1 &&
+        fake.callsMatching('url-maps import shop-http-redirect').length === 1 &&
+        fake.callsMatching('forwarding-rules create shop-http-rule --target-http-proxy=shop-http-proxy --address=shop-ip --global --ports=80').length === 1 &&
+        fake.callsMatching(/addresses (create|delete)/).length === 0;
+    }
+  },
+  {
+    name: 'security update rate limits /sockjs with a Cloud Armor policy on the backend',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const { fake } = await runFlow(() => securityUpdateCommand({ rateLimit: '300' }), [
+        { match: 'security-policies describe', stderr: 'was not found', exitCode: 1 },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      const config = await fs.readJson(configPath);
+      return config.security.rateLimit.requestsPerMinute === 300 &&
+        config.loadBalancerResources.securityPolicy.name === 'shop-security-policy' &&
+        fake.callsMatching("rules create 4000 --security-policy=shop-security-policy --project=shop-prod --expression=\"request.path.startsWith('/sockjs')").length === 1 &&
+        fake.callsMatching('backend-services update shop-backend --security-policy=shop-security-policy').length === 1;
+    }
+  },
+  {
+    name: 'cdn invalidate clears the Cloud CDN cache of the load balancer URL map',
+    run: async () => {
+      const configPath = path.join('.meteor-cloud-run', 'config.json');
+      const saved = await fs.readJson(configPath);
+      await fs.writeJson(configPath, { ...saved, enableCdn: true, loadBalancerResources: { ...saved.loadBalancerResources, cdnEnabled: true } });
+
+      const { fake, output } = await runFlow(() => cdnInvalidateCommand([], {}), [
+        { match: 'url-maps invalidate-cdn-cache', stdout: '' }
+      ]);
+      return fake.callsMatching('url-maps invalidate-cdn-cache shop-url-map --path="/*" --global --async --project=shop-prod').length === 1 &&
+        output.includes('Started invalidating /*');
+    }
+  },
+  {
+    name: 'remove deletes cloud resources and generated files',
+    run: async () => {
+      const { fake, output } = await runFlow(() => removeCommand({}), [
+        { match: ' delete ', stdout: '' },
+        { match: 'iam service-accounts describe', stderr: 'NOT_FOUND', exitCode: 1 },
+        { match: 'gsutil iam ch -d', stdout: '' }
+      ], { confirm: true });
+      return fake.callsMatching('gcloud run services delete shop').length === 1 &&
+        fake.callsMatching('gcloud artifacts repositories delete shop').length === 1 &&
+        fake.callsMatching('gcloud compute forwarding-rules delete').length === 2 &&
+        fake.callsMatching('gcloud compute target-http-proxies delete shop-http-proxy').length === 1 &&
+        fake.callsMatching('gcloud compute security-policies delete shop-security-policy').length === 1 &&
+        fake.callsMatching('gcloud compute ssl-certificates delete').length === 2 &&
+        !fs.existsSync('.meteor-cloud-run') &&
+        output.includes('removal completed successfully');
+    }
+  }
+];
+
+runTests('command flow', {
+  tests,
+  asyncTests,
+  tempDir: () => fs.writeJson('package.json', { name: 'shop' })
+});
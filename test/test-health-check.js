@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Health Check Tests
+ * Tests the healthCheck configuration and the checks run against new revisions
+ */
+
+const chalk = require('chalk');
+
+const { createFakeExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const { getHealthCheck, runHealthCheck, formatHealthCheckFailure } = require('../src/healthCheck');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Health Check Tests ===\n'));
+
+const revisionUrl = 'https://candidate---shop-123456.us-central1.run.app';
+
+// No waiting between attempts in tests
+const quick = settings => getHealthCheck({ healthCheck: { intervalSeconds: 0, ...settings } });
+
+/**
+ * Runs a health check against fake HTTP responses
+ * @param {Object} healthCheck - Settings from getHealthCheck()
+ * @param {Array<Object>} rules - Fake executor rules
+ * @returns {Promise<Object>} { result, fake }
+ */
+async function check(healthCheck, rules) {
+  const fake = createFakeExecutor(rules);
+  setExecutor(fake);
+  try {
+    return { result: await runHealthCheck(`${revisionUrl}/`, healthCheck), fake };
+  } finally {
+    resetExecutor();
+  }
+}
+
+const tests = [
+  {
+    name: 'Health checks are on by default and request /',
+    run: () => {
+      const healthCheck = getHealthCheck({});
+      return healthCheck.path === '/' && healthCheck.expectedStatus === 200 &&
+        healthCheck.retries === 5 && healthCheck.bodyIncludes === null;
+    }
+  },
+  {
+    name: 'healthCheck false or enabled false turns them off',
+    run: () => getHealthCheck({ healthCheck: false }) === null &&
+      getHealthCheck({ healthCheck: { enabled: false, path: '/healthz' } }) === null
+  },
+  {
+    name: 'Configured settings override the defaults',
+    run: () => {
+      const healthCheck = getHealthCheck({ healthCheck: { path: '/healthz', expectedStatus: 204, timeoutSeconds: 3 } });
+      return healthCheck.path === '/healthz' && healthCheck.expectedStatus === 204 &&
+        healthCheck.timeoutSeconds === 3 && healthCheck.retries === 5 && !('enabled' in healthCheck);
+    }
+  },
+  {
+    name: 'Invalid healthCheck settings are rejected',
+    run: () => {
+      const rejects = value => {
+        try {
+          getHealthCheck({ healthCheck: value });
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      return rejects('/healthz') && rejects({ path: 'healthz' }) && rejects({ expectedStatus: '200' }) &&
+        rejects({ retries: -1 }) && rejects({ timeoutSeconds: 0 }) && rejects({ bodyIncludes: '' });
+    }
+  },
+  {
+    name: 'Failures are reported with the response',
+    run: () => formatHealthCheckFailure({
+      url: `${revisionUrl}/healthz`,
+      attempts: 3,
+      status: 503,
+      reason: 'Expected HTTP 200, got 503',
+      body: 'Service Unavailable'
+    }).join('\n') === [
+      `URL: ${revisionUrl}/healthz`,
+      'Attempts: 3',
+      'Reason: Expected HTTP 200, got 503',
+      'Status: HTTP 503',
+      'Response body:',
+      '  Service Unavailable'
+    ].join('\n')
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'Failed attempts are retried until the revision answers',
+    run: async () => {
+      const { result, fake } = await check(quick({ path: '/healthz', retries: 3 }), [
+        { match: 'GET', stdout: 'starting', statusCode: 503, times: 2 },
+        { match: 'GET', stdout: 'ok' }
+      ]);
+      return result.ok && result.attempts === 3 && result.status === 200 &&
+        fake.callsMatching(`GET ${revisionUrl}/healthz`).length === 3;
+    }
+  },
+  {
+    name: 'The body must include the expected text',
+    run: async () => {
+      const { result } = await check(quick({ bodyIncludes: 'ok', retries: 1 }), [
+        { match: 'GET', stdout: '{"status":"degraded"}' }
+      ]);
+      return !result.ok && result.attempts === 2 && result.status === 200 &&
+        result.reason === 'Response body does not include "ok"' &&
+        result.body === '{"status":"degraded"}';
+    }
+  },
+  {
+    name: 'Network errors fail the check without a status',
+    run: async () => {
+      const { result } = await check(quick({ retries: 0 }), []);
+      return !result.ok && result.status === null && result.reason.startsWith('Request failed:');
+    }
+  }
+];
+
+runTests('health check', {
+  tests,
+  asyncTests
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Deploy History Tests
+ * Tests the history entries written by deploy and read by the history command
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+
+const { createFakeExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const {
+  HISTORY_FILE,
+  getHistoryStorage,
+  findBuildId,
+  appendHistory,
+  readHistory,
+  filterHistory,
+  findHistoryEntry,
+  formatDuration,
+  formatHistoryEntry
+} = require('../src/history');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Deploy History Tests ===\n'));
+
+const config = { projectId: 'shop-prod', region: 'us-central1' };
+
+// Deploys of two environments, oldest first
+const entries = [
+  { id: 'a1b2c3d4', service: 'shop', status: 'deployed', startedAt: '2026-10-01T09:00:00.000Z', branch: 'main' },
+  { id: 'a1f00000', service: 'shop-staging', status: 'deployed', startedAt: '2026-10-10T09:00:00.000Z', branch: 'develop' },
+  { id: '5e6f7a8b', service: 'shop', status: 'failed', startedAt: '2026-10-18T09:00:00.000Z', branch: 'main', buildId: 'b-1' },
+  { id: '9c0d1e2f', service: 'shop', status: 'deployed', startedAt: '2026-10-19T08:00:00.000Z', branch: 'release/2' }
+];
+
+/**
+ * Checks that a function throws
+ * @param {Function} run - Function to call
+ * @returns {boolean} True if it threw
+ */
+function rejects(run) {
+  try {
+    run();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const tests = [
+  {
+    name: 'History stays local unless history.gcs is set',
+    run: () => getHistoryStorage({}).gcs === false &&
+      getHistoryStorage({ history: { gcs: true } }).gcs === true &&
+      rejects(() => getHistoryStorage({ history: true })) &&
+      rejects(() => getHistoryStorage({ history: { gcs: 'yes' } }))
+  },
+  {
+    name: 'Build IDs are found in Cloud Build output',
+    run: () => findBuildId('Logs are available at [https://console.cloud.google.com/cloud-build/builds/1f2e3d4c-aaaa-bbbb?project=123].') === '1f2e3d4c-aaaa-bbbb' &&
+      findBuildId('ERROR: build step 0 failed') === null &&
+      findBuildId(undefined) === null
+  },
+  {
+    name: 'Filters select the service, outcome, branch and age, newest first',
+    run: () => {
+      const now = Date.parse('2026-10-19T09:00:00.000Z');
+      const ids = filters => filterHistory(entries, { now, ...filters }).map(entry => entry.id).join(',');
+      return ids({ service: 'shop' }) === '9c0d1e2f,5e6f7a8b,a1b2c3d4' &&
+        ids({}) === '9c0d1e2f,5e6f7a8b,a1f00000,a1b2c3d4' &&
+        ids({ status: 'failed' }) === '5e6f7a8b' &&
+        ids({ branch: 'main', limit: 1 }) === '5e6f7a8b' &&
+        ids({ since: '2d' }) === '9c0d1e2f,5e6f7a8b' &&
+        rejects(() => filterHistory(entries, { status: 'ok' })) &&
+        rejects(() => filterHistory(entries, { since: 'yesterday' }));
+    }
+  },
+  {
+    name: 'Entries are found by a unique start of their ID',
+    run: () => findHistoryEntry(entries, '5e6f').id === '5e6f7a8b' &&
+      rejects(() => findHistoryEntry(entries, 'a1')) &&
+      rejects(() => findHistoryEntry(entries, 'ffff'))
+  },
+  {
+    name: 'Details show where settings were stored and how to read the build log',
+    run: () => {
+      const details = Object.fromEntries(formatHistoryEntry({
+        id: '5e6f7a8b',
+        service: 'shop-staging',
+        environment: 'staging',
+        projectId: 'shop-prod',
+        status: 'failed',
+        startedAt: '2026-10-18T09:00:00.000Z',
+        durationSeconds: 214,
+        account: 'deployer@shop-prod.iam.gserviceaccount.com',
+        authMethod: 'service-account',
+        ci: 'GitHub Actions',
+        commit: 'abc1234def',
+        branch: 'main',
+        imageTag: 'abc1234',
+        settings: { secret: 'shop-staging-settings', version: '4' },
+        buildId: 'b-1',
+        error: 'Command failed with exit code 1'
+      }));
+      return details.Service === 'shop-staging (environment staging)' &&
+        details.Duration === '3m 34s' &&
+        details['Deployed by'] === 'deployer@shop-prod.iam.gserviceaccount.com (service-account) in GitHub Actions' &&
+        details.Commit === 'abc1234def on main' &&
+        details.Settings === 'secret shop-staging-settings version 4' &&
+        details.Build === 'b-1 (gcloud builds log b-1 --project=shop-prod)' &&
+        details.Error === 'Command failed with exit code 1' &&
+        formatDuration(45) === '45s' && formatDuration(null) === '-';
+    }
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'Entries are appended to the local file and read back oldest first',
+    run: async () => {
+      await appendHistory(config, entries[3]);
+      await appendHistory(config, entries[0]);
+      // A line cut short by an interrupted write is skipped
+      await fs.appendFile(HISTORY_FILE, '{"id": "broken"');
+      const history = await readHistory(config);
+      return history.length === 2 && history[0].id === 'a1b2c3d4' && history[1].id === '9c0d1e2f';
+    }
+  },
+  {
+    name: 'history.gcs also uploads each entry to the settings bucket',
+    run: async () => {
+      const fake = createFakeExecutor([
+        { match: 'gsutil cp', stderr: 'BucketNotFoundException: 404 gs://meteor-cloud-run-settings-shop-prod bucket does not exist.', exitCode: 1, times: 1 },
+        { match: 'gsutil', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const warnings = await appendHistory({ ...config, history: { gcs: true } }, entries[2]);
+        return warnings.length === 0 &&
+          fake.callsMatching('gsutil mb -p shop-prod gs://meteor-cloud-run-settings-shop-prod').length === 1 &&
+          fake.callsMatching(/gsutil cp \S+ gs:\/\/meteor-cloud-run-settings-shop-prod\/history\/shop\/5e6f7a8b\.json/).length === 2;
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Remote history is read from every entry of the service',
+    run: async () => {
+      const fake = createFakeExecutor([
+        { match: 'gsutil cat', stdout: `${JSON.stringify(entries[2])}\n${JSON.stringify(entries[0])}\n` }
+      ]);
+      setExecutor(fake);
+      try {
+        const history = await readHistory(config, { remote: true, serviceName: 'shop' });
+        return history.map(entry => entry.id).join(',') === 'a1b2c3d4,5e6f7a8b' &&
+          fake.callsMatching('gsutil cat gs://meteor-cloud-run-settings-shop-prod/history/shop/*.json').length === 1;
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'A bucket without history reads as empty',
+    run: async () => {
+      setExecutor(createFakeExecutor([
+        { match: 'gsutil cat', stderr: 'CommandException: No URLs matched: gs://meteor-cloud-run-settings-shop-prod/history/shop/*.json', exitCode: 1 }
+      ]));
+      try {
+        return (await readHistory(config, { remote: true, serviceName: 'shop' })).length === 0;
+      } finally {
+        resetExecutor();
+      }
+    }
+  }
+];
+
+runTests('deploy history', {
+  tests,
+  asyncTests,
+  tempDir: true
+});
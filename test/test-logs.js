@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Logs Tests
+ * Tests log filters, validation and Meteor-aware highlighting in src/logs.js
+ */
+
+const chalk = require('chalk');
+
+const { validateSince, buildLogFilter, getEntryMessage, classifyLine, formatLogEntry } = require('../src/logs');
+
+console.log(chalk.bold.cyan('\n=== Logs Tests ===\n'));
+
+const config = { projectId: 'my-project-12345', region: 'us-central1' };
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const tests = [
+  {
+    name: 'Filter selects the service and region',
+    run: () => {
+      const filter = buildLogFilter(config, 'shop');
+      return filter.includes('resource.labels.service_name="shop"') &&
+        filter.includes('resource.labels.location="us-central1"') &&
+        !filter.includes('severity');
+    }
+  },
+  {
+    name: 'Filter adds severity, revision and receive time',
+    run: () => {
+      const filter = buildLogFilter(config, 'shop', {
+        severity: 'error',
+        revision: 'shop-00002-abc',
+        receivedAfter: '2025-01-01T00:00:00Z'
+      });
+      return filter.includes('severity>=ERROR') &&
+        filter.includes('resource.labels.revision_name="shop-00002-abc"') &&
+        filter.includes('receiveTimestamp>="2025-01-01T00:00:00Z"');
+    }
+  },
+  {
+    name: 'Invalid severity is rejected',
+    run: () => throws(() => buildLogFilter(config, 'shop', { severity: 'LOUD' }))
+  },
+  {
+    name: 'Durations are validated',
+    run: () => !throws(() => validateSince('30m')) && !throws(() => validateSince('2d')) &&
+      throws(() => validateSince('1 hour')) && throws(() => validateSince('h'))
+  },
+  {
+    name: 'Message is read from text, JSON and request payloads',
+    run: () => getEntryMessage({ textPayload: 'hello' }) === 'hello' &&
+      getEntryMessage({ jsonPayload: { message: 'json hello' } }) === 'json hello' &&
+      getEntryMessage({ httpRequest: { requestMethod: 'GET', status: 500, requestUrl: '/x', latency: '0.1s' } }) === 'GET 500 /x 0.1s'
+  },
+  {
+    name: 'Startup script lines are recognized',
+    run: () => classifyLine('Downloading METEOR_SETTINGS from GCS...') === 'startup' &&
+      classifyLine('ERROR: Failed to download settings from GCS') === 'startup-error'
+  },
+  {
+    name: 'Stack traces are recognized',
+    run: () => classifyLine('TypeError: Cannot read properties of undefined') === 'error' &&
+      classifyLine('Exception while invoking method \'orders.create\' Error: boom') === 'error' &&
+      classifyLine('    at Object.create (imports/api/orders.js:12:5)') === 'stack-frame' &&
+      classifyLine('    at /app/bundle/programs/server/node_modules/fibers/future.js:1:1') === 'stack-frame-internal' &&
+      classifyLine('Listening on port 8080') === null
+  },
+  {
+    name: 'Startup failures include a hint',
+    run: () => {
+      const output = formatLogEntry({
+        timestamp: '2025-01-01T00:00:00Z',
+        severity: 'DEFAULT',
+        resource: { labels: { revision_name: 'shop-00002-abc' } },
+        textPayload: 'ERROR: Failed to download settings from GCS'
+      }, 'shop');
+      return output.includes('00002-abc') && !output.includes('shop-00002-abc') && output.includes('💡');
+    }
+  }
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach(test => {
+  process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+  try {
+    if (test.run()) {
+      console.log(chalk.green('✓ PASS'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL'));
+    console.log(chalk.red(`  Error: ${error.message}`));
+    failed++;
+  }
+});
+
+console.log(chalk.bold(`\n=== Results ===`));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+
+console.log(chalk.bold.green('\n✓ All logs tests passed!\n'));
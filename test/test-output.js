@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Output Tests
+ * Tests --output format selection and the YAML serializer used for machine-readable output
+ */
+
+const chalk = require('chalk');
+
+const { getOutputFormat, toYaml, formatDocument, startOutput, endOutput, getHumanStream } = require('../src/output');
+const { getGlobalOptions } = require('../src/config');
+
+console.log(chalk.bold.cyan('\n=== Output Tests ===\n'));
+
+/**
+ * Reads the global options for a command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Global options
+ */
+function parseArgs(args) {
+  const originalArgv = process.argv;
+  process.argv = ['node', 'meteor-cloud-run', ...args];
+  try {
+    return getGlobalOptions();
+  } finally {
+    process.argv = originalArgv;
+  }
+}
+
+const tests = [
+  {
+    name: 'Table output is the default',
+    run: () => getOutputFormat({}) === 'table' && getOutputFormat(parseArgs(['info'])) === 'table'
+  },
+  {
+    name: '--json and --output select the format anywhere on the command line',
+    run: () => getOutputFormat(parseArgs(['info', '--json'])) === 'json' &&
+      getOutputFormat(parseArgs(['--output', 'yaml', 'info'])) === 'yaml' &&
+      getOutputFormat(parseArgs(['deploy', '--output=JSON'])) === 'json'
+  },
+  {
+    name: 'Unknown formats are rejected',
+    run: () => {
+      try {
+        getOutputFormat({ output: 'xml' });
+        return false;
+      } catch (error) {
+        return error.message.includes('table, json, yaml');
+      }
+    }
+  },
+  {
+    name: 'YAML nests objects and arrays',
+    run: () => toYaml({
+      service: { name: 'shop', traffic: [{ revision: 'shop-00002', percent: 100 }] },
+      tags: ['abc1234', 'v1.2.0']
+    }) === [
+      'service:',
+      '  name: shop',
+      '  traffic:',
+      '    - revision: shop-00002',
+      '      percent: 100',
+      'tags:',
+      '  - abc1234',
+      '  - v1.2.0'
+    ].join('\n')
+  },
+  {
+    name: 'YAML quotes strings that would change type',
+    run: () => toYaml({ cpu: '1', enabled: 'true', empty: '', note: 'a: b', count: 1, missing: null }) === [
+      'cpu: "1"',
+      'enabled: "true"',
+      'empty: ""',
+      'note: "a: b"',
+      'count: 1',
+      'missing: null'
+    ].join('\n')
+  },
+  {
+    name: 'YAML keeps URLs and empty collections plain, quotes timestamps',
+    run: () => toYaml({ url: 'https://shop.example.com', created: '2026-01-01T00:00:00Z', secrets: [], ssl: {} }) === [
+      'url: https://shop.example.com',
+      'created: "2026-01-01T00:00:00Z"',
+      'secrets: []',
+      'ssl: {}'
+    ].join('\n')
+  },
+  {
+    name: 'JSON documents are pretty-printed',
+    run: () => formatDocument('json', [{ name: 'shop-mongodb-url' }]) === '[\n  {\n    "name": "shop-mongodb-url"\n  }\n]'
+  },
+  {
+    name: 'Messages go back to stdout once a machine-readable command ends',
+    run: () => {
+      const originalLog = console.log;
+      startOutput('json');
+      const moved = console.log === console.error && getHumanStream() === process.stderr;
+      endOutput();
+      return moved && console.log === originalLog && getHumanStream() === process.stdout;
+    }
+  }
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach(test => {
+  process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+  try {
+    if (test.run()) {
+      console.log(chalk.green('✓ PASS'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL'));
+    console.log(chalk.red(`  Error: ${error.message}`));
+    failed++;
+  }
+});
+
+console.log(chalk.bold(`\n=== Results ===`));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+
+console.log(chalk.bold.green('\n✓ All output tests passed!\n'));
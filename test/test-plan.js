@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Plan Tests
+ * Tests the Cloud Run service diff and pending change detection used by deploy --plan
+ */
+
+const chalk = require('chalk');
+
+const { diffCloudRunService, hasPendingChanges } = require('../src/plan');
+const { hasSettingsLifecyclePolicy } = require('../src/fileGeneration');
+
+console.log(chalk.bold.cyan('\n=== Plan Tests ===\n'));
+
+// Service as described by `gcloud run services describe --format=json`
+const service = {
+  metadata: { annotations: { 'run.googleapis.com/ingress': 'all' } },
+  spec: {
+    template: {
+      metadata: {
+        labels: { 'image-tag': 'abc1234' },
+        annotations: { 'autoscaling.knative.dev/maxScale': '10' }
+      },
+      spec: {
+        containerConcurrency: 80,
+        containers: [{
+          ports: [{ containerPort: 8080 }],
+          resources: { limits: { cpu: '1000m', memory: '512Mi' } },
+          env: [
+            { name: 'ROOT_URL', value: 'https://shop.example.com' },
+            { name: 'METEOR_SETTINGS_GCS_FILE', value: 'settings-1700000000000.json' },
+            { name: 'MONGO_URL', valueFrom: { secretKeyRef: { name: 'shop-mongodb-url', key: 'latest' } } }
+          ]
+        }]
+      }
+    }
+  }
+};
+
+const unchanged = {
+  flags: { cpu: 1, memory: '512Mi', concurrency: 80, 'max-instances': 10, port: 8080, ingress: 'all' },
+  env: { ROOT_URL: 'https://shop.example.com' },
+  secrets: { MONGO_URL: 'shop-mongodb-url' },
+  imageTag: 'abc1234'
+};
+
+const tests = [
+  {
+    name: 'Matching service has no changes (1000m equals 1 CPU)',
+    run: () => diffCloudRunService(service, unchanged).length === 0
+  },
+  {
+    name: 'Changed flags are reported with old and new values',
+    run: () => {
+      const details = diffCloudRunService(service, {
+        ...unchanged,
+        flags: { ...unchanged.flags, memory: '1Gi', 'min-instances': 1 }
+      });
+      return details.includes('~ memory: 512Mi → 1Gi') && details.includes('~ min-instances: 0 → 1') && details.length === 2;
+    }
+  },
+  {
+    name: 'Environment changes are reported without values',
+    run: () => {
+      const details = diffCloudRunService(service, {
+        ...unchanged,
+        env: { ROOT_URL: 'https://www.example.com', NEW_VAR: 'secret-value' }
+      });
+      return details.includes('~ env ROOT_URL') && details.includes('+ env NEW_VAR') &&
+        !details.some(detail => detail.includes('secret-value') || detail.includes('www.example.com'));
+    }
+  },
+  {
+    name: 'Removed environment variables are reported, settings variables are ignored',
+    run: () => {
+      const details = diffCloudRunService(service, { ...unchanged, env: {} });
+      return details.includes('- env ROOT_URL') && !details.some(detail => detail.includes('METEOR_SETTINGS_GCS_FILE'));
+    }
+  },
+  {
+    name: 'Moving settings to Secret Manager reports the GCS variables going away',
+    run: () => {
+      const details = diffCloudRunService(service, {
+        ...unchanged,
+        secrets: { ...unchanged.secrets, METEOR_SETTINGS: 'shop-settings' }
+      });
+      return details.includes('- env METEOR_SETTINGS_GCS_FILE') &&
+        details.includes('+ secret env METEOR_SETTINGS → shop-settings') && details.length === 2;
+    }
+  },
+  {
+    name: 'New secret references are reported',
+    run: () => {
+      const details = diffCloudRunService(service, {
+        ...unchanged,
+        secrets: { ...unchanged.secrets, MAIL_URL: 'shop-mail-url' }
+      });
+      return details.length === 1 && details[0] === '+ secret env MAIL_URL → shop-mail-url';
+    }
+  },
+  {
+    name: 'A new image tag is reported',
+    run: () => {
+      const details = diffCloudRunService(service, { ...unchanged, imageTag: 'def5678' });
+      return details.length === 1 && details[0] === '~ image: abc1234 → def5678';
+    }
+  },
+  {
+    name: 'Only no-op entries mean nothing is pending',
+    run: () => !hasPendingChanges([{ action: 'no-op' }, { action: 'no-op' }]) &&
+      hasPendingChanges([{ action: 'no-op' }, { action: 'update' }])
+  },
+  {
+    name: 'Unreadable resources count as pending',
+    run: () => hasPendingChanges([{ action: 'unknown' }])
+  },
+  {
+    name: 'Settings lifecycle policy is detected',
+    run: () => hasSettingsLifecyclePolicy('{"rule": [{"action": {"type": "Delete"}, "condition": {"age": 90, "numNewerVersions": 10}}]}') &&
+      !hasSettingsLifecyclePolicy('gs://meteor-cloud-run-settings-p1/ has no lifecycle configuration.')
+  }
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach(test => {
+  process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+  try {
+    if (test.run()) {
+      console.log(chalk.green('✓ PASS'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL'));
+    console.log(chalk.red(`  Error: ${error.message}`));
+    failed++;
+  }
+});
+
+console.log(chalk.bold(`\n=== Results ===`));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+
+console.log(chalk.bold.green('\n✓ All plan tests passed!\n'));
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Revision Tests
+ * Tests rollback target selection, canary and serving traffic, revision parsing and image tagging
+ */
+
+const chalk = require('chalk');
+
+const {
+  findPreviousRevision,
+  getRevisionEnvValue,
+  getRevisionSecretRef,
+  describeRevisionSettings,
+  getTrafficSplit,
+  getServingRevisions,
+  isTrafficOnLatest,
+  getDeterministicServiceUrl
+} = require('../src/revisions');
+const { getDeployGuards, checkDeployGuards, createImageTag, createRevisionLabels, readRevisionLabels } = require('../src/git');
+const { validateImageTag } = require('../src/utils');
+
+console.log(chalk.bold.cyan('\n=== Revision Tests ===\n'));
+
+// Newest first, as returned by listRevisions()
+const revisions = [
+  { name: 'shop-00005-bad', ready: false, trafficPercent: 0 },
+  { name: 'shop-00004-new', ready: true, trafficPercent: 100 },
+  { name: 'shop-00003-old', ready: false, trafficPercent: 0 },
+  { name: 'shop-00002-old', ready: true, trafficPercent: 0 },
+  { name: 'shop-00001-old', ready: true, trafficPercent: 0 }
+];
+
+const tests = [
+  {
+    name: 'Previous revision is the next ready one older than the serving revision',
+    run: () => findPreviousRevision(revisions).name === 'shop-00002-old'
+  },
+  {
+    name: 'Previous revision is based on traffic, not creation order',
+    run: () => {
+      const rolledBack = revisions.map(r => ({
+        ...r,
+        trafficPercent: r.name === 'shop-00002-old' ? 100 : 0
+      }));
+      return findPreviousRevision(rolledBack).name === 'shop-00001-old';
+    }
+  },
+  {
+    name: 'No previous revision when the oldest one is serving',
+    run: () => findPreviousRevision([{ name: 'shop-00001-old', ready: true, trafficPercent: 100 }]) === null
+  },
+  {
+    name: 'No previous revision for an empty list',
+    run: () => findPreviousRevision([]) === null
+  },
+  {
+    name: 'Canary and stable revisions are read from the traffic split',
+    run: () => {
+      const { canary, stable } = getTrafficSplit({
+        status: {
+          traffic: [
+            { revisionName: 'shop-00004-new', percent: 90 },
+            { revisionName: 'shop-00005-can', percent: 10, tag: 'canary', url: 'https://canary---shop.run.app' }
+          ]
+        }
+      });
+      return canary.revisionName === 'shop-00005-can' && canary.percent === 10 &&
+        canary.url === 'https://canary---shop.run.app' &&
+        stable.revisionName === 'shop-00004-new' && stable.percent === 90;
+    }
+  },
+  {
+    name: 'Canary percentage includes separate tag and traffic entries',
+    run: () => {
+      const { canary } = getTrafficSplit({
+        status: {
+          traffic: [
+            { revisionName: 'shop-00004-new', percent: 75 },
+            { revisionName: 'shop-00005-can', percent: 25 },
+            { revisionName: 'shop-00005-can', tag: 'canary' }
+          ]
+        }
+      });
+      return canary.percent === 25;
+    }
+  },
+  {
+    name: 'No canary without a canary tag',
+    run: () => {
+      const { canary, stable } = getTrafficSplit({
+        status: { traffic: [{ revisionName: 'shop-00004-new', percent: 100, latestRevision: true }] }
+      });
+      return canary === null && stable.revisionName === 'shop-00004-new';
+    }
+  },
+  {
+    name: 'Serving revisions skip tagged revisions without traffic',
+    run: () => {
+      const serving = getServingRevisions({
+        status: {
+          traffic: [
+            { revisionName: 'shop-00004-new', percent: 80, latestRevision: true },
+            { revisionName: 'shop-00004-new', tag: 'v4' },
+            { revisionName: 'shop-00003-old', percent: 20 },
+            { revisionName: 'shop-00005-can', percent: 0, tag: 'candidate' }
+          ]
+        }
+      });
+      return JSON.stringify(serving) === JSON.stringify([
+        { revisionName: 'shop-00004-new', percent: 80 },
+        { revisionName: 'shop-00003-old', percent: 20 }
+      ]) && getServingRevisions({}).length === 0;
+    }
+  },
+  {
+    name: 'Traffic following the latest revision is detected',
+    run: () => isTrafficOnLatest({ spec: { traffic: [{ latestRevision: true, percent: 100 }] } }) &&
+      !isTrafficOnLatest({ spec: { traffic: [{ revisionName: 'shop-00002-old', percent: 100 }] } })
+  },
+  {
+    name: 'Deterministic service URL uses the project number and region',
+    run: () => getDeterministicServiceUrl('shop-staging', '123456789', 'europe-west1') ===
+      'https://shop-staging-123456789.europe-west1.run.app'
+  },
+  {
+    name: 'Reads the settings file from the revision environment',
+    run: () => {
+      const revision = {
+        spec: {
+          containers: [{
+            env: [
+              { name: 'ROOT_URL', value: 'https://shop.example.com' },
+              { name: 'METEOR_SETTINGS_GCS_FILE', value: 'settings-1700000000000.json' }
+            ]
+          }]
+        }
+      };
+      return getRevisionEnvValue(revision, 'METEOR_SETTINGS_GCS_FILE') === 'settings-1700000000000.json' &&
+        getRevisionEnvValue(revision, 'METEOR_SETTINGS_GCS_BUCKET') === null;
+    }
+  },
+  {
+    name: 'Reads the pinned settings secret from the revision environment',
+    run: () => {
+      const revision = {
+        spec: {
+          containers: [{
+            env: [
+              { name: 'METEOR_SETTINGS', valueFrom: { secretKeyRef: { name: 'shop-settings', key: '7' } } }
+            ]
+          }]
+        }
+      };
+      const ref = getRevisionSecretRef(revision, 'METEOR_SETTINGS');
+      return ref.name === 'shop-settings' && ref.version === '7' &&
+        getRevisionEnvValue(revision, 'METEOR_SETTINGS') === null &&
+        getRevisionSecretRef(revision, 'MONGO_URL') === null;
+    }
+  },
+  {
+    name: 'Revision settings are described as a file or secret version',
+    run: () => describeRevisionSettings({ settingsFile: 'settings-1700000000000.json' }) === 'settings-1700000000000.json' &&
+      describeRevisionSettings({ settingsSecret: 'shop-settings', settingsSecretVersion: '7' }) === 'shop-settings:7' &&
+      describeRevisionSettings({}) === null
+  },
+  {
+    name: 'Missing container spec returns null',
+    run: () => getRevisionEnvValue({}, 'METEOR_SETTINGS_GCS_FILE') === null
+  },
+  {
+    name: 'Clean checkout is tagged with the short SHA',
+    run: () => createImageTag({ shortSha: 'abc1234', dirty: false }, 1700000000000) === 'abc1234'
+  },
+  {
+    name: 'Uncommitted changes get a unique tag',
+    run: () => createImageTag({ shortSha: 'abc1234', dirty: true }, 1700000000000) === 'abc1234-dirty-1700000000000'
+  },
+  {
+    name: 'Outside git the tag falls back to a timestamp',
+    run: () => createImageTag(null, 1700000000000) === 'deploy-1700000000000'
+  },
+  {
+    name: 'Dirty trees are refused in CI unless --allow-dirty is passed',
+    run: () => {
+      const dirty = { branch: 'main', dirty: true };
+      return checkDeployGuards(dirty, getDeployGuards({}, true)).length === 1 &&
+        checkDeployGuards(dirty, getDeployGuards({}, true), { allowDirty: true }).length === 0 &&
+        checkDeployGuards(dirty, getDeployGuards({}, false)).length === 0 &&
+        checkDeployGuards(dirty, getDeployGuards({ deploy: { requireCleanTree: true } }, false)).length === 1;
+    }
+  },
+  {
+    name: 'Deploys are limited to allowed branches',
+    run: () => {
+      const guards = getDeployGuards({ deploy: { allowedBranches: ['main', 'release/*'] } }, false);
+      return checkDeployGuards({ branch: 'main' }, guards).length === 0 &&
+        checkDeployGuards({ branch: 'release/1.4' }, guards).length === 0 &&
+        checkDeployGuards({ branch: 'mainline' }, guards)[0] === 'Branch "mainline" is not in deploy.allowedBranches (main, release/*)' &&
+        checkDeployGuards({ branch: null }, guards).length === 1 &&
+        checkDeployGuards(null, guards).length === 1 &&
+        checkDeployGuards(null, getDeployGuards({}, true)).length === 0;
+    }
+  },
+  {
+    name: 'Invalid deploy settings are rejected',
+    run: () => [{ deploy: [] }, { deploy: { allowedBranches: 'main' } }, { deploy: { allowedBranches: [] } }, { deploy: { requireCleanTree: 'yes' } }]
+      .every(config => {
+        try {
+          getDeployGuards(config, false);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      })
+  },
+  {
+    name: 'Revision labels hold valid label values and read back',
+    run: () => {
+      const labels = createRevisionLabels(
+        { commit: 'abc1234def', branch: 'feature/Checkout', author: 'Dev@example.com' },
+        'abc1234',
+        { toolVersion: '1.0.4', deployedAt: 1760000000500 }
+      );
+      const read = readRevisionLabels(Object.fromEntries(labels.map(label => label.split('='))));
+      return labels.every(label => /^[a-z][a-z0-9_-]*=[a-z0-9_-]{1,63}$/.test(label)) &&
+        read.branch === 'feature_checkout' && read.author === 'dev_example_com' &&
+        read.commit === 'abc1234def' && read.toolVersion === '1.0.4' &&
+        read.deployedAt === '2025-10-09T08:53:20.000Z' &&
+        createRevisionLabels(null, 'deploy-1', { toolVersion: '1.0.4', deployedAt: 0 }).join(',') === 'image-tag=deploy-1,tool-version=1_0_4';
+    }
+  },
+  {
+    name: 'Valid extra tags are accepted',
+    run: () => validateImageTag('v1.2.3') && validateImageTag('release_2024')
+  },
+  {
+    name: 'Invalid extra tags are rejected',
+    run: () => ['-bad', '.bad', 'has space', 'a/b', ''].every(tag => {
+      try {
+        validateImageTag(tag);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    })
+  }
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach(test => {
+  process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+  try {
+    if (test.run()) {
+      console.log(chalk.green('✓ PASS'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL'));
+    console.log(chalk.red(`  Error: ${error.message}`));
+    failed++;
+  }
+});
+
+console.log(chalk.bold(`\n=== Results ===`));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+
+console.log(chalk.bold.green('\n✓ All revision tests passed!\n'));
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Runtime Options Tests
+ * Tests the validation of the Cloud Run runtime options and the flags deploy passes for them
+ */
+
+const chalk = require('chalk');
+
+const {
+  parseMemory,
+  getRuntimeOptions,
+  getRuntimeFlags,
+  getCustomLabels,
+  parseLabels,
+  readRuntimeOptions,
+  getRuntimePlanValues,
+  formatRuntimeOptions
+} = require('../src/runtimeOptions');
+
+console.log(chalk.bold.cyan('\n=== Runtime Options Tests ===\n'));
+
+// Deploy defaults, as applied before the options are validated
+const config = { cpu: '1', memory: '512Mi', concurrency: 80, minInstances: 0, maxInstances: 10 };
+
+/**
+ * Checks that getRuntimeOptions() rejects a configuration with a message
+ * @param {Object} overrides - Keys changed from the defaults
+ * @param {string} message - Part of the expected message
+ * @returns {boolean} True if it threw the message
+ */
+function rejects(overrides, message) {
+  try {
+    getRuntimeOptions({ ...config, ...overrides });
+    return false;
+  } catch (error) {
+    return error.message.includes(message);
+  }
+}
+
+const tests = [
+  {
+    name: 'Options that aren\'t configured are left unset',
+    run: () => {
+      const options = getRuntimeOptions(config);
+      return Object.values(options).every(value => value === undefined) &&
+        getRuntimeFlags(options).length === 0 &&
+        Object.keys(getRuntimePlanValues(options)).length === 0;
+    }
+  },
+  {
+    name: 'Configured options become gcloud run deploy flags',
+    run: () => {
+      const options = getRuntimeOptions({
+        ...config,
+        timeoutSeconds: 3600,
+        sessionAffinity: true,
+        cpuBoost: false,
+        executionEnvironment: 'gen2',
+        billing: 'instance'
+      });
+      return getRuntimeFlags(options).join(' ') ===
+        '--timeout=3600 --session-affinity --no-cpu-boost --execution-environment=gen2 --no-cpu-throttling' &&
+        getRuntimeFlags({ billing: 'request' }).join(' ') === '--cpu-throttling';
+    }
+  },
+  {
+    name: 'Invalid values are rejected',
+    run: () => rejects({ timeoutSeconds: 3601 }, 'timeoutSeconds must be a whole number between 1 and 3600') &&
+      rejects({ timeoutSeconds: '60' }, 'timeoutSeconds') &&
+      rejects({ sessionAffinity: 'yes' }, 'sessionAffinity must be true or false') &&
+      rejects({ executionEnvironment: 'gen3' }, 'executionEnvironment must be one of: gen1, gen2') &&
+      rejects({ billing: 'always' }, 'billing must be one of: request, instance') &&
+      rejects({ cpu: '3' }, 'cpu must be 1, 2, 4, 6, 8') &&
+      rejects({ memory: '1GB' }, 'memory must be a size like') &&
+      rejects({ concurrency: 0 }, 'concurrency must be a whole number between 1 and 1000')
+  },
+  {
+    name: 'Combinations Cloud Run refuses are rejected',
+    run: () => rejects({ minInstances: 5, maxInstances: 2 }, "minInstances (5) can't be more than maxInstances (2)") &&
+      rejects({ memory: '8Gi' }, 'memory 8Gi needs at least 2 CPUs, cpu is 1') &&
+      rejects({ cpu: '4', memory: '1Gi' }, 'cpu 4 needs at least 2Gi of memory') &&
+      rejects({ cpu: '0.5', memory: '512Mi' }, 'cpu below 1 needs concurrency 1') &&
+      rejects({ cpu: '0.5', memory: '512Mi', concurrency: 1, billing: 'instance' }, 'billing "instance" needs at least 1 CPU') &&
+      rejects({ memory: '256Mi', executionEnvironment: 'gen2' }, 'executionEnvironment "gen2" needs at least 512Mi') &&
+      !rejects({ cpu: '0.5', memory: '1Gi', concurrency: 1 }, '') &&
+      parseMemory('2Gi') === 2048
+  },
+  {
+    name: 'Labels are checked and can\'t replace the deploy labels',
+    run: () => getCustomLabels(getRuntimeOptions({ ...config, labels: { team: 'web', tier: 'frontend' } })).join(',') === 'team=web,tier=frontend' &&
+      rejects({ labels: { Team: 'web' } }, 'Label key "Team"') &&
+      rejects({ labels: { team: 'Web Team' } }, 'Label "team" must have a value') &&
+      rejects({ labels: { 'commit-sha': 'abc' } }, 'Label "commit-sha" is set by deploy') &&
+      rejects({ labels: ['team=web'] }, 'labels must be an object') &&
+      JSON.stringify(parseLabels(' team=web, tier=frontend ,')) === '{"team":"web","tier":"frontend"}' &&
+      Object.keys(parseLabels('')).length === 0
+  },
+  {
+    name: 'Options are read back from the service',
+    run: () => {
+      const options = readRuntimeOptions({
+        metadata: { labels: { team: 'web', 'commit-sha': 'abc', 'cloud.googleapis.com/location': 'us-central1' } },
+        spec: {
+          template: {
+            metadata: {
+              annotations: {
+                'run.googleapis.com/sessionAffinity': 'true',
+                'run.googleapis.com/execution-environment': 'gen2',
+                'run.googleapis.com/cpu-throttling': 'false'
+              }
+            },
+            spec: { timeoutSeconds: 3600 }
+          }
+        }
+      });
+      const defaults = readRuntimeOptions({});
+      return formatRuntimeOptions(options) === 'timeout 3600s, session affinity, no CPU boost, gen2, instance billing' &&
+        JSON.stringify(options.labels) === '{"team":"web"}' &&
+        getRuntimePlanValues(options)['label team'] === 'web' &&
+        formatRuntimeOptions(defaults) === 'timeout 300s, no session affinity, no CPU boost, default execution environment, request billing';
+    }
+  }
+];
+
+let passed = 0;
+let failed = 0;
+
+tests.forEach(test => {
+  process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+  try {
+    if (test.run()) {
+      console.log(chalk.green('✓ PASS'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL'));
+    console.log(chalk.red(`  Error: ${error.message}`));
+    failed++;
+  }
+});
+
+console.log(chalk.bold(`\n=== Results ===`));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+
+console.log(chalk.bold.green('\n✓ All runtime options tests passed!\n'));
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Secrets Tests
+ * Tests secretEnvVars and the helpers behind the secrets commands
+ */
+
+const chalk = require('chalk');
+const { Readable } = require('stream');
+
+const {
+  getSecretEnvVars,
+  getEnvSecretName,
+  getServiceSecrets,
+  findServiceSecret,
+  getRevisionSecretVersions,
+  selectVersionsToDestroy,
+  readSecretValue
+} = require('../src/secrets');
+const { getDeploymentEnvironment } = require('../src/fileGeneration');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Secrets Tests ===\n'));
+
+const config = { projectId: 'shop-prod', region: 'us-central1', serviceName: 'shop', secretEnvVars: ['STRIPE_KEY'] };
+
+/**
+ * Checks that a function throws
+ * @param {Function} run - Function to call
+ * @returns {boolean} True if it threw
+ */
+function rejects(run) {
+  try {
+    run();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Builds a revision summary like listRevisions() returns
+ * @param {string} name - Revision name
+ * @param {number} trafficPercent - Traffic percentage
+ * @param {Array<Object>} env - Container environment
+ * @returns {Object} Revision summary
+ */
+function revision(name, trafficPercent, env) {
+  return { name, trafficPercent, raw: { spec: { containers: [{ env }] } } };
+}
+
+const secretRef = (envName, name, key) => ({ name: envName, valueFrom: { secretKeyRef: { name, key } } });
+
+const tests = [
+  {
+    name: 'secretEnvVars must be uppercase names that deploy does not manage',
+    run: () => getSecretEnvVars({}).length === 0 &&
+      getSecretEnvVars(config)[0] === 'STRIPE_KEY' &&
+      rejects(() => getSecretEnvVars({ secretEnvVars: 'STRIPE_KEY' })) &&
+      rejects(() => getSecretEnvVars({ secretEnvVars: ['stripe_key'] })) &&
+      rejects(() => getSecretEnvVars({ secretEnvVars: ['MONGO_URL'] })) &&
+      rejects(() => getSecretEnvVars({ secretEnvVars: ['ROOT_URL'] })) &&
+      rejects(() => getSecretEnvVars({ secretEnvVars: ['HTTP_FORWARDED_COUNT'] })) &&
+      rejects(() => getSecretEnvVars({ secretEnvVars: ['DISABLE_WEBSOCKETS'] }))
+  },
+  {
+    name: 'Secret names are derived from the service and variable name',
+    run: () => getEnvSecretName('shop', 'STRIPE_KEY') === 'shop-stripe-key' &&
+      getEnvSecretName('shop', 'MONGO_URL') === 'shop-mongodb-url'
+  },
+  {
+    name: 'Service secrets include built-in, configured and settings secrets',
+    run: () => JSON.stringify(getServiceSecrets(config).map(s => s.name)) === JSON.stringify([
+      'shop-mongodb-url', 'shop-mongodb-oplog-url', 'shop-mail-url', 'shop-stripe-key', 'shop-settings'
+    ])
+  },
+  {
+    name: 'Secrets are found by variable or secret name',
+    run: () => findServiceSecret(config, 'STRIPE_KEY').name === 'shop-stripe-key' &&
+      findServiceSecret(config, 'shop-mail-url').envName === 'MAIL_URL' &&
+      rejects(() => findServiceSecret(config, 'API_TOKEN'))
+  },
+  {
+    name: 'Revisions are matched with the secret versions they read',
+    run: () => {
+      const usage = getRevisionSecretVersions([
+        revision('shop-00002-def', 100, [secretRef('STRIPE_KEY', 'shop-stripe-key', 'latest'), { name: 'DEBUG', value: '1' }]),
+        revision('shop-00001-abc', 0, [secretRef('METEOR_SETTINGS', 'shop-settings', '4')])
+      ]);
+      return usage['shop-stripe-key'][0].revision === 'shop-00002-def' &&
+        usage['shop-stripe-key'][0].trafficPercent === 100 &&
+        usage['shop-settings'][0].version === '4' &&
+        !usage.DEBUG;
+    }
+  },
+  {
+    name: 'Old versions are destroyed unless kept or pinned by a revision',
+    run: () => {
+      const versions = ['6', '5', '4', '3', '2', '1'].map(version => ({
+        version,
+        state: { 5: 'DISABLED', 1: 'DESTROYED' }[version] || 'ENABLED'
+      }));
+      const references = [{ version: 'latest' }, { version: '2' }];
+      return JSON.stringify(selectVersionsToDestroy(versions, 2, references)) === JSON.stringify(['5', '3']) &&
+        JSON.stringify(selectVersionsToDestroy(versions, 4)) === JSON.stringify(['5']);
+    }
+  },
+  {
+    name: 'secretEnvVars are stored as secrets instead of plain variables',
+    run: () => {
+      const { envVars, secrets, secretsToCreate } = getDeploymentEnvironment({
+        ...config,
+        additionalEnvVars: { STRIPE_KEY: 'sk_live_123', FEATURE_FLAGS: 'checkout' }
+      }, 'mongodb://db/shop');
+      return secrets.includes('STRIPE_KEY=shop-stripe-key:latest') &&
+        !envVars.some(envVar => envVar.startsWith('STRIPE_KEY=')) &&
+        envVars.includes('FEATURE_FLAGS=checkout') &&
+        secretsToCreate.some(secret => secret.name === 'shop-stripe-key' && secret.value === 'sk_live_123');
+    }
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'Values read from stdin lose one trailing line break',
+    run: async () => await readSecretValue(Readable.from(['sk_live', '_123\n'])) === 'sk_live_123' &&
+      await readSecretValue(Readable.from(['line 1\nline 2\r\n'])) === 'line 1\nline 2' &&
+      await readSecretValue(Readable.from([])) === ''
+  }
+];
+
+runTests('secrets', {
+  tests,
+  asyncTests
+});
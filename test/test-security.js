@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Security Policy Tests
+ * Tests the Cloud Armor options, the rules built from them and how they are
+ * applied to the load balancer backend service
+ */
+
+const chalk = require('chalk');
+
+const { createFakeExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const {
+  RULE_PRIORITIES,
+  getSecurity,
+  buildSecurityRules,
+  hashSecurityRules,
+  needsSecurityUpdate,
+  applySecurityPolicy,
+  updateSecurityPolicy
+} = require('../src/security');
+const { deleteLoadBalancer, generateResourceNames } = require('../src/loadBalancer');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Security Policy Tests ===\n'));
+
+const names = generateResourceNames('shop');
+
+const config = {
+  projectId: 'shop-prod',
+  region: 'us-central1',
+  serviceName: 'shop',
+  customDomain: 'shop.example.com',
+  useLoadBalancer: true,
+  security: {
+    owasp: { rules: ['sqli', 'xss'] },
+    rateLimit: { requestsPerMinute: 300 },
+    geo: { deny: ['AA', 'BB', 'CC', 'DD', 'EE', 'FF'] },
+    adminPaths: [{ path: '/admin', allowIps: ['203.0.113.0/24', '198.51.100.7'] }]
+  },
+  loadBalancerResources: { ...names, ipAddress: '34.1.2.3' }
+};
+
+/**
+ * Checks that getSecurity() rejects a `security` block with a message
+ * @param {*} security - security option
+ * @param {string} message - Part of the expected message
+ * @returns {boolean} True if it threw the message
+ */
+function rejects(security, message) {
+  try {
+    getSecurity({ security });
+    return false;
+  } catch (error) {
+    return error.message.includes(message);
+  }
+}
+
+/**
+ * Builds `gcloud compute security-policies describe --format=json` output
+ * @param {Array<Object>} rules - Rules of the policy
+ * @returns {string} JSON output
+ */
+function describedPolicy(rules) {
+  return JSON.stringify({
+    name: 'shop-security-policy',
+    rules: [...rules, { priority: '2147483647', action: 'allow', description: 'default rule', match: { config: { srcIpRanges: ['*'] } } }]
+  });
+}
+
+/**
+ * Converts a built rule to how Cloud Armor describes it
+ * @param {Object} rule - Rule from buildSecurityRules()
+ * @returns {Object} Described rule
+ */
+function describedRule(rule) {
+  return {
+    priority: String(rule.priority),
+    action: rule.action,
+    description: rule.description,
+    preview: rule.preview,
+    match: { expr: { expression: rule.expression } },
+    ...(rule.rateLimit ? { rateLimitOptions: { rateLimitThreshold: rule.rateLimit } } : {})
+  };
+}
+
+const rules = buildSecurityRules(getSecurity(config));
+
+const tests = [
+  {
+    name: '"security": true turns on the OWASP rules and the default rate limit',
+    run: () => {
+      const security = getSecurity({ security: true });
+      return security.owasp.rules.includes('sqli') && security.owasp.rules.includes('nodejs') &&
+        security.owasp.sensitivity === 1 && security.owasp.preview === false &&
+        security.rateLimit.requestsPerMinute === 600 && security.rateLimit.paths.join(',') === '/sockjs,/websocket' &&
+        security.geo === null && security.adminPaths.length === 0 &&
+        getSecurity({}) === null && getSecurity({ security: false }) === null;
+    }
+  },
+  {
+    name: 'Invalid options are rejected',
+    run: () => rejects({ waf: true }, 'Unknown security option "waf"') &&
+      rejects({ owasp: { rules: ['sqlinjection'] } }, 'Unknown OWASP rule set "sqlinjection"') &&
+      rejects({ owasp: { sensitivity: 5 } }, 'security.owasp.sensitivity must be 1') &&
+      rejects({ rateLimit: { requestsPerMinute: 0 } }, 'requestsPerMinute must be a whole number of at least 1') &&
+      rejects({ rateLimit: { paths: ['sockjs'] } }, 'must be URL paths starting with "/"') &&
+      rejects({ rateLimit: { paths: ["/a'b"] } }, 'without quotes') &&
+      rejects({ geo: { allow: ['US'], deny: ['CA'] } }, 'either { "allow"') &&
+      rejects({ geo: { deny: ['us'] } }, 'two-letter uppercase country codes') &&
+      rejects({ geo: { allow: ['US', 'CA', 'MX', 'GB', 'DE', 'FR'] } }, 'security.geo.allow can list at most 5 countries') &&
+      rejects({ adminPaths: [{ path: '/admin', allowIps: [] }] }, '/admin needs allowIps') &&
+      rejects({ adminPaths: [{ path: '/admin', allowIps: ['1.1.1.1', '2.2.2.2', '3.3.3.3', '4.4.4.4', '5.5.5.5'] }] }, 'a list of 1 to 4') &&
+      rejects({ adminPaths: [{ path: '/admin', allowIps: ['office'] }] }, 'invalid IP address or CIDR range "office"') &&
+      rejects(['owasp'], 'security must be true or an object')
+  },
+  {
+    name: 'Blocking rules come before the rate limit, which allows what it does not throttle',
+    run: () => rules.map(rule => rule.priority).join(',') === '1000,2000,2001,3000,3001,4000' &&
+      RULE_PRIORITIES.rateLimit > RULE_PRIORITIES.owasp &&
+      rules[0].expression === "request.path.startsWith('/admin') && !(inIpRange(origin.ip, '203.0.113.0/24') || inIpRange(origin.ip, '198.51.100.7/32'))" &&
+      rules[0].action === 'deny-403' &&
+      rules[1].expression === "origin.region_code == 'AA' || origin.region_code == 'BB' || origin.region_code == 'CC' || origin.region_code == 'DD' || origin.region_code == 'EE'" &&
+      rules[2].expression === "origin.region_code == 'FF'" &&
+      rules[3].expression === "evaluatePreconfiguredWaf('sqli-v33-stable', {'sensitivity': 1})" &&
+      rules[5].action === 'throttle' && rules[5].rateLimit.count === 300 && rules[5].rateLimit.intervalSec === 60 &&
+      rules[5].expression === "request.path.startsWith('/sockjs') || request.path.startsWith('/websocket')"
+  },
+  {
+    name: 'A country allow-list denies every other country',
+    run: () => {
+      const [rule] = buildSecurityRules(getSecurity({ security: { geo: { allow: ['US', 'CA'] } } }));
+      return rule.priority === 2000 && rule.action === 'deny-403' &&
+        rule.expression === "!(origin.region_code == 'US' || origin.region_code == 'CA')";
+    }
+  },
+  {
+    name: 'The policy is updated when the configured rules change or security is removed',
+    run: () => {
+      const applied = { ...config, loadBalancerResources: { ...config.loadBalancerResources, securityPolicy: { name: 'shop-security-policy', rulesHash: hashSecurityRules(rules) } } };
+      return needsSecurityUpdate(config) &&
+        !needsSecurityUpdate(applied) &&
+        needsSecurityUpdate({ ...applied, security: { ...config.security, rateLimit: { requestsPerMinute: 100 } } }) &&
+        needsSecurityUpdate({ ...applied, security: undefined }) &&
+        !needsSecurityUpdate({ ...config, security: undefined });
+    }
+  }
+];
+
+const asyncTests = [
+  {
+    name: 'A new policy gets every rule and is attached to the backend service',
+    run: async () => {
+      const fake = createFakeExecutor([
+        { match: 'security-policies describe', stderr: 'was not found', exitCode: 1 },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const policy = await applySecurityPolicy(config, 'shop-backend');
+        return fake.callsMatching('security-policies create shop-security-policy ').length === 1 &&
+          fake.callsMatching('security-policies rules create').length === rules.length &&
+          fake.callsMatching(/rules create 4000 --security-policy=shop-security-policy .*--action=throttle --description="300 requests per minute per IP on \/sockjs, \/websocket" --no-preview --rate-limit-threshold-count=300 --rate-limit-threshold-interval-sec=60 --conform-action=allow --exceed-action=deny-429 --enforce-on-key=IP/).length === 1 &&
+          fake.callsMatching('backend-services update shop-backend --security-policy=shop-security-policy --global').length === 1 &&
+          policy.name === 'shop-security-policy' && policy.rulesHash === hashSecurityRules(rules);
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Only changed rules are updated, and rules outside 1000-4999 are left alone',
+    run: async () => {
+      const [admin, geo, geoRest, sqli, xss, rateLimit] = rules;
+      const fake = createFakeExecutor([
+        {
+          match: 'security-policies describe',
+          stdout: describedPolicy([
+            { priority: '100', action: 'deny-403', description: 'added in the console', match: { config: { srcIpRanges: ['192.0.2.0/24'] } } },
+            describedRule(admin),
+            describedRule(geo),
+            describedRule(geoRest),
+            describedRule(sqli),
+            describedRule(xss),
+            describedRule({ ...rateLimit, rateLimit: { count: 600, intervalSec: 60 } }),
+            describedRule({ ...rateLimit, priority: 4001 })
+          ])
+        },
+        { match: 'gcloud compute', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        await applySecurityPolicy(config, 'shop-backend');
+        return fake.callsMatching('security-policies create').length === 0 &&
+          fake.callsMatching('rules create').length === 0 &&
+          fake.callsMatching('rules update').length === 1 &&
+          fake.callsMatching('rules update 4000 ').length === 1 &&
+          fake.callsMatching('rules delete').length === 1 &&
+          fake.callsMatching('rules delete 4001 ').length === 1;
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'Removing security detaches and deletes the policy',
+    run: async () => {
+      const fake = createFakeExecutor([{ match: 'gcloud compute', stdout: '' }]);
+      setExecutor(fake);
+      try {
+        const resources = await updateSecurityPolicy({
+          ...config,
+          security: undefined,
+          loadBalancerResources: { ...config.loadBalancerResources, securityPolicy: { name: 'shop-security-policy', rulesHash: 'abc' } }
+        });
+        const [detach, remove] = fake.calls;
+        return detach.includes('backend-services update shop-backend --security-policy="" --global') &&
+          remove.includes('security-policies delete shop-security-policy') &&
+          resources.securityPolicy === undefined && resources.backendServiceName === 'shop-backend';
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'deleteLoadBalancer deletes the policy after the backend service using it',
+    run: async () => {
+      const fake = createFakeExecutor([{ match: ' delete ', stdout: '' }]);
+      setExecutor(fake);
+      try {
+        await deleteLoadBalancer({
+          ...config,
+          loadBalancerResources: { ...config.loadBalancerResources, securityPolicy: { name: 'shop-security-policy', rulesHash: 'abc' } }
+        });
+        const backend = fake.calls.findIndex(command => command.includes('backend-services delete shop-backend'));
+        const policy = fake.calls.findIndex(command => command.includes('security-policies delete shop-security-policy'));
+        return backend !== -1 && policy > backend;
+      } finally {
+        resetExecutor();
+      }
+    }
+  }
+];
+
+runTests('security policy', {
+  tests,
+  asyncTests,
+  // Progress messages of the policy updates are not part of the results
+  quiet: true
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Service Account Tests
+ * Tests dedicated service account naming and the Cloud Build config they produce
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { getServiceAccountId, getServiceAccounts, usesDedicatedServiceAccount, writeSecretVersion } = require('../src/serviceAccounts');
+const { createCloudBuildConfig } = require('../src/fileGeneration');
+const { hashSecretValue } = require('../src/secrets');
+const { createFakeExecutor, setExecutor, resetExecutor } = require('../src/executor');
+const { runTests } = require('./helpers');
+
+console.log(chalk.bold.cyan('\n=== Service Account Tests ===\n'));
+
+const config = {
+  projectId: 'shop-prod',
+  region: 'us-central1',
+  serviceName: 'shop',
+  cpu: '1',
+  memory: '512Mi',
+  concurrency: 80,
+  minInstances: 0,
+  maxInstances: 10
+};
+
+const isValidId = id => /^[a-z]([-a-z0-9]*[a-z0-9])$/.test(id) && id.length >= 6 && id.length <= 30;
+
+const tests = [
+  {
+    name: 'Dedicated service accounts are opt-in',
+    run: () => !usesDedicatedServiceAccount({}) && usesDedicatedServiceAccount({ useDedicatedServiceAccount: true })
+  },
+  {
+    name: 'Account IDs are derived from the service name',
+    run: () => {
+      const accounts = getServiceAccounts(config, 'shop');
+      return accounts.runtime.email === 'shop-run@shop-prod.iam.gserviceaccount.com' &&
+        accounts.deployer.email === 'shop-deploy@shop-prod.iam.gserviceaccount.com';
+    }
+  },
+  {
+    name: 'Short service names are padded to 6 characters',
+    run: () => getServiceAccountId('a', 'run') === 'a-run-sa' && isValidId(getServiceAccountId('a', 'run'))
+  },
+  {
+    name: 'Long service names are shortened to 30 characters',
+    run: () => ['run', 'deploy'].every(suffix =>
+      isValidId(getServiceAccountId('my-very-long-meteor-application-name-staging', suffix))
+    )
+  },
+  {
+    name: 'Shortened names stay unique',
+    run: () => getServiceAccountId('my-very-long-meteor-application-staging', 'run') !==
+      getServiceAccountId('my-very-long-meteor-application-production', 'run')
+  }
+];
+
+// createCloudBuildConfig writes to .meteor-cloud-run/, so run these in a temp dir
+const asyncTests = [
+  {
+    name: 'Default build references secrets by name and keeps the default service account',
+    run: async () => {
+      await createCloudBuildConfig(config, 'mongodb://db', null);
+      const yaml = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      return yaml.includes('--update-secrets=MONGO_URL=shop-mongodb-url:latest') &&
+        !yaml.includes('$_MONGO_URL') && !yaml.includes('mongodb://db') && !yaml.includes('gcloud secrets') &&
+        !yaml.includes('--service-account') && !yaml.includes('CLOUD_LOGGING_ONLY');
+    }
+  },
+  {
+    name: 'Dedicated build deploys as the runtime account without secret values',
+    run: async () => {
+      await createCloudBuildConfig(config, 'mongodb://db', null, { serviceAccounts: getServiceAccounts(config, 'shop') });
+      const yaml = await fs.readFile(path.join('.meteor-cloud-run', 'cloudbuild.yaml'), 'utf8');
+      return yaml.includes('--service-account=shop-run@shop-prod.iam.gserviceaccount.com') &&
+        yaml.includes('--update-secrets=MONGO_URL=shop-mongodb-url:latest') &&
+        yaml.includes('logging: CLOUD_LOGGING_ONLY') &&
+        !yaml.includes('$_MONGO_URL') &&
+        !yaml.includes('artifacts repositories create');
+    }
+  },
+  {
+    name: 'Secrets are compared by HMAC without reading their value',
+    run: async () => {
+      const hash = hashSecretValue('mongodb://db', 'hash-key');
+      const fake = createFakeExecutor([
+        { match: 'versions access latest --secret=meteor-cloud-run-hash-key', stdout: 'hash-key' },
+        { match: 'gcloud secrets describe shop-mongodb-url', stdout: `2026-01-01T00:00:00Z\t${hash}\t\n` },
+        // Written by an earlier version with the plain SHA-256
+        { match: 'gcloud secrets describe shop-mail-url', stdout: '2026-01-01T00:00:00Z\t\t0a1b2c\n' },
+        { match: 'gcloud secrets versions add', stdout: '' },
+        { match: 'gcloud secrets update', stdout: '' }
+      ]);
+      setExecutor(fake);
+      try {
+        const unchanged = await writeSecretVersion(config, { name: 'shop-mongodb-url', value: 'mongodb://db' });
+        const changed = await writeSecretVersion(config, { name: 'shop-mail-url', value: 'smtp://mail' });
+        return hash !== hashSecretValue('mongodb://db', 'other-key') &&
+          !unchanged && changed &&
+          fake.callsMatching('versions access latest --secret=shop-').length === 0 &&
+          fake.callsMatching('versions add shop-mongodb-url').length === 0 &&
+          fake.callsMatching('versions add shop-mail-url').length === 1 &&
+          fake.callsMatching(`gcloud secrets update shop-mail-url --update-annotations=value_hmac=${hashSecretValue('smtp://mail', 'hash-key')} --remove-annotations=value_sha256 --project=shop-prod`).length === 1;
+      } finally {
+        resetExecutor();
+      }
+    }
+  },
+  {
+    name: 'The HMAC key is created once, and unreadable keys drop the hash',
+    run: async () => {
+      const created = createFakeExecutor([
+        { match: 'gcloud secrets describe', stderr: 'NOT_FOUND', exitCode: 1 },
+        { match: 'gcloud secrets create', stdout: '' }
+      ]);
+      setExecutor(created);
+      try {
+        await writeSecretVersion(config, { name: 'shop-mail-url', value: 'smtp://mail' });
+      } finally {
+        resetExecutor();
+      }
+
+      // The key secret exists but this account can't access it
+      const unreadable = createFakeExecutor([
+        { match: 'gcloud secrets describe meteor-cloud-run-hash-key', stdout: '2026-01-01T00:00:00Z\n' },
+        { match: 'gcloud secrets describe shop-mail-url', stdout: '2026-01-01T00:00:00Z\t0a1b2c\t\n' },
+        { match: 'gcloud secrets versions add', stdout: '' },
+        { match: 'gcloud secrets update', stdout: '' }
+      ]);
+      setExecutor(unreadable);
+      try {
+        const changed = await writeSecretVersion(config, { name: 'shop-mail-url', value: 'smtp://mail' });
+        return created.callsMatching(/^gcloud secrets create meteor-cloud-run-hash-key --data-file=\S+ --replication-policy=automatic --project=shop-prod$/).length === 1 &&
+          created.callsMatching(/gcloud secrets create shop-mail-url .*--set-annotations=value_hmac=[0-9a-f]{64} /).length === 1 &&
+          changed && unreadable.callsMatching('gcloud secrets create').length === 0 &&
+          unreadable.callsMatching('gcloud secrets update shop-mail-url --remove-annotations=value_hmac --project=shop-prod').length === 1;
+      } finally {
+        resetExecutor();
+      }
+    }
+  }
+];
+
+runTests('service account', {
+  tests,
+  asyncTests,
+  tempDir: () => fs.ensureDir('.meteor-cloud-run')
+});
@@ -3,6 +3,7 @@
 /**
  * Version Fallback Tests
  * Tests the smart version matching logic in getCompatibleBaseImageFallback
+ * and the Node.js runtime picked for each Meteor release
  */
 
 const chalk = require('chalk');
@@ -140,6 +141,76 @@ tests.forEach(test => {
   }
 });
 
+// Node.js runtime matched to the Meteor release, and config overrides
+const runtimeTests = [
+  { name: 'Meteor 3.3 runs on Node.js 22', version: '3.3.1', expected: 'node:22-slim' },
+  { name: 'Meteor 3.1 runs on Node.js 22', version: '3.1', expected: 'node:22-slim' },
+  { name: 'Meteor 3.0 runs on Node.js 20', version: '3.0.4', expected: 'node:20-slim' },
+  { name: 'Meteor 2.16 runs on Node.js 14', version: '2.16', expected: 'node:14-bullseye-slim' },
+  { name: 'Meteor 2.2 runs on Node.js 12', version: '2.2', expected: 'node:12-bullseye-slim' },
+  { name: 'Meteor 1.12 runs on Node.js 12', version: '1.12.1', expected: 'node:12-bullseye-slim' },
+  { name: 'Meteor 1.8 runs on Node.js 8', version: '1.8.1', expected: 'node:8-slim' },
+  { name: 'Unknown major uses the newest Node.js', version: '4.0', expected: 'node:22-slim' },
+  { name: 'Undetected version uses the default Meteor 2.12', version: null, expected: 'node:14-bullseye-slim' },
+  { name: 'nodeVersion overrides the matched release', version: '3.0', config: { nodeVersion: '22' }, expected: 'node:22-slim' },
+  { name: 'nodeVersion can be a number', version: '3.1', config: { nodeVersion: 18 }, expected: 'node:18-slim' },
+  { name: 'runtimeImage overrides nodeVersion', version: '3.0', config: { nodeVersion: '22', runtimeImage: 'gcr.io/acme/node:20-distroless' }, expected: 'gcr.io/acme/node:20-distroless' }
+];
+
+runtimeTests.forEach(test => {
+  process.stdout.write(chalk.gray(`Testing: ${test.name}... `));
+
+  try {
+    const result = utils.getRuntimeImage(test.config || {}, test.version).image;
+
+    if (result === test.expected) {
+      console.log(chalk.green(`✓ PASS (${result})`));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL'));
+      console.log(chalk.red(`  Expected: ${test.expected}`));
+      console.log(chalk.red(`  Got: ${result}`));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL'));
+    console.log(chalk.red(`  Error: ${error.message}`));
+    failed++;
+  }
+});
+
+process.stdout.write(chalk.gray('Testing: Builder and runtime Node.js majors are compared... '));
+const overridden = utils.getRuntimeImage({ nodeVersion: '18.20' }, '3.0');
+const customImage = utils.getRuntimeImage({ runtimeImage: 'registry.example.com/base:prod' }, '3.0');
+if (overridden.nodeVersion === '18' && overridden.builderNodeVersion === '20' && customImage.nodeVersion === null) {
+  console.log(chalk.green('✓ PASS'));
+  passed++;
+} else {
+  console.log(chalk.red('✗ FAIL'));
+  failed++;
+}
+
+process.stdout.write(chalk.gray('Testing: The nodeVersion "18" of earlier init versions is pointed out... '));
+const warnings = [];
+const originalLog = console.log;
+console.log = (...args) => warnings.push(args.join(' '));
+try {
+  const { warnOnNodeVersionMismatch } = require('../src/fileGeneration');
+  warnOnNodeVersionMismatch(utils.getRuntimeImage({ nodeVersion: '18' }, '3.0'), '3.0', { nodeVersion: '18' });
+  warnOnNodeVersionMismatch(utils.getRuntimeImage({ nodeVersion: '22' }, '3.0'), '3.0', { nodeVersion: '22' });
+} finally {
+  console.log = originalLog;
+}
+const legacyHints = warnings.filter(line => line.includes('earlier version of init'));
+if (warnings.filter(line => line.includes('Remove "nodeVersion"')).length === 2 && legacyHints.length === 1 &&
+  warnings.indexOf(legacyHints[0]) === 1) {
+  console.log(chalk.green('✓ PASS'));
+  passed++;
+} else {
+  console.log(chalk.red('✗ FAIL'));
+  failed++;
+}
+
 console.log(chalk.bold(`\n=== Results ===`));
 console.log(chalk.green(`Passed: ${passed}`));
 console.log(failed > 0 ? chalk.red(`Failed: ${failed}`) : chalk.gray(`Failed: ${failed}`));